@@ -0,0 +1,132 @@
+/**
+ * Monthly Billing Rules
+ *
+ * Statuses and billing dates of recurring monthly donations
+ * ("subscriptions"), and how a subscription changes when one of its
+ * payments settles. Used by ledger.js (inside the settlement transaction)
+ * and subscriptions.js (the billing sweep).
+ *
+ * A subscription is billed on the same day of the month as its first
+ * payment, or on the last day of shorter months (31 Jan, 28 Feb, 31 Mar).
+ *
+ * SUBSCRIPTION_STATUS must match js/subscriptions.js; keep the two in step.
+ *
+ * @file functions/billing.js
+ */
+
+const SUBSCRIPTION_STATUS = {
+  PENDING: "pending",       // Waiting for the first payment
+  ACTIVE: "active",         // Charged every month
+  PAUSED: "paused",         // Skipped by the billing sweep until resumed
+  CANCELLED: "cancelled"    // Ended by the donor, a failed payment or the campaign closing
+};
+
+// Consecutive failed monthly charges after which a subscription is cancelled
+const MAX_FAILED_CHARGES = 3;
+
+// Why a subscription whose first payment failed was cancelled
+const FIRST_PAYMENT_FAILED = "The first payment failed";
+
+/**
+ * Charge Date
+ *
+ * @param {number} startedAt - First payment, milliseconds since epoch
+ * @param {number} months - Months after the first payment
+ * @returns {number} The billing date that many months later (UTC)
+ */
+function chargeDate(startedAt, months) {
+  const start = new Date(startedAt);
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay),
+    start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds());
+}
+
+/**
+ * Next Charge Date
+ *
+ * Months missed while a subscription was paused are skipped, never
+ * charged in arrears.
+ *
+ * @param {number} startedAt - First payment, milliseconds since epoch
+ * @param {number} after - Find the first billing date after this time
+ * @returns {number} Next billing date
+ */
+function nextChargeDate(startedAt, after) {
+  const start = new Date(startedAt);
+  const from = new Date(after);
+  let months = Math.max(1,
+    (from.getUTCFullYear() - start.getUTCFullYear()) * 12 + from.getUTCMonth() - start.getUTCMonth());
+
+  while (chargeDate(startedAt, months) <= after) {
+    months++;
+  }
+  return chargeDate(startedAt, months);
+}
+
+/**
+ * Subscription After a Payment Settles
+ *
+ * @param {Object} subscription - Subscription document data
+ * @param {"confirmed"|"failed"} outcome - Payment result
+ * @param {Object} payment
+ * @param {string} [payment.tokenId] - Saved payment method, reported with the first payment
+ * @param {number} now - Settlement time
+ * @returns {Object|null} Fields to update on the subscription, or null for none
+ *
+ * Process:
+ * 1. First payment confirmed: the subscription becomes active and is next
+ *    billed a month later; failed: it is cancelled. A later attempt on
+ *    the same order can still be captured, which activates it after all
+ * 2. Monthly charge confirmed: the failure count is reset; failed: it is
+ *    counted, and MAX_FAILED_CHARGES failures in a row cancel the
+ *    subscription
+ */
+function subscriptionAfterPayment(subscription, outcome, { tokenId = null }, now) {
+  const confirmed = outcome === "confirmed";
+  const firstPaymentRetried = subscription.status === SUBSCRIPTION_STATUS.CANCELLED
+    && !subscription.startedAt && subscription.endedReason === FIRST_PAYMENT_FAILED;
+
+  if (subscription.status === SUBSCRIPTION_STATUS.PENDING || (confirmed && firstPaymentRetried)) {
+    return confirmed
+      ? {
+          status: SUBSCRIPTION_STATUS.ACTIVE,
+          startedAt: now,
+          nextChargeAt: nextChargeDate(now, now),
+          cycle: 1,
+          failedCharges: 0,
+          "mandate.tokenId": tokenId,
+          ...(firstPaymentRetried ? { endedAt: null, endedReason: null } : {})
+        }
+      : {
+          status: SUBSCRIPTION_STATUS.CANCELLED,
+          endedAt: now,
+          endedReason: FIRST_PAYMENT_FAILED
+        };
+  }
+
+  if (confirmed) {
+    return { failedCharges: 0, lastChargedAt: now };
+  }
+
+  const failedCharges = (subscription.failedCharges || 0) + 1;
+  if (failedCharges >= MAX_FAILED_CHARGES && subscription.status !== SUBSCRIPTION_STATUS.CANCELLED) {
+    return {
+      failedCharges,
+      status: SUBSCRIPTION_STATUS.CANCELLED,
+      endedAt: now,
+      endedReason: `${MAX_FAILED_CHARGES} monthly payments failed in a row`
+    };
+  }
+  return { failedCharges };
+}
+
+module.exports = {
+  SUBSCRIPTION_STATUS,
+  MAX_FAILED_CHARGES,
+  chargeDate,
+  nextChargeDate,
+  subscriptionAfterPayment
+};
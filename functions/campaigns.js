@@ -0,0 +1,206 @@
+/**
+ * Campaign Creation (server)
+ *
+ * New campaigns are written here, not by the browser, so creation can be
+ * rate-limited per account and per IP address (see ratelimits.js). The
+ * browser builds the document (js/repository.js) and picks its ID; the
+ * checks below are the ones firestore.rules used to make.
+ *
+ * The ID doubles as an idempotency key: sending the same campaign twice
+ * (a double click, a retried request) creates it once.
+ *
+ * Progress (raised / target, used to sort by "closest to goal") is also
+ * kept here: the browser can edit the target but never writes progress.
+ *
+ * @file functions/campaigns.js
+ */
+
+const { getFirestore } = require("firebase-admin/firestore");
+const { CURRENCIES, amountOf } = require("./money");
+
+// Fields of a new campaign document (see createCampaign() in js/repository.js)
+const CAMPAIGN_FIELDS = [
+  "title", "category", "target", "raised", "currency", "progress", "description", "keywords",
+  "creator", "createdAt", "endDate", "fundingMode", "status", "moderation", "cover", "gallery", "slug"
+];
+
+// gRPC status Firestore returns when create() finds an existing document;
+// the errors for a taken ID or link carry it too
+const ALREADY_EXISTS = 6;
+
+// Firestore auto-generated IDs (what the browser uses)
+const ID_PATTERN = /^[A-Za-z0-9]{1,40}$/;
+
+// MAX_KEYWORDS in js/search.js
+const MAX_KEYWORDS = 400;
+
+// What buildSlug() in js/share.js produces
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Validate a New Campaign
+ *
+ * @param {string} campaignId - Chosen document ID
+ * @param {Object} campaign - Campaign document
+ * @param {string} uid - Signed-in user
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} Error message, or null if the campaign is valid
+ */
+function validateNewCampaign(campaignId, campaign, uid, now) {
+  if (typeof campaignId !== "string" || !ID_PATTERN.test(campaignId)) {
+    return "Invalid campaign ID";
+  }
+  if (!campaign || typeof campaign !== "object"
+      || Object.keys(campaign).some(key => !CAMPAIGN_FIELDS.includes(key))) {
+    return "Invalid campaign";
+  }
+
+  const text = (value, max) => typeof value === "string" && value.length > 0 && value.length <= max;
+  if (!text(campaign.title, 200) || !text(campaign.category, 100) || !text(campaign.description, 50000)) {
+    return "Please fill in all fields";
+  }
+  if (!CURRENCIES.includes(campaign.currency)) {
+    return `Unsupported currency: ${campaign.currency}`;
+  }
+  if (!Number.isInteger(campaign.target) || campaign.target <= 0) {
+    return "Please enter a valid target amount";
+  }
+  if (typeof campaign.endDate !== "number" || campaign.endDate <= now) {
+    return "Please pick an end date in the future";
+  }
+  if (campaign.creator !== uid || campaign.raised !== 0 || campaign.progress !== 0
+      || campaign.moderation !== "pending") {
+    return "Invalid campaign";
+  }
+  if (!["draft", "active"].includes(campaign.status) || !["keep", "all_or_nothing"].includes(campaign.fundingMode)) {
+    return "Invalid campaign";
+  }
+  if (!Array.isArray(campaign.keywords) || campaign.keywords.length > MAX_KEYWORDS
+      || !campaign.keywords.every(word => typeof word === "string")) {
+    return "Invalid campaign";
+  }
+  if (campaign.cover !== null || !Array.isArray(campaign.gallery) || campaign.gallery.length > 0) {
+    return "Invalid campaign";
+  }
+  if (typeof campaign.slug !== "string" || campaign.slug.length > 100 || !SLUG_PATTERN.test(campaign.slug)) {
+    return "Invalid campaign link";
+  }
+  return null;
+}
+
+/**
+ * Taken Error
+ *
+ * @param {string} message - What is taken
+ * @returns {Error} Error whose code is ALREADY_EXISTS
+ */
+function takenError(message) {
+  return Object.assign(new Error(message), { code: ALREADY_EXISTS });
+}
+
+/**
+ * Find an Earlier Submission
+ *
+ * @async
+ * @param {string} campaignId - Chosen document ID
+ * @param {string} uid - Signed-in user
+ * @returns {Promise<boolean>} True if this user already created the campaign
+ * @throws {Error} If the ID belongs to someone else's campaign (code ALREADY_EXISTS)
+ */
+async function alreadyCreated(campaignId, uid) {
+  const snap = await getFirestore().collection("campaigns").doc(campaignId).get();
+  if (!snap.exists) {
+    return false;
+  }
+  if (snap.get("creator") !== uid) {
+    throw takenError("That campaign ID is taken");
+  }
+  return true;
+}
+
+/**
+ * Create a Campaign
+ *
+ * @async
+ * @param {string} campaignId - Chosen document ID (see validateNewCampaign)
+ * @param {Object} campaign - Validated campaign document
+ * @returns {Promise<boolean>} True if it was created, false if it already existed
+ * @throws {Error} If the ID or the slug is taken by another campaign (code ALREADY_EXISTS)
+ *
+ * Process (one transaction):
+ * 1. Return if the campaign already exists (a repeated submission)
+ * 2. Reserve its slug for the /c/<slug> link
+ * 3. Write the campaign, with the server's time as createdAt, and its
+ *    "created" history entry (see js/history.js)
+ */
+async function createCampaign(campaignId, campaign) {
+  const db = getFirestore();
+  const campaignRef = db.collection("campaigns").doc(campaignId);
+  const slugRef = db.collection("slugs").doc(campaign.slug);
+
+  return db.runTransaction(async (t) => {
+    const [campaignSnap, slugSnap] = await Promise.all([t.get(campaignRef), t.get(slugRef)]);
+
+    if (campaignSnap.exists) {
+      if (campaignSnap.get("creator") !== campaign.creator) {
+        throw takenError("That campaign ID is taken");
+      }
+      return false;
+    }
+    if (slugSnap.exists) {
+      throw takenError("That campaign link is taken");
+    }
+
+    const now = Date.now();
+    t.create(campaignRef, { ...campaign, createdAt: now });
+    t.create(slugRef, { campaignId });
+    t.create(campaignRef.collection("history").doc(), {
+      action: "created",
+      changes: {},
+      by: campaign.creator,
+      time: now
+    });
+    return true;
+  });
+}
+
+/**
+ * Recompute a Campaign's Progress
+ *
+ * Called when a campaign changes; only a new target needs it, since
+ * donations and refunds write progress along with the raised total.
+ *
+ * @async
+ * @param {Object} before - Campaign data before the change
+ * @param {Object} after - Campaign data after the change
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<void>}
+ *
+ * Process (one transaction, so a donation settling meanwhile isn't undone):
+ * 1. Return unless the target changed
+ * 2. Read the campaign again and work out raised / target
+ * 3. Write progress if it differs (the write doesn't change the target, so
+ *    it doesn't come back here)
+ */
+async function syncProgress(before, after, campaignId) {
+  if (before.target === after.target) {
+    return;
+  }
+
+  const db = getFirestore();
+  const campaignRef = db.collection("campaigns").doc(campaignId);
+
+  await db.runTransaction(async (t) => {
+    const snap = await t.get(campaignRef);
+    if (!snap.exists) {
+      return;
+    }
+    const campaign = snap.data();
+    const progress = amountOf(campaign, "raised") / amountOf(campaign, "target");
+    if (campaign.progress !== progress) {
+      t.update(campaignRef, { progress });
+    }
+  });
+}
+
+module.exports = { ALREADY_EXISTS, validateNewCampaign, alreadyCreated, createCampaign, syncProgress };
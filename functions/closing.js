@@ -0,0 +1,53 @@
+/**
+ * Campaign Closing (server)
+ *
+ * Statuses that follow from time and money passing (expired, funded) are
+ * stored by a sweep, so queries on "status" such as the catalogue's see
+ * them without anyone opening the dashboard. The rules deciding the status
+ * are in lifecycle.js.
+ *
+ * @file functions/closing.js
+ */
+
+const { getFirestore } = require("firebase-admin/firestore");
+const logger = require("firebase-functions/logger");
+const { STATUS, effectiveStatus } = require("./lifecycle");
+
+/**
+ * Close Ended Campaigns
+ *
+ * Stores the status of active campaigns that have ended (expired) or
+ * reached their target (funded; newer campaigns are marked funded when the
+ * donation is confirmed, see ledger.js, but older ones were not).
+ *
+ * @async
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<{expired: number, funded: number, skipped: number}>} Run summary
+ */
+async function closeEndedCampaigns(now = Date.now()) {
+  const summary = { expired: 0, funded: 0, skipped: 0 };
+
+  const active = await getFirestore().collection("campaigns")
+    .where("status", "==", STATUS.ACTIVE)
+    .get();
+
+  for (const campaignDoc of active.docs) {
+    const status = effectiveStatus(campaignDoc.data(), now);
+    if (status === STATUS.ACTIVE) {
+      continue;
+    }
+
+    // Only if nothing changed since it was read (e.g. the creator paused it)
+    try {
+      await campaignDoc.ref.update({ status }, { lastUpdateTime: campaignDoc.updateTime });
+      summary[status]++;
+    } catch (error) {
+      summary.skipped++;
+      logger.warn("Campaign status not stored", { campaignId: campaignDoc.id, status, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = { closeEndedCampaigns };
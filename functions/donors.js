@@ -0,0 +1,66 @@
+/**
+ * Donor Records (server)
+ *
+ * The "transactions" ledger is public, so anonymous donations don't name
+ * their donor there. Who made each ledger entry is kept in
+ * donorRecords/{transactionId} ({userId, campaignId, time}), which only
+ * the donor can read (see firestore.rules). The browser writes the record
+ * in the same batch as the donation (see js/repository.js); the server
+ * writes it for monthly payments and refunds.
+ *
+ * Entries written before the records existed name their donor in userId.
+ *
+ * @file functions/donors.js
+ */
+
+const { getFirestore } = require("firebase-admin/firestore");
+
+/**
+ * Donor Record Reference
+ *
+ * @param {string} transactionId - Ledger entry ID
+ * @returns {Object} Document reference
+ */
+function donorRecordRef(transactionId) {
+  return getFirestore().collection("donorRecords").doc(transactionId);
+}
+
+/**
+ * Donor Record
+ *
+ * @param {string} userId - Donor's user ID
+ * @param {Object} entry - The ledger entry it belongs to
+ * @returns {{userId: string, campaignId: string, time: number}}
+ */
+function donorRecord(userId, entry) {
+  return { userId, campaignId: entry.campaignId, time: entry.time };
+}
+
+/**
+ * Public Donor Fields
+ *
+ * @param {string} userId - Donor's user ID
+ * @param {boolean} anonymous - Whether the donor chose to stay anonymous
+ * @returns {Object} The short and full user ID for a named donation,
+ *   nothing for an anonymous one
+ */
+function publicDonor(userId, anonymous) {
+  return anonymous ? {} : { user: userId.substring(0, 6), userId };
+}
+
+/**
+ * Donor of a Ledger Entry
+ *
+ * @async
+ * @param {Object} txRef - Transaction document reference
+ * @param {Object} tx - Transaction data
+ * @param {Object} [t] - Firestore transaction to read in
+ * @returns {Promise<string|null>} The donor's user ID, or null if unknown
+ */
+async function donorOf(txRef, tx, t) {
+  const recordRef = donorRecordRef(txRef.id);
+  const recordSnap = await (t ? t.get(recordRef) : recordRef.get());
+  return recordSnap.exists ? recordSnap.get("userId") : tx.userId || null;
+}
+
+module.exports = { donorRecordRef, donorRecord, publicDonor, donorOf };
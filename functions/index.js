@@ -0,0 +1,705 @@
+/**
+ * Cloud Functions Entry Point
+ *
+ * Server-side code the browser cannot be trusted with:
+ * - createCampaign: creates a campaign, rate-limited per account and IP address
+ * - closeEndedCampaigns: stores the status of campaigns that ended or were funded
+ * - trackProgress: recomputes a campaign's progress when its target changes
+ * - createPaymentOrder: opens a gateway order for a pending donation (or the
+ *   first payment of a monthly donation)
+ * - paymentWebhook: receives signed gateway webhooks and settles donations
+ * - mockCheckout: completes a mock payment (emulator only)
+ * - refundDonation: refunds one donation (admins and campaign owners)
+ * - refundFailedCampaigns: refunds all-or-nothing campaigns that missed their
+ *   target, and finishes interrupted refunds
+ * - getPayoutLedger, requestPayout, reviewPayout: campaign owners withdraw
+ *   what they raised, after admin approval
+ * - reconcileTotals: checks (and corrects) campaign totals against the
+ *   ledger (admins)
+ * - releaseRewardReservations: frees rewards held by abandoned checkouts
+ * - chargeSubscriptions: charges monthly donations that are due
+ * - trackRecurringRevenue: keeps each campaign's monthly recurring revenue
+ * - notify*: Firestore triggers that notify creators and donors
+ * - sendMail: delivers queued notification emails
+ * - campaignPage: serves /c/<slug> with preview and SEO tags
+ *
+ * @file functions/index.js
+ */
+
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+const { onCall, onRequest, HttpsError } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onDocumentCreated, onDocumentUpdated, onDocumentWritten } = require("firebase-functions/v2/firestore");
+const logger = require("firebase-functions/logger");
+
+const payments = require("./payments");
+const mock = require("./payments/mock");
+const { DONATION_STATUS, settleDonation, releaseStaleReservations } = require("./ledger");
+const { SUBSCRIPTION_STATUS } = require("./billing");
+const { isAcceptingDonations } = require("./lifecycle");
+const { amountOf, currencyOf, donationAmountError } = require("./money");
+const { donorOf } = require("./donors");
+const { hashIp, clientIp, consumeRateLimits } = require("./ratelimits");
+const campaigns = require("./campaigns");
+const closing = require("./closing");
+const risk = require("./risk");
+const refunds = require("./refunds");
+const rewards = require("./rewards");
+const subscriptions = require("./subscriptions");
+const payouts = require("./payouts");
+const reconcile = require("./reconcile");
+const notifications = require("./notifications");
+const mail = require("./mail");
+const pages = require("./pages");
+
+initializeApp();
+
+/**
+ * Rate Limit Error
+ *
+ * @param {number} retryAfter - Seconds until the caller may try again
+ * @param {string} what - What the caller was doing, e.g. "creating campaigns"
+ * @returns {HttpsError}
+ */
+function rateLimitError(retryAfter, what) {
+  const minutes = Math.ceil(retryAfter / 60);
+  return new HttpsError("resource-exhausted",
+    `You're ${what} too quickly. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`);
+}
+
+/* =======================
+   CAMPAIGNS
+   ======================= */
+
+/**
+ * Campaign Creation Error
+ *
+ * A taken ID or link (ALREADY_EXISTS, see campaigns.js) is reported to
+ * the caller; anything else is rethrown, so it is logged and the caller
+ * sees an internal error.
+ *
+ * @param {Error} error - Error from campaigns.js
+ * @returns {Error} The error to throw
+ */
+function creationError(error) {
+  return error.code === campaigns.ALREADY_EXISTS ? new HttpsError("already-exists", error.message) : error;
+}
+
+/**
+ * Create Campaign
+ *
+ * Called by the dashboard with the campaign document and the ID it picked
+ * (see createCampaign() in js/repository.js). Sending the same ID again,
+ * e.g. after a double click or a dropped connection, does not create a
+ * second campaign.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.campaignId - Document ID picked by the browser
+ * @param {Object} request.data.campaign - Campaign document
+ * @returns {Promise<{campaignId: string}>}
+ */
+exports.createCampaign = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Please login to create a campaign");
+  }
+  if (request.auth.token.email_verified !== true) {
+    throw new HttpsError("permission-denied", "Please verify your email address first");
+  }
+
+  const { campaignId, campaign } = request.data || {};
+  const error = campaigns.validateNewCampaign(campaignId, campaign, request.auth.uid, Date.now());
+  if (error) {
+    throw new HttpsError("invalid-argument", error);
+  }
+
+  // A repeated submission doesn't count against the limit
+  try {
+    if (await campaigns.alreadyCreated(campaignId, request.auth.uid)) {
+      return { campaignId };
+    }
+  } catch (error) {
+    throw creationError(error);
+  }
+
+  const limit = await consumeRateLimits("campaign", { uid: request.auth.uid, ip: clientIp(request.rawRequest) });
+  if (!limit.allowed) {
+    throw rateLimitError(limit.retryAfter, "creating campaigns");
+  }
+
+  try {
+    await campaigns.createCampaign(campaignId, campaign);
+  } catch (error) {
+    throw creationError(error);
+  }
+  return { campaignId };
+});
+
+/**
+ * Close Ended Campaigns
+ *
+ * Sweep that stores "expired" and "funded" once campaigns end or reach
+ * their target, so the catalogue and the campaign-failed notice (see
+ * notifications.js) don't wait for the owner to open the dashboard.
+ */
+exports.closeEndedCampaigns = onSchedule("every 15 minutes", async () => {
+  const summary = await closing.closeEndedCampaigns();
+  logger.info("Campaign status sweep finished", summary);
+});
+
+/**
+ * Track Campaign Progress
+ *
+ * Recomputes progress when the creator changes the target.
+ */
+exports.trackProgress = onDocumentUpdated("campaigns/{campaignId}", async (event) => {
+  await campaigns.syncProgress(event.data.before.data(), event.data.after.data(), event.params.campaignId);
+});
+
+/* =======================
+   PAYMENT ORDERS
+   ======================= */
+
+/**
+ * Create Payment Order
+ *
+ * Called by donate.js after it writes a pending transaction. Checks the
+ * donation and the campaign again on the server, applies the donor's and
+ * their IP address's rate limits, scores the donation for fraud review
+ * (see risk.js), reserves the donor's reward tier (if any), then creates
+ * an order with the active payment provider and stores the order ID on
+ * the transaction.
+ *
+ * The first payment of a monthly donation also sets up the mandate the
+ * provider needs to charge the donor every month; it is stored on the
+ * subscription.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.transactionId - Pending transaction document ID
+ * @returns {Promise<{provider: string, orderId: string, amount: number, currency: string, checkout: Object}>}
+ *   What the browser needs to open the provider's checkout
+ */
+exports.createPaymentOrder = onCall({ secrets: payments.secrets }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Please login first to donate");
+  }
+
+  const { transactionId } = request.data || {};
+  if (typeof transactionId !== "string" || !transactionId) {
+    throw new HttpsError("invalid-argument", "transactionId is required");
+  }
+
+  const db = getFirestore();
+  const txRef = db.collection("transactions").doc(transactionId);
+  const txSnap = await txRef.get();
+
+  // Anonymous donations name their donor only in the private donor record
+  if (!txSnap.exists || await donorOf(txRef, txSnap.data()) !== request.auth.uid) {
+    throw new HttpsError("not-found", "Donation not found");
+  }
+
+  const tx = txSnap.data();
+  if (tx.status !== DONATION_STATUS.PENDING || tx.orderId) {
+    throw new HttpsError("failed-precondition", "This donation already has a payment");
+  }
+
+  const amountError = donationAmountError(amountOf(tx, "amount"), currencyOf(tx));
+  if (amountError) {
+    await txRef.update({ status: DONATION_STATUS.FAILED, settledAt: Date.now() });
+    throw new HttpsError("invalid-argument", amountError);
+  }
+
+  const ip = clientIp(request.rawRequest);
+  const limit = await consumeRateLimits("donation", { uid: request.auth.uid, ip });
+  if (!limit.allowed) {
+    await txRef.update({ status: DONATION_STATUS.FAILED, settledAt: Date.now() });
+    throw rateLimitError(limit.retryAfter, "donating");
+  }
+
+  const campaignSnap = await db.collection("campaigns").doc(tx.campaignId).get();
+  if (!campaignSnap.exists || !isAcceptingDonations(campaignSnap.data())) {
+    await txRef.update({ status: DONATION_STATUS.FAILED, settledAt: Date.now() });
+    throw new HttpsError("failed-precondition", "This campaign is not accepting donations");
+  }
+
+  const subscriptionRef = tx.subscriptionId ? db.collection("subscriptions").doc(tx.subscriptionId) : null;
+  if (subscriptionRef) {
+    const subscriptionSnap = await subscriptionRef.get();
+    if (!subscriptionSnap.exists || subscriptionSnap.get("status") !== SUBSCRIPTION_STATUS.PENDING) {
+      await txRef.update({ status: DONATION_STATUS.FAILED, settledAt: Date.now() });
+      throw new HttpsError("failed-precondition", "This monthly donation has already started");
+    }
+  }
+
+  // A failed check must not stop the donation; flagged ones are reviewed later
+  try {
+    await risk.checkDonation(txRef, tx, request.auth.uid, campaignSnap.data(), hashIp(ip));
+  } catch (error) {
+    logger.error("Risk check failed", { transactionId, error: error.message });
+  }
+
+  // Reserve the reward in a transaction so two donors can't take the last one
+  if (tx.rewardId) {
+    try {
+      await rewards.reserveReward(txRef);
+    } catch (error) {
+      await txRef.update({ status: DONATION_STATUS.FAILED, settledAt: Date.now() });
+      throw new HttpsError("failed-precondition", error.message);
+    }
+  }
+
+  const provider = payments.activeProvider();
+  const details = {
+    transactionId,
+    amount: amountOf(tx, "amount"),
+    currency: currencyOf(tx),
+    campaignId: tx.campaignId
+  };
+  let order;
+  try {
+    order = subscriptionRef
+      ? await provider.createSubscription({
+          ...details,
+          subscriptionId: subscriptionRef.id,
+          email: request.auth.token.email || ""
+        })
+      : await provider.createOrder(details);
+  } catch (error) {
+    // No payment can be made: fail the donation and give the reward back
+    logger.error("Payment order failed", { transactionId, provider: provider.name, error: error.message });
+    await db.runTransaction(async (t) => {
+      rewards.releaseReward(t, txRef, (await t.get(txRef)).data());
+      t.update(txRef, { status: DONATION_STATUS.FAILED, settledAt: Date.now() });
+    });
+    throw new HttpsError("unavailable", "The payment could not be started. Please try again.");
+  }
+
+  await txRef.update({ provider: provider.name, orderId: order.orderId });
+
+  const { mandate, ...checkout } = order;
+  if (subscriptionRef) {
+    await subscriptionRef.update({ provider: provider.name, mandate });
+  }
+
+  return { provider: provider.name, ...checkout };
+});
+
+/* =======================
+   WEBHOOKS
+   ======================= */
+
+/**
+ * Handle Webhook
+ *
+ * Verifies a webhook's signature and settles the donation it reports.
+ *
+ * @async
+ * @param {Object} provider - Provider module (see payments/index.js)
+ * @param {Buffer} rawBody - Raw request body, exactly as signed
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{status: number, message: string}>} HTTP status and body to respond with
+ */
+async function handleWebhook(provider, rawBody, headers) {
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    return { status: 401, message: "Invalid signature" };
+  }
+
+  const payment = provider.parseWebhook(JSON.parse(rawBody.toString("utf8")));
+  if (!payment) {
+    return { status: 200, message: "Ignored" };
+  }
+
+  const status = await settleDonation(payment);
+  if (!status) {
+    logger.warn("Webhook for unknown order", { provider: provider.name, orderId: payment.orderId });
+    return { status: 200, message: "Unknown order" };
+  }
+
+  return { status: 200, message: status };
+}
+
+/**
+ * Payment Webhook
+ *
+ * Endpoint registered with the gateway as /paymentWebhook/<provider>,
+ * e.g. /paymentWebhook/razorpay.
+ */
+exports.paymentWebhook = onRequest({ secrets: payments.secrets }, async (req, res) => {
+  if (req.method !== "POST") {
+    res.status(405).send("Method not allowed");
+    return;
+  }
+
+  let provider;
+  try {
+    provider = payments.getProvider(req.path.split("/").filter(Boolean).pop());
+  } catch (error) {
+    res.status(404).send(error.message);
+    return;
+  }
+
+  try {
+    const result = await handleWebhook(provider, req.rawBody, req.headers);
+    res.status(result.status).send(result.message);
+  } catch (error) {
+    // A 5xx makes the gateway retry later
+    logger.error("Webhook error", error);
+    res.status(500).send("Webhook processing failed");
+  }
+});
+
+/**
+ * Mock Checkout
+ *
+ * Stands in for the donor paying on the gateway's page: builds the signed
+ * webhook the mock gateway would send and runs it through the same
+ * verification and settlement as a real one. Only available in the emulator.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.orderId - Mock order to pay
+ * @param {"confirmed"|"failed"} request.data.outcome - Simulated payment result
+ * @returns {Promise<{status: string}>} The donation's status afterwards
+ */
+exports.mockCheckout = onCall(async (request) => {
+  if (!payments.inEmulator) {
+    throw new HttpsError("failed-precondition", "Mock checkout is only available in the emulator");
+  }
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Please login first to donate");
+  }
+
+  const { orderId, outcome } = request.data || {};
+  const { rawBody, headers } = mock.buildWebhook(
+    orderId,
+    outcome === DONATION_STATUS.FAILED ? DONATION_STATUS.FAILED : DONATION_STATUS.CONFIRMED
+  );
+
+  const result = await handleWebhook(mock, rawBody, headers);
+  return { status: result.message };
+});
+
+/* =======================
+   REFUNDS
+   ======================= */
+
+/**
+ * Refund Donation
+ *
+ * Refunds one confirmed donation. Allowed for admins and for the owner of
+ * the campaign the donation was made to.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.transactionId - Donation to refund
+ * @param {string} [request.data.reason] - Why it is being refunded
+ * @returns {Promise<{refundId: string}>} ID of the refund ledger entry
+ */
+exports.refundDonation = onCall({ secrets: payments.secrets }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Please login first");
+  }
+
+  const { transactionId, reason = "" } = request.data || {};
+  if (typeof transactionId !== "string" || !transactionId) {
+    throw new HttpsError("invalid-argument", "transactionId is required");
+  }
+
+  const db = getFirestore();
+  const txSnap = await db.collection("transactions").doc(transactionId).get();
+  if (!txSnap.exists) {
+    throw new HttpsError("not-found", "Donation not found");
+  }
+
+  const campaignSnap = await db.collection("campaigns").doc(txSnap.get("campaignId")).get();
+  const isOwner = campaignSnap.exists && campaignSnap.get("creator") === request.auth.uid;
+  if (!isOwner && !(await refunds.isAdmin(request.auth))) {
+    throw new HttpsError("permission-denied", "Only admins and the campaign owner can issue refunds");
+  }
+
+  // Money requested or paid out can't be given back
+  const found = await payouts.campaignLedger(txSnap.get("campaignId"));
+  if (found && amountOf(txSnap.data(), "amount") > found.ledger.refundable) {
+    throw new HttpsError("failed-precondition", "This donation has already been paid out to the campaign owner");
+  }
+
+  try {
+    const refundId = await refunds.refundDonation(transactionId, {
+      by: request.auth.uid,
+      reason: String(reason).slice(0, 500)
+    });
+    return { refundId };
+  } catch (error) {
+    throw new HttpsError("failed-precondition", error.message);
+  }
+});
+
+/**
+ * Refund Failed Campaigns
+ *
+ * Hourly sweep that finishes refunds interrupted after the money was
+ * returned, then refunds all-or-nothing campaigns past their end date
+ * without reaching their target.
+ */
+exports.refundFailedCampaigns = onSchedule(
+  { schedule: "every 60 minutes", secrets: payments.secrets },
+  async () => {
+    const finished = await refunds.finishInterruptedRefunds();
+    logger.info("Interrupted refunds finished", finished);
+
+    const summary = await refunds.refundFailedCampaigns();
+    logger.info("Refund sweep finished", summary);
+  }
+);
+
+/* =======================
+   PAYOUTS
+   ======================= */
+
+/**
+ * Get Payout Ledger
+ *
+ * The campaign's balance worked out from the transactions (see
+ * payoutLedger() in payouts.js) and its payout requests. Allowed for admins
+ * and the campaign owner.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.campaignId - Campaign ID
+ * @returns {Promise<{ledger: Object, payouts: Array<Object>}>}
+ */
+exports.getPayoutLedger = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Please login first");
+  }
+
+  const { campaignId } = request.data || {};
+  if (typeof campaignId !== "string" || !campaignId) {
+    throw new HttpsError("invalid-argument", "campaignId is required");
+  }
+
+  const found = await payouts.campaignLedger(campaignId);
+  if (!found) {
+    throw new HttpsError("not-found", "Campaign not found");
+  }
+  if (found.campaign.creator !== request.auth.uid && !(await refunds.isAdmin(request.auth))) {
+    throw new HttpsError("permission-denied", "Only admins and the campaign owner can see payouts");
+  }
+
+  return { ledger: found.ledger, payouts: found.payouts };
+});
+
+/**
+ * Request Payout
+ *
+ * Campaign owners withdraw part or all of a campaign's available balance
+ * to their payout account.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.campaignId - Campaign to withdraw from
+ * @param {number} request.data.amount - Amount before the platform fee (minor units)
+ * @returns {Promise<{payoutId: string}>}
+ */
+exports.requestPayout = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Please login first");
+  }
+
+  const { campaignId, amount } = request.data || {};
+  if (typeof campaignId !== "string" || !campaignId) {
+    throw new HttpsError("invalid-argument", "campaignId is required");
+  }
+
+  try {
+    const payoutId = await payouts.requestPayout(campaignId, request.auth.uid, amount);
+    return { payoutId };
+  } catch (error) {
+    throw new HttpsError("failed-precondition", error.message);
+  }
+});
+
+/**
+ * Review Payout
+ *
+ * Admins approve a payout request once they have sent the transfer, or
+ * reject it.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.payoutId - Payout request
+ * @param {boolean} request.data.approve - Approve or reject
+ * @param {string} [request.data.note] - Transfer reference, or why it was rejected
+ * @returns {Promise<{status: string}>} The request's new status
+ */
+exports.reviewPayout = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Please login first");
+  }
+  if (!(await refunds.isAdmin(request.auth))) {
+    throw new HttpsError("permission-denied", "Only admins can review payouts");
+  }
+
+  const { payoutId, approve, note = "" } = request.data || {};
+  if (typeof payoutId !== "string" || !payoutId) {
+    throw new HttpsError("invalid-argument", "payoutId is required");
+  }
+
+  try {
+    await payouts.reviewPayout(payoutId, {
+      by: request.auth.uid,
+      approve: approve === true,
+      note: String(note).slice(0, 500)
+    });
+  } catch (error) {
+    throw new HttpsError("failed-precondition", error.message);
+  }
+  return { status: approve === true ? payouts.PAYOUT_STATUS.APPROVED : payouts.PAYOUT_STATUS.REJECTED };
+});
+
+/* =======================
+   RECONCILIATION
+   ======================= */
+
+/**
+ * Reconcile Totals
+ *
+ * Reports every campaign whose stored "raised" total no longer matches
+ * the sum of its transactions, and corrects them if asked. Admins only:
+ * it reads the whole ledger.
+ *
+ * @param {Object} request.data
+ * @param {boolean} [request.data.fix=false] - Write the ledger total to drifted campaigns
+ * @returns {Promise<{drifted: Array<Object>}>} See reconcileRaised() in reconcile.js
+ */
+exports.reconcileTotals = onCall({ timeoutSeconds: 540 }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Please login first");
+  }
+  if (!(await refunds.isAdmin(request.auth))) {
+    throw new HttpsError("permission-denied", "Only admins can reconcile totals");
+  }
+
+  const fix = request.data?.fix === true;
+  const drifted = await reconcile.reconcileRaised({ fix });
+  if (drifted.length) {
+    logger.warn("Campaign totals drifted from the ledger", { campaigns: drifted.length, fixed: fix });
+  }
+  return { drifted };
+});
+
+/* =======================
+   REWARDS
+   ======================= */
+
+/**
+ * Release Reward Reservations
+ *
+ * Frees the rewards held by checkouts that were never completed, so other
+ * donors can claim them.
+ */
+exports.releaseRewardReservations = onSchedule("every 15 minutes", async () => {
+  const released = await releaseStaleReservations();
+  logger.info("Reward reservations released", { released });
+});
+
+/* =======================
+   MONTHLY DONATIONS
+   ======================= */
+
+/**
+ * Charge Subscriptions
+ *
+ * Hourly sweep that bills every monthly donation whose billing date has
+ * passed (see subscriptions.js).
+ */
+exports.chargeSubscriptions = onSchedule(
+  { schedule: "every 60 minutes", secrets: payments.secrets },
+  async () => {
+    const summary = await subscriptions.chargeDueSubscriptions();
+    logger.info("Monthly billing finished", summary);
+  }
+);
+
+/**
+ * Track Recurring Revenue
+ *
+ * Recounts a campaign's monthly recurring revenue whenever one of its
+ * subscriptions starts, changes amount, pauses or ends.
+ */
+exports.trackRecurringRevenue = onDocumentWritten("subscriptions/{subscriptionId}", async (event) => {
+  await subscriptions.updateRecurringRevenue(
+    event.data.before.exists ? event.data.before.data() : null,
+    event.data.after.exists ? event.data.after.data() : null
+  );
+});
+
+/* =======================
+   NOTIFICATIONS
+   ======================= */
+
+/**
+ * Notify on Donation
+ *
+ * Tells the creator when a donation is confirmed.
+ */
+exports.notifyDonation = onDocumentUpdated("transactions/{transactionId}", async (event) => {
+  await notifications.onDonationSettled(
+    event.data.before.data(),
+    event.data.after.data(),
+    event.params.transactionId
+  );
+});
+
+/**
+ * Notify on Campaign Change
+ *
+ * Funding milestones for the creator; goal reached or failed for backers.
+ */
+exports.notifyCampaign = onDocumentUpdated("campaigns/{campaignId}", async (event) => {
+  await notifications.onCampaignChanged(
+    event.data.before.data(),
+    event.data.after.data(),
+    event.params.campaignId
+  );
+});
+
+/**
+ * Notify on Comment
+ */
+exports.notifyComment = onDocumentCreated("campaigns/{campaignId}/comments/{commentId}", async (event) => {
+  await notifications.onCommentPosted(event.data.data(), event.params.campaignId, event.params.commentId);
+});
+
+/**
+ * Notify on Update
+ */
+exports.notifyUpdate = onDocumentCreated("campaigns/{campaignId}/updates/{updateId}", async (event) => {
+  await notifications.onUpdatePosted(event.data.data(), event.params.campaignId, event.params.updateId);
+});
+
+/**
+ * Send Mail
+ *
+ * Delivers each email queued in the "mail" outbox.
+ */
+exports.sendMail = onDocumentCreated({ document: "mail/{mailId}", secrets: mail.secrets }, async (event) => {
+  await notifications.sendQueuedMail(event.data.ref, event.data.data());
+});
+
+/* =======================
+   SHAREABLE PAGES
+   ======================= */
+
+/**
+ * Campaign Page
+ *
+ * Hosting rewrites /c/<slug> here (see firebase.json).
+ */
+exports.campaignPage = onRequest(async (req, res) => {
+  const slug = req.path.split("/").filter(Boolean).pop();
+
+  try {
+    const page = await pages.renderCampaignPage(slug);
+    res.set("Cache-Control", page.status === 200 ? "public, max-age=300, s-maxage=600" : "no-store");
+    res.status(page.status).type("html").send(page.html);
+  } catch (error) {
+    logger.error("Campaign page error", { slug, error: error.message });
+    res.status(500).send("Could not load the campaign");
+  }
+});
@@ -0,0 +1,185 @@
+/**
+ * Donation Ledger (server)
+ *
+ * Settles pending donations once the payment gateway reports the outcome.
+ * Only confirmed donations count towards a campaign's "raised" total; the
+ * confirmation and the increase are written in one Firestore transaction.
+ *
+ * Donation statuses:
+ * - pending: created by the donor in donate.js, waiting for payment
+ * - confirmed: payment captured, counted in "raised"
+ * - failed: payment failed, not counted (unless a later attempt on the
+ *   same order is captured, which confirms it)
+ *
+ * Donations for a reward tier also hold one of the tier's rewards while
+ * they are pending (see rewards.js); settling a donation keeps or releases
+ * that reward in the same transaction.
+ *
+ * Payments of a monthly donation carry its subscriptionId; settling one
+ * updates the subscription in the same transaction (see billing.js).
+ *
+ * Confirming a donation to a registered charity also issues its numbered
+ * receipt in the same transaction (see receipts.js).
+ *
+ * @file functions/ledger.js
+ */
+
+const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const { STATUS } = require("./lifecycle");
+const { amountOf, campaignTotals } = require("./money");
+const { RESERVATION_TTL, releaseReward, reclaimReward } = require("./rewards");
+const { subscriptionAfterPayment } = require("./billing");
+const { prepareReceipt } = require("./receipts");
+const { donorOf } = require("./donors");
+
+const DONATION_STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  FAILED: "failed"
+};
+
+/**
+ * Settle Donation
+ *
+ * Marks the donation for a gateway order as confirmed or failed. Gateways
+ * retry webhooks, so settling an already-settled donation does nothing.
+ *
+ * The one exception is a capture on a failed donation: the donor can try
+ * again on the same order after an attempt fails (another card, a retried
+ * UPI request), and money that has been taken must be counted. The
+ * failure had released the reward, so it is claimed again if stock is
+ * left.
+ *
+ * A payment captured after the campaign closed is still confirmed: the
+ * money has been taken, so it must appear in the ledger. If the campaign's
+ * automatic refunds have already run, they are re-opened so the late
+ * donation is refunded too (see refunds.js).
+ *
+ * @async
+ * @param {Object} payment
+ * @param {string} payment.orderId - Gateway order ID stored on the transaction
+ * @param {string} payment.paymentId - Gateway payment ID
+ * @param {"confirmed"|"failed"} payment.outcome - Payment result
+ * @param {string} [payment.tokenId] - Saved payment method (first payment of a monthly donation)
+ * @returns {Promise<string|null>} The donation's status afterwards, or null if no donation has that order
+ */
+async function settleDonation(payment) {
+  const matches = await getFirestore().collection("transactions")
+    .where("orderId", "==", payment.orderId)
+    .limit(1)
+    .get();
+  if (matches.empty) {
+    return null;
+  }
+
+  return settleTransaction(matches.docs[0].ref, payment);
+}
+
+/**
+ * Settle Transaction
+ *
+ * @async
+ * @param {Object} txRef - Pending transaction document reference
+ * @param {Object} payment
+ * @param {string|null} payment.paymentId - Gateway payment ID (null if no payment was made)
+ * @param {"confirmed"|"failed"} payment.outcome - Payment result
+ * @param {string} [payment.tokenId] - Saved payment method (first payment of a monthly donation)
+ * @returns {Promise<string>} The donation's status afterwards
+ */
+async function settleTransaction(txRef, { paymentId, outcome, tokenId = null }) {
+  const db = getFirestore();
+
+  return db.runTransaction(async (t) => {
+    const tx = (await t.get(txRef)).data();
+
+    // Already settled (webhook retry), except a capture after a failed attempt
+    if (tx.status === DONATION_STATUS.CONFIRMED
+        || (tx.status === DONATION_STATUS.FAILED && outcome !== DONATION_STATUS.CONFIRMED)) {
+      return tx.status;
+    }
+
+    // Monthly donations: the subscription changes with its payments
+    const subscriptionRef = tx.subscriptionId ? db.collection("subscriptions").doc(tx.subscriptionId) : null;
+    const subscriptionSnap = subscriptionRef ? await t.get(subscriptionRef) : null;
+    const updateSubscription = () => {
+      if (subscriptionSnap?.exists) {
+        const update = subscriptionAfterPayment(subscriptionSnap.data(), outcome, { tokenId }, Date.now());
+        if (update) t.update(subscriptionRef, update);
+      }
+    };
+
+    if (outcome !== DONATION_STATUS.CONFIRMED) {
+      releaseReward(t, txRef, tx);
+      updateSubscription();
+      t.update(txRef, { status: DONATION_STATUS.FAILED, paymentId, settledAt: Date.now() });
+      return DONATION_STATUS.FAILED;
+    }
+
+    const campaignRef = db.collection("campaigns").doc(tx.campaignId);
+    const campaign = (await t.get(campaignRef)).data();
+    const donorId = await donorOf(txRef, tx, t);
+    const issueReceipt = await prepareReceipt(t, txRef, tx, donorId, campaign);
+
+    // A late payment whose reward reservation had expired
+    const rewardUpdate = await reclaimReward(t, tx);
+    const update = campaignTotals(campaign, amountOf(campaign, "raised") + amountOf(tx, "amount"));
+
+    // Close the campaign as funded once this donation reaches the target
+    if (update.raised >= update.target && (campaign.status || STATUS.ACTIVE) === STATUS.ACTIVE) {
+      update.status = STATUS.FUNDED;
+    }
+
+    // Late payment on a campaign that has already been refunded
+    if (campaign.refundsCompletedAt) {
+      update.refundsCompletedAt = FieldValue.delete();
+    }
+
+    t.update(campaignRef, update);
+    updateSubscription();
+    if (issueReceipt) issueReceipt(paymentId);
+    t.update(txRef, {
+      status: DONATION_STATUS.CONFIRMED,
+      paymentId,
+      settledAt: Date.now(),
+      ...rewardUpdate
+    });
+    return DONATION_STATUS.CONFIRMED;
+  });
+}
+
+/**
+ * Release Stale Reservations
+ *
+ * Releases the rewards held by donations that are still pending after
+ * RESERVATION_TTL (checkouts the donor never completed). The donations
+ * stay pending: if the payment is captured later, settleDonation claims
+ * the reward again.
+ *
+ * @async
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<number>} Number of reservations released
+ */
+async function releaseStaleReservations(now = Date.now()) {
+  const db = getFirestore();
+
+  const stale = await db.collection("transactions")
+    .where("rewardReserved", "==", true)
+    .where("status", "==", DONATION_STATUS.PENDING)
+    .where("time", "<", now - RESERVATION_TTL)
+    .get();
+
+  let released = 0;
+  for (const txDoc of stale.docs) {
+    await db.runTransaction(async (t) => {
+      const tx = (await t.get(txDoc.ref)).data();
+      if (tx.status === DONATION_STATUS.PENDING && tx.rewardReserved) {
+        releaseReward(t, txDoc.ref, tx);
+        released++;
+      }
+    });
+  }
+
+  return released;
+}
+
+module.exports = { DONATION_STATUS, settleDonation, settleTransaction, releaseStaleReservations };
@@ -0,0 +1,73 @@
+/**
+ * Campaign Lifecycle (server copy)
+ *
+ * The subset of js/lifecycle.js the Cloud Functions need. The browser module
+ * is an ES module loaded from the site, so the rules are repeated here;
+ * keep the two in step.
+ *
+ * @file functions/lifecycle.js
+ */
+
+const STATUS = {
+  DRAFT: "draft",
+  ACTIVE: "active",
+  PAUSED: "paused",
+  FUNDED: "funded",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled"
+};
+
+const MODERATION = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  SUSPENDED: "suspended",
+  REMOVED: "removed"
+};
+
+/**
+ * Get Effective Status
+ *
+ * @param {Object} campaign - Campaign document data
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string} One of the STATUS values
+ */
+function effectiveStatus(campaign, now = Date.now()) {
+  const stored = campaign.status || STATUS.ACTIVE;
+
+  if (stored !== STATUS.ACTIVE) {
+    return stored;
+  }
+  if (Number(campaign.raised) >= Number(campaign.target)) {
+    return STATUS.FUNDED;
+  }
+  if (campaign.endDate && now >= campaign.endDate) {
+    return STATUS.EXPIRED;
+  }
+  return STATUS.ACTIVE;
+}
+
+/**
+ * Check Whether a Campaign Is Approved
+ *
+ * Campaigns created before moderation existed count as approved.
+ *
+ * @param {Object} campaign - Campaign document data
+ * @returns {boolean} True if the campaign may be shown publicly
+ */
+function isApproved(campaign) {
+  return (campaign.moderation || MODERATION.APPROVED) === MODERATION.APPROVED;
+}
+
+/**
+ * Check Whether a Campaign Accepts Donations
+ *
+ * @param {Object} campaign - Campaign document data
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True only for approved campaigns that are active right now
+ */
+function isAcceptingDonations(campaign, now = Date.now()) {
+  return isApproved(campaign) && effectiveStatus(campaign, now) === STATUS.ACTIVE;
+}
+
+module.exports = { STATUS, MODERATION, effectiveStatus, isApproved, isAcceptingDonations };
@@ -0,0 +1,64 @@
+/**
+ * Capture Mail Transport
+ *
+ * Local stand-in for a real mail service, used with the Firebase emulators
+ * and in tests. Nothing is sent: each message is kept in memory (see
+ * captured()) and written to the "capturedMail" collection, where it can
+ * be read in the emulator UI.
+ *
+ * @file functions/mail/capture.js
+ */
+
+const crypto = require("crypto");
+const { getFirestore } = require("firebase-admin/firestore");
+const logger = require("firebase-functions/logger");
+
+// Messages captured by this process, oldest first
+const messages = [];
+
+/**
+ * Send (Capture) an Email
+ *
+ * @async
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<string>} Capture ID
+ */
+async function send({ to, subject, text }) {
+  const messageId = "mail_capture_" + crypto.randomBytes(8).toString("hex");
+  const message = { messageId, to, subject, text, capturedAt: Date.now() };
+
+  messages.push(message);
+  await getFirestore().collection("capturedMail").doc(messageId).set(message);
+  logger.info("Captured email", { to, subject });
+
+  return messageId;
+}
+
+/**
+ * Captured Messages
+ *
+ * @returns {Array<Object>} Copies of the messages captured so far
+ */
+function captured() {
+  return messages.map(message => ({ ...message }));
+}
+
+/**
+ * Clear Captured Messages
+ *
+ * @returns {void}
+ */
+function clear() {
+  messages.length = 0;
+}
+
+module.exports = {
+  name: "capture",
+  secrets: [],
+  send,
+  captured,
+  clear
+};
@@ -0,0 +1,50 @@
+/**
+ * Mail Transport Registry
+ *
+ * Every transport module exposes the same interface:
+ * - name: transport key
+ * - secrets: Firebase secrets the transport needs
+ * - send({to, subject, text}): sends one email, returns the transport's message ID
+ *
+ * The emulator always uses the capture transport, which keeps messages
+ * instead of sending them; deployed functions use the transport named by
+ * the MAIL_TRANSPORT param (SendGrid by default).
+ *
+ * @file functions/mail/index.js
+ */
+
+const { defineString } = require("firebase-functions/params");
+const sendgrid = require("./sendgrid");
+const capture = require("./capture");
+
+const transportName = defineString("MAIL_TRANSPORT", { default: "sendgrid" });
+
+// All known transports by name
+const TRANSPORTS = { sendgrid, capture };
+
+// True when running inside the Firebase emulator suite
+const inEmulator = process.env.FUNCTIONS_EMULATOR === "true";
+
+/**
+ * Get the Active Transport
+ *
+ * @returns {Object} Transport module emails should be sent with
+ * @throws {Error} If the configured transport is unknown
+ */
+function activeTransport() {
+  if (inEmulator) {
+    return capture;
+  }
+
+  const transport = TRANSPORTS[transportName.value()];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName.value()}`);
+  }
+  return transport;
+}
+
+module.exports = {
+  activeTransport,
+  // Secrets of every real transport, so functions can bind them up front
+  secrets: [...sendgrid.secrets]
+};
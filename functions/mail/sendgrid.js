@@ -0,0 +1,59 @@
+/**
+ * SendGrid Mail Transport
+ *
+ * Sends email through the SendGrid v3 Mail Send API.
+ *
+ * Settings come from Firebase params/secrets:
+ * - SENDGRID_API_KEY (API key with Mail Send access)
+ * - MAIL_FROM (verified sender address)
+ *
+ * @file functions/mail/sendgrid.js
+ */
+
+const { defineString, defineSecret } = require("firebase-functions/params");
+
+const apiKey = defineSecret("SENDGRID_API_KEY");
+const mailFrom = defineString("MAIL_FROM", { default: "" });
+
+// SendGrid API endpoint
+const SEND_URL = "https://api.sendgrid.com/v3/mail/send";
+
+/**
+ * Send an Email
+ *
+ * @async
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<string>} SendGrid message ID
+ * @throws {Error} If SendGrid rejects the message
+ */
+async function send({ to, subject, text }) {
+  const response = await fetch(SEND_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${apiKey.value()}`
+    },
+    body: JSON.stringify({
+      personalizations: [{ to: [{ email: to }] }],
+      from: { email: mailFrom.value() },
+      subject,
+      content: [{ type: "text/plain", value: text }]
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.errors?.[0]?.message || "SendGrid rejected the email");
+  }
+
+  return response.headers.get("x-message-id") || "";
+}
+
+module.exports = {
+  name: "sendgrid",
+  secrets: [apiKey],
+  send
+};
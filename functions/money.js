@@ -0,0 +1,121 @@
+/**
+ * Money (server copy)
+ *
+ * The subset of js/money.js the Cloud Functions need. Amounts are integer
+ * minor units with a currency code; documents without a currency are from
+ * before currencies existed and hold rupees. Keep the two in step.
+ *
+ * @file functions/money.js
+ */
+
+const DEFAULT_CURRENCY = "INR";
+
+// Currencies a campaign can raise money in
+const CURRENCIES = ["INR", "USD", "EUR", "GBP", "JPY"];
+
+// Smallest and largest donation per currency (minor units)
+const DONATION_LIMITS = {
+  INR: { min: 1000, max: 50000000 },
+  USD: { min: 100, max: 1000000 },
+  EUR: { min: 100, max: 1000000 },
+  GBP: { min: 100, max: 1000000 },
+  JPY: { min: 100, max: 1000000 }
+};
+
+/**
+ * Minor Unit Digits
+ *
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Digits after the decimal point (2 for INR, 0 for JPY)
+ */
+function minorDigits(currency) {
+  return new Intl.NumberFormat("en", { style: "currency", currency })
+    .resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Currency of a Document
+ *
+ * @param {Object} data - Campaign, transaction or reward data
+ * @returns {string} Currency code
+ */
+function currencyOf(data) {
+  return data.currency || DEFAULT_CURRENCY;
+}
+
+/**
+ * Amount in Minor Units
+ *
+ * @param {Object} data - Campaign, transaction or reward data
+ * @param {string} field - "amount", "raised", "target" or "minAmount"
+ * @returns {number} Integer minor units
+ */
+function amountOf(data, field) {
+  const value = Number(data[field] || 0);
+  return data.currency ? value : Math.round(value * 10 ** minorDigits(DEFAULT_CURRENCY));
+}
+
+/**
+ * Campaign Totals in Minor Units
+ *
+ * The fields to write when a campaign's raised total changes. Campaigns
+ * from before currencies existed are converted at the same time.
+ *
+ * @param {Object} campaign - Campaign document data
+ * @param {number} raised - New raised total (minor units)
+ * @returns {{raised: number, target: number, currency: string, progress: number}}
+ */
+function campaignTotals(campaign, raised) {
+  const target = amountOf(campaign, "target");
+  return {
+    raised,
+    target,
+    currency: currencyOf(campaign),
+    progress: raised / target
+  };
+}
+
+/**
+ * Format an Amount
+ *
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "₹1,500.00"
+ */
+function formatMoney(minor, currency) {
+  return new Intl.NumberFormat("en-IN", { style: "currency", currency })
+    .format(minor / 10 ** minorDigits(currency));
+}
+
+/**
+ * Check a Donation Amount
+ *
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {string|null} Error message, or null if the amount is allowed
+ */
+function donationAmountError(minor, currency) {
+  const limits = DONATION_LIMITS[currency];
+  if (!limits) {
+    return `Unsupported currency: ${currency}`;
+  }
+  if (minor < limits.min) {
+    return `The smallest donation is ${formatMoney(limits.min, currency)}`;
+  }
+  if (minor > limits.max) {
+    return `The largest donation is ${formatMoney(limits.max, currency)}`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCIES,
+  DONATION_LIMITS,
+  minorDigits,
+  currencyOf,
+  amountOf,
+  campaignTotals,
+  formatMoney,
+  donationAmountError
+};
@@ -0,0 +1,393 @@
+/**
+ * Notifications
+ *
+ * Tells creators and donors when something happens to a campaign:
+ * - creators: a donation is confirmed, the campaign passes 25/50/75/100% of
+ *   its target, someone comments
+ * - donors: a campaign they backed posts an update, reaches its goal or
+ *   fails (ends below its target)
+ *
+ * Each notification goes to the user's inbox (users/{uid}/notifications)
+ * and/or to the "mail" outbox, depending on the user's preferences
+ * (users/{uid}/settings/notifications). sendQueuedMail() delivers outbox
+ * entries through the active mail transport (see mail/index.js).
+ *
+ * Notification and outbox IDs are derived from the event, so a trigger
+ * that runs twice never notifies anyone twice.
+ *
+ * CATEGORIES must match js/notifications.js; keep the two in step.
+ *
+ * @file functions/notifications.js
+ */
+
+const { getFirestore } = require("firebase-admin/firestore");
+const { getAuth } = require("firebase-admin/auth");
+const logger = require("firebase-functions/logger");
+const mail = require("./mail");
+const { DONATION_STATUS } = require("./ledger");
+const { STATUS } = require("./lifecycle");
+const { amountOf, currencyOf, formatMoney } = require("./money");
+const { siteUrl } = require("./site");
+
+const CATEGORIES = {
+  DONATION: "donation",               // Creator: a donation was confirmed
+  MILESTONE: "milestone",             // Creator: 25/50/75/100% of the target
+  COMMENT: "comment",                 // Creator: someone commented
+  UPDATE: "update",                   // Donor: a backed campaign posted an update
+  GOAL_REACHED: "goal_reached",       // Donor: a backed campaign reached its target
+  CAMPAIGN_FAILED: "campaign_failed"  // Donor: a backed campaign ended below its target
+};
+
+// Percentages of the target creators are told about
+const MILESTONES = [25, 50, 75, 100];
+
+// gRPC status Firestore returns when create() finds an existing document
+const ALREADY_EXISTS = 6;
+
+/**
+ * Create a Document Once
+ *
+ * @async
+ * @param {Object} ref - Document reference
+ * @param {Object} data - Document data
+ * @returns {Promise<boolean>} False if the document already existed
+ */
+async function createOnce(ref, data) {
+  try {
+    await ref.create(data);
+    return true;
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Channels for a Category
+ *
+ * Every channel is on unless the user switched it off.
+ *
+ * @async
+ * @param {string} userId - Recipient
+ * @param {string} category - One of the CATEGORIES values
+ * @returns {Promise<{inApp: boolean, email: boolean}>} Channels to use
+ */
+async function channelsFor(userId, category) {
+  const snap = await getFirestore()
+    .collection("users").doc(userId)
+    .collection("settings").doc("notifications")
+    .get();
+  const preference = (snap.exists && snap.data()[category]) || {};
+
+  return {
+    inApp: preference.inApp !== false,
+    email: preference.email !== false
+  };
+}
+
+/**
+ * Notify a User
+ *
+ * @async
+ * @param {string} userId - Recipient
+ * @param {string} category - One of the CATEGORIES values
+ * @param {Object} notice
+ * @param {string} notice.key - Identifies the event (e.g. "comment_<id>")
+ * @param {string} notice.title - Short summary
+ * @param {string} notice.body - Details
+ * @param {string} notice.link - Relative link to the page it is about
+ * @param {string} [notice.campaignId] - Campaign it is about
+ * @returns {Promise<void>}
+ */
+async function notify(userId, category, { key, title, body, link, campaignId = null }) {
+  const db = getFirestore();
+  const channels = await channelsFor(userId, category);
+  const createdAt = Date.now();
+
+  const writes = [];
+  if (channels.inApp) {
+    writes.push(createOnce(
+      db.collection("users").doc(userId).collection("notifications").doc(key),
+      { category, title, body, link, campaignId, read: false, createdAt }
+    ));
+  }
+  if (channels.email) {
+    writes.push(createOnce(
+      db.collection("mail").doc(`${userId}_${key}`),
+      { userId, category, subject: title, text: `${body}\n\n${siteUrl.value()}/${link}`, status: "queued", createdAt }
+    ));
+  }
+  await Promise.all(writes);
+}
+
+/**
+ * Campaign Backers
+ *
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array<string>>} User IDs with at least one confirmed donation
+ */
+async function backersOf(campaignId) {
+  const db = getFirestore();
+  const [donations, records] = await Promise.all([
+    db.collection("transactions")
+      .where("campaignId", "==", campaignId)
+      .where("status", "==", DONATION_STATUS.CONFIRMED)
+      .get(),
+    // Anonymous donations name their donor only here (see donors.js)
+    db.collection("donorRecords").where("campaignId", "==", campaignId).get()
+  ]);
+  const donorIds = new Map(records.docs.map(d => [d.id, d.get("userId")]));
+
+  return [...new Set(donations.docs
+    .filter(d => d.get("type") !== "refund")
+    .map(d => donorIds.get(d.id) || d.get("userId"))
+    .filter(Boolean))];
+}
+
+/**
+ * Milestones Passed
+ *
+ * @param {number} before - Progress before the change (raised / target)
+ * @param {number} after - Progress after the change
+ * @returns {Array<number>} Percentages passed, e.g. [25, 50]
+ */
+function milestonesPassed(before, after) {
+  return MILESTONES.filter(m => before * 100 < m && after * 100 >= m);
+}
+
+/**
+ * Progress of a Campaign
+ *
+ * @param {Object} campaign - Campaign document data
+ * @returns {number} raised / target (0 without a target)
+ */
+function progressOf(campaign) {
+  const target = amountOf(campaign, "target");
+  return target > 0 ? amountOf(campaign, "raised") / target : 0;
+}
+
+/* =======================
+   EVENTS
+   ======================= */
+
+/**
+ * Donation Settled
+ *
+ * Tells the creator about a confirmed donation.
+ *
+ * @async
+ * @param {Object} before - Transaction data before the change
+ * @param {Object} after - Transaction data after the change
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<void>}
+ */
+async function onDonationSettled(before, after, transactionId) {
+  if (before.status === after.status
+      || after.status !== DONATION_STATUS.CONFIRMED
+      || after.type === "refund") {
+    return;
+  }
+
+  const campaignSnap = await getFirestore().collection("campaigns").doc(after.campaignId).get();
+  if (!campaignSnap.exists) {
+    return;
+  }
+  const campaign = campaignSnap.data();
+
+  const amount = formatMoney(amountOf(after, "amount"), currencyOf(after));
+  await notify(campaign.creator, CATEGORIES.DONATION, {
+    key: `donation_${transactionId}`,
+    title: `New donation to "${campaign.title}"`,
+    body: `${after.donorName || "A supporter"} donated ${amount}`
+      + (after.message ? `: "${after.message}"` : "."),
+    link: `campaign.html?id=${after.campaignId}`,
+    campaignId: after.campaignId
+  });
+}
+
+/**
+ * Campaign Changed
+ *
+ * Tells the creator about milestones passed, and the campaign's backers
+ * when it reaches its goal or ends below it.
+ *
+ * @async
+ * @param {Object} before - Campaign data before the change
+ * @param {Object} after - Campaign data after the change
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<void>}
+ *
+ * Process:
+ * 1. Notify the creator once per milestone passed (refunds can lower the
+ *    progress again, but a milestone is only ever announced once)
+ * 2. At 100%, notify every backer that the goal was reached
+ * 3. When the campaign becomes expired below its target, notify every
+ *    backer that it failed
+ */
+async function onCampaignChanged(before, after, campaignId) {
+  const link = `campaign.html?id=${campaignId}`;
+  const passed = milestonesPassed(progressOf(before), progressOf(after));
+
+  for (const milestone of passed) {
+    await notify(after.creator, CATEGORIES.MILESTONE, {
+      key: `milestone_${campaignId}_${milestone}`,
+      title: milestone === 100
+        ? `"${after.title}" reached its target`
+        : `"${after.title}" is ${milestone}% funded`,
+      body: `${formatMoney(amountOf(after, "raised"), currencyOf(after))} raised of `
+        + `${formatMoney(amountOf(after, "target"), currencyOf(after))}.`,
+      link,
+      campaignId
+    });
+  }
+
+  const reachedGoal = passed.includes(100);
+  const failed = after.status === STATUS.EXPIRED
+    && before.status !== STATUS.EXPIRED
+    && progressOf(after) < 1;
+  if (!reachedGoal && !failed) {
+    return;
+  }
+
+  const notice = reachedGoal
+    ? {
+        category: CATEGORIES.GOAL_REACHED,
+        key: `goal_${campaignId}`,
+        title: `"${after.title}" reached its goal`,
+        body: "A campaign you backed has reached its funding target. Thank you for your support!"
+      }
+    : {
+        category: CATEGORIES.CAMPAIGN_FAILED,
+        key: `failed_${campaignId}`,
+        title: `"${after.title}" did not reach its goal`,
+        body: after.fundingMode === "all_or_nothing"
+          ? "A campaign you backed ended below its target, so your donation will be refunded."
+          : "A campaign you backed ended below its target. The creator keeps what was raised."
+      };
+
+  const backers = await backersOf(campaignId);
+  await Promise.all(backers.map(userId => notify(userId, notice.category, {
+    key: notice.key,
+    title: notice.title,
+    body: notice.body,
+    link,
+    campaignId
+  })));
+}
+
+/**
+ * Comment Posted
+ *
+ * Tells the creator about a comment (not their own).
+ *
+ * @async
+ * @param {Object} comment - Comment document data
+ * @param {string} campaignId - Campaign ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<void>}
+ */
+async function onCommentPosted(comment, campaignId, commentId) {
+  const campaignSnap = await getFirestore().collection("campaigns").doc(campaignId).get();
+  if (!campaignSnap.exists || campaignSnap.data().creator === comment.userId) {
+    return;
+  }
+  const campaign = campaignSnap.data();
+
+  await notify(campaign.creator, CATEGORIES.COMMENT, {
+    key: `comment_${commentId}`,
+    title: `New comment on "${campaign.title}"`,
+    body: `${comment.authorName}: ${comment.body}`,
+    link: `campaign.html?id=${campaignId}`,
+    campaignId
+  });
+}
+
+/**
+ * Update Posted
+ *
+ * Tells the campaign's backers about a creator update.
+ *
+ * @async
+ * @param {Object} update - Update document data
+ * @param {string} campaignId - Campaign ID
+ * @param {string} updateId - Update ID
+ * @returns {Promise<void>}
+ */
+async function onUpdatePosted(update, campaignId, updateId) {
+  const campaignSnap = await getFirestore().collection("campaigns").doc(campaignId).get();
+  if (!campaignSnap.exists) {
+    return;
+  }
+  const campaign = campaignSnap.data();
+
+  const backers = await backersOf(campaignId);
+  await Promise.all(backers
+    .filter(userId => userId !== campaign.creator)
+    .map(userId => notify(userId, CATEGORIES.UPDATE, {
+      key: `update_${updateId}`,
+      title: `Update from "${campaign.title}": ${update.title}`,
+      body: "A campaign you backed posted an update.",
+      link: `campaign.html?id=${campaignId}`,
+      campaignId
+    })));
+}
+
+/* =======================
+   EMAIL
+   ======================= */
+
+/**
+ * Send Queued Mail
+ *
+ * Delivers one "mail" outbox entry to the recipient's sign-in address and
+ * records the outcome on the entry.
+ *
+ * @async
+ * @param {Object} ref - Outbox document reference
+ * @param {Object} entry - Outbox document data
+ * @returns {Promise<void>}
+ */
+async function sendQueuedMail(ref, entry) {
+  if (entry.status !== "queued") {
+    return;
+  }
+
+  let user;
+  try {
+    user = await getAuth().getUser(entry.userId);
+  } catch (error) {
+    await ref.update({ status: "skipped", error: error.message });
+    return;
+  }
+  if (!user.email) {
+    await ref.update({ status: "skipped", error: "No email address" });
+    return;
+  }
+
+  try {
+    const messageId = await mail.activeTransport().send({
+      to: user.email,
+      subject: entry.subject,
+      text: entry.text
+    });
+    await ref.update({ status: "sent", messageId, sentAt: Date.now() });
+  } catch (error) {
+    logger.error("Email failed", { mailId: ref.id, error: error.message });
+    await ref.update({ status: "failed", error: error.message });
+  }
+}
+
+module.exports = {
+  CATEGORIES,
+  MILESTONES,
+  milestonesPassed,
+  notify,
+  onDonationSettled,
+  onCampaignChanged,
+  onCommentPosted,
+  onUpdatePosted,
+  sendQueuedMail
+};
@@ -0,0 +1,192 @@
+/**
+ * Shareable Campaign Pages
+ *
+ * Serves /c/<slug> (see the hosting rewrite in firebase.json). The page is
+ * campaign.html with the campaign's title, description and cover image put
+ * into the <head> as standard, Open Graph and Twitter card tags, so links
+ * shared on social sites and chat apps get a proper preview and search
+ * engines see the campaign's text.
+ *
+ * Slugs are stored in the "slugs" collection ({campaignId}); campaigns
+ * created before slugs existed are served by their document ID.
+ *
+ * @file functions/pages.js
+ */
+
+const { getFirestore } = require("firebase-admin/firestore");
+const { STATUS, isApproved } = require("./lifecycle");
+const { amountOf, currencyOf, formatMoney } = require("./money");
+const { siteUrl } = require("./site");
+
+// How long the fetched campaign.html template is reused
+const TEMPLATE_TTL = 5 * 60 * 1000;
+
+// Longest description put into the preview tags
+const DESCRIPTION_LENGTH = 200;
+
+// Cached template: { html, fetchedAt }
+let template = null;
+
+/**
+ * Escape HTML
+ *
+ * @param {string} text - Untrusted text
+ * @returns {string} Text safe inside element content and quoted attributes
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Plain Text of a Description
+ *
+ * Descriptions are limited rich text (see js/render.js); the preview only
+ * needs the words.
+ *
+ * @param {string} html - Stored description
+ * @returns {string} Text, shortened to DESCRIPTION_LENGTH characters
+ */
+function summary(html) {
+  const text = String(html || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > DESCRIPTION_LENGTH ? text.slice(0, DESCRIPTION_LENGTH - 1) + "…" : text;
+}
+
+/**
+ * Load the Page Template
+ *
+ * @async
+ * @returns {Promise<string>} campaign.html as served by Firebase Hosting
+ * @throws {Error} If the template can't be fetched
+ */
+async function loadTemplate() {
+  if (template && Date.now() - template.fetchedAt < TEMPLATE_TTL) {
+    return template.html;
+  }
+
+  const response = await fetch(`${siteUrl.value()}/campaign.html`);
+  if (!response.ok) {
+    throw new Error(`Could not load campaign.html (${response.status})`);
+  }
+  template = { html: await response.text(), fetchedAt: Date.now() };
+  return template.html;
+}
+
+/**
+ * Resolve a Slug
+ *
+ * @async
+ * @param {string} slug - Last part of /c/<slug>
+ * @returns {Promise<{id: string, campaign: Object}|null>} The campaign, or null if there is none
+ */
+async function resolveSlug(slug) {
+  const db = getFirestore();
+
+  const slugSnap = await db.collection("slugs").doc(slug).get();
+  const id = slugSnap.exists ? slugSnap.data().campaignId : slug;
+
+  const campaignSnap = await db.collection("campaigns").doc(id).get();
+  return campaignSnap.exists ? { id, campaign: campaignSnap.data() } : null;
+}
+
+/**
+ * Head Tags for a Campaign
+ *
+ * @param {string} id - Campaign ID
+ * @param {Object} campaign - Campaign document data
+ * @returns {string} <title>, description, canonical link, Open Graph and Twitter tags
+ */
+function headTags(id, campaign) {
+  const url = `${siteUrl.value()}/c/${encodeURIComponent(campaign.slug || id)}`;
+  const title = `${campaign.title} | Crowdfunding Platform`;
+  const raised = formatMoney(amountOf(campaign, "raised"), currencyOf(campaign));
+  const target = formatMoney(amountOf(campaign, "target"), currencyOf(campaign));
+  const description = summary(campaign.description) || `${raised} raised of ${target}`;
+  const image = campaign.cover?.url || null;
+
+  const meta = (attribute, name, content) =>
+    `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`;
+
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    meta("name", "description", description),
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    meta("name", "campaign-id", id),
+    meta("property", "og:type", "website"),
+    meta("property", "og:site_name", "Crowdfunding Platform"),
+    meta("property", "og:title", campaign.title),
+    meta("property", "og:description", description),
+    meta("property", "og:url", url),
+    image ? meta("property", "og:image", image) : null,
+    meta("name", "twitter:card", image ? "summary_large_image" : "summary"),
+    meta("name", "twitter:title", campaign.title),
+    meta("name", "twitter:description", description),
+    image ? meta("name", "twitter:image", image) : null
+  ].filter(Boolean).join("\n  ");
+}
+
+/**
+ * Not Found Page
+ *
+ * @returns {{status: number, html: string}}
+ */
+function notFound() {
+  return {
+    status: 404,
+    html: "<!DOCTYPE html><html><head><title>Campaign not found</title>"
+      + "<meta name=\"robots\" content=\"noindex\"></head>"
+      + "<body><p>Campaign not found. <a href=\"/index.html\">Browse campaigns</a></p></body></html>"
+  };
+}
+
+/**
+ * Render a Campaign Page
+ *
+ * @async
+ * @param {string} slug - Last part of /c/<slug>
+ * @returns {Promise<{status: number, html: string}>} Response to send
+ *
+ * Process:
+ * 1. Resolve the slug (or a plain document ID) to the campaign
+ * 2. Only approved, published campaigns get a page; anything else is a 404
+ * 3. Replace the template's <title> with the campaign's tags, add a <base>
+ *    so the page's relative links still work under /c/, and put the title
+ *    into the heading for crawlers that don't run scripts
+ */
+async function renderCampaignPage(slug) {
+  if (!slug || !/^[A-Za-z0-9_-]{1,100}$/.test(slug)) {
+    return notFound();
+  }
+
+  const found = await resolveSlug(slug);
+  if (!found || !isApproved(found.campaign) || found.campaign.status === STATUS.DRAFT) {
+    return notFound();
+  }
+
+  const { id, campaign } = found;
+  // Replacer functions, so "$&" and the like in a title are not expanded
+  const html = (await loadTemplate())
+    .replace(/<title>[^<]*<\/title>/, () => `<base href="/">\n  ${headTags(id, campaign)}`)
+    .replace(/<h2 id="title"><\/h2>/, () => `<h2 id="title">${escapeHtml(campaign.title)}</h2>`);
+
+  return { status: 200, html };
+}
+
+module.exports = {
+  escapeHtml,
+  summary,
+  renderCampaignPage
+};
@@ -0,0 +1,73 @@
+/**
+ * Payment Provider Registry
+ *
+ * Every provider module exposes the same interface:
+ * - name: provider key, stored on each transaction
+ * - secrets: Firebase secrets the provider's functions need
+ * - createOrder({transactionId, amount, currency, campaignId}): creates a gateway order
+ * - createSubscription({transactionId, subscriptionId, amount, currency, campaignId, email}):
+ *   like createOrder, for the first payment of a monthly donation; also
+ *   returns the mandate needed to charge the donor again, with maxAmount
+ *   (the most one monthly charge may be)
+ * - chargeSubscription({transactionId, amount, currency, campaignId, mandate}):
+ *   charges one month; returns {orderId}, plus {paymentId, outcome} if the
+ *   outcome is known straight away
+ * - verifyWebhook(rawBody, headers): checks the webhook signature
+ * - parseWebhook(event): returns {orderId, paymentId, outcome, tokenId} or null
+ * - refundPayment({paymentId, amount}): refunds a captured payment, returns the refund ID
+ * - findRefund({paymentId}): ID of a refund already made on the payment, or null
+ *
+ * Amounts are integer minor units (see money.js).
+ *
+ * The emulator always uses the mock provider; deployed functions use the
+ * provider named by the PAYMENT_PROVIDER param (Razorpay by default).
+ *
+ * @file functions/payments/index.js
+ */
+
+const { defineString } = require("firebase-functions/params");
+const razorpay = require("./razorpay");
+const mock = require("./mock");
+
+const providerName = defineString("PAYMENT_PROVIDER", { default: "razorpay" });
+
+// All known providers by name
+const PROVIDERS = { razorpay, mock };
+
+// True when running inside the Firebase emulator suite
+const inEmulator = process.env.FUNCTIONS_EMULATOR === "true";
+
+/**
+ * Get Provider by Name
+ *
+ * @param {string} name - Provider key
+ * @returns {Object} Provider module
+ * @throws {Error} If the provider is unknown, or is the mock outside the emulator
+ */
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (provider === mock && !inEmulator) {
+    throw new Error("The mock payment provider is only available in the emulator");
+  }
+  return provider;
+}
+
+/**
+ * Get the Active Provider
+ *
+ * @returns {Object} Provider module new orders should use
+ */
+function activeProvider() {
+  return inEmulator ? mock : getProvider(providerName.value());
+}
+
+module.exports = {
+  getProvider,
+  activeProvider,
+  inEmulator,
+  // Secrets of every real provider, so functions can bind them up front
+  secrets: [...razorpay.secrets]
+};
@@ -0,0 +1,189 @@
+/**
+ * Mock Payment Provider
+ *
+ * A local stand-in for a real gateway, used with the Firebase emulators so
+ * the whole donation flow (order, checkout, signed webhook, confirmation)
+ * runs offline. It follows the Razorpay shapes: orders get an id, webhooks
+ * carry "payment.captured"/"payment.failed" events signed with HMAC-SHA256.
+ *
+ * @file functions/payments/mock.js
+ */
+
+const crypto = require("crypto");
+
+// Fixed secret: the mock is only ever enabled in the emulator
+const MOCK_WEBHOOK_SECRET = "mock-webhook-secret";
+
+// Refund IDs by payment ID, for findRefund (kept while the emulator runs)
+const refunds = new Map();
+
+/**
+ * Create Order
+ *
+ * @async
+ * @param {Object} donation
+ * @param {string} donation.transactionId - Pending transaction document ID
+ * @param {number} donation.amount - Amount in minor units
+ * @param {string} donation.currency - Currency code
+ * @returns {Promise<{orderId: string, amount: number, currency: string, checkout: Object}>}
+ */
+async function createOrder({ amount, currency }) {
+  return {
+    orderId: "order_mock_" + crypto.randomBytes(8).toString("hex"),
+    amount,
+    currency,
+    checkout: {}
+  };
+}
+
+/**
+ * Create Subscription
+ *
+ * @async
+ * @param {Object} donation - See razorpay.js
+ * @param {number} donation.amount - Monthly amount in minor units
+ * @param {string} donation.currency - Currency code
+ * @returns {Promise<{orderId: string, amount: number, currency: string, checkout: Object, mandate: Object}>}
+ */
+async function createSubscription({ amount, currency }) {
+  return {
+    ...(await createOrder({ amount, currency })),
+    mandate: {
+      customerId: "cust_mock_" + crypto.randomBytes(8).toString("hex"),
+      maxAmount: amount * 5         // The same headroom as razorpay.js
+    }
+  };
+}
+
+/**
+ * Charge Subscription
+ *
+ * There is no gateway to send a webhook, so the outcome is returned
+ * straight away (monthly charges always succeed).
+ *
+ * @async
+ * @returns {Promise<{orderId: string, paymentId: string, outcome: "confirmed"}>}
+ */
+async function chargeSubscription() {
+  return {
+    orderId: "order_mock_" + crypto.randomBytes(8).toString("hex"),
+    paymentId: "pay_mock_" + crypto.randomBytes(8).toString("hex"),
+    outcome: "confirmed"
+  };
+}
+
+/**
+ * Sign a Body
+ *
+ * @param {string|Buffer} body - Raw webhook body
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+function sign(body) {
+  return crypto.createHmac("sha256", MOCK_WEBHOOK_SECRET).update(body).digest("hex");
+}
+
+/**
+ * Build a Signed Webhook
+ *
+ * Produces the request a gateway would send once the donor finishes checkout.
+ *
+ * @param {string} orderId - Order the payment belongs to
+ * @param {"confirmed"|"failed"} outcome - Simulated payment result
+ * @returns {{rawBody: Buffer, headers: Object}} Raw body and signature header
+ */
+function buildWebhook(orderId, outcome) {
+  const rawBody = Buffer.from(JSON.stringify({
+    event: outcome === "confirmed" ? "payment.captured" : "payment.failed",
+    payload: {
+      payment: {
+        entity: {
+          id: "pay_mock_" + crypto.randomBytes(8).toString("hex"),
+          order_id: orderId,
+          token_id: "token_mock_" + crypto.randomBytes(8).toString("hex")
+        }
+      }
+    }
+  }));
+
+  return { rawBody, headers: { "x-mock-signature": sign(rawBody) } };
+}
+
+/**
+ * Verify Webhook Signature
+ *
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {boolean} True if the signature matches
+ */
+function verifyWebhook(rawBody, headers) {
+  const signature = headers["x-mock-signature"];
+  if (!signature) {
+    return false;
+  }
+
+  // timingSafeEqual throws on buffers of different lengths
+  const expected = Buffer.from(sign(rawBody));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Parse Webhook Event
+ *
+ * @param {Object} event - Parsed webhook body
+ * @returns {{orderId: string, paymentId: string, outcome: "confirmed"|"failed", tokenId: string|null}|null}
+ */
+function parseWebhook(event) {
+  const payment = event.payload?.payment?.entity;
+  if (!payment) {
+    return null;
+  }
+
+  if (event.event === "payment.captured") {
+    return { orderId: payment.order_id, paymentId: payment.id, outcome: "confirmed", tokenId: payment.token_id || null };
+  }
+  if (event.event === "payment.failed") {
+    return { orderId: payment.order_id, paymentId: payment.id, outcome: "failed", tokenId: null };
+  }
+  return null;
+}
+
+/**
+ * Refund Payment
+ *
+ * @async
+ * @param {Object} refund
+ * @param {string} refund.paymentId - Mock payment ID
+ * @param {number} refund.amount - Amount to refund in minor units
+ * @returns {Promise<string>} Mock refund ID
+ */
+async function refundPayment({ paymentId }) {
+  const refundId = "rfnd_mock_" + crypto.randomBytes(8).toString("hex");
+  refunds.set(paymentId, refundId);
+  return refundId;
+}
+
+/**
+ * Find Refund
+ *
+ * @async
+ * @param {Object} payment
+ * @param {string} payment.paymentId - Mock payment ID
+ * @returns {Promise<string|null>} ID of the refund made on the payment, or null
+ */
+async function findRefund({ paymentId }) {
+  return refunds.get(paymentId) || null;
+}
+
+module.exports = {
+  name: "mock",
+  secrets: [],
+  createOrder,
+  createSubscription,
+  chargeSubscription,
+  verifyWebhook,
+  parseWebhook,
+  buildWebhook,
+  refundPayment,
+  findRefund
+};
@@ -0,0 +1,317 @@
+/**
+ * Razorpay Payment Provider
+ *
+ * Server half of the Razorpay integration (amounts in minor units):
+ * - createOrder: creates a Razorpay order through the Orders API
+ * - createSubscription: creates the first order of a monthly donation, which
+ *   saves the donor's card as a recurring payment token
+ * - chargeSubscription: charges the saved token (Recurring Payments API)
+ * - verifyWebhook: checks the X-Razorpay-Signature header
+ * - parseWebhook: turns a webhook event into a payment outcome
+ * - refundPayment: refunds a captured payment through the Refunds API
+ * - findRefund: looks up a refund already made on a payment
+ *
+ * Credentials come from Firebase params/secrets:
+ * - RAZORPAY_KEY_ID (public key id, also sent to the browser checkout)
+ * - RAZORPAY_KEY_SECRET (API secret)
+ * - RAZORPAY_WEBHOOK_SECRET (secret set on the webhook in the Razorpay dashboard)
+ *
+ * @file functions/payments/razorpay.js
+ */
+
+const crypto = require("crypto");
+const { defineString, defineSecret } = require("firebase-functions/params");
+
+const keyId = defineString("RAZORPAY_KEY_ID", { default: "" });
+const keySecret = defineSecret("RAZORPAY_KEY_SECRET");
+const webhookSecret = defineSecret("RAZORPAY_WEBHOOK_SECRET");
+
+// Razorpay API endpoints
+const ORDERS_URL = "https://api.razorpay.com/v1/orders";
+const PAYMENTS_URL = "https://api.razorpay.com/v1/payments";
+const CUSTOMERS_URL = "https://api.razorpay.com/v1/customers";
+
+// A saved token allows charges up to this many times the monthly amount,
+// so donors can raise their amount without setting up a new mandate. The
+// cap is stored with the mandate (maxAmount) and larger amounts are refused
+// (see firestore.rules); Razorpay would decline the charge
+const MANDATE_HEADROOM = 5;
+
+// How long a saved token stays valid (seconds)
+const MANDATE_LIFETIME = 10 * 365 * 24 * 60 * 60;
+
+/**
+ * Authorization Header
+ *
+ * @returns {string} HTTP Basic credentials for the Razorpay API
+ */
+function authorization() {
+  return "Basic " + Buffer.from(`${keyId.value()}:${keySecret.value()}`).toString("base64");
+}
+
+/**
+ * Post to the Razorpay API
+ *
+ * @async
+ * @param {string} url - API endpoint
+ * @param {Object} body - Request body
+ * @param {string} failure - Error message if Razorpay gives none
+ * @returns {Promise<Object>} Parsed response
+ * @throws {Error} If Razorpay rejects the request
+ */
+async function post(url, body, failure) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: authorization()
+    },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error?.description || failure);
+  }
+  return result;
+}
+
+/**
+ * Get from the Razorpay API
+ *
+ * @async
+ * @param {string} url - API endpoint
+ * @param {string} failure - Error message if Razorpay gives none
+ * @returns {Promise<Object>} Parsed response
+ * @throws {Error} If Razorpay rejects the request
+ */
+async function get(url, failure) {
+  const response = await fetch(url, {
+    headers: { Authorization: authorization() }
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error?.description || failure);
+  }
+  return result;
+}
+
+/**
+ * Create Order
+ *
+ * @async
+ * @param {Object} donation
+ * @param {string} donation.transactionId - Pending transaction document ID (used as the receipt)
+ * @param {number} donation.amount - Amount in minor units (paise for INR)
+ * @param {string} donation.currency - Currency code
+ * @param {string} donation.campaignId - Campaign receiving the donation
+ * @returns {Promise<{orderId: string, amount: number, currency: string, checkout: Object}>}
+ *   Order details; checkout holds the options the browser checkout needs
+ * @throws {Error} If Razorpay rejects the order
+ */
+async function createOrder({ transactionId, amount, currency, campaignId }) {
+  const order = await post(ORDERS_URL, {
+    amount,                             // Razorpay expects minor units
+    currency,
+    receipt: transactionId,
+    notes: { transactionId, campaignId }
+  }, "Razorpay order creation failed");
+
+  return {
+    orderId: order.id,
+    amount,
+    currency,
+    checkout: { key: keyId.value() }
+  };
+}
+
+/**
+ * Create Subscription
+ *
+ * Creates a Razorpay customer for the donor and the order for the first
+ * payment, which asks the checkout to save the card for monthly charges.
+ * The token ID arrives with the payment.captured webhook.
+ *
+ * @async
+ * @param {Object} donation
+ * @param {string} donation.transactionId - Pending transaction of the first payment
+ * @param {string} donation.subscriptionId - Subscription document ID
+ * @param {number} donation.amount - Monthly amount in minor units
+ * @param {string} donation.currency - Currency code
+ * @param {string} donation.campaignId - Campaign receiving the donations
+ * @param {string} [donation.email] - Donor's email
+ * @returns {Promise<{orderId: string, amount: number, currency: string, checkout: Object, mandate: Object}>}
+ *   Order details as for createOrder(), plus the mandate to store on the subscription
+ * @throws {Error} If Razorpay rejects the customer or the order
+ */
+async function createSubscription({ transactionId, subscriptionId, amount, currency, campaignId, email = "" }) {
+  const customer = await post(CUSTOMERS_URL, {
+    email,
+    fail_existing: "0",                 // Reuse the donor's customer if it exists
+    notes: { subscriptionId }
+  }, "Razorpay customer creation failed");
+
+  const order = await post(ORDERS_URL, {
+    amount,
+    currency,
+    customer_id: customer.id,
+    method: "card",
+    receipt: transactionId,
+    notes: { transactionId, subscriptionId, campaignId },
+    token: {
+      max_amount: amount * MANDATE_HEADROOM,
+      expire_at: Math.floor(Date.now() / 1000) + MANDATE_LIFETIME,
+      frequency: "monthly"
+    }
+  }, "Razorpay order creation failed");
+
+  return {
+    orderId: order.id,
+    amount,
+    currency,
+    checkout: { key: keyId.value(), customerId: customer.id, recurring: "1" },
+    mandate: { customerId: customer.id, email, maxAmount: amount * MANDATE_HEADROOM }
+  };
+}
+
+/**
+ * Charge Subscription
+ *
+ * Charges one month of a monthly donation to the saved token. The outcome
+ * arrives by webhook, like any other payment.
+ *
+ * @async
+ * @param {Object} charge
+ * @param {string} charge.transactionId - Pending transaction for this month
+ * @param {number} charge.amount - Amount in minor units
+ * @param {string} charge.currency - Currency code
+ * @param {string} charge.campaignId - Campaign receiving the donation
+ * @param {{customerId: string, tokenId: string, email: string}} charge.mandate - From createSubscription()
+ * @returns {Promise<{orderId: string}>} The order the webhook will report
+ * @throws {Error} If Razorpay rejects the order or the charge
+ */
+async function chargeSubscription({ transactionId, amount, currency, campaignId, mandate }) {
+  const order = await post(ORDERS_URL, {
+    amount,
+    currency,
+    customer_id: mandate.customerId,
+    payment_capture: true,
+    receipt: transactionId,
+    notes: { transactionId, campaignId }
+  }, "Razorpay order creation failed");
+
+  await post(`${PAYMENTS_URL}/create/recurring`, {
+    email: mandate.email,
+    amount,
+    currency,
+    order_id: order.id,
+    customer_id: mandate.customerId,
+    token: mandate.tokenId,
+    recurring: "1",
+    description: "Monthly donation",
+    notes: { transactionId, campaignId }
+  }, "Razorpay recurring payment failed");
+
+  return { orderId: order.id };
+}
+
+/**
+ * Verify Webhook Signature
+ *
+ * Razorpay signs the raw request body with HMAC-SHA256 using the webhook secret.
+ *
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {boolean} True if the signature matches
+ */
+function verifyWebhook(rawBody, headers) {
+  const signature = headers["x-razorpay-signature"];
+  if (!signature) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac("sha256", webhookSecret.value())
+    .update(rawBody)
+    .digest("hex");
+
+  // timingSafeEqual throws on buffers of different lengths
+  const expectedBytes = Buffer.from(expected);
+  const signatureBytes = Buffer.from(signature);
+  return expectedBytes.length === signatureBytes.length
+    && crypto.timingSafeEqual(expectedBytes, signatureBytes);
+}
+
+/**
+ * Parse Webhook Event
+ *
+ * @param {Object} event - Parsed webhook body
+ * @returns {{orderId: string, paymentId: string, outcome: "confirmed"|"failed", tokenId: string|null}|null}
+ *   Payment outcome (tokenId is set when the payment saved a card), or null
+ *   for events that don't settle a donation
+ */
+function parseWebhook(event) {
+  const payment = event.payload?.payment?.entity;
+  if (!payment) {
+    return null;
+  }
+
+  switch (event.event) {
+    case "payment.captured":
+      return { orderId: payment.order_id, paymentId: payment.id, outcome: "confirmed", tokenId: payment.token_id || null };
+    case "payment.failed":
+      return { orderId: payment.order_id, paymentId: payment.id, outcome: "failed", tokenId: null };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Refund Payment
+ *
+ * @async
+ * @param {Object} refund
+ * @param {string} refund.paymentId - Razorpay payment ID
+ * @param {number} refund.amount - Amount to refund in minor units
+ * @returns {Promise<string>} Razorpay refund ID
+ * @throws {Error} If Razorpay rejects the refund
+ */
+async function refundPayment({ paymentId, amount }) {
+  const refund = await post(`${PAYMENTS_URL}/${encodeURIComponent(paymentId)}/refund`, { amount },
+    "Razorpay refund failed");
+
+  return refund.id;
+}
+
+/**
+ * Find Refund
+ *
+ * Used before refunding a payment again after an interrupted attempt,
+ * whose refund may have gone through without its ID being saved.
+ *
+ * @async
+ * @param {Object} payment
+ * @param {string} payment.paymentId - Razorpay payment ID
+ * @returns {Promise<string|null>} ID of a refund on the payment that hasn't failed, or null
+ * @throws {Error} If Razorpay can't be asked
+ */
+async function findRefund({ paymentId }) {
+  const refunds = await get(`${PAYMENTS_URL}/${encodeURIComponent(paymentId)}/refunds`,
+    "Razorpay refund lookup failed");
+
+  const refund = (refunds.items || []).find(item => item.status !== "failed");
+  return refund ? refund.id : null;
+}
+
+module.exports = {
+  name: "razorpay",
+  secrets: [keySecret, webhookSecret],
+  createOrder,
+  createSubscription,
+  chargeSubscription,
+  verifyWebhook,
+  parseWebhook,
+  refundPayment,
+  findRefund
+};
@@ -0,0 +1,294 @@
+/**
+ * Payouts (server)
+ *
+ * How money raised reaches campaign owners. Owners save the bank account
+ * to pay (payoutAccounts/{uid}) and request withdrawals from a campaign
+ * (payouts/{payoutId}); an admin approves a request once the transfer is
+ * sent, or rejects it.
+ *
+ * A request can't be more than the campaign's available balance, which
+ * is worked out from the "transactions" ledger every time (payoutLedger):
+ * - gross: confirmed donations
+ * - refunded: refund entries
+ * - reserved: money that may still be refunded, i.e. donations confirmed
+ *   in the last REFUND_HOLD_DAYS or with a refund in progress, and
+ *   everything raised by an all-or-nothing campaign until it has ended
+ *   at its target
+ * - pending and paid out: open and approved requests
+ * Refunds can only give back money the platform still holds (refundable):
+ * what was raised, less open and approved requests.
+ * The platform keeps PLATFORM_FEE_RATE of every payout; the owner receives
+ * the rest.
+ *
+ * @file functions/payouts.js
+ */
+
+const { getFirestore } = require("firebase-admin/firestore");
+const { DONATION_STATUS } = require("./ledger");
+const { FUNDING_MODE, ENTRY_TYPE, REFUND_STATUS } = require("./refunds");
+const { amountOf, currencyOf, formatMoney } = require("./money");
+
+// Request progress (same values as js/payouts.js)
+const PAYOUT_STATUS = {
+  REQUESTED: "requested",   // Waiting for an admin
+  APPROVED: "approved",     // Transfer sent
+  REJECTED: "rejected"      // Not paid; the amount is available again
+};
+
+// Share of every payout the platform keeps
+const PLATFORM_FEE_RATE = 0.05;
+
+// Days a confirmed donation stays reserved for refunds
+const REFUND_HOLD_DAYS = 14;
+
+/**
+ * Platform Fee
+ *
+ * @param {number} amount - Payout amount (minor units)
+ * @returns {number} Fee (minor units)
+ */
+function payoutFee(amount) {
+  return Math.round(amount * PLATFORM_FEE_RATE);
+}
+
+/**
+ * Payout Ledger
+ *
+ * @param {Object} campaign - Campaign data
+ * @param {Array<Object>} entries - Every transaction of the campaign
+ * @param {Array<Object>} payouts - Every payout request of the campaign
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Object} The campaign's figures in minor units of `currency`:
+ *   gross, refunded, raised (gross - refunded), storedRaised (the campaign's
+ *   raised field) and reconciled (whether the two match), reserved,
+ *   pending, fees and paidOut (net of fees), available and shortfall
+ *   (refunds made after money was paid out), refundable, plus feeRate and holdDays
+ */
+function payoutLedger(campaign, entries, payouts, now = Date.now()) {
+  const holdStart = now - REFUND_HOLD_DAYS * 24 * 60 * 60 * 1000;
+  let gross = 0;
+  let refunded = 0;
+  let recent = 0;
+
+  entries.forEach(entry => {
+    if ((entry.status || DONATION_STATUS.CONFIRMED) !== DONATION_STATUS.CONFIRMED) {
+      return;
+    }
+    const amount = amountOf(entry, "amount");
+    if ((entry.type || ENTRY_TYPE.DONATION) === ENTRY_TYPE.REFUND) {
+      refunded -= amount;
+      return;
+    }
+    gross += amount;
+    if (entry.refundStatus === REFUND_STATUS.PROCESSING
+        || (!entry.refundStatus && (entry.settledAt || entry.time) > holdStart)) {
+      recent += amount;
+    }
+  });
+
+  const raised = gross - refunded;
+  const succeeded = campaign.endDate <= now && raised >= amountOf(campaign, "target");
+  const reserved = campaign.fundingMode === FUNDING_MODE.ALL_OR_NOTHING && !succeeded
+    ? raised
+    : Math.min(recent, raised);
+
+  let pending = 0;
+  let paid = 0;
+  let fees = 0;
+  payouts.forEach(payout => {
+    if (payout.status === PAYOUT_STATUS.REQUESTED) {
+      pending += payout.amount;
+    } else if (payout.status === PAYOUT_STATUS.APPROVED) {
+      paid += payout.amount;
+      fees += payout.fee;
+    }
+  });
+
+  const balance = raised - reserved - pending - paid;
+  const storedRaised = amountOf(campaign, "raised");
+  return {
+    currency: currencyOf(campaign),
+    gross,
+    refunded,
+    raised,
+    storedRaised,
+    reconciled: storedRaised === raised,
+    reserved,
+    pending,
+    fees,
+    paidOut: paid - fees,
+    available: Math.max(balance, 0),
+    shortfall: Math.max(-balance, 0),
+    refundable: Math.max(raised - pending - paid, 0),
+    transactions: entries.length,
+    feeRate: PLATFORM_FEE_RATE,
+    holdDays: REFUND_HOLD_DAYS
+  };
+}
+
+/**
+ * Read a Campaign's Ledger Documents
+ *
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} [t] - Firestore transaction to read in
+ * @returns {Promise<{campaign: Object|null, entries: Array<Object>, payouts: Array<Object>}>}
+ *   Payouts carry their ID
+ */
+async function readLedger(campaignId, t) {
+  const db = getFirestore();
+  const read = (ref) => (t ? t.get(ref) : ref.get());
+
+  const [campaignSnap, entriesSnap, payoutsSnap] = await Promise.all([
+    read(db.collection("campaigns").doc(campaignId)),
+    read(db.collection("transactions").where("campaignId", "==", campaignId)),
+    read(db.collection("payouts").where("campaignId", "==", campaignId))
+  ]);
+
+  return {
+    campaign: campaignSnap.exists ? campaignSnap.data() : null,
+    entries: entriesSnap.docs.map(d => d.data()),
+    payouts: payoutsSnap.docs.map(d => ({ id: d.id, ...d.data() }))
+  };
+}
+
+/**
+ * Campaign Ledger
+ *
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{campaign: Object, ledger: Object, payouts: Array<Object>}|null>}
+ *   The campaign, its ledger and its payout requests (newest first), or
+ *   null if there is no such campaign
+ */
+async function campaignLedger(campaignId) {
+  const { campaign, entries, payouts } = await readLedger(campaignId);
+  if (!campaign) {
+    return null;
+  }
+  return {
+    campaign,
+    ledger: payoutLedger(campaign, entries, payouts),
+    payouts: payouts.sort((a, b) => b.requestedAt - a.requestedAt)
+  };
+}
+
+/**
+ * Request a Payout
+ *
+ * @async
+ * @param {string} campaignId - Campaign to withdraw from
+ * @param {string} uid - Campaign owner
+ * @param {number} amount - Amount to withdraw, before the fee (minor units)
+ * @returns {Promise<string>} ID of the payout request
+ * @throws {Error} If the request isn't allowed
+ *
+ * Process (one transaction, so two requests can't both spend the balance):
+ * 1. Check the campaign belongs to the owner and they have a payout account
+ * 2. Refuse a second open request for the same campaign
+ * 3. Check the amount against the available balance
+ * 4. Store the request with the fee and a copy of the account details
+ */
+async function requestPayout(campaignId, uid, amount) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error("Please enter a valid amount");
+  }
+
+  const db = getFirestore();
+  const accountRef = db.collection("payoutAccounts").doc(uid);
+  const payoutRef = db.collection("payouts").doc();
+
+  return db.runTransaction(async (t) => {
+    const { campaign, entries, payouts } = await readLedger(campaignId, t);
+    const accountSnap = await t.get(accountRef);
+
+    if (!campaign || campaign.creator !== uid) {
+      throw new Error("Campaign not found");
+    }
+    if (!accountSnap.exists) {
+      throw new Error("Please add your payout account first");
+    }
+    if (payouts.some(p => p.status === PAYOUT_STATUS.REQUESTED)) {
+      throw new Error("This campaign already has a payout waiting for approval");
+    }
+
+    const ledger = payoutLedger(campaign, entries, payouts);
+    if (amount > ledger.available) {
+      throw new Error(`You can withdraw at most ${formatMoney(ledger.available, ledger.currency)}`);
+    }
+
+    const fee = payoutFee(amount);
+    if (fee >= amount) {
+      throw new Error("This amount is too small to pay out");
+    }
+
+    const account = accountSnap.data();
+    t.create(payoutRef, {
+      campaignId,
+      ownerId: uid,
+      amount,
+      fee,
+      net: amount - fee,
+      currency: ledger.currency,
+      account: {
+        accountName: account.accountName,
+        accountNumber: account.accountNumber,
+        routingCode: account.routingCode
+      },
+      status: PAYOUT_STATUS.REQUESTED,
+      requestedAt: Date.now()
+    });
+    return payoutRef.id;
+  });
+}
+
+/**
+ * Review a Payout
+ *
+ * @async
+ * @param {string} payoutId - Payout request
+ * @param {Object} review
+ * @param {string} review.by - Admin's user ID
+ * @param {boolean} review.approve - Approve (the transfer was sent) or reject
+ * @param {string} [review.note] - Transfer reference, or why it was rejected
+ * @returns {Promise<void>}
+ * @throws {Error} If the request was already reviewed, or refunds since
+ *   it was made mean the balance no longer covers it
+ */
+async function reviewPayout(payoutId, { by, approve, note = "" }) {
+  const db = getFirestore();
+  const payoutRef = db.collection("payouts").doc(payoutId);
+
+  await db.runTransaction(async (t) => {
+    const payoutSnap = await t.get(payoutRef);
+    if (!payoutSnap.exists || payoutSnap.get("status") !== PAYOUT_STATUS.REQUESTED) {
+      throw new Error("This payout request has already been reviewed");
+    }
+
+    if (approve) {
+      const { campaign, entries, payouts } = await readLedger(payoutSnap.get("campaignId"), t);
+      // The request itself is counted as pending
+      if (campaign && payoutLedger(campaign, entries, payouts).shortfall > 0) {
+        throw new Error("Refunds since this request mean the campaign's balance no longer covers it");
+      }
+    }
+
+    t.update(payoutRef, {
+      status: approve ? PAYOUT_STATUS.APPROVED : PAYOUT_STATUS.REJECTED,
+      ...(approve ? { reference: note } : { reason: note }),
+      reviewedBy: by,
+      reviewedAt: Date.now()
+    });
+  });
+}
+
+module.exports = {
+  PAYOUT_STATUS,
+  PLATFORM_FEE_RATE,
+  REFUND_HOLD_DAYS,
+  payoutFee,
+  payoutLedger,
+  campaignLedger,
+  requestPayout,
+  reviewPayout
+};
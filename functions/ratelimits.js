@@ -0,0 +1,102 @@
+/**
+ * Rate Limits (server)
+ *
+ * Caps how often one account, and one network address, can create
+ * campaigns and start donations. Each limit is a sliding window kept in
+ * abuseLimits/{kind}_{user|ip}_{id} (server-only): the times of the recent
+ * attempts inside the window. IP addresses are only stored hashed.
+ *
+ * Posting updates and comments is limited by firestore.rules instead (see
+ * js/feed.js).
+ *
+ * @file functions/ratelimits.js
+ */
+
+const crypto = require("crypto");
+const { getFirestore } = require("firebase-admin/firestore");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Attempts allowed per window, per account and per IP address
+const RATE_LIMITS = {
+  campaign: {
+    user: { limit: 5, window: DAY },
+    ip: { limit: 20, window: DAY }
+  },
+  donation: {
+    user: { limit: 10, window: 10 * MINUTE },
+    ip: { limit: 30, window: 10 * MINUTE }
+  }
+};
+
+/**
+ * Hash an IP Address
+ *
+ * @param {string} ip - Caller's IP address
+ * @returns {string} Salted hash, so the address itself is never stored
+ */
+function hashIp(ip) {
+  return crypto.createHash("sha256")
+    .update(`${process.env.GCLOUD_PROJECT || ""}:${ip}`)
+    .digest("hex")
+    .slice(0, 32);
+}
+
+/**
+ * Caller's IP Address
+ *
+ * @param {Object} rawRequest - The callable's underlying HTTP request
+ * @returns {string} Client address as seen by the Cloud Functions front end
+ */
+function clientIp(rawRequest) {
+  return rawRequest?.ip || "unknown";
+}
+
+/**
+ * Consume Rate Limits
+ *
+ * Records one attempt against both the account's and the address's
+ * limit, unless either is used up (then nothing is recorded).
+ *
+ * @async
+ * @param {"campaign"|"donation"} kind - What is being attempted
+ * @param {Object} caller
+ * @param {string} caller.uid - Signed-in user
+ * @param {string} caller.ip - Caller's IP address
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<{allowed: boolean, retryAfter: number}>} Whether the
+ *   attempt may go ahead, and if not, the seconds until it may
+ */
+async function consumeRateLimits(kind, { uid, ip }, now = Date.now()) {
+  const db = getFirestore();
+  const windows = [
+    { ref: db.collection("abuseLimits").doc(`${kind}_user_${uid}`), ...RATE_LIMITS[kind].user },
+    { ref: db.collection("abuseLimits").doc(`${kind}_ip_${hashIp(ip)}`), ...RATE_LIMITS[kind].ip }
+  ];
+
+  return db.runTransaction(async (t) => {
+    const snaps = await Promise.all(windows.map(w => t.get(w.ref)));
+    const recent = windows.map((w, i) =>
+      (snaps[i].exists ? snaps[i].get("hits") : []).filter(time => time > now - w.window));
+
+    // The earliest moment an attempt drops out of every full window
+    let retryAfter = 0;
+    windows.forEach((w, i) => {
+      if (recent[i].length >= w.limit) {
+        const freeAt = recent[i][recent[i].length - w.limit] + w.window;
+        retryAfter = Math.max(retryAfter, Math.ceil((freeAt - now) / 1000));
+      }
+    });
+    if (retryAfter > 0) {
+      return { allowed: false, retryAfter };
+    }
+
+    windows.forEach((w, i) => {
+      t.set(w.ref, { hits: [...recent[i], now], updatedAt: now });
+    });
+    return { allowed: true, retryAfter: 0 };
+  });
+}
+
+module.exports = { RATE_LIMITS, hashIp, clientIp, consumeRateLimits };
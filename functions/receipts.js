@@ -0,0 +1,137 @@
+/**
+ * Donation Receipts (server)
+ *
+ * Organisers who are registered charities add their legal entity details
+ * (legalEntities/{organiserId}: name, registrationNumber, pan, address).
+ * Every donation confirmed for one of their campaigns from then on gets a
+ * receipt (receipts/{transactionId}) with the organiser's next receipt
+ * number. Numbers come from receiptCounters/{organiserId} and are taken in
+ * the same transaction that confirms the donation, so they have no gaps:
+ * receipts are never deleted, and a refunded donation's receipt is only
+ * marked cancelled.
+ *
+ * Receipts copy the organiser's details, so editing them later doesn't
+ * change receipts already issued. The PDFs are drawn by js/receipts.js.
+ *
+ * The donor is named by the legal name (and PAN) they saved for receipts
+ * (taxDetails/{uid}, see js/receipts.js), never by their public profile
+ * name. A receipt issued before they saved them has no donor name; the
+ * donor fills it in later from their profile.
+ *
+ * @file functions/receipts.js
+ */
+
+const { getFirestore } = require("firebase-admin/firestore");
+const { amountOf, currencyOf } = require("./money");
+
+const RECEIPT_STATUS = {
+  ISSUED: "issued",
+  CANCELLED: "cancelled"
+};
+
+// Indian Standard Time, for the April-March financial year
+const IST_OFFSET = (5 * 60 + 30) * 60 * 1000;
+
+/**
+ * Financial Year
+ *
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} e.g. "2024-25" for any time from 1 Apr 2024 to 31 Mar 2025 (IST)
+ */
+function financialYear(time) {
+  const date = new Date(time + IST_OFFSET);
+  const start = date.getUTCMonth() >= 3 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+/**
+ * Prepare a Receipt
+ *
+ * Does the reads for a receipt inside the settlement transaction (Firestore
+ * transactions read everything before they write).
+ *
+ * @async
+ * @param {Object} t - Firestore transaction
+ * @param {Object} txRef - Donation being confirmed
+ * @param {Object} tx - Donation data
+ * @param {string} donorId - Donor's user ID (see donors.js)
+ * @param {Object} campaign - Campaign data
+ * @returns {Promise<Function|null>} Writes the receipt and the counter when
+ *   called, or null if the organiser has no legal entity details
+ */
+async function prepareReceipt(t, txRef, tx, donorId, campaign) {
+  const db = getFirestore();
+  const organiserId = campaign.creator;
+  if (!organiserId || !donorId) {
+    return null;
+  }
+
+  const entitySnap = await t.get(db.collection("legalEntities").doc(organiserId));
+  if (!entitySnap.exists) {
+    return null;
+  }
+
+  const counterRef = db.collection("receiptCounters").doc(organiserId);
+  const counterSnap = await t.get(counterRef);
+  const detailsSnap = await t.get(db.collection("taxDetails").doc(donorId));
+
+  return (paymentId) => {
+    const number = (counterSnap.exists ? counterSnap.get("last") : 0) + 1;
+    const entity = entitySnap.data();
+
+    t.set(counterRef, { last: number });
+    t.create(db.collection("receipts").doc(txRef.id), {
+      number,
+      organiserId,
+      organiser: {
+        name: entity.name,
+        registrationNumber: entity.registrationNumber,
+        pan: entity.pan,
+        address: entity.address
+      },
+      campaignId: tx.campaignId,
+      campaignTitle: campaign.title,
+      donorId,
+      // The legal name goes on the receipt even for anonymous donations;
+      // receipts are only shown to the donor
+      donorName: (detailsSnap.exists && detailsSnap.get("legalName")) || null,
+      donorPan: (detailsSnap.exists && detailsSnap.get("pan")) || null,
+      amount: amountOf(tx, "amount"),
+      currency: currencyOf(tx),
+      recurring: tx.recurring === true,
+      paymentId: paymentId || null,
+      donatedAt: tx.time,
+      issuedAt: Date.now(),
+      financialYear: financialYear(tx.time),
+      status: RECEIPT_STATUS.ISSUED
+    });
+  };
+}
+
+/**
+ * Prepare Cancelling a Receipt
+ *
+ * Same read-then-write split as prepareReceipt(), for refunds.
+ *
+ * @async
+ * @param {Object} t - Firestore transaction
+ * @param {string} transactionId - Donation being refunded
+ * @returns {Promise<Function>} Marks the receipt cancelled when called (does
+ *   nothing if the donation has no receipt)
+ */
+async function prepareCancelReceipt(t, transactionId) {
+  const receiptRef = getFirestore().collection("receipts").doc(transactionId);
+  const receiptSnap = await t.get(receiptRef);
+
+  return (refundEntryId) => {
+    if (receiptSnap.exists) {
+      t.update(receiptRef, {
+        status: RECEIPT_STATUS.CANCELLED,
+        cancelledAt: Date.now(),
+        refundEntry: refundEntryId
+      });
+    }
+  };
+}
+
+module.exports = { RECEIPT_STATUS, financialYear, prepareReceipt, prepareCancelReceipt };
@@ -0,0 +1,124 @@
+/**
+ * Reconciliation (server)
+ *
+ * Recomputes each campaign's "raised" total from the "transactions" ledger
+ * and reports campaigns whose stored total has drifted from the ledger.
+ * The ledger is the source of truth: the sum of a campaign's confirmed
+ * transactions (donations less refund entries) is what its "raised" field
+ * should hold. Totals are compared in minor units (see money.js).
+ *
+ * This reads every transaction and campaign, and only the server may
+ * write "raised", so it runs here for admins (reconcileTotals in index.js)
+ * rather than in the browser.
+ *
+ * @file functions/reconcile.js
+ */
+
+const { getFirestore } = require("firebase-admin/firestore");
+const { DONATION_STATUS } = require("./ledger");
+const { amountOf, currencyOf, campaignTotals } = require("./money");
+
+/**
+ * Ledger Total
+ *
+ * @param {Array<Object>} entries - Transaction document data
+ * @returns {number} Sum of the confirmed amounts (minor units; refund entries are negative)
+ */
+function ledgerTotal(entries) {
+  return entries
+    .filter(entry => (entry.status || DONATION_STATUS.CONFIRMED) === DONATION_STATUS.CONFIRMED)
+    .reduce((sum, entry) => sum + amountOf(entry, "amount"), 0);
+}
+
+/**
+ * Correct a Campaign's Total
+ *
+ * Sums the campaign's ledger again inside a transaction, so a donation
+ * settled since the report was made is neither lost nor counted twice.
+ *
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<number|null>} The corrected total, or null if it already matched
+ */
+async function fixRaised(campaignId) {
+  const db = getFirestore();
+  const campaignRef = db.collection("campaigns").doc(campaignId);
+
+  return db.runTransaction(async (t) => {
+    const [campaignSnap, entriesSnap] = await Promise.all([
+      t.get(campaignRef),
+      t.get(db.collection("transactions").where("campaignId", "==", campaignId))
+    ]);
+    const campaign = campaignSnap.data();
+    const ledger = ledgerTotal(entriesSnap.docs.map(d => d.data()));
+    if (amountOf(campaign, "raised") === ledger) {
+      return null;
+    }
+
+    t.update(campaignRef, campaignTotals(campaign, ledger));
+    return ledger;
+  });
+}
+
+/**
+ * Reconcile Raised Totals
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.fix=false] - Write the ledger total to drifted campaigns
+ * @returns {Promise<Array<{campaignId: string, title: string, currency: string, stored: number, ledger: number, difference: number, fixed: boolean}>>}
+ *   One entry per drifted campaign (empty when everything matches); amounts in minor units
+ *
+ * Process:
+ * 1. Fetch every transaction and sum the confirmed amounts per campaign
+ * 2. Fetch every campaign and compare its "raised" with the ledger sum
+ * 3. Collect the campaigns that differ
+ * 4. Optionally correct each drifted campaign (see fixRaised)
+ */
+async function reconcileRaised({ fix = false } = {}) {
+  const db = getFirestore();
+
+  // Sum the ledger per campaign
+  const ledgerTotals = new Map();
+  const transactions = await db.collection("transactions").select("campaignId", "amount", "currency", "status").get();
+  transactions.docs.forEach(d => {
+    const { campaignId } = d.data();
+    ledgerTotals.set(campaignId, (ledgerTotals.get(campaignId) || 0) + ledgerTotal([d.data()]));
+  });
+
+  // Compare each campaign's stored total with its ledger total
+  const drifted = [];
+  const campaigns = await db.collection("campaigns").select("title", "raised", "currency").get();
+  campaigns.docs.forEach(c => {
+    const data = c.data();
+    const stored = amountOf(data, "raised");
+    const ledger = ledgerTotals.get(c.id) || 0;
+
+    if (stored !== ledger) {
+      drifted.push({
+        campaignId: c.id,
+        title: data.title,
+        currency: currencyOf(data),
+        stored,
+        ledger,
+        difference: stored - ledger,
+        fixed: false
+      });
+    }
+  });
+
+  if (fix) {
+    for (const entry of drifted) {
+      const corrected = await fixRaised(entry.campaignId);
+      entry.fixed = true;
+      if (corrected !== null) {
+        entry.ledger = corrected;
+        entry.difference = entry.stored - corrected;
+      }
+    }
+  }
+
+  return drifted;
+}
+
+module.exports = { ledgerTotal, fixRaised, reconcileRaised };
@@ -0,0 +1,355 @@
+/**
+ * Refunds (server)
+ *
+ * Reverses confirmed donations. A refund never edits or deletes the
+ * original ledger entry: it adds a negative "refund" entry to the
+ * "transactions" collection and lowers the campaign's raised total in the
+ * same Firestore transaction, so the ledger still sums to raised.
+ *
+ * Refunds are issued:
+ * - one at a time by an admin or the campaign owner (refundDonation)
+ * - automatically for every donation to an all-or-nothing campaign that
+ *   missed its target by its end date (refundFailedCampaigns)
+ * Refunds interrupted after the money was returned are finished by the
+ * same hourly sweep (finishInterruptedRefunds), and so are refunds whose
+ * claim expired while waiting on the payment provider.
+ *
+ * @file functions/refunds.js
+ */
+
+const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const logger = require("firebase-functions/logger");
+const payments = require("./payments");
+const { DONATION_STATUS } = require("./ledger");
+const { STATUS } = require("./lifecycle");
+const { releaseReward } = require("./rewards");
+const { prepareCancelReceipt } = require("./receipts");
+const { donorRecordRef, donorRecord, publicDonor, donorOf } = require("./donors");
+const { amountOf, currencyOf, campaignTotals } = require("./money");
+
+// Funding modes a campaign is created with (same values as js/lifecycle.js)
+const FUNDING_MODE = {
+  KEEP: "keep",                       // Keep what you raise
+  ALL_OR_NOTHING: "all_or_nothing"    // Refund everyone if the target is missed
+};
+
+// Ledger entry types ("donation" is the default for entries without a type)
+const ENTRY_TYPE = {
+  DONATION: "donation",
+  REFUND: "refund"
+};
+
+// Refund progress on an original donation
+const REFUND_STATUS = {
+  PROCESSING: "processing",
+  REFUNDED: "refunded"
+};
+
+// A claim still waiting on the payment provider after this long was
+// interrupted (the provider call itself times out well before)
+const REFUND_CLAIM_TTL = 15 * 60 * 1000;
+
+/**
+ * Check Whether a Refund Claim Expired
+ *
+ * Claims made before refundClaimedAt was recorded count as expired.
+ *
+ * @param {Object} tx - Transaction document data, claimed for refunding
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True if the claim can be taken over
+ */
+function claimExpired(tx, now = Date.now()) {
+  return !tx.refundClaimedAt || now - tx.refundClaimedAt >= REFUND_CLAIM_TTL;
+}
+
+/**
+ * Check Admin
+ *
+ * Admins have an "admin" custom claim or a document in the "admins" collection.
+ *
+ * @async
+ * @param {Object} auth - Callable request auth ({uid, token})
+ * @returns {Promise<boolean>} True if the user is an admin
+ */
+async function isAdmin(auth) {
+  if (auth.token?.admin === true) {
+    return true;
+  }
+  const snap = await getFirestore().collection("admins").doc(auth.uid).get();
+  return snap.exists;
+}
+
+/**
+ * Refund Donation
+ *
+ * @async
+ * @param {string} transactionId - ID of the confirmed donation to refund
+ * @param {Object} details
+ * @param {string} details.by - User ID (or "system") issuing the refund
+ * @param {string} [details.reason] - Why the donation is being refunded
+ * @returns {Promise<string>} ID of the refund ledger entry
+ * @throws {Error} If the donation can't be refunded
+ *
+ * Process:
+ * 1. Check the donation is confirmed and not already refunded, and mark it
+ *    "processing" so a second request can't refund it twice
+ * 2. Refund the payment through its provider (older donations made before
+ *    payments existed have no payment to refund) and save the provider's
+ *    refund ID on the donation
+ * 3. Write the negative ledger entry, mark the donation refunded, lower
+ *    the campaign's raised total, give back its reward and cancel its
+ *    receipt together
+ *
+ * If step 3 fails after the money was returned, the donation stays
+ * "processing" with its refund ID. Refunding it again (a retry, or the
+ * refund sweep) skips step 2 and finishes step 3.
+ *
+ * If the request stops during step 2, the donation stays "processing"
+ * without a refund ID. Once the claim expires (REFUND_CLAIM_TTL), the next
+ * attempt takes it over and asks the provider for a refund already made
+ * on the payment before refunding it.
+ */
+async function refundDonation(transactionId, { by, reason = "" }) {
+  const db = getFirestore();
+  const txRef = db.collection("transactions").doc(transactionId);
+
+  // 1. Claim the donation for refunding
+  const tx = await db.runTransaction(async (t) => {
+    const snap = await t.get(txRef);
+    if (!snap.exists) {
+      throw new Error("Donation not found");
+    }
+
+    const data = snap.data();
+    if ((data.status || DONATION_STATUS.CONFIRMED) !== DONATION_STATUS.CONFIRMED
+        || (data.type || ENTRY_TYPE.DONATION) !== ENTRY_TYPE.DONATION) {
+      throw new Error("Only confirmed donations can be refunded");
+    }
+    if (data.refundStatus === REFUND_STATUS.PROCESSING) {
+      // The money was returned (or there was none to return) but the ledger
+      // wasn't written; finish it
+      if (data.refundId || !(data.provider && data.paymentId)) {
+        return data;
+      }
+      // The request that claimed it stopped before saving a refund ID
+      if (claimExpired(data)) {
+        t.update(txRef, { refundClaimedAt: Date.now() });
+        return { ...data, claimTakenOver: true };
+      }
+      throw new Error("This donation is already being refunded");
+    }
+    if (data.refundStatus) {
+      throw new Error("This donation has already been refunded");
+    }
+
+    t.update(txRef, {
+      refundStatus: REFUND_STATUS.PROCESSING,
+      refundRequest: { by, reason },
+      refundClaimedAt: Date.now()
+    });
+    return data;
+  });
+
+  // 2. Return the money through the payment provider, unless an earlier attempt did
+  let refundId = tx.refundId || null;
+  if (!refundId && tx.provider && tx.paymentId) {
+    const provider = payments.getProvider(tx.provider);
+
+    // An interrupted attempt may have refunded the payment without saving
+    // the refund ID; if the provider can't say, the claim stays for the next run
+    if (tx.claimTakenOver) {
+      refundId = await provider.findRefund({ paymentId: tx.paymentId });
+    }
+
+    try {
+      refundId = refundId || await provider.refundPayment({
+        paymentId: tx.paymentId,
+        amount: amountOf(tx, "amount")
+      });
+    } catch (error) {
+      // Release the claim so the refund can be retried
+      await txRef.update({ refundStatus: FieldValue.delete(), refundClaimedAt: FieldValue.delete() });
+      throw error;
+    }
+
+    // Saved before the ledger is written, so finishing later doesn't refund the payment twice
+    try {
+      await txRef.update({ refundId });
+    } catch (error) {
+      logger.error("Refund ID not saved", { transactionId, refundId, error: error.message });
+    }
+  }
+
+  // 3. Record the refund in the ledger
+  const refundRef = db.collection("transactions").doc();
+  const campaignRef = db.collection("campaigns").doc(tx.campaignId);
+
+  try {
+    return await db.runTransaction(async (t) => {
+      const current = (await t.get(txRef)).data();
+      if (current.refundStatus === REFUND_STATUS.REFUNDED) {
+        return current.refundEntry;    // Finished by another request meanwhile
+      }
+      const campaign = (await t.get(campaignRef)).data();
+      const cancelReceipt = await prepareCancelReceipt(t, transactionId);
+      const donorId = await donorOf(txRef, tx, t);
+      const request = tx.refundRequest || { by, reason };   // Who asked first, when finishing
+
+      const entry = {
+        campaignId: tx.campaignId,
+        amount: -amountOf(tx, "amount"),    // Negative: money returned
+        currency: currencyOf(tx),
+        type: ENTRY_TYPE.REFUND,
+        refundOf: transactionId,
+        ...(donorId ? publicDonor(donorId, tx.anonymous === true) : {}),
+        anonymous: tx.anonymous === true,   // Refunds are shown under the same donor name
+        donorName: tx.donorName || null,
+        time: Date.now(),
+        status: DONATION_STATUS.CONFIRMED,
+        refundId,
+        reason: request.reason,
+        by: request.by
+      };
+      t.set(refundRef, entry);
+      // The refund shows in the donor's history (see js/profile.js)
+      if (donorId) {
+        t.set(donorRecordRef(refundRef.id), donorRecord(donorId, entry));
+      }
+
+      t.update(txRef, { refundStatus: REFUND_STATUS.REFUNDED, refundEntry: refundRef.id });
+      releaseReward(t, txRef, current);
+      cancelReceipt(refundRef.id);
+
+      t.update(campaignRef, campaignTotals(campaign, amountOf(campaign, "raised") - amountOf(tx, "amount")));
+      return refundRef.id;
+    });
+  } catch (error) {
+    logger.error("Refund not recorded in the ledger", { transactionId, refundId, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Refund Failed Campaigns
+ *
+ * Finds all-or-nothing campaigns whose end date has passed without reaching
+ * the target, closes them as expired and refunds every confirmed donation.
+ * Whether the target was missed is worked out from raised and target alone:
+ * the stored status says nothing a creator couldn't have set.
+ * A campaign is marked refundsCompletedAt once all its refunds succeed;
+ * settleDonation clears that mark if a late payment is confirmed, so the
+ * next run refunds it too.
+ *
+ * @async
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<{campaigns: number, refunds: number, errors: number}>} Run summary
+ */
+async function refundFailedCampaigns(now = Date.now()) {
+  const db = getFirestore();
+  const summary = { campaigns: 0, refunds: 0, errors: 0 };
+
+  const ended = await db.collection("campaigns")
+    .where("fundingMode", "==", FUNDING_MODE.ALL_OR_NOTHING)
+    .where("endDate", "<=", now)
+    .get();
+
+  for (const campaignDoc of ended.docs) {
+    const campaign = campaignDoc.data();
+    if (campaign.refundsCompletedAt || amountOf(campaign, "raised") >= amountOf(campaign, "target")) {
+      continue;
+    }
+
+    summary.campaigns++;
+
+    // Close the campaign before refunding so no new donations arrive (a
+    // campaign funded earlier may have dropped below its target through refunds)
+    if ([STATUS.ACTIVE, STATUS.PAUSED, STATUS.FUNDED].includes(campaign.status)) {
+      await campaignDoc.ref.update({ status: STATUS.EXPIRED });
+    }
+
+    const donations = await db.collection("transactions")
+      .where("campaignId", "==", campaignDoc.id)
+      .get();
+
+    let failed = false;
+    for (const donation of donations.docs) {
+      const d = donation.data();
+      // Donations left "processing" are finished (see refundDonation())
+      if ((d.status || DONATION_STATUS.CONFIRMED) !== DONATION_STATUS.CONFIRMED
+          || (d.type || ENTRY_TYPE.DONATION) !== ENTRY_TYPE.DONATION
+          || d.refundStatus === REFUND_STATUS.REFUNDED) {
+        continue;
+      }
+
+      try {
+        await refundDonation(donation.id, {
+          by: "system",
+          reason: "All-or-nothing campaign did not reach its target"
+        });
+        summary.refunds++;
+      } catch (error) {
+        failed = true;
+        summary.errors++;
+        logger.error("Refund failed", { transactionId: donation.id, error: error.message });
+      }
+    }
+
+    // Leave the campaign for the next run if any refund failed
+    if (!failed) {
+      await campaignDoc.ref.update({ refundsCompletedAt: Date.now() });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Finish Interrupted Refunds
+ *
+ * Finds donations left "processing" whose money was already returned (they
+ * have the provider's refund ID, or had no payment to refund) or whose
+ * claim expired, and finishes their refunds. Claims still waiting on the
+ * provider are left to the request that made them.
+ *
+ * @async
+ * @returns {Promise<{refunds: number, errors: number}>} Run summary
+ */
+async function finishInterruptedRefunds() {
+  const summary = { refunds: 0, errors: 0 };
+
+  const processing = await getFirestore().collection("transactions")
+    .where("refundStatus", "==", REFUND_STATUS.PROCESSING)
+    .get();
+
+  for (const donation of processing.docs) {
+    const d = donation.data();
+    if (!d.refundId && d.provider && d.paymentId && !claimExpired(d)) {
+      continue;
+    }
+
+    try {
+      await refundDonation(donation.id, { by: "system", reason: "" });
+      summary.refunds++;
+    } catch (error) {
+      summary.errors++;
+      logger.error("Interrupted refund not finished", {
+        transactionId: donation.id,
+        refundId: d.refundId || null,
+        error: error.message
+      });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  FUNDING_MODE,
+  ENTRY_TYPE,
+  REFUND_STATUS,
+  REFUND_CLAIM_TTL,
+  isAdmin,
+  refundDonation,
+  refundFailedCampaigns,
+  finishInterruptedRefunds
+};
@@ -0,0 +1,130 @@
+/**
+ * Reward Stock (server)
+ *
+ * Reward tiers (campaigns/{campaignId}/rewards) have an optional quantity
+ * limit. Stock is only ever changed here, inside Firestore transactions,
+ * so two donors can never claim the last reward:
+ * - createPaymentOrder reserves one reward before opening the payment
+ * - a failed payment or a refund releases it again
+ * - reservations held by checkouts that were never completed are released
+ *   after RESERVATION_TTL (see releaseStaleReservations in ledger.js); if
+ *   such a payment is confirmed later, the reward is claimed again if any
+ *   are left (otherwise the donation is marked rewardUnavailable so the
+ *   owner can sort it out with the backer)
+ *
+ * Transaction fields used:
+ * - rewardId: tier picked by the donor
+ * - rewardReserved: true while the donation holds one of the tier's rewards
+ * - rewardUnavailable: true if the tier sold out before a late payment
+ *
+ * @file functions/rewards.js
+ */
+
+const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const { amountOf, currencyOf, formatMoney } = require("./money");
+
+// How long an unpaid checkout holds a reward (milliseconds)
+const RESERVATION_TTL = 30 * 60 * 1000;
+
+/**
+ * Reward Document Reference
+ *
+ * @param {Object} tx - Transaction document data (with campaignId and rewardId)
+ * @returns {Object} Firestore document reference
+ */
+function rewardRef(tx) {
+  return getFirestore()
+    .collection("campaigns").doc(tx.campaignId)
+    .collection("rewards").doc(tx.rewardId);
+}
+
+/**
+ * Reserve Reward
+ *
+ * Checks the donation meets the tier's minimum and that stock is left, and
+ * reserves one reward for the donation.
+ *
+ * @async
+ * @param {Object} txRef - Pending transaction document reference
+ * @returns {Promise<void>}
+ * @throws {Error} If the reward can't be reserved
+ */
+async function reserveReward(txRef) {
+  await getFirestore().runTransaction(async (t) => {
+    const tx = (await t.get(txRef)).data();
+    if (!tx.rewardId || tx.rewardReserved) {
+      return;
+    }
+
+    const rewardSnap = await t.get(rewardRef(tx));
+    if (!rewardSnap.exists) {
+      throw new Error("This reward is no longer offered");
+    }
+
+    const reward = rewardSnap.data();
+    if (amountOf(tx, "amount") < amountOf(reward, "minAmount")) {
+      throw new Error("This reward needs a donation of at least "
+        + formatMoney(amountOf(reward, "minAmount"), currencyOf(reward)));
+    }
+    if (reward.limit !== null && reward.limit !== undefined && reward.claimed >= reward.limit) {
+      throw new Error("This reward is sold out");
+    }
+
+    t.update(rewardSnap.ref, { claimed: FieldValue.increment(1) });
+    t.update(txRef, { rewardReserved: true });
+  });
+}
+
+/**
+ * Release Reward
+ *
+ * Gives a donation's reserved reward back to the tier, as part of a
+ * Firestore transaction the caller is already running.
+ *
+ * @param {Object} t - Firestore transaction
+ * @param {Object} txRef - Transaction document reference
+ * @param {Object} tx - Transaction document data (as read in t)
+ * @returns {void}
+ */
+function releaseReward(t, txRef, tx) {
+  if (!tx.rewardId || !tx.rewardReserved) {
+    return;
+  }
+  t.update(rewardRef(tx), { claimed: FieldValue.increment(-1) });
+  t.update(txRef, { rewardReserved: false });
+}
+
+/**
+ * Reclaim Reward
+ *
+ * Called when a donation whose reservation was released is confirmed
+ * after all: claims the reward again if stock is left. Reads inside the
+ * caller's transaction, so call it before the transaction writes anything.
+ *
+ * @async
+ * @param {Object} t - Firestore transaction
+ * @param {Object} tx - Transaction document data (as read in t)
+ * @returns {Promise<Object>} Fields to add to the transaction's update
+ */
+async function reclaimReward(t, tx) {
+  if (!tx.rewardId || tx.rewardReserved) {
+    return {};
+  }
+
+  const rewardSnap = await t.get(rewardRef(tx));
+  const reward = rewardSnap.data();
+  if (!rewardSnap.exists
+      || (reward.limit !== null && reward.limit !== undefined && reward.claimed >= reward.limit)) {
+    return { rewardUnavailable: true };
+  }
+
+  t.update(rewardSnap.ref, { claimed: FieldValue.increment(1) });
+  return { rewardReserved: true };
+}
+
+module.exports = {
+  RESERVATION_TTL,
+  reserveReward,
+  releaseReward,
+  reclaimReward
+};
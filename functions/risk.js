@@ -0,0 +1,164 @@
+/**
+ * Donation Risk Scoring (server)
+ *
+ * Every donation is scored when its payment order is opened
+ * (createPaymentOrder). Each rule in RISK_RULES that matches adds its
+ * points and a flag; donations scoring RISK_THRESHOLD or more are flagged
+ * for admin review (admin.html). Scoring never blocks a payment: an admin
+ * who finds fraud refunds the donation.
+ *
+ * Scores are kept in riskChecks/{transactionId}, apart from the public
+ * transactions, with the donor's IP address only as a hash.
+ *
+ * New signals are added by pushing a rule onto RISK_RULES.
+ *
+ * @file functions/risk.js
+ */
+
+const { getFirestore } = require("firebase-admin/firestore");
+const { getAuth } = require("firebase-admin/auth");
+const logger = require("firebase-functions/logger");
+const { DONATION_LIMITS, amountOf, currencyOf } = require("./money");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Score at which a donation is flagged for review
+const RISK_THRESHOLD = 50;
+
+// Review states of a flagged donation (same values as js/risk.js)
+const REVIEW = {
+  OPEN: "open",
+  CLEARED: "cleared",
+  FRAUD: "fraud"
+};
+
+/**
+ * Risk Rules
+ *
+ * Each rule looks at the donation's context (see checkDonation()):
+ * {amount, currency, uid, campaign, accountCreatedAt, now, byUser, byIp},
+ * where byUser is the donor's checks from the last hour and byIp the IP
+ * address's checks from the last day.
+ *
+ * @type {Array<{flag: string, points: number, test: function(Object): boolean}>}
+ */
+const RISK_RULES = [
+  {
+    // Many donations in a short time
+    flag: "velocity",
+    points: 30,
+    test: ({ byUser }) => byUser.length >= 5
+  },
+  {
+    // Several accounts donating from one address
+    flag: "shared_ip",
+    points: 30,
+    test: ({ byIp, uid }) => new Set(byIp.map(c => c.userId).filter(id => id !== uid)).size >= 3
+  },
+  {
+    // Account opened less than a day ago
+    flag: "new_account",
+    points: 15,
+    test: ({ accountCreatedAt, now }) => accountCreatedAt !== null && now - accountCreatedAt < DAY
+  },
+  {
+    // Organisers donating to their own campaign to look popular
+    flag: "self_donation",
+    points: 40,
+    test: ({ campaign, uid }) => campaign.creator === uid
+  },
+  {
+    // Close to the largest donation allowed
+    flag: "large_amount",
+    points: 25,
+    test: ({ amount, currency }) => amount >= DONATION_LIMITS[currency].max * 0.8
+  },
+  {
+    // Repeated minimum-size payments, the pattern of testing stolen cards
+    flag: "card_testing",
+    points: 40,
+    test: ({ amount, currency, byUser }) => {
+      const small = DONATION_LIMITS[currency].min * 2;
+      return amount <= small && byUser.filter(c => c.amount <= small).length >= 2;
+    }
+  }
+];
+
+/**
+ * Score a Donation
+ *
+ * @param {Object} context - See RISK_RULES
+ * @returns {{score: number, flags: Array<string>, flagged: boolean}}
+ */
+function scoreDonation(context) {
+  const matched = RISK_RULES.filter(rule => {
+    try {
+      return rule.test(context);
+    } catch (error) {
+      logger.error("Risk rule failed", { flag: rule.flag, error: error.message });
+      return false;
+    }
+  });
+
+  const score = matched.reduce((sum, rule) => sum + rule.points, 0);
+  return { score, flags: matched.map(rule => rule.flag), flagged: score >= RISK_THRESHOLD };
+}
+
+/**
+ * Check a Donation
+ *
+ * @async
+ * @param {Object} txRef - Pending transaction
+ * @param {Object} tx - Transaction data
+ * @param {string} uid - Donor's user ID (anonymous donations don't carry it)
+ * @param {Object} campaign - Campaign data
+ * @param {string} ipHash - Donor's hashed IP address (see ratelimits.js)
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<{score: number, flags: Array<string>, flagged: boolean}>}
+ *
+ * Process:
+ * 1. Load the donor's and the address's recent checks, and the account's age
+ * 2. Run every rule over them
+ * 3. Store the result, open for review if it is flagged
+ */
+async function checkDonation(txRef, tx, uid, campaign, ipHash, now = Date.now()) {
+  const checks = getFirestore().collection("riskChecks");
+
+  const [userSnap, ipSnap, account] = await Promise.all([
+    checks.where("userId", "==", uid).where("time", ">", now - HOUR).get(),
+    checks.where("ipHash", "==", ipHash).where("time", ">", now - DAY).get(),
+    getAuth().getUser(uid).catch(() => null)
+  ]);
+
+  const amount = amountOf(tx, "amount");
+  const currency = currencyOf(tx);
+  const result = scoreDonation({
+    amount,
+    currency,
+    uid,
+    campaign,
+    accountCreatedAt: account ? Date.parse(account.metadata.creationTime) : null,
+    now,
+    byUser: userSnap.docs.map(d => d.data()),
+    byIp: ipSnap.docs.map(d => d.data())
+  });
+
+  await checks.doc(txRef.id).set({
+    userId: uid,
+    campaignId: tx.campaignId,
+    ipHash,
+    amount,
+    currency,
+    time: now,
+    ...result,
+    review: result.flagged ? REVIEW.OPEN : null
+  });
+
+  if (result.flagged) {
+    logger.warn("Donation flagged for review", { transactionId: txRef.id, ...result });
+  }
+  return result;
+}
+
+module.exports = { RISK_THRESHOLD, REVIEW, RISK_RULES, scoreDonation, checkDonation };
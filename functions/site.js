@@ -0,0 +1,14 @@
+/**
+ * Site Settings
+ *
+ * Where the site is hosted, for links in emails and shared pages.
+ *
+ * @file functions/site.js
+ */
+
+const { defineString } = require("firebase-functions/params");
+
+// Public address of the site, without a trailing slash
+const siteUrl = defineString("SITE_URL", { default: "http://localhost:5000" });
+
+module.exports = { siteUrl };
@@ -0,0 +1,201 @@
+/**
+ * Monthly Donations (server)
+ *
+ * Donors can give a fixed amount every month ("subscriptions" collection).
+ * The first payment goes through the normal checkout (createPaymentOrder
+ * calls the provider's createSubscription). After that, the billing sweep
+ * adds a pending ledger entry for each month that falls due and charges it
+ * through the provider; the payment settles like any other donation (see
+ * ledger.js), and settling it updates the subscription (see billing.js).
+ *
+ * Subscription fields:
+ * - userId, campaignId, amount (minor units), currency: what is given to whom
+ * - anonymous, donorName, message: copied to every monthly ledger entry
+ *   (the donor's user ID only to named ones; see donors.js)
+ * - status: one of SUBSCRIPTION_STATUS (see billing.js)
+ * - provider, mandate: how the donor is charged (set by the server)
+ * - startedAt, nextChargeAt, cycle: billing schedule (cycle = payments made)
+ * - failedCharges: monthly charges that failed in a row
+ *
+ * Campaigns show the monthly recurring revenue (monthlyRecurring, minor
+ * units) and the number of active subscribers (subscribers), kept up to
+ * date by updateRecurringRevenue().
+ *
+ * @file functions/subscriptions.js
+ */
+
+const { getFirestore } = require("firebase-admin/firestore");
+const logger = require("firebase-functions/logger");
+const payments = require("./payments");
+const { DONATION_STATUS, settleTransaction } = require("./ledger");
+const { SUBSCRIPTION_STATUS, nextChargeDate } = require("./billing");
+const { donorRecordRef, donorRecord, publicDonor } = require("./donors");
+const { isAcceptingDonations } = require("./lifecycle");
+const { amountOf, campaignTotals } = require("./money");
+
+/**
+ * Open the Month's Ledger Entry
+ *
+ * Runs in a transaction so a sweep that runs twice never bills a month
+ * twice: the entry's ID is the subscription ID and the cycle number.
+ *
+ * @async
+ * @param {Object} subscriptionRef - Subscription document reference
+ * @param {number} now - Time of the sweep
+ * @returns {Promise<{txRef: Object, subscription: Object}|null>} The new pending entry,
+ *   or null if nothing is due (or the subscription was cancelled)
+ *
+ * Process:
+ * 1. Check the subscription is still active and due
+ * 2. Cancel it if its campaign no longer takes donations
+ * 3. Otherwise add the pending ledger entry and move nextChargeAt to the
+ *    next billing date
+ */
+async function openCharge(subscriptionRef, now) {
+  const db = getFirestore();
+
+  return db.runTransaction(async (t) => {
+    const subscription = (await t.get(subscriptionRef)).data();
+    if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE || subscription.nextChargeAt > now) {
+      return null;
+    }
+
+    const campaignSnap = await t.get(db.collection("campaigns").doc(subscription.campaignId));
+    if (!campaignSnap.exists || !isAcceptingDonations(campaignSnap.data(), now)) {
+      t.update(subscriptionRef, {
+        status: SUBSCRIPTION_STATUS.CANCELLED,
+        endedAt: now,
+        endedReason: "The campaign is no longer taking donations"
+      });
+      return null;
+    }
+
+    const cycle = (subscription.cycle || 0) + 1;
+    const txRef = db.collection("transactions").doc(`${subscriptionRef.id}_${cycle}`);
+
+    const entry = {
+      campaignId: subscription.campaignId,
+      amount: subscription.amount,
+      currency: subscription.currency,
+      ...publicDonor(subscription.userId, subscription.anonymous === true),
+      anonymous: subscription.anonymous,
+      donorName: subscription.donorName,
+      message: subscription.message,
+      time: now,
+      status: DONATION_STATUS.PENDING,
+      subscriptionId: subscriptionRef.id,
+      recurring: true,
+      cycle
+    };
+    t.create(txRef, entry);
+    t.create(donorRecordRef(txRef.id), donorRecord(subscription.userId, entry));
+    t.update(subscriptionRef, {
+      cycle,
+      nextChargeAt: nextChargeDate(subscription.startedAt, now)
+    });
+
+    return { txRef, subscription };
+  });
+}
+
+/**
+ * Charge Due Subscriptions
+ *
+ * @async
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<{charged: number, failed: number}>} Charges made and charges that failed
+ *
+ * Process:
+ * 1. Find the active subscriptions whose next billing date has passed
+ * 2. Open each month's pending ledger entry (see openCharge)
+ * 3. Charge it through the subscription's provider and store the order;
+ *    the webhook settles it, or it is settled at once if the provider
+ *    already knows the outcome
+ * 4. A charge that can't even be started is settled as failed
+ */
+async function chargeDueSubscriptions(now = Date.now()) {
+  const db = getFirestore();
+
+  const due = await db.collection("subscriptions")
+    .where("status", "==", SUBSCRIPTION_STATUS.ACTIVE)
+    .where("nextChargeAt", "<=", now)
+    .get();
+
+  const summary = { charged: 0, failed: 0 };
+  for (const subscriptionDoc of due.docs) {
+    const opened = await openCharge(subscriptionDoc.ref, now);
+    if (!opened) {
+      continue;
+    }
+
+    const { txRef, subscription } = opened;
+    try {
+      const provider = payments.getProvider(subscription.provider);
+      const charge = await provider.chargeSubscription({
+        transactionId: txRef.id,
+        amount: subscription.amount,
+        currency: subscription.currency,
+        campaignId: subscription.campaignId,
+        mandate: subscription.mandate
+      });
+
+      await txRef.update({ provider: provider.name, orderId: charge.orderId });
+      if (charge.outcome) {
+        await settleTransaction(txRef, { paymentId: charge.paymentId, outcome: charge.outcome });
+      }
+      summary.charged++;
+    } catch (error) {
+      logger.error("Monthly charge failed", { subscriptionId: subscriptionDoc.id, error: error.message });
+      await settleTransaction(txRef, { paymentId: null, outcome: DONATION_STATUS.FAILED });
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Update Recurring Revenue
+ *
+ * Recounts a campaign's active subscriptions after one of them changes.
+ * The count is read inside the transaction, so two subscriptions changing
+ * at once can't each write a total that misses the other.
+ *
+ * @async
+ * @param {Object|null} before - Subscription data before the change (null if created)
+ * @param {Object|null} after - Subscription data after the change (null if deleted)
+ * @returns {Promise<void>}
+ */
+async function updateRecurringRevenue(before, after) {
+  const subscription = after || before;
+  const counted = (s) => s?.status === SUBSCRIPTION_STATUS.ACTIVE ? s.amount : 0;
+  if (counted(before) === counted(after)) {
+    return;
+  }
+
+  const db = getFirestore();
+  const campaignRef = db.collection("campaigns").doc(subscription.campaignId);
+  const activeQuery = db.collection("subscriptions")
+    .where("campaignId", "==", subscription.campaignId)
+    .where("status", "==", SUBSCRIPTION_STATUS.ACTIVE);
+
+  await db.runTransaction(async (t) => {
+    const [campaignSnap, active] = await Promise.all([t.get(campaignRef), t.get(activeQuery)]);
+    if (!campaignSnap.exists) {
+      return;
+    }
+    const campaign = campaignSnap.data();
+
+    t.update(campaignRef, {
+      // Campaigns from before currencies existed are converted first
+      ...campaignTotals(campaign, amountOf(campaign, "raised")),
+      monthlyRecurring: active.docs.reduce((sum, d) => sum + d.get("amount"), 0),
+      subscribers: active.size
+    });
+  });
+}
+
+module.exports = {
+  chargeDueSubscriptions,
+  updateRecurringRevenue
+};
@@ -0,0 +1,459 @@
+/**
+ * Moderation Console Module
+ *
+ * Handles admin.html, where admins:
+ * - Approve or reject (with a reason) campaigns waiting in the review queue
+ * - Act on reports from visitors: suspend or remove the campaign, or
+ *   dismiss the report
+ * - Reinstate or remove suspended campaigns
+ * - Read the moderation log of every decision
+ * - Clear donations flagged by the risk scoring, or mark them as fraud
+ * - Approve campaign owners' payout requests once the transfer is sent,
+ *   or reject them
+ * - Check campaign totals against the transaction ledger, and correct
+ *   the ones that drifted
+ *
+ * The page is only shown to admins; firestore.rules refuse the reads and
+ * writes for anyone else.
+ *
+ * @file js/admin.js
+ */
+
+// Import Firebase services
+import { auth } from "./firebase.js";
+// Import authentication state observer
+import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+// Import campaign lifecycle helpers
+import { STATUS, STATUS_LABELS, MODERATION, effectiveStatus } from "./lifecycle.js";
+// Import the moderation helpers
+import {
+  REPORT_REASONS, MODERATION_ACTIONS, MODERATION_ACTION_LABELS, REASON_REQUIRED,
+  checkIsAdmin, moderateCampaign, dismissReport,
+  loadByModeration, loadOpenReports, loadModerationLog, approveLegacyCampaigns
+} from "./moderation.js";
+// Import the fraud review helpers
+import { REVIEW, RISK_FLAG_LABELS, loadFlaggedDonations, reviewDonation } from "./risk.js";
+// Import the payout helpers
+import { loadPayoutRequests, getPayoutLedger, reviewPayout } from "./payouts.js";
+// Import the campaign repository
+import { repository } from "./repository-firestore.js";
+// Import the ledger reconciliation
+import { reconcileRaised } from "./reconcile.js";
+// Import the money helpers
+import { formatMoney } from "./money.js";
+// Import the safe rendering helpers (campaign text and reports are user input)
+import { el, plainText } from "./render.js";
+
+/**
+ * Campaigns Looked Up for Reports and the Log
+ *
+ * @type {Map<string, Object|null>}
+ */
+const campaignCache = new Map();
+
+/**
+ * Format a Timestamp
+ *
+ * @function formatDate
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} e.g. "15 Jan 2024, 02:30 PM"
+ */
+function formatDate(time) {
+  return new Date(time).toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true
+  });
+}
+
+/**
+ * Get Campaign
+ *
+ * @function getCampaign
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<import("./repository.js").Campaign|null>} The campaign, or null if it was deleted
+ */
+async function getCampaign(campaignId) {
+  if (!campaignCache.has(campaignId)) {
+    campaignCache.set(campaignId, await repository.getCampaign(campaignId));
+  }
+  return campaignCache.get(campaignId);
+}
+
+/**
+ * Campaign Link
+ *
+ * @function campaignLink
+ * @param {string} campaignId - Campaign ID
+ * @param {Object|null} campaign - Campaign data, or null if it was deleted
+ * @returns {HTMLElement} Link to the campaign page
+ */
+function campaignLink(campaignId, campaign) {
+  return campaign
+    ? el("a", { href: `campaign.html?id=${encodeURIComponent(campaignId)}`, target: "_blank" }, campaign.title)
+    : el("span", {}, "(deleted campaign)");
+}
+
+/**
+ * Campaign Summary
+ *
+ * Title, creator, status and the start of the description, for the review lists.
+ *
+ * @function campaignSummary
+ * @param {Object} campaign - Campaign data (with id)
+ * @returns {Array<HTMLElement>} Elements to add to a card
+ */
+function campaignSummary(campaign) {
+  return [
+    el("h4", {}, campaignLink(campaign.id, campaign)),
+    el("p", {},
+      `${campaign.category} · ${STATUS_LABELS[effectiveStatus(campaign)]} · created ${formatDate(campaign.createdAt)} by `,
+      el("a", { href: `profile.html?uid=${encodeURIComponent(campaign.creator)}`, target: "_blank" }, "the creator")
+    ),
+    el("p", {}, plainText(campaign.description).slice(0, 300))
+  ];
+}
+
+/**
+ * Decision Button
+ *
+ * @function decisionButton
+ * @param {string} label - Button text
+ * @param {string} campaignId - Campaign ID
+ * @param {string} action - One of the MODERATION_ACTIONS campaign actions
+ * @param {string} [reportId] - Report being handled
+ * @returns {HTMLButtonElement} Button
+ */
+function decisionButton(label, campaignId, action, reportId) {
+  return el("button", { onclick: () => window.moderate(campaignId, action, reportId) }, label);
+}
+
+/**
+ * Render a List
+ *
+ * @function renderList
+ * @param {string} containerId - Element to fill
+ * @param {Array<HTMLElement>} cards - Cards to show
+ * @param {string} emptyText - Shown when there are no cards
+ * @returns {void}
+ */
+function renderList(containerId, cards, emptyText) {
+  const container = document.getElementById(containerId);
+  container.replaceChildren(...(cards.length ? cards : [el("p", {}, emptyText)]));
+}
+
+/**
+ * Load Console Function
+ *
+ * Loads the review queue, open reports, suspended campaigns, flagged
+ * donations, payout requests and the moderation log.
+ *
+ * @function loadConsole
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadConsole() {
+  try {
+    campaignCache.clear();
+
+    const [pending, reports, suspended, flagged, payoutRequests, log] = await Promise.all([
+      loadByModeration(MODERATION.PENDING),
+      loadOpenReports(),
+      loadByModeration(MODERATION.SUSPENDED),
+      loadFlaggedDonations(),
+      loadPayoutRequests(),
+      loadModerationLog()
+    ]);
+
+    // Drafts are not trying to go public yet
+    renderList("reviewQueue", pending
+      .filter(c => c.status !== STATUS.DRAFT)
+      .map(c => el("div", { className: "moderation-card" },
+        campaignSummary(c),
+        decisionButton("Approve", c.id, MODERATION_ACTIONS.APPROVE), " ",
+        decisionButton("Reject", c.id, MODERATION_ACTIONS.REJECT)
+      )), "No campaigns waiting for review");
+
+    const reportCards = await Promise.all(reports.map(async (r) => {
+      const campaign = await getCampaign(r.campaignId);
+      return el("div", { className: "moderation-card" },
+        el("h4", {}, campaignLink(r.campaignId, campaign)),
+        el("p", {}, el("strong", {}, REPORT_REASONS[r.reason] || r.reason), ` · ${formatDate(r.createdAt)}`),
+        r.details ? el("p", {}, r.details) : null,
+        campaign ? [
+          decisionButton("Suspend", r.campaignId, MODERATION_ACTIONS.SUSPEND, r.id), " ",
+          decisionButton("Remove", r.campaignId, MODERATION_ACTIONS.REMOVE, r.id), " "
+        ] : null,
+        el("button", { onclick: () => window.dismiss(r) }, "Dismiss")
+      );
+    }));
+    renderList("reportList", reportCards, "No open reports");
+
+    renderList("suspendedList", suspended.map(c => el("div", { className: "moderation-card" },
+      campaignSummary(c),
+      el("p", {}, el("strong", {}, "Reason:"), " ", c.moderationReason || ""),
+      decisionButton("Reinstate", c.id, MODERATION_ACTIONS.REINSTATE), " ",
+      decisionButton("Remove", c.id, MODERATION_ACTIONS.REMOVE)
+    )), "No suspended campaigns");
+
+    const flaggedCards = await Promise.all(flagged.map(async (check) => el("div", { className: "moderation-card" },
+      el("h4", {}, campaignLink(check.campaignId, await getCampaign(check.campaignId))),
+      el("p", {},
+        el("strong", {}, formatMoney(check.amount, check.currency)),
+        ` · ${formatDate(check.time)} · score ${check.score} · donor `,
+        el("a", { href: `profile.html?uid=${encodeURIComponent(check.userId)}`, target: "_blank" }, check.userId.substring(0, 6))),
+      el("ul", {}, ...check.flags.map(flag => el("li", {}, RISK_FLAG_LABELS[flag] || flag))),
+      el("button", { onclick: () => window.reviewFlagged(check.id, REVIEW.CLEARED) }, "Looks Fine"), " ",
+      el("button", { onclick: () => window.reviewFlagged(check.id, REVIEW.FRAUD) }, "Mark as Fraud")
+    )));
+    renderList("flaggedList", flaggedCards, "No flagged donations");
+
+    // Each request with its campaign's ledger, worked out from the transactions
+    const payoutCards = await Promise.all(payoutRequests.map(async (payout) => {
+      const [campaign, { ledger }] = await Promise.all([
+        getCampaign(payout.campaignId),
+        getPayoutLedger(payout.campaignId)
+      ]);
+      const money = (amount) => formatMoney(amount, payout.currency);
+      return el("div", { className: "moderation-card" },
+        el("h4", {}, campaignLink(payout.campaignId, campaign)),
+        el("p", {},
+          el("strong", {}, `Pay ${money(payout.net)}`),
+          ` (${money(payout.amount)} less ${money(payout.fee)} fee) · requested ${formatDate(payout.requestedAt)}`),
+        el("p", {}, `${payout.account.accountName} · ${payout.account.accountNumber} · ${payout.account.routingCode}`),
+        el("p", {}, `Raised ${money(ledger.raised)} · reserved ${money(ledger.reserved)} · paid out `
+          + `${money(ledger.paidOut + ledger.fees)} · still available ${money(ledger.available)}`,
+          ledger.reconciled ? "" : " · the campaign total doesn't match its ledger",
+          ledger.shortfall ? ` · refunds since the request leave ${money(ledger.shortfall)} uncovered` : ""),
+        el("button", { onclick: () => window.reviewPayoutRequest(payout.id, true) }, "Mark as Paid"), " ",
+        el("button", { onclick: () => window.reviewPayoutRequest(payout.id, false) }, "Reject")
+      );
+    }));
+    renderList("payoutList", payoutCards, "No payout requests");
+
+    const logBody = document.getElementById("moderationLog");
+    const rows = await Promise.all(log.map(async (entry) => el("tr", {},
+      el("td", {}, formatDate(entry.time)),
+      el("td", {}, campaignLink(entry.campaignId, await getCampaign(entry.campaignId))),
+      el("td", {}, MODERATION_ACTION_LABELS[entry.action] || entry.action),
+      el("td", {}, entry.reason),
+      el("td", {}, el("a", { href: `profile.html?uid=${encodeURIComponent(entry.by)}`, target: "_blank" }, entry.by.substring(0, 6)))
+    )));
+    logBody.replaceChildren(...(rows.length ? rows : [el("tr", {}, el("td", { colspan: 5 }, "No decisions yet"))]));
+  } catch (error) {
+    // Log error for debugging
+    console.error("Error loading moderation console:", error);
+    // Show user-friendly error message
+    alert("Failed to load moderation console: " + error.message);
+  }
+}
+
+/**
+ * Moderate Function
+ *
+ * Applies an admin decision to a campaign, asking for a reason where one
+ * is required, and reloads the console.
+ *
+ * @function window.moderate
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @param {string} action - One of the MODERATION_ACTIONS campaign actions
+ * @param {string} [reportId] - Report being handled
+ * @returns {Promise<void>}
+ */
+window.moderate = async (campaignId, action, reportId) => {
+  let reason = "";
+  if (REASON_REQUIRED.has(action)) {
+    reason = prompt("Reason (shown to the campaign owner):");
+    if (reason === null) {
+      return;
+    }
+    reason = reason.trim();
+  }
+
+  if (action === MODERATION_ACTIONS.REMOVE
+      && !confirm("Remove this campaign? It will be cancelled and hidden for good.")) {
+    return;
+  }
+
+  try {
+    await moderateCampaign(campaignId, action, { by: auth.currentUser.uid, reason, reportId });
+    await loadConsole();
+  } catch (error) {
+    // Log error for debugging
+    console.error("Moderation error:", error);
+    // Show user-friendly error message
+    alert("Failed to save decision: " + error.message);
+  }
+};
+
+/**
+ * Dismiss Report Function
+ *
+ * @function window.dismiss
+ * @async
+ * @param {Object} report - Report ({id, campaignId})
+ * @returns {Promise<void>}
+ */
+window.dismiss = async (report) => {
+  try {
+    await dismissReport(report, auth.currentUser.uid);
+    await loadConsole();
+  } catch (error) {
+    // Log error for debugging
+    console.error("Dismiss report error:", error);
+    // Show user-friendly error message
+    alert("Failed to dismiss report: " + error.message);
+  }
+};
+
+/**
+ * Review Flagged Donation Function
+ *
+ * Donations marked as fraud are refunded by the campaign's owner or an
+ * admin from the campaign page.
+ *
+ * @function window.reviewFlagged
+ * @async
+ * @param {string} transactionId - Flagged donation
+ * @param {string} review - REVIEW.CLEARED or REVIEW.FRAUD
+ * @returns {Promise<void>}
+ */
+window.reviewFlagged = async (transactionId, review) => {
+  if (review === REVIEW.FRAUD
+      && !confirm("Mark this donation as fraud? Refund it from the campaign page afterwards.")) {
+    return;
+  }
+
+  try {
+    await reviewDonation(transactionId, review, auth.currentUser.uid);
+    await loadConsole();
+  } catch (error) {
+    // Log error for debugging
+    console.error("Fraud review error:", error);
+    // Show user-friendly error message
+    alert("Failed to save review: " + error.message);
+  }
+};
+
+/**
+ * Review Payout Request Function
+ *
+ * Approve once the bank transfer has been sent, with its reference, or
+ * reject with a reason (shown to the campaign owner).
+ *
+ * @function window.reviewPayoutRequest
+ * @async
+ * @param {string} payoutId - Payout request
+ * @param {boolean} approve - Approve or reject
+ * @returns {Promise<void>}
+ */
+window.reviewPayoutRequest = async (payoutId, approve) => {
+  const note = prompt(approve ? "Bank transfer reference:" : "Reason (shown to the campaign owner):");
+  if (note === null) {
+    return;
+  }
+
+  try {
+    await reviewPayout(payoutId, approve, note.trim());
+    await loadConsole();
+  } catch (error) {
+    // Log error for debugging
+    console.error("Payout review error:", error);
+    // Show user-friendly error message
+    alert("Failed to review payout: " + error.message);
+  }
+};
+
+/**
+ * Check Totals Function
+ *
+ * Reports every campaign whose stored "raised" total no longer matches
+ * the sum of its transactions, and corrects them if asked.
+ *
+ * @function window.checkTotals
+ * @async
+ * @param {boolean} [fix=false] - Write the ledger total to drifted campaigns
+ * @returns {Promise<void>}
+ */
+window.checkTotals = async (fix = false) => {
+  if (fix && !confirm("Overwrite every drifted campaign total with its ledger total?")) {
+    return;
+  }
+
+  try {
+    const drifted = await reconcileRaised({ fix });
+
+    if (drifted.length === 0) {
+      alert("All campaign totals match the transaction ledger");
+      return;
+    }
+
+    const report = drifted
+      .map(d => `${d.title}: stored ${formatMoney(d.stored, d.currency)}, ledger ${formatMoney(d.ledger, d.currency)}`)
+      .join("\n");
+
+    alert(fix
+      ? `${drifted.length} campaign(s) corrected to their ledger totals:\n${report}`
+      : `${drifted.length} campaign(s) have drifted from the ledger:\n${report}`);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Reconciliation error:", error);
+    // Show user-friendly error message
+    alert("Failed to check totals: " + error.message);
+  }
+};
+
+/**
+ * Approve Older Campaigns Function
+ *
+ * Stores (and logs) approval for campaigns created before moderation, so
+ * they appear in the public listing.
+ *
+ * @function window.approveLegacy
+ * @async
+ * @returns {Promise<void>}
+ */
+window.approveLegacy = async () => {
+  try {
+    const count = await approveLegacyCampaigns(auth.currentUser.uid);
+    alert(count ? `${count} campaign(s) approved` : "Every campaign already has a moderation state");
+    await loadConsole();
+  } catch (error) {
+    // Log error for debugging
+    console.error("Legacy approval error:", error);
+    // Show user-friendly error message
+    alert("Failed to approve older campaigns: " + error.message);
+  }
+};
+
+/**
+ * Authentication State Observer
+ *
+ * Shows the console to admins only.
+ */
+onAuthStateChanged(auth, async (user) => {
+  const notice = document.getElementById("adminNotice");
+  const panel = document.getElementById("adminConsole");
+
+  let admin = false;
+  try {
+    admin = await checkIsAdmin(user);
+  } catch (error) {
+    console.error("Admin check error:", error);
+  }
+
+  if (!admin) {
+    notice.textContent = user ? "Only admins can use the moderation console." : "Please login as an admin.";
+    panel.style.display = "none";
+    return;
+  }
+
+  notice.textContent = "";
+  panel.style.display = "block";
+  loadConsole();
+});
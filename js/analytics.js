@@ -0,0 +1,431 @@
+/**
+ * Campaign Analytics Module
+ *
+ * Handles analytics.html?id=xxxxx, the owner's view of one campaign built
+ * from its "transactions" ledger:
+ * - Daily and cumulative donation charts
+ * - Unique donors, average and median gift
+ * - Projected completion at the current pace
+ * - Distribution of donations by amount
+ * - Export of the ledger (the entries shown on campaign.html) as CSV or
+ *   JSON, optionally limited to a date range
+ *
+ * The figures are worked out in stats.js. Charts are drawn as SVG.
+ *
+ * @file js/analytics.js
+ */
+
+// Import Firebase services
+import { auth } from "./firebase.js";
+// Import authentication state observer
+import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+// Import the statistics helpers
+import {
+  confirmedEntries, dailySeries, cumulativeSeries, uniqueDonors,
+  giftSummary, projectCompletion, amountDistribution
+} from "./stats.js";
+// Import the donor label shown in the ledger
+import { donorLabel } from "./donors.js";
+// Import the end-of-day date parser
+import { parseEndDate } from "./lifecycle.js";
+// Import the admin check (admins can view any campaign's analytics)
+import { checkIsAdmin } from "./moderation.js";
+// Import the campaign and donation repository
+import { repository } from "./repository-firestore.js";
+// Import the safe rendering helpers
+import { el } from "./render.js";
+// Import the money helpers
+import { DEFAULT_CURRENCY, formatMoney, toInputValue } from "./money.js";
+
+/**
+ * Campaign ID from the URL (?id=xxxxx)
+ */
+const id = new URLSearchParams(window.location.search).get("id");
+
+/**
+ * Confirmed Ledger Entries, Oldest First
+ *
+ * Kept for the export.
+ *
+ * @type {Array<Object>}
+ */
+let entries = [];
+
+/**
+ * Campaign Currency
+ *
+ * @type {string}
+ */
+let currency = DEFAULT_CURRENCY;
+
+/**
+ * Chart Size (SVG user units)
+ *
+ * @type {{width: number, height: number, padding: number}}
+ */
+const CHART = { width: 640, height: 220, padding: 40 };
+
+/**
+ * Format an Amount
+ *
+ * Averages and rates can fall between minor units, so they are rounded.
+ *
+ * @function formatAmount
+ * @param {number} amount - Amount in minor units of the campaign's currency
+ * @returns {string} e.g. "₹1,250.50"
+ */
+function formatAmount(amount) {
+  return formatMoney(Math.round(amount), currency);
+}
+
+/**
+ * Format a Date
+ *
+ * @function formatDay
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} e.g. "15 Jan 2024"
+ */
+function formatDay(time) {
+  return new Date(time).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" });
+}
+
+/* =======================
+   CHARTS
+   ======================= */
+
+/**
+ * Create an SVG Element
+ *
+ * @function svg
+ * @param {string} tag - SVG tag name
+ * @param {Object} [attrs={}] - Attributes
+ * @param {...(Node|string)} children - Child nodes or text
+ * @returns {SVGElement} The new element
+ */
+function svg(tag, attrs = {}, ...children) {
+  const element = document.createElementNS("http://www.w3.org/2000/svg", tag);
+  Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, String(value)));
+  children.forEach(child => element.append(child));
+  return element;
+}
+
+/**
+ * Chart Frame
+ *
+ * The SVG element with its axes and the largest value marked.
+ *
+ * @function chartFrame
+ * @param {string} maxLabel - Label for the largest value
+ * @param {string} firstLabel - Label under the first point
+ * @param {string} lastLabel - Label under the last point
+ * @returns {SVGElement} Chart
+ */
+function chartFrame(maxLabel, firstLabel, lastLabel) {
+  const { width, height, padding } = CHART;
+  return svg("svg", { viewBox: `0 0 ${width} ${height}`, width: "100%", role: "img" },
+    svg("line", { x1: padding, y1: padding / 2, x2: padding, y2: height - padding, stroke: "#999" }),
+    svg("line", { x1: padding, y1: height - padding, x2: width - 10, y2: height - padding, stroke: "#999" }),
+    svg("text", { x: padding - 4, y: padding / 2 + 4, "text-anchor": "end", "font-size": 10 }, maxLabel),
+    svg("text", { x: padding - 4, y: height - padding, "text-anchor": "end", "font-size": 10 }, "0"),
+    svg("text", { x: padding, y: height - padding + 15, "font-size": 10 }, firstLabel),
+    svg("text", { x: width - 10, y: height - padding + 15, "text-anchor": "end", "font-size": 10 }, lastLabel)
+  );
+}
+
+/**
+ * Bar Chart
+ *
+ * Negative values (days with more refunds than donations) are drawn as 0.
+ *
+ * @function barChart
+ * @param {Array<{label: string, value: number}>} points - Bars, left to right
+ * @param {Function} formatValue - Formats a value for the labels and tooltips
+ * @returns {SVGElement} Chart
+ */
+function barChart(points, formatValue) {
+  const { width, height, padding } = CHART;
+  const max = Math.max(1, ...points.map(p => p.value));
+  const chart = chartFrame(formatValue(max), points[0].label, points[points.length - 1].label);
+
+  const plotWidth = width - padding - 10;
+  const plotHeight = height - padding * 1.5;
+  const step = plotWidth / points.length;
+
+  points.forEach((point, i) => {
+    const barHeight = (Math.max(0, point.value) / max) * plotHeight;
+    chart.append(svg("rect", {
+      x: padding + i * step + step * 0.1,
+      y: height - padding - barHeight,
+      width: Math.max(1, step * 0.8),
+      height: barHeight,
+      fill: "#007bff"
+    }, svg("title", {}, `${point.label}: ${formatValue(point.value)}`)));
+  });
+  return chart;
+}
+
+/**
+ * Line Chart
+ *
+ * @function lineChart
+ * @param {Array<{label: string, value: number}>} points - Points, left to right
+ * @param {Function} formatValue - Formats a value for the labels and tooltips
+ * @param {number} [goal] - Draws a dashed line at this value (e.g. the target)
+ * @returns {SVGElement} Chart
+ */
+function lineChart(points, formatValue, goal) {
+  const { width, height, padding } = CHART;
+  const max = Math.max(1, goal || 0, ...points.map(p => p.value));
+  const chart = chartFrame(formatValue(max), points[0].label, points[points.length - 1].label);
+
+  const plotWidth = width - padding - 10;
+  const plotHeight = height - padding * 1.5;
+  const x = (i) => padding + (points.length === 1 ? plotWidth / 2 : (i / (points.length - 1)) * plotWidth);
+  const y = (value) => height - padding - (Math.max(0, value) / max) * plotHeight;
+
+  if (goal) {
+    chart.append(svg("line", {
+      x1: padding, y1: y(goal), x2: width - 10, y2: y(goal),
+      stroke: "#28a745", "stroke-dasharray": "4 4"
+    }, svg("title", {}, `Target: ${formatValue(goal)}`)));
+  }
+
+  chart.append(svg("polyline", {
+    points: points.map((p, i) => `${x(i)},${y(p.value)}`).join(" "),
+    fill: "none",
+    stroke: "#007bff",
+    "stroke-width": 2
+  }));
+  points.forEach((p, i) => chart.append(svg("circle", { cx: x(i), cy: y(p.value), r: 3, fill: "#007bff" },
+    svg("title", {}, `${p.label}: ${formatValue(p.value)}`))));
+  return chart;
+}
+
+/**
+ * Show a Chart
+ *
+ * @function showChart
+ * @param {string} containerId - Element to draw into
+ * @param {Array} points - Points to draw
+ * @param {Function} draw - Returns the chart for the points
+ * @returns {void}
+ */
+function showChart(containerId, points, draw) {
+  const container = document.getElementById(containerId);
+  container.replaceChildren(points.length ? draw(points) : el("p", {}, "No donations yet"));
+}
+
+/* =======================
+   PAGE
+   ======================= */
+
+/**
+ * Render Analytics Function
+ *
+ * @function renderAnalytics
+ * @param {import("./repository.js").Campaign} campaign - The campaign
+ * @returns {void}
+ *
+ * Process:
+ * 1. Show the totals, unique donors, average and median gift
+ * 2. Project when the target will be reached
+ * 3. Draw the daily, cumulative and distribution charts
+ */
+function renderAnalytics(campaign) {
+  currency = campaign.currency;
+  const gifts = giftSummary(entries);
+  const projection = projectCompletion(campaign, entries);
+
+  document.getElementById("statRaised").textContent =
+    `${formatAmount(campaign.raised)} of ${formatAmount(campaign.target)} from ${gifts.count} donation(s)`;
+  document.getElementById("statDonors").textContent = uniqueDonors(entries);
+  document.getElementById("statAverage").textContent = formatAmount(gifts.average);
+  document.getElementById("statMedian").textContent = formatAmount(gifts.median);
+
+  let projected;
+  if (projection.reached) {
+    projected = "Target reached";
+  } else if (!projection.date) {
+    projected = "No donations in the last week to project from";
+  } else {
+    projected = `${formatDay(projection.date)} at ${formatAmount(projection.perDay)} a day`
+      + (projection.beforeEnd ? "" : " (after the end date)");
+  }
+  document.getElementById("statProjection").textContent = projected;
+
+  const daily = dailySeries(entries, Date.now());
+  const label = (day) => formatDay(new Date(`${day}T00:00:00`).getTime());
+
+  showChart("dailyChart", daily.map(d => ({ label: label(d.day), value: d.amount })),
+    points => barChart(points, formatAmount));
+  showChart("cumulativeChart", cumulativeSeries(daily).map(d => ({ label: label(d.day), value: d.amount })),
+    points => lineChart(points, formatAmount, campaign.target));
+  showChart("distributionChart", entries.length
+    ? amountDistribution(entries, currency).map(b => ({ label: b.label, value: b.count }))
+    : [],
+  points => barChart(points, count => String(count)));
+}
+
+/**
+ * Load Analytics Function
+ *
+ * @function loadAnalytics
+ * @async
+ * @param {Object|null} user - Signed-in Firebase user, or null
+ * @returns {Promise<void>}
+ */
+async function loadAnalytics(user) {
+  const notice = document.getElementById("analyticsNotice");
+  const panel = document.getElementById("analytics");
+
+  try {
+    if (!id) {
+      notice.textContent = "Invalid campaign ID";
+      return;
+    }
+    if (!user) {
+      notice.textContent = "Please login to see your campaign's analytics.";
+      return;
+    }
+
+    const campaign = await repository.getCampaign(id);
+    if (!campaign) {
+      notice.textContent = "Campaign not found";
+      return;
+    }
+
+    if (campaign.creator !== user.uid && !(await checkIsAdmin(user))) {
+      notice.textContent = "Only the campaign owner can see its analytics.";
+      return;
+    }
+
+    entries = confirmedEntries(await repository.listDonations(id));
+
+    document.getElementById("title").textContent = `Analytics: ${campaign.title}`;
+    notice.textContent = "";
+    panel.style.display = "block";
+    renderAnalytics(campaign);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Error loading analytics:", error);
+    // Show user-friendly error message
+    notice.textContent = "Failed to load analytics: " + error.message;
+  }
+}
+
+/* =======================
+   EXPORT
+   ======================= */
+
+/**
+ * Ledger Rows for Export
+ *
+ * The ledger as shown on campaign.html (confirmed donations and refunds),
+ * newest first, within the picked date range.
+ *
+ * @function exportRows
+ * @param {number} from - Earliest time (inclusive)
+ * @param {number} to - Latest time (inclusive)
+ * @returns {Array<Object>} Rows
+ */
+function exportRows(from, to) {
+  return entries
+    .filter(t => t.createdAt >= from && t.createdAt <= to)
+    .reverse()
+    .map(t => ({
+      transactionId: t.id,
+      time: new Date(t.createdAt).toISOString(),
+      donor: donorLabel(t),
+      amount: Number(toInputValue(t.amount, currency)),   // Major units, e.g. 1500.5
+      currency,
+      type: t.type || "donation",
+      refunded: Boolean(t.refundStatus),
+      message: t.message || ""
+    }));
+}
+
+/**
+ * CSV Field
+ *
+ * Quotes a value for CSV. Text that a spreadsheet would run as a formula
+ * (donor names and messages are user input) is prefixed with a quote.
+ *
+ * @function csvField
+ * @param {*} value - Value to write
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV
+ *
+ * @function toCsv
+ * @param {Array<Object>} rows - Rows with the same keys
+ * @returns {string} CSV text with a header row
+ */
+function toCsv(rows) {
+  const columns = ["transactionId", "time", "donor", "amount", "currency", "type", "refunded", "message"];
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(csvField).join(","))
+    .join("\r\n");
+}
+
+/**
+ * Download a File
+ *
+ * @function download
+ * @param {string} name - File name
+ * @param {string} type - MIME type
+ * @param {string} content - File contents
+ * @returns {void}
+ */
+function download(name, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  // Not el(): blob: links are not on its list of safe URLs
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export Ledger Function
+ *
+ * Downloads the campaign's ledger, limited to the From/To dates if given.
+ *
+ * @function window.exportLedger
+ * @param {"csv"|"json"} format - File format
+ * @returns {void}
+ */
+window.exportLedger = (format) => {
+  const fromValue = document.getElementById("exportFrom").value;
+  const toValue = document.getElementById("exportTo").value;
+
+  const from = fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : -Infinity;
+  const to = toValue ? parseEndDate(toValue) : Infinity;
+  if (from > to) {
+    alert("The From date must be before the To date");
+    return;
+  }
+
+  const rows = exportRows(from, to);
+  const name = `ledger-${id}${fromValue ? `-from-${fromValue}` : ""}${toValue ? `-to-${toValue}` : ""}`;
+
+  if (format === "json") {
+    download(`${name}.json`, "application/json", JSON.stringify(rows, null, 2));
+  } else {
+    download(`${name}.csv`, "text/csv", toCsv(rows));
+  }
+};
+
+// Load once the auth state is known
+onAuthStateChanged(auth, loadAnalytics);
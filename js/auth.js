@@ -2,7 +2,15 @@
  * Authentication Module
  * 
  * Handles user registration and login functionality using Firebase Authentication.
- * Provides functions to create new user accounts and sign in existing users.
+ * Provides functions to:
+ * - Create new user accounts (with their "users" profile document) and send
+ *   the email verification link
+ * - Sign in existing users with email/password or with Google
+ * - Send password reset emails
+ * 
+ * All of these work against the Auth emulator when the site is served
+ * locally (see firebase.js): verification and reset links show up in the
+ * emulator UI, and Google sign-in uses the emulator's test accounts.
  * 
  * @file js/auth.js
  */
@@ -12,13 +20,42 @@ import { auth } from "./firebase.js";
 // Import Firebase Authentication functions
 import {
   createUserWithEmailAndPassword,  // Creates a new user account with email and password
-  signInWithEmailAndPassword        // Signs in an existing user with email and password
+  signInWithEmailAndPassword,       // Signs in an existing user with email and password
+  updateProfile,                    // Sets the display name on the auth account
+  sendEmailVerification,            // Emails a link that verifies the address
+  sendPasswordResetEmail,           // Emails a password reset link
+  signInWithPopup,                  // Signs in through a provider's popup
+  GoogleAuthProvider                // Google sign-in provider
 } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+// Import the profile helpers
+import { createProfile, getProfile, validateProfile } from "./users.js";
+
+/**
+ * Create a Missing Profile
+ *
+ * Accounts whose profile was never written (Google sign-ups, or sign-ups
+ * interrupted before createProfile ran) get one from their auth account's
+ * name and photo when they sign in.
+ *
+ * @async
+ * @param {Object} user - Signed-in Firebase user
+ * @returns {Promise<void>}
+ */
+async function ensureProfile(user) {
+  if (await getProfile(user.uid)) {
+    return;
+  }
+  await createProfile(user.uid, {
+    displayName: (user.displayName || user.email.split("@")[0]).slice(0, 50),
+    avatarUrl: user.photoURL && user.photoURL.startsWith("https://") ? user.photoURL : ""
+  });
+}
 
 /**
  * User Registration Function
  * 
- * Creates a new user account in Firebase Authentication.
+ * Creates a new user account in Firebase Authentication and its profile
+ * document in the "users" collection.
  * Validates input fields and password requirements before creating the account.
  * 
  * @function window.register
@@ -26,37 +63,48 @@ import {
  * @returns {Promise<void>}
  * 
  * Process:
- * 1. Get email and password input elements from the DOM
+ * 1. Get name, email and password input elements from the DOM
  * 2. Validate that inputs exist
  * 3. Validate that fields are not empty
- * 4. Validate password meets minimum length requirement (6 characters)
+ * 4. Validate the display name and password (minimum 6 characters)
  * 5. Create user account in Firebase
- * 6. Redirect to login page on success
- * 7. Show error message on failure
+ * 6. Save the display name on the account and create the profile document
+ * 7. Send the email verification link
+ * 8. Redirect to login page on success
+ * 9. Show error message on failure
  */
 window.register = async () => {
   try {
-    // Get the email and password input elements from the HTML form
+    // Get the name, email and password input elements from the HTML form
+    const nameInput = document.getElementById("nameInput");
     const emailInput = document.getElementById("emailInput");
     const passwordInput = document.getElementById("passwordInput");
     
     // Validate that the form elements exist in the DOM
-    if (!emailInput || !passwordInput) {
+    if (!nameInput || !emailInput || !passwordInput) {
       alert("Error: Form elements not found");
       return;
     }
 
-    // Get and trim the email value (remove leading/trailing whitespace)
+    // Get and trim the name and email values (remove leading/trailing whitespace)
+    const displayName = nameInput.value.trim();
     const email = emailInput.value.trim();
     // Get the password value (don't trim passwords)
     const password = passwordInput.value;
 
-    // Validate that both email and password are provided
-    if (!email || !password) {
+    // Validate that all fields are provided
+    if (!displayName || !email || !password) {
       alert("Please fill in all fields");
       return;
     }
 
+    // Validate the display name against the profile limits
+    const profileError = validateProfile({ displayName });
+    if (profileError) {
+      alert(profileError);
+      return;
+    }
+
     // Validate password meets Firebase's minimum length requirement
     // Firebase requires passwords to be at least 6 characters long
     if (password.length < 6) {
@@ -66,10 +114,17 @@ window.register = async () => {
 
     // Create a new user account in Firebase Authentication
     // This will automatically sign the user in after successful registration
-    await createUserWithEmailAndPassword(auth, email, password);
+    const { user } = await createUserWithEmailAndPassword(auth, email, password);
+
+    // Store the display name on the account and create the profile document
+    await updateProfile(user, { displayName });
+    await createProfile(user.uid, { displayName });
+
+    // Send the verification link (creating campaigns requires a verified email)
+    await sendEmailVerification(user);
     
     // Show success message
-    alert("Registered Successfully");
+    alert("Registered Successfully. Check your inbox to verify your email address.");
     
     // Redirect to login page
     // Note: User is already signed in, but we redirect to login for consistency
@@ -98,8 +153,9 @@ window.register = async () => {
  * 2. Validate that inputs exist
  * 3. Validate that fields are not empty
  * 4. Sign in the user with Firebase Authentication
- * 5. Redirect to dashboard on success
- * 6. Show error message on failure
+ * 5. Create the profile document if the account has none
+ * 6. Redirect to dashboard on success
+ * 7. Show error message on failure
  */
 window.login = async () => {
   try {
@@ -126,7 +182,10 @@ window.login = async () => {
 
     // Sign in the user with Firebase Authentication
     // This will authenticate the user and set auth.currentUser
-    await signInWithEmailAndPassword(auth, email, password);
+    const { user } = await signInWithEmailAndPassword(auth, email, password);
+
+    // Accounts whose sign-up stopped before the profile was written
+    await ensureProfile(user);
     
     // Show success message
     alert("Login Successful");
@@ -141,3 +200,85 @@ window.login = async () => {
     alert("Login failed: " + error.message);
   }
 };
+
+/**
+ * Google Sign-In Function
+ * 
+ * Signs in (or signs up) with a Google account through a popup. First-time
+ * Google users get a profile document created from their Google name and photo.
+ * 
+ * @function window.googleSignIn
+ * @async
+ * @returns {Promise<void>}
+ * 
+ * Process:
+ * 1. Open the Google sign-in popup
+ * 2. Create the profile document if this is the user's first sign-in
+ * 3. Redirect to dashboard on success
+ * 4. Show error message on failure
+ */
+window.googleSignIn = async () => {
+  try {
+    const { user } = await signInWithPopup(auth, new GoogleAuthProvider());
+
+    // Create the profile for first-time Google users
+    await ensureProfile(user);
+
+    // Redirect to the dashboard page where users can create/view campaigns
+    window.location.href = "dashboard.html";
+  } catch (error) {
+    // The user closing the popup is not an error worth reporting
+    if (error.code === "auth/popup-closed-by-user") {
+      return;
+    }
+    // Log the full error to console for debugging
+    console.error("Google sign-in error:", error);
+    // Show user-friendly error message
+    alert("Google sign-in failed: " + error.message);
+  }
+};
+
+/**
+ * Password Reset Function
+ * 
+ * Sends a password reset link to the entered email address.
+ * 
+ * @function window.resetPassword
+ * @async
+ * @returns {Promise<void>}
+ * 
+ * Process:
+ * 1. Get and validate the email input
+ * 2. Ask Firebase to send the reset email
+ * 3. Show the same confirmation whether or not the address has an account
+ *    (so the form can't be used to find out who is registered)
+ */
+window.resetPassword = async () => {
+  try {
+    const emailInput = document.getElementById("emailInput");
+    if (!emailInput) {
+      alert("Error: Form elements not found");
+      return;
+    }
+
+    const email = emailInput.value.trim();
+    if (!email) {
+      alert("Please enter your email address");
+      return;
+    }
+
+    await sendPasswordResetEmail(auth, email);
+    alert("If an account exists for that address, a password reset link is on its way.");
+    window.location.href = "login.html";
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      alert("If an account exists for that address, a password reset link is on its way.");
+      window.location.href = "login.html";
+      return;
+    }
+    // Log the full error to console for debugging
+    console.error("Password reset error:", error);
+    // Show user-friendly error message
+    alert("Password reset failed: " + error.message);
+  }
+};
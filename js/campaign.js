@@ -1,111 +1,297 @@
 /**
- * Campaign Transaction List Module
- * 
- * This is a simpler version of the transaction display used on the campaign page.
- * It loads and displays all transactions (donations) for a specific campaign.
- * 
- * Note: This file appears to be an alternative/older implementation.
- * The main transaction loading is handled in donate.js.
- * 
+ * Campaign Catalogue Module
+ *
+ * Powers the public home page (index.html). Lists active campaigns that an
+ * admin has approved as cards with progress bars and lets visitors:
+ * - Search campaign titles and descriptions
+ * - Filter by category
+ * - Sort by newest, most funded, closest to goal or ending soon
+ * - Page through results
+ *
+ * Pages are fetched with query cursors (see watchCampaigns() in
+ * repository.js), so only one page of campaigns is downloaded at a time.
+ * The page being shown is kept up to date with a listener, so progress and
+ * status changes appear without reloading.
+ *
  * @file js/campaign.js
  */
 
-// Import Firestore database service
-import { db } from "./firebase.js";
-// Import Firestore query functions
-import {
-  collection,  // Reference to a collection in Firestore
-  getDocs,     // Get documents from a collection or query
-  query,       // Create a query for filtering/sorting
-  where,       // Filter documents by field value
-  orderBy      // Sort documents by field value
-} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+// Import the campaign repository
+import { repository } from "./repository-firestore.js";
+// Import campaign lifecycle helpers
+import { STATUS, MODERATION, isAcceptingDonations, timeLeft } from "./lifecycle.js";
+// Import catalogue search helpers
+import { CATEGORIES, SORTS, searchWords, matchesSearch } from "./search.js";
+// Import the safe rendering helpers
+import { el, plainText } from "./render.js";
+// Import the money helpers
+import { amountOf, formatAmountOf } from "./money.js";
+
+// Number of campaigns shown per page
+const PAGE_SIZE = 9;
+
+// Delay before a search runs while the visitor is still typing (milliseconds)
+const SEARCH_DELAY = 300;
 
 /**
- * Get Campaign ID from URL
- * 
- * Extracts the campaign ID from the URL query parameters.
- * The URL format is: campaign.html?id=xxxxx
+ * Get Page Elements
+ *
+ * Gets the DOM elements for the catalogue and its controls.
  */
-const params = new URLSearchParams(window.location.search);
-const campaignId = params.get("id");
+const container = document.getElementById("campaignContainer");
+const searchInput = document.getElementById("searchInput");
+const categoryFilter = document.getElementById("categoryFilter");
+const sortSelect = document.getElementById("sortSelect");
+const prevButton = document.getElementById("prevPage");
+const nextButton = document.getElementById("nextPage");
+const pageInfo = document.getElementById("pageInfo");
 
 /**
- * Get Transaction List Element
- * 
- * Gets the DOM element where the transaction list will be displayed.
- * This should be a <ul> or <ol> element in the HTML.
+ * Catalogue State
+ *
+ * - words: search words (the first is queried, the rest are matched locally)
+ * - category: selected category, or "" for all
+ * - sort: key into SORTS
+ * - page: zero-based index of the page being shown
+ * - cursors: cursors[n] is the cursor of the last campaign of page n - 1 (null for the first page)
+ * - hasNext: whether another page exists after the current one
+ * - unsubscribe: detaches the listener for the page being shown (null if none)
  */
-const transactionList = document.getElementById("transactionList");
+const state = {
+  words: [],
+  category: "",
+  sort: "newest",
+  page: 0,
+  cursors: [null],
+  hasNext: false,
+  unsubscribe: null
+};
 
 /**
- * Load Transactions Function
- * 
- * Fetches all donation transactions for the specified campaign
- * and displays them in a list format.
- * 
- * @function loadTransactions
- * @async
- * @returns {Promise<void>}
- * 
- * Process:
- * 1. Clear existing transaction list
- * 2. Create a query to filter transactions by campaign ID
- * 3. Sort transactions by time (newest first)
- * 4. Fetch transactions from Firestore
- * 5. Display each transaction as a list item
+ * Build Catalogue Filters
+ *
+ * Describes one page of campaigns for watchCampaigns() in repository.js.
+ *
+ * @function buildFilters
+ * @param {*} cursor - Cursor of the previous page's last campaign, or null for the first page
+ * @returns {Object} Campaign filters
+ *
+ * Note: Each filter/sort combination needs a composite index; they are
+ * listed in firestore.indexes.json.
  */
-async function loadTransactions() {
-  // Clear any existing transactions from the list
-  transactionList.innerHTML = "";
+function buildFilters(cursor) {
+  const sort = SORTS[state.sort];
 
-  /**
-   * Create Firestore Query
-   * 
-   * This query:
-   * - Gets documents from the "transactions" collection
-   * - Filters to only transactions for this campaign (where campaignId == campaignId)
-   * - Sorts by time in descending order (newest donations first)
-   * 
-   * Note: For orderBy to work with where, you may need to create a composite index
-   * in Firestore. Firebase will provide a link if the index is missing.
-   */
-  const q = query(
-    collection(db, "transactions"),                    // Collection to query
-    where("campaignId", "==", campaignId),             // Filter: only this campaign's transactions
-    orderBy("time", "desc")                            // Sort: newest first
+  const filters = {
+    status: STATUS.ACTIVE,                               // Only published, open campaigns
+    moderation: MODERATION.APPROVED,                     // that an admin has approved
+    sort: { field: sort.field, direction: sort.direction },
+    pageSize: PAGE_SIZE
+  };
+
+  if (state.category) {
+    filters.category = state.category;
+  }
+
+  if (state.words.length) {
+    filters.keyword = state.words[0];
+  }
+
+  // "Ending soon" only makes sense for campaigns that have not ended yet
+  if (state.sort === "ending") {
+    filters.endsAfter = Date.now();
+  }
+
+  if (cursor) {
+    filters.after = cursor;
+  }
+
+  return filters;
+}
+
+/**
+ * Create Campaign Card
+ *
+ * Builds the card element for one campaign with el() (see render.js), so
+ * campaign data is never interpreted as HTML. Rich text descriptions are
+ * shown as plain text on cards.
+ *
+ * @function createCard
+ * @param {import("./repository.js").Campaign} c - Campaign
+ * @returns {HTMLElement} Card element
+ */
+function createCard(c) {
+  // Show the start of the description only
+  const text = plainText(c.description);
+  const description = text.length > 150 ? text.slice(0, 150) + "…" : text;
+
+  // Progress bar (capped at 100% for over-funded campaigns)
+  const percent = Math.min(100, (amountOf(c, "raised") / amountOf(c, "target")) * 100);
+
+  return el("div", { className: "campaign" },
+    c.cover ? el("img", { src: c.cover.thumbUrl, alt: "", className: "cover" }) : null,
+    el("h3", {}, c.title),
+    el("p", {}, c.category),
+    el("p", {}, description),
+    el("div", { className: "progress" },
+      el("div", { className: "progress-bar", style: { width: `${percent}%` } })
+    ),
+    el("p", {}, `${formatAmountOf(c, "raised")} raised of ${formatAmountOf(c, "target")} · ${timeLeft(c)}`),
+    el("a", { href: `campaign.html?id=${encodeURIComponent(c.id)}` }, "View Campaign")
   );
+}
 
-  // Execute the query and get all matching documents
-  const snapshot = await getDocs(q);
+/**
+ * Load Page Function
+ *
+ * Listens to the current page of campaigns and displays it, replacing the
+ * listener for the previous page.
+ *
+ * @function loadPage
+ * @returns {void}
+ *
+ * Process:
+ * 1. Detach the previous page's listener
+ * 2. Listen to one page after the page's cursor
+ * 3. On every change, render the page (see renderPage)
+ */
+function loadPage() {
+  stopListening();
+
+  state.unsubscribe = repository.watchCampaigns(buildFilters(state.cursors[state.page]), renderPage, (error) => {
+    // Log error for debugging
+    console.error("Error loading campaigns:", error);
+    container.innerHTML = "";
+    container.appendChild(el("p", {}, "Failed to load campaigns"));
+  });
+}
 
-  // If no transactions exist, show a message
-  if (snapshot.empty) {
-    transactionList.innerHTML = "<li>No donations yet</li>";
-    return;
+/**
+ * Stop Listening
+ *
+ * Detaches the listener for the page being shown, if any.
+ *
+ * @function stopListening
+ * @returns {void}
+ */
+function stopListening() {
+  if (state.unsubscribe) {
+    state.unsubscribe();
+    state.unsubscribe = null;
   }
+}
+
+/**
+ * Render Page Function
+ *
+ * @function renderPage
+ * @param {{campaigns: Array<Object>, hasNext: boolean, cursor: *}} page - The current page
+ * @returns {void}
+ *
+ * Process:
+ * 1. Remember the cursor for the next page
+ * 2. Drop campaigns that have ended or don't match every search word
+ * 3. Display the remaining campaigns as cards
+ * 4. Update the pagination controls
+ */
+function renderPage({ campaigns, hasNext, cursor }) {
+  state.hasNext = hasNext;
+  state.cursors[state.page + 1] = cursor;
 
   /**
-   * Display Each Transaction
-   * 
-   * Loop through each transaction document and create a list item
-   * showing the donation amount.
+   * Filter Locally
+   *
+   * Campaigns past their end date still have "active" stored until
+   * someone updates them, and only the first search word is matched by
+   * the query, so both are checked here. A page can therefore show fewer
+   * than PAGE_SIZE cards.
    */
-  snapshot.forEach(doc => {
-    // Get the transaction data from the document
-    const data = doc.data();
-
-    // Create a new list item element
-    const li = document.createElement("li");
-    
-    // Set the text content to show the donation amount
-    // Format: "₹amount donated" (e.g., "₹500 donated")
-    li.textContent = `₹${data.amount} donated`;
-    
-    // Add the list item to the transaction list
-    transactionList.appendChild(li);
-  });
+  const extraWords = state.words.slice(1);
+  const visible = campaigns.filter(c => isAcceptingDonations(c) && matchesSearch(c, extraWords));
+
+  container.innerHTML = "";
+
+  if (visible.length === 0) {
+    container.appendChild(el("p", {}, "No campaigns found"));
+  }
+
+  visible.forEach(c => container.appendChild(createCard(c)));
+
+  updatePagination();
 }
 
-// Load transactions when the page loads
-loadTransactions();
+/**
+ * Update Pagination Controls
+ *
+ * Enables Previous/Next according to the current page and shows the page number.
+ *
+ * @function updatePagination
+ * @returns {void}
+ */
+function updatePagination() {
+  prevButton.disabled = state.page === 0;
+  nextButton.disabled = !state.hasNext;
+  pageInfo.textContent = `Page ${state.page + 1}`;
+}
+
+/**
+ * Restart From First Page
+ *
+ * Called whenever the search, filter or sort changes: old cursors belong to
+ * a different query, so they are discarded.
+ *
+ * @function resetAndLoad
+ * @returns {void}
+ */
+function resetAndLoad() {
+  state.page = 0;
+  state.cursors = [null];
+  loadPage();
+}
+
+/**
+ * Set Up Controls
+ *
+ * Fills the category and sort dropdowns and wires up the control events.
+ */
+CATEGORIES.forEach(name => categoryFilter.add(new Option(name, name)));
+Object.entries(SORTS).forEach(([key, sort]) => sortSelect.add(new Option(sort.label, key)));
+
+let searchTimer;
+searchInput.addEventListener("input", () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    state.words = searchWords(searchInput.value);
+    resetAndLoad();
+  }, SEARCH_DELAY);
+});
+
+categoryFilter.addEventListener("change", () => {
+  state.category = categoryFilter.value;
+  resetAndLoad();
+});
+
+sortSelect.addEventListener("change", () => {
+  state.sort = sortSelect.value;
+  resetAndLoad();
+});
+
+prevButton.addEventListener("click", () => {
+  if (state.page > 0) {
+    state.page--;
+    loadPage();
+  }
+});
+
+nextButton.addEventListener("click", () => {
+  if (state.hasNext) {
+    state.page++;
+    loadPage();
+  }
+});
+
+// Load the first page when the page loads
+loadPage();
+
+// Detach the listener when leaving the page
+window.addEventListener("pagehide", stopListening);
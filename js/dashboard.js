@@ -3,28 +3,156 @@
  * 
  * Handles the main dashboard functionality where users can:
  * - Create new fundraising campaigns
- * - View all existing campaigns
+ * - View the campaigns they created ("My Campaigns")
  * - See campaign progress and details
+ * - Edit, pause, resume, cancel and delete their own campaigns
+ * - See whether each campaign has been approved by the admins, and send
+ *   rejected campaigns back for review
+ * - Add the legal entity details printed on donors' tax receipts
+ * - Add the bank account they are paid to, see each campaign's payout
+ *   ledger and request withdrawals
  * 
  * @file js/dashboard.js
  */
 
 // Import Firebase services
-import { db, auth } from "./firebase.js";
-// Import Firestore functions for database operations
+import { auth } from "./firebase.js";
+// Import campaign lifecycle helpers
 import {
-  collection,  // Reference to a collection in Firestore
-  addDoc,      // Add a new document to a collection
-  getDocs      // Get all documents from a collection
-} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+  STATUS, STATUS_LABELS, FUNDING_MODE, FUNDING_MODE_LABELS, MODERATION, MODERATION_LABELS,
+  effectiveStatus, timeLeft, parseEndDate, moderationState
+} from "./lifecycle.js";
+// Import the category list and keyword index builder shared with the home page
+import { CATEGORIES, buildKeywords } from "./search.js";
+// Import the campaign audit history helpers
+import { ACTIONS } from "./history.js";
+// Import the safe rendering helpers (campaign text is user input)
+import { el, setRichText, plainText } from "./render.js";
+// Import the reward tier helpers
+import { createReward, deleteReward, loadRewards, loadBackers, describeReward } from "./rewards.js";
+// Import the donation status check (fulfilment lists only include paid backers)
+import { isConfirmed } from "./payments.js";
+// Import the campaign and donation repository
+import { repository } from "./repository-firestore.js";
+// Import the legal entity helpers for tax receipts
+import { getLegalEntity, saveLegalEntity, removeLegalEntity } from "./receipts.js";
+// Import the payout helpers
+import {
+  PAYOUT_STATUS_LABELS, getPayoutAccount, savePayoutAccount, removePayoutAccount,
+  getPayoutLedger, payoutFee, requestPayout
+} from "./payouts.js";
+// Import the money helpers
+import {
+  CURRENCIES, DEFAULT_CURRENCY, amountOf,
+  parseAmount, toInputValue, formatMoney, formatAmountOf
+} from "./money.js";
+// Import the campaign image helpers
+import {
+  MEDIA_LIMITS, validateImage, validateImages,
+  uploadCampaignImage, uploadCampaignImages, deleteCampaignImage, deleteAllCampaignImages
+} from "./media.js";
 // Import authentication state observer
-import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+import { onAuthStateChanged, sendEmailVerification } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+
+/**
+ * Populate Category Options
+ * 
+ * Fills the category dropdowns (create and edit forms) from the shared
+ * category list, so campaigns are always stored with a category the home
+ * page can filter by.
+ */
+["category", "editCategory"].forEach(selectId => {
+  const select = document.getElementById(selectId);
+  if (select) {
+    CATEGORIES.forEach(name => select.add(new Option(name, name)));
+  }
+});
+
+/**
+ * Populate Currency Options
+ * 
+ * A campaign's currency is picked when it is created and can't be changed.
+ */
+const currencySelect = document.getElementById("currency");
+if (currencySelect) {
+  CURRENCIES.forEach(code => currencySelect.add(new Option(code, code, false, code === DEFAULT_CURRENCY)));
+}
+
+/**
+ * ID of the Campaign Being Edited
+ * 
+ * Set by editCampaign() and cleared by closeEditor().
+ * 
+ * @type {string|null}
+ */
+let editingId = null;
+
+/**
+ * Currency of the Campaign Being Edited
+ * 
+ * @type {string}
+ */
+let editingCurrency = DEFAULT_CURRENCY;
+
+/**
+ * Images of the Campaign Being Edited
+ * 
+ * Cover and gallery as stored on the campaign, kept in step by
+ * editCampaign() and the image controls in the edit panel.
+ * 
+ * @type {{cover: Object|null, gallery: Array<Object>}}
+ */
+let editingMedia = { cover: null, gallery: [] };
+
+/**
+ * Campaign Whose Rewards Are Open
+ * 
+ * Set by manageRewards() and cleared by closeRewards().
+ * 
+ * @type {string|null}
+ */
+let rewardsId = null;
+
+/**
+ * Currency of the Campaign Whose Rewards Are Open
+ * 
+ * @type {string}
+ */
+let rewardsCurrency = DEFAULT_CURRENCY;
+
+/**
+ * Campaign Whose Payouts Are Open
+ * 
+ * Set by managePayouts() and cleared by closePayouts().
+ * 
+ * @type {string|null}
+ */
+let payoutsId = null;
+
+/**
+ * Ledger of the Campaign Whose Payouts Are Open
+ * 
+ * As last loaded by showPayouts() (see getPayoutLedger() in payouts.js).
+ * 
+ * @type {Object|null}
+ */
+let openLedger = null;
+
+/**
+ * Stop Listening to "My Campaigns"
+ * 
+ * Set by watchCampaigns(); detaches the current snapshot listener.
+ * 
+ * @type {Function|null}
+ */
+let unsubscribeCampaigns = null;
 
 /**
  * Authentication State Observer
  * 
  * Monitors the user's authentication state and ensures only logged-in users
  * can access the dashboard. Automatically redirects to login if user is not authenticated.
+ * Users whose email address is not verified yet are shown the verification notice.
  * 
  * @param {Object} auth - Firebase Auth instance
  * @param {Function} callback - Function called when auth state changes
@@ -32,14 +160,267 @@ import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/9.23.0/fi
  * This runs immediately when the page loads and whenever the auth state changes.
  */
 onAuthStateChanged(auth, (user) => {
+  // Stop listening to the previous user's campaigns
+  stopWatchingCampaigns();
+
   // If no user is logged in, redirect to login page
   if (!user) {
     alert("Please login first");
     window.location.href = "login.html";
   } else {
-    // If user is authenticated, load and display all campaigns
-    loadCampaigns();
+    // Creating campaigns requires a verified email address
+    showVerifyNotice(!user.emailVerified);
+    // If user is authenticated, display the user's campaigns and keep them up to date
+    watchCampaigns(user.uid);
+    // Fill in the charity details used on receipts
+    loadCharityDetails(user.uid);
+    // Fill in the bank account payouts are sent to
+    loadPayoutAccount(user.uid);
+  }
+});
+
+// Detach the listener when leaving the page
+window.addEventListener("pagehide", () => stopWatchingCampaigns());
+
+/* =======================
+   EMAIL VERIFICATION
+   ======================= */
+
+/**
+ * Show or Hide the Verification Notice
+ * 
+ * @function showVerifyNotice
+ * @param {boolean} show - Whether the notice should be visible
+ * @returns {void}
+ */
+function showVerifyNotice(show) {
+  const notice = document.getElementById("verifyNotice");
+  if (notice) {
+    notice.style.display = show ? "block" : "none";
+  }
+}
+
+/**
+ * Resend Verification Function
+ * 
+ * Sends the email verification link again.
+ * 
+ * @function window.resendVerification
+ * @async
+ * @returns {Promise<void>}
+ */
+window.resendVerification = async () => {
+  try {
+    await sendEmailVerification(auth.currentUser);
+    alert("Verification email sent to " + auth.currentUser.email);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Verification email error:", error);
+    // Show user-friendly error message
+    alert("Failed to send verification email: " + error.message);
+  }
+};
+
+/**
+ * Refresh Verification Function
+ * 
+ * Re-checks the verification status after the user clicks the emailed link.
+ * The ID token is refreshed too, because the security rules read the
+ * verified flag from the token.
+ * 
+ * @function window.refreshVerification
+ * @async
+ * @returns {Promise<void>}
+ */
+window.refreshVerification = async () => {
+  try {
+    await auth.currentUser.reload();
+    await auth.currentUser.getIdToken(true);
+
+    if (auth.currentUser.emailVerified) {
+      showVerifyNotice(false);
+      alert("Email verified. You can now create campaigns.");
+    } else {
+      alert("Your email address is not verified yet. Open the link we emailed you.");
+    }
+  } catch (error) {
+    // Log error for debugging
+    console.error("Verification refresh error:", error);
+    // Show user-friendly error message
+    alert("Failed to check verification: " + error.message);
+  }
+};
+
+/* =======================
+   CHARITY DETAILS
+   ======================= */
+
+/**
+ * Load Charity Details
+ * 
+ * @function loadCharityDetails
+ * @async
+ * @param {string} uid - Organiser (the signed-in user)
+ * @returns {Promise<void>}
+ */
+async function loadCharityDetails(uid) {
+  try {
+    const entity = await getLegalEntity(uid);
+    document.getElementById("entityName").value = entity?.name || "";
+    document.getElementById("entityRegistration").value = entity?.registrationNumber || "";
+    document.getElementById("entityPan").value = entity?.pan || "";
+    document.getElementById("entityAddress").value = entity?.address || "";
+    document.getElementById("removeCharityButton").style.display = entity ? "inline-block" : "none";
+  } catch (error) {
+    // Log error for debugging
+    console.error("Error loading charity details:", error);
+  }
+}
+
+/**
+ * Save Charity Details Function
+ * 
+ * Donations confirmed from now on get a numbered receipt with these
+ * details; receipts already issued keep the details they were issued with.
+ * 
+ * @function window.saveCharityDetails
+ * @async
+ * @returns {Promise<void>}
+ */
+window.saveCharityDetails = async () => {
+  try {
+    await saveLegalEntity(auth.currentUser.uid, {
+      name: document.getElementById("entityName").value.trim(),
+      registrationNumber: document.getElementById("entityRegistration").value.trim(),
+      pan: document.getElementById("entityPan").value.trim().toUpperCase(),
+      address: document.getElementById("entityAddress").value.trim()
+    });
+    alert("Charity details saved. Donations confirmed from now on get a receipt.");
+    loadCharityDetails(auth.currentUser.uid);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Charity details error:", error);
+    // Show user-friendly error message
+    alert("Failed to save charity details: " + error.message);
+  }
+};
+
+/**
+ * Remove Charity Details Function
+ * 
+ * @function window.removeCharityDetails
+ * @async
+ * @returns {Promise<void>}
+ */
+window.removeCharityDetails = async () => {
+  if (!confirm("Stop issuing receipts? Receipts already issued stay valid.")) {
+    return;
+  }
+
+  try {
+    await removeLegalEntity(auth.currentUser.uid);
+    loadCharityDetails(auth.currentUser.uid);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Charity details error:", error);
+    // Show user-friendly error message
+    alert("Failed to remove charity details: " + error.message);
+  }
+};
+
+/* =======================
+   PAYOUT ACCOUNT
+   ======================= */
+
+/**
+ * Load Payout Account
+ * 
+ * @function loadPayoutAccount
+ * @async
+ * @param {string} uid - Owner (the signed-in user)
+ * @returns {Promise<void>}
+ */
+async function loadPayoutAccount(uid) {
+  try {
+    const account = await getPayoutAccount(uid);
+    document.getElementById("payoutAccountName").value = account?.accountName || "";
+    document.getElementById("payoutAccountNumber").value = account?.accountNumber || "";
+    document.getElementById("payoutRoutingCode").value = account?.routingCode || "";
+    document.getElementById("removePayoutAccountButton").style.display = account ? "inline-block" : "none";
+  } catch (error) {
+    // Log error for debugging
+    console.error("Error loading payout account:", error);
+  }
+}
+
+/**
+ * Save Payout Account Function
+ * 
+ * Withdrawals requested from now on are paid to this account.
+ * 
+ * @function window.savePayoutAccount
+ * @async
+ * @returns {Promise<void>}
+ */
+window.savePayoutAccount = async () => {
+  // Account numbers and codes are stored without spaces, in capitals
+  const compact = (inputId) => document.getElementById(inputId).value.replace(/\s+/g, "").toUpperCase();
+
+  try {
+    await savePayoutAccount(auth.currentUser.uid, {
+      accountName: document.getElementById("payoutAccountName").value.trim(),
+      accountNumber: compact("payoutAccountNumber"),
+      routingCode: compact("payoutRoutingCode")
+    });
+    alert("Payout account saved. Withdrawals requested from now on are paid to it.");
+    loadPayoutAccount(auth.currentUser.uid);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Payout account error:", error);
+    // Show user-friendly error message
+    alert("Failed to save payout account: " + error.message);
+  }
+};
+
+/**
+ * Remove Payout Account Function
+ * 
+ * Requests already made are still paid to the account they were made with.
+ * 
+ * @function window.removePayoutAccount
+ * @async
+ * @returns {Promise<void>}
+ */
+window.removePayoutAccount = async () => {
+  if (!confirm("Remove your payout account? You won't be able to request withdrawals until you add one.")) {
+    return;
+  }
+
+  try {
+    await removePayoutAccount(auth.currentUser.uid);
+    loadPayoutAccount(auth.currentUser.uid);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Payout account error:", error);
+    // Show user-friendly error message
+    alert("Failed to remove payout account: " + error.message);
   }
+};
+
+/**
+ * Campaign Being Created
+ * 
+ * The ID the create form's campaign is stored under. It is picked on the
+ * first attempt and sent again with every retry, so a double click or a
+ * retry after a dropped connection still creates one campaign (see
+ * createCampaign in functions/index.js). Editing the form starts over.
+ */
+let pendingCampaignId = null;
+let creatingCampaign = false;
+["title", "category", "target", "currency", "endDate", "fundingMode", "description"].forEach(inputId => {
+  document.getElementById(inputId)?.addEventListener("input", () => {
+    pendingCampaignId = null;
+  });
 });
 
 /**
@@ -50,17 +431,26 @@ onAuthStateChanged(auth, (user) => {
  * 
  * @function window.createCampaign
  * @async
+ * @param {boolean} [asDraft=false] - Save the campaign as a draft instead of publishing it
  * @returns {Promise<void>}
  * 
  * Process:
- * 1. Check if user is authenticated
+ * 1. Check if user is authenticated and their email is verified
  * 2. Get all form input elements
- * 3. Validate that all fields are filled
+ * 3. Validate that all fields are filled and the picked images are allowed
  * 4. Validate target amount is a positive number
- * 5. Create campaign document in Firestore
- * 6. Clear form and refresh campaign list
+ * 5. Validate the end date is in the future
+ * 6. Create the campaign through Cloud Functions (as a draft or active,
+ *    waiting for admin review), which also enforces the creation rate limits
+ * 7. Clear form (the campaign list listener shows the new campaign)
  */
-window.createCampaign = async () => {
+window.createCampaign = async (asDraft = false) => {
+  // Ignore further clicks while the campaign is being saved
+  if (creatingCampaign) {
+    return;
+  }
+  creatingCampaign = true;
+
   try {
     // Check if user is authenticated before allowing campaign creation
     if (!auth.currentUser) {
@@ -69,125 +459,993 @@ window.createCampaign = async () => {
       return;
     }
 
+    // Only verified email addresses can create campaigns (also enforced by Cloud Functions)
+    if (!auth.currentUser.emailVerified) {
+      alert("Please verify your email address before creating a campaign");
+      showVerifyNotice(true);
+      return;
+    }
+
     // Get all form input elements from the DOM
     const title = document.getElementById("title");
     const category = document.getElementById("category");
     const target = document.getElementById("target");
+    const currency = document.getElementById("currency");
     const description = document.getElementById("description");
+    const endDate = document.getElementById("endDate");
+    const fundingMode = document.getElementById("fundingMode");
 
     // Validate that all form elements exist
-    if (!title || !category || !target || !description) {
+    if (!title || !category || !target || !currency || !description || !endDate || !fundingMode) {
       alert("Error: Form elements not found");
       return;
     }
 
     // Validate that all fields have values (after trimming whitespace)
-    if (!title.value.trim() || !category.value.trim() || !target.value || !description.value.trim()) {
+    if (!title.value.trim() || !category.value.trim() || !target.value || !description.value.trim() || !endDate.value) {
       alert("Please fill in all fields");
       return;
     }
 
-    // Convert target amount to number and validate it's a positive number
-    const targetAmount = Number(target.value);
+    // Convert the target to minor units (accepts "1,00,000" and "100000.50") and validate it
+    const targetAmount = parseAmount(target.value, currency.value);
     if (isNaN(targetAmount) || targetAmount <= 0) {
       alert("Please enter a valid target amount");
       return;
     }
 
-    // Create a new document in the "campaigns" collection
-    // addDoc automatically generates a unique document ID
-    await addDoc(collection(db, "campaigns"), {
-      title: title.value.trim(),                    // Campaign title (trimmed of whitespace)
-      category: category.value.trim(),              // Campaign category (e.g., "Education", "Health")
-      target: targetAmount,                         // Target fundraising amount (number)
-      raised: 0,                                    // Amount raised so far (starts at 0)
-      description: description.value.trim(),        // Campaign description
-      creator: auth.currentUser.uid,               // User ID of the campaign creator
-      createdAt: Date.now()                         // Timestamp of when campaign was created
-    });
+    // Convert the end date to a timestamp and validate it's in the future
+    const endTime = parseEndDate(endDate.value);
+    if (isNaN(endTime) || endTime <= Date.now()) {
+      alert("Please pick an end date in the future");
+      return;
+    }
+
+    // Check the picked images before anything is saved
+    const coverFile = pickedFiles("coverInput")[0] || null;
+    const galleryFiles = pickedFiles("galleryInput");
+    const imageError = (coverFile && validateImage(coverFile)) || validateImages(galleryFiles);
+    if (imageError) {
+      alert(imageError);
+      return;
+    }
+
+    // Create the campaign with its slug and first history entry (see repository.js)
+    pendingCampaignId = pendingCampaignId || repository.newCampaignId();
+    const campaignId = await repository.createCampaign({
+      title: title.value.trim(),
+      category: category.value.trim(),
+      description: description.value.trim(),
+      keywords: buildKeywords(title.value.trim(), plainText(description.value.trim())),
+      target: targetAmount,
+      currency: currency.value,
+      endDate: endTime,
+      fundingMode: fundingMode.value,
+      draft: asDraft,
+      creator: auth.currentUser.uid
+    }, pendingCampaignId);
+    pendingCampaignId = null;
+
+    // Upload the images now that the campaign exists (storage.rules check its creator)
+    let message = asDraft
+      ? "Draft Saved"
+      : "Campaign Created Successfully. It will be listed once an admin has reviewed it";
+    try {
+      await saveMedia(campaignId, { cover: null, gallery: [] }, coverFile, galleryFiles);
+    } catch (error) {
+      console.error("Image upload error:", error);
+      message += `, but the images could not be uploaded (${error.message}). You can add them with Edit.`;
+    }
 
     // Show success message
-    alert("Campaign Created Successfully");
+    alert(message);
     
     // Clear all form fields after successful creation
     title.value = "";
     category.value = "";
     target.value = "";
     description.value = "";
-    
-    // Reload the campaign list to show the new campaign
-    loadCampaigns();
+    endDate.value = "";
+    fundingMode.value = FUNDING_MODE.KEEP;
+    document.getElementById("coverInput").value = "";
+    document.getElementById("galleryInput").value = "";
+
+    // The campaign list listener shows the new campaign
   } catch (error) {
     // Log error for debugging
     console.error("Campaign creation error:", error);
     // Show user-friendly error message
     alert("Failed to create campaign: " + error.message);
+  } finally {
+    creatingCampaign = false;
   }
 };
 
 /**
- * Load Campaigns Function
+ * Watch Campaigns Function
  * 
- * Fetches all campaigns from Firestore and displays them on the dashboard.
- * Shows campaign details including title, category, description, and progress.
+ * Listens to the signed-in user's campaigns ("My Campaigns") in Firestore and
+ * displays them on the dashboard, re-rendering whenever a campaign changes
+ * (new donations, status changes, edits). Shows campaign details including
+ * title, category, description, progress, lifecycle status and time left,
+ * plus the owner controls that apply to the campaign's status.
  * 
- * @function loadCampaigns
- * @async
- * @returns {Promise<void>}
+ * @function watchCampaigns
+ * @param {string} uid - The signed-in user's ID
+ * @returns {void}
  * 
  * Process:
  * 1. Get the campaign list container element
- * 2. Fetch all documents from the "campaigns" collection
- * 3. Clear existing content
- * 4. Display each campaign with its details
+ * 2. Listen to the campaigns whose creator is the signed-in user, newest first
+ *    (see repository.js)
+ * 3. On every change, clear existing content
+ * 4. Display each campaign with its details and owner controls
  * 5. Calculate and show fundraising progress percentage
+ * 6. Persist status changes (funded/expired)
  */
-async function loadCampaigns() {
-  try {
-    // Get the container element where campaigns will be displayed
-    const campaignList = document.getElementById("campaignList");
-    if (!campaignList) {
-      console.error("campaignList element not found");
-      return;
-    }
+function watchCampaigns(uid) {
+  // Get the container element where campaigns will be displayed
+  const campaignList = document.getElementById("campaignList");
+  if (!campaignList) {
+    console.error("campaignList element not found");
+    return;
+  }
 
-    // Fetch all documents from the "campaigns" collection in Firestore
-    const snapshot = await getDocs(collection(db, "campaigns"));
-    
+  // Only one listener at a time
+  stopWatchingCampaigns();
+
+  const filters = {
+    creator: uid,                                   // Filter: only this user's campaigns
+    sort: { field: "createdAt", direction: "desc" } // Sort: newest first
+  };
+
+  unsubscribeCampaigns = repository.watchCampaigns(filters, ({ campaigns }) => {
     // Clear any existing content in the campaign list
     campaignList.innerHTML = "";
 
     // If no campaigns exist, show a message
-    if (snapshot.empty) {
-      campaignList.innerHTML = "<p>No campaigns yet. Create one above!</p>";
+    if (campaigns.length === 0) {
+      campaignList.innerHTML = "<p>You haven't created any campaigns yet. Create one above!</p>";
       return;
     }
 
-    // Loop through each campaign document and display it
-    snapshot.forEach(doc => {
-      // Get the campaign data from the document
-      const c = doc.data();
-      
+    // Loop through each campaign and display it
+    campaigns.forEach(c => {
       // Calculate the fundraising progress as a percentage
       // Formula: (amount raised / target amount) * 100
-      const progress = ((c.raised / c.target) * 100).toFixed(1);
-      
-      // Create HTML for the campaign card and add it to the list
-      // Each campaign shows: title, category, description, progress, and a link to view details
-      campaignList.innerHTML += `
-        <div style="border: 1px solid #ccc; padding: 15px; margin: 10px 0; border-radius: 5px;">
-          <h3>${c.title}</h3>
-          <p><strong>Category:</strong> ${c.category}</p>
-          <p>${c.description}</p>
-          <p><strong>Progress:</strong> ₹${c.raised} / ₹${c.target} (${progress}%)</p>
-          <a href="campaign.html?id=${doc.id}" style="display: inline-block; margin-top: 10px; padding: 8px 15px; background: #007bff; color: white; text-decoration: none; border-radius: 3px;">View Campaign</a>
-        </div>
-      `;
+      const progress = ((amountOf(c, "raised") / amountOf(c, "target")) * 100).toFixed(1);
+
+      // Work out the current lifecycle status from the stored status, totals and end date
+      // (Cloud Functions store expired and funded shortly after they happen)
+      const status = effectiveStatus(c);
+      const review = moderationState(c);
+      const id = c.id;
+
+      // Owner controls available in this status
+      const controls = [];
+      const control = (label, action) => el("button", { onclick: () => action(id) }, label);
+      if (status === STATUS.DRAFT) controls.push(control("Publish", window.publishCampaign));
+      if (status !== STATUS.CANCELLED) controls.push(control("Edit", window.editCampaign));
+      controls.push(control("Rewards", window.manageRewards));
+      controls.push(control("Payouts", window.managePayouts));
+      controls.push(control("Analytics", campaignId => {
+        window.location.href = `analytics.html?id=${encodeURIComponent(campaignId)}`;
+      }));
+      if (status === STATUS.ACTIVE) controls.push(control("Pause", window.pauseCampaign));
+      if (status === STATUS.PAUSED) controls.push(control("Resume", window.resumeCampaign));
+      if ([STATUS.DRAFT, STATUS.ACTIVE, STATUS.PAUSED].includes(status)) controls.push(control("Cancel", window.cancelCampaign));
+      if (!c.raised) controls.push(control("Delete", window.deleteCampaign));
+      if (review === MODERATION.REJECTED) controls.push(control("Resubmit for Review", window.resubmitCampaign));
+
+      // Build the campaign card and add it to the list
+      // Each campaign shows: title, category, description, progress, owner controls and a link to view details
+      // Campaign text is user input, so it is only added as text (see render.js)
+      const description = el("div");
+      setRichText(description, c.description);
+
+      campaignList.appendChild(el("div", { style: "border: 1px solid #ccc; padding: 15px; margin: 10px 0; border-radius: 5px;" },
+        c.cover ? el("img", { src: c.cover.thumbUrl, alt: "", className: "cover" }) : null,
+        el("h3", {}, c.title),
+        el("p", {}, el("strong", {}, "Category:"), " ", c.category),
+        description,
+        el("p", {}, el("strong", {}, "Progress:"), ` ${formatAmountOf(c, "raised")} / ${formatAmountOf(c, "target")} (${progress}%)`),
+        el("p", {}, el("strong", {}, "Status:"), ` ${STATUS_LABELS[status]} · ${timeLeft(c)}`),
+        el("p", {}, el("strong", {}, "Funding:"), ` ${FUNDING_MODE_LABELS[c.fundingMode || FUNDING_MODE.KEEP]}`),
+        // Monthly recurring revenue, kept up to date by Cloud Functions
+        c.subscribers
+          ? el("p", {}, el("strong", {}, "Monthly donations:"),
+              ` ${formatMoney(c.monthlyRecurring, c.currency)}/month from ${c.subscribers} donor${c.subscribers === 1 ? "" : "s"}`)
+          : null,
+        el("p", {}, el("strong", {}, "Review:"), ` ${MODERATION_LABELS[review]}`,
+          c.moderationReason && review !== MODERATION.APPROVED ? ` · ${c.moderationReason}` : ""),
+        controls.flatMap(button => [button, " "]),
+        el("a", {
+          href: `campaign.html?id=${encodeURIComponent(id)}`,
+          style: "display: inline-block; margin-top: 10px; padding: 8px 15px; background: #007bff; color: white; text-decoration: none; border-radius: 3px;"
+        }, "View Campaign")
+      ));
     });
-  } catch (error) {
+  }, (error) => {
     // Log error for debugging
     console.error("Error loading campaigns:", error);
     // Show user-friendly error message
     alert("Failed to load campaigns: " + error.message);
+  });
+}
+
+/**
+ * Stop Watching Campaigns
+ * 
+ * Detaches the "My Campaigns" listener, if any.
+ * 
+ * @function stopWatchingCampaigns
+ * @returns {void}
+ */
+function stopWatchingCampaigns() {
+  if (unsubscribeCampaigns) {
+    unsubscribeCampaigns();
+    unsubscribeCampaigns = null;
   }
 }
+
+/* =======================
+   OWNER MANAGEMENT
+   ======================= */
+
+/**
+ * Publish Campaign Function
+ * 
+ * Moves one of the user's draft campaigns to active so it starts
+ * accepting donations.
+ * 
+ * @function window.publishCampaign
+ * @async
+ * @param {string} campaignId - ID of the draft campaign to publish
+ * @returns {Promise<void>}
+ */
+window.publishCampaign = async (campaignId) => {
+  try {
+    await repository.changeCampaignStatus(campaignId, {
+      from: [STATUS.DRAFT], to: STATUS.ACTIVE, action: ACTIONS.PUBLISHED, by: auth.currentUser.uid
+    });
+    alert("Campaign Published");
+  } catch (error) {
+    // Log error for debugging
+    console.error("Publish error:", error);
+    // Show user-friendly error message
+    alert("Failed to publish campaign: " + error.message);
+  }
+};
+
+/**
+ * Pause Campaign Function
+ * 
+ * Stops an active campaign from taking donations until it is resumed.
+ * 
+ * @function window.pauseCampaign
+ * @async
+ * @param {string} campaignId - ID of the campaign to pause
+ * @returns {Promise<void>}
+ */
+window.pauseCampaign = async (campaignId) => {
+  try {
+    await repository.changeCampaignStatus(campaignId, {
+      from: [STATUS.ACTIVE], to: STATUS.PAUSED, action: ACTIONS.PAUSED, by: auth.currentUser.uid
+    });
+    alert("Donations Paused");
+  } catch (error) {
+    // Log error for debugging
+    console.error("Pause error:", error);
+    // Show user-friendly error message
+    alert("Failed to pause campaign: " + error.message);
+  }
+};
+
+/**
+ * Resume Campaign Function
+ * 
+ * Lets a paused campaign take donations again.
+ * 
+ * @function window.resumeCampaign
+ * @async
+ * @param {string} campaignId - ID of the campaign to resume
+ * @returns {Promise<void>}
+ */
+window.resumeCampaign = async (campaignId) => {
+  try {
+    await repository.changeCampaignStatus(campaignId, {
+      from: [STATUS.PAUSED], to: STATUS.ACTIVE, action: ACTIONS.RESUMED, by: auth.currentUser.uid
+    });
+    alert("Donations Resumed");
+  } catch (error) {
+    // Log error for debugging
+    console.error("Resume error:", error);
+    // Show user-friendly error message
+    alert("Failed to resume campaign: " + error.message);
+  }
+};
+
+/**
+ * Cancel Campaign Function
+ * 
+ * Permanently closes a draft, active or paused campaign after confirmation.
+ * Cancelled campaigns stay visible (with their history and ledger) but can
+ * no longer be edited or take donations.
+ * 
+ * @function window.cancelCampaign
+ * @async
+ * @param {string} campaignId - ID of the campaign to cancel
+ * @returns {Promise<void>}
+ */
+window.cancelCampaign = async (campaignId) => {
+  if (!confirm("Cancel this campaign? This cannot be undone.")) {
+    return;
+  }
+
+  try {
+    await repository.changeCampaignStatus(campaignId, {
+      from: [STATUS.DRAFT, STATUS.ACTIVE, STATUS.PAUSED],
+      to: STATUS.CANCELLED,
+      action: ACTIONS.CANCELLED,
+      by: auth.currentUser.uid
+    });
+    alert("Campaign Cancelled");
+  } catch (error) {
+    // Log error for debugging
+    console.error("Cancel error:", error);
+    // Show user-friendly error message
+    alert("Failed to cancel campaign: " + error.message);
+  }
+};
+
+/**
+ * Resubmit Campaign Function
+ * 
+ * Sends a rejected campaign back to the admins' review queue, usually
+ * after editing it to address the reason it was rejected.
+ * 
+ * @function window.resubmitCampaign
+ * @async
+ * @param {string} campaignId - ID of the rejected campaign
+ * @returns {Promise<void>}
+ */
+window.resubmitCampaign = async (campaignId) => {
+  try {
+    await repository.resubmitCampaign(campaignId, auth.currentUser.uid);
+    alert("Campaign sent for review");
+  } catch (error) {
+    // Log error for debugging
+    console.error("Resubmit error:", error);
+    // Show user-friendly error message
+    alert("Failed to resubmit campaign: " + error.message);
+  }
+};
+
+/**
+ * Delete Campaign Function
+ * 
+ * Deletes one of the user's campaigns together with its history. Only
+ * campaigns that have not received any donations can be deleted, so the
+ * public transaction ledger never points at a missing campaign.
+ * 
+ * @function window.deleteCampaign
+ * @async
+ * @param {string} campaignId - ID of the campaign to delete
+ * @returns {Promise<void>}
+ */
+window.deleteCampaign = async (campaignId) => {
+  if (!confirm("Delete this campaign? This cannot be undone.")) {
+    return;
+  }
+
+  try {
+    // Check the campaign has no donations (the ledger is the source of truth)
+    const donations = await repository.listDonations(campaignId);
+    if (donations.length > 0) {
+      alert("Campaigns that have received donations can't be deleted. Cancel it instead.");
+      return;
+    }
+
+    // Delete the images first: storage.rules need the campaign to check the creator
+    await deleteAllCampaignImages(campaignId);
+
+    // Delete the history entries, reward tiers, updates, comments, the slug
+    // and the campaign in one batch
+    await repository.deleteCampaign(campaignId);
+
+    alert("Campaign Deleted");
+  } catch (error) {
+    // Log error for debugging
+    console.error("Delete error:", error);
+    // Show user-friendly error message
+    alert("Failed to delete campaign: " + error.message);
+  }
+};
+
+/**
+ * Edit Campaign Function
+ * 
+ * Opens the edit form filled in with the campaign's current values.
+ * 
+ * @function window.editCampaign
+ * @async
+ * @param {string} campaignId - ID of the campaign to edit
+ * @returns {Promise<void>}
+ */
+window.editCampaign = async (campaignId) => {
+  try {
+    const c = await repository.getCampaign(campaignId);
+    if (!c || c.creator !== auth.currentUser.uid) {
+      alert("Campaign not found");
+      return;
+    }
+
+    document.getElementById("editTitle").value = c.title;
+    document.getElementById("editCategory").value = c.category;
+    document.getElementById("editTarget").value = toInputValue(c.target, c.currency);
+    document.getElementById("editDescription").value = c.description;
+    document.getElementById("editCoverInput").value = "";
+    document.getElementById("editGalleryInput").value = "";
+
+    editingId = campaignId;
+    editingCurrency = c.currency;
+    editingMedia = { cover: c.cover || null, gallery: c.gallery || [] };
+    renderEditMedia();
+    document.getElementById("editPanel").style.display = "block";
+  } catch (error) {
+    // Log error for debugging
+    console.error("Edit error:", error);
+    // Show user-friendly error message
+    alert("Failed to open campaign: " + error.message);
+  }
+};
+
+/**
+ * Close Editor Function
+ * 
+ * Hides the edit form without saving.
+ * 
+ * @function window.closeEditor
+ * @returns {void}
+ */
+window.closeEditor = () => {
+  editingId = null;
+  document.getElementById("editPanel").style.display = "none";
+};
+
+/**
+ * Save Campaign Edits Function
+ * 
+ * Saves the edit form to the campaign being edited and records the changed
+ * fields in its history.
+ * 
+ * @function window.saveCampaignEdits
+ * @async
+ * @returns {Promise<void>}
+ * 
+ * Process:
+ * 1. Validate the form values
+ * 2. Inside a transaction: re-read the campaign, check ownership and status,
+ *    check the new target is not below the amount already raised
+ * 3. Update only the fields that changed and record them in the history
+ * 4. Upload a new cover or gallery images, if any were picked
+ * 5. Close the editor (the campaign list listener shows the changes)
+ */
+window.saveCampaignEdits = async () => {
+  try {
+    if (!editingId) {
+      return;
+    }
+
+    const title = document.getElementById("editTitle").value.trim();
+    const category = document.getElementById("editCategory").value;
+    const description = document.getElementById("editDescription").value.trim();
+    const target = parseAmount(document.getElementById("editTarget").value, editingCurrency);
+    const coverFile = pickedFiles("editCoverInput")[0] || null;
+    const galleryFiles = pickedFiles("editGalleryInput");
+
+    // Check the picked images fit in the gallery
+    const imageError = (coverFile && validateImage(coverFile))
+      || validateImages(galleryFiles, MEDIA_LIMITS.galleryMax - editingMedia.gallery.length);
+    if (imageError) {
+      alert(imageError);
+      return;
+    }
+
+    // Validate that all fields have values
+    if (!title || !category || !description) {
+      alert("Please fill in all fields");
+      return;
+    }
+
+    // Validate target is a positive number
+    if (isNaN(target) || target <= 0) {
+      alert("Please enter a valid target amount");
+      return;
+    }
+
+    // Save the changed fields and record them in the history (see editCampaign() in repository.js)
+    let changed = await repository.editCampaign(editingId, {
+      title,
+      category,
+      description,
+      target,
+      keywords: buildKeywords(title, plainText(description))
+    }, auth.currentUser.uid);
+
+    if (coverFile || galleryFiles.length) {
+      await saveMedia(editingId, editingMedia, coverFile, galleryFiles);
+      changed = true;
+    }
+
+    alert(changed ? "Campaign Updated" : "No changes to save");
+    window.closeEditor();
+  } catch (error) {
+    // Log error for debugging
+    console.error("Save error:", error);
+    // Show user-friendly error message
+    alert("Failed to save campaign: " + error.message);
+  }
+};
+
+/* =======================
+   CAMPAIGN IMAGES
+   ======================= */
+
+/**
+ * Picked Files
+ * 
+ * @function pickedFiles
+ * @param {string} inputId - ID of a file input
+ * @returns {Array<File>} The files picked in it (empty if none)
+ */
+function pickedFiles(inputId) {
+  const input = document.getElementById(inputId);
+  return input ? Array.from(input.files) : [];
+}
+
+/**
+ * Save Media Function
+ * 
+ * Uploads a new cover and/or gallery images for a campaign and stores them
+ * on the campaign document. A replaced cover is deleted from Storage.
+ * 
+ * @function saveMedia
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @param {{cover: Object|null, gallery: Array<Object>}} current - Images stored on the campaign now
+ * @param {File|null} coverFile - New cover image, if one was picked
+ * @param {Array<File>} galleryFiles - Images to add to the gallery
+ * @returns {Promise<void>}
+ */
+async function saveMedia(campaignId, current, coverFile, galleryFiles) {
+  if (!coverFile && galleryFiles.length === 0) {
+    return;
+  }
+
+  const update = {};
+  if (coverFile) {
+    update.cover = await uploadCampaignImage(campaignId, coverFile, "cover");
+  }
+  if (galleryFiles.length) {
+    update.gallery = [...current.gallery, ...await uploadCampaignImages(campaignId, galleryFiles)];
+  }
+
+  await repository.updateCampaignMedia(campaignId, update);
+
+  if (coverFile && current.cover) {
+    await deleteCampaignImage(current.cover)
+      .catch(error => console.error("Old cover delete error:", error));
+  }
+}
+
+/**
+ * Render Edit Media Function
+ * 
+ * Shows the cover and gallery of the campaign being edited, with a Remove
+ * button on each gallery image.
+ * 
+ * @function renderEditMedia
+ * @returns {void}
+ */
+function renderEditMedia() {
+  const container = document.getElementById("editMedia");
+  if (!container) {
+    return;
+  }
+
+  container.innerHTML = "";
+  if (editingMedia.cover) {
+    container.appendChild(el("figure", {},
+      el("img", { src: editingMedia.cover.thumbUrl, alt: "Cover image" }),
+      el("figcaption", {}, "Cover")
+    ));
+  }
+  editingMedia.gallery.forEach((image, index) => {
+    container.appendChild(el("figure", {},
+      el("img", { src: image.thumbUrl, alt: `Gallery image ${index + 1}` }),
+      el("figcaption", {}, el("button", { onclick: () => window.removeGalleryImage(index) }, "Remove"))
+    ));
+  });
+}
+
+/**
+ * Remove Gallery Image Function
+ * 
+ * Removes one image from the gallery of the campaign being edited and
+ * deletes its files from Storage.
+ * 
+ * @function window.removeGalleryImage
+ * @async
+ * @param {number} index - Position of the image in the gallery
+ * @returns {Promise<void>}
+ */
+window.removeGalleryImage = async (index) => {
+  if (!editingId || !confirm("Remove this image?")) {
+    return;
+  }
+
+  try {
+    const image = editingMedia.gallery[index];
+    const gallery = editingMedia.gallery.filter((_, i) => i !== index);
+
+    await repository.updateCampaignMedia(editingId, { gallery });
+    editingMedia.gallery = gallery;
+    renderEditMedia();
+
+    await deleteCampaignImage(image);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Image remove error:", error);
+    // Show user-friendly error message
+    alert("Failed to remove image: " + error.message);
+  }
+};
+
+/* =======================
+   REWARD TIERS
+   ======================= */
+
+/**
+ * Manage Rewards Function
+ * 
+ * Opens the rewards panel for one of the user's campaigns, with its reward
+ * tiers and the fulfilment list of backers per tier.
+ * 
+ * @function window.manageRewards
+ * @async
+ * @param {string} campaignId - ID of the campaign
+ * @returns {Promise<void>}
+ */
+window.manageRewards = async (campaignId) => {
+  try {
+    // Reward minimums are entered in the campaign's currency
+    const campaign = await repository.getCampaign(campaignId);
+    if (!campaign) {
+      alert("Campaign not found");
+      return;
+    }
+    rewardsCurrency = campaign.currency;
+  } catch (error) {
+    // Log error for debugging
+    console.error("Rewards error:", error);
+    // Show user-friendly error message
+    alert("Failed to open rewards: " + error.message);
+    return;
+  }
+
+  rewardsId = campaignId;
+  document.getElementById("rewardsPanel").style.display = "block";
+  await showRewards();
+};
+
+/**
+ * Close Rewards Function
+ * 
+ * @function window.closeRewards
+ * @returns {void}
+ */
+window.closeRewards = () => {
+  rewardsId = null;
+  document.getElementById("rewardsPanel").style.display = "none";
+};
+
+/**
+ * Show Rewards Function
+ * 
+ * Lists the open campaign's reward tiers and builds the fulfilment list.
+ * 
+ * @function showRewards
+ * @async
+ * @returns {Promise<void>}
+ * 
+ * Process:
+ * 1. Fetch the reward tiers, the backers' shipping details and the
+ *    campaign's transactions
+ * 2. List each tier with a Delete button if nobody has claimed it
+ * 3. For each tier, list the backers whose donation is confirmed and not
+ *    refunded, with their shipping details
+ */
+async function showRewards() {
+  const tierList = document.getElementById("rewardTiers");
+  const fulfilment = document.getElementById("fulfilmentList");
+
+  try {
+    const [rewards, backers, transactions] = await Promise.all([
+      loadRewards(rewardsId),
+      loadBackers(rewardsId),
+      repository.listDonations(rewardsId)
+    ]);
+
+    const donations = new Map(transactions.map(t => [t.id, t]));
+
+    tierList.innerHTML = "";
+    if (rewards.length === 0) {
+      tierList.appendChild(el("li", {}, "No reward tiers yet"));
+    }
+    rewards.forEach(reward => {
+      tierList.appendChild(el("li", {},
+        describeReward(reward),
+        ` (${reward.claimed} claimed) `,
+        reward.claimed ? null : el("button", { onclick: () => window.removeReward(reward.id) }, "Delete"),
+        el("br"),
+        reward.description
+      ));
+    });
+
+    fulfilment.innerHTML = "";
+    rewards.forEach(reward => {
+      // Backers of this tier whose payment went through and still stands
+      const rows = backers.filter(backer => {
+        const donation = donations.get(backer.id);
+        return backer.rewardId === reward.id
+          && donation && isConfirmed(donation)
+          && !donation.refundStatus && !donation.rewardUnavailable;
+      });
+
+      fulfilment.appendChild(el("h4", {}, `${reward.title} (${rows.length})`));
+      if (rows.length === 0) {
+        fulfilment.appendChild(el("p", {}, "No backers yet"));
+        return;
+      }
+
+      fulfilment.appendChild(el("table", { border: 1, width: "100%" },
+        el("thead", {}, el("tr", {},
+          ["Name", "Address", "Phone", "Amount", "Date"].map(heading => el("th", {}, heading))
+        )),
+        el("tbody", {}, rows.map(backer => el("tr", {},
+          el("td", {}, backer.name),
+          el("td", {}, backer.address),
+          el("td", {}, backer.phone),
+          el("td", {}, formatAmountOf(donations.get(backer.id), "amount")),
+          el("td", {}, new Date(backer.createdAt).toLocaleDateString("en-IN"))
+        )))
+      ));
+    });
+  } catch (error) {
+    // Log error for debugging
+    console.error("Error loading rewards:", error);
+    tierList.innerHTML = "<li>Error loading rewards</li>";
+  }
+}
+
+/**
+ * Add Reward Function
+ * 
+ * Adds a reward tier to the open campaign from the rewards form.
+ * 
+ * @function window.addReward
+ * @async
+ * @returns {Promise<void>}
+ */
+window.addReward = async () => {
+  if (!rewardsId) {
+    return;
+  }
+
+  try {
+    const limitText = document.getElementById("rewardLimit").value.trim();
+
+    await createReward(rewardsId, {
+      title: document.getElementById("rewardTitle").value.trim(),
+      description: document.getElementById("rewardDescription").value.trim(),
+      minAmount: parseAmount(document.getElementById("rewardMinAmount").value, rewardsCurrency),
+      currency: rewardsCurrency,
+      limit: limitText ? Number(limitText) : null,
+      deliveryDate: document.getElementById("rewardDelivery").value
+    });
+
+    ["rewardTitle", "rewardDescription", "rewardMinAmount", "rewardLimit", "rewardDelivery"]
+      .forEach(field => { document.getElementById(field).value = ""; });
+
+    alert("Reward Added");
+    await showRewards();
+  } catch (error) {
+    // Log error for debugging
+    console.error("Reward error:", error);
+    // Show user-friendly error message
+    alert("Failed to add reward: " + error.message);
+  }
+};
+
+/**
+ * Remove Reward Function
+ * 
+ * Deletes a reward tier nobody has claimed.
+ * 
+ * @function window.removeReward
+ * @async
+ * @param {string} rewardId - ID of the reward tier
+ * @returns {Promise<void>}
+ */
+window.removeReward = async (rewardId) => {
+  if (!rewardsId || !confirm("Delete this reward tier?")) {
+    return;
+  }
+
+  try {
+    await deleteReward(rewardsId, rewardId);
+    await showRewards();
+  } catch (error) {
+    // Log error for debugging
+    console.error("Reward delete error:", error);
+    // Show user-friendly error message
+    alert("Failed to delete reward: " + error.message);
+  }
+};
+
+/* =======================
+   PAYOUTS
+   ======================= */
+
+/**
+ * Manage Payouts Function
+ * 
+ * Opens the payouts panel for one of the user's campaigns.
+ * 
+ * @function window.managePayouts
+ * @async
+ * @param {string} campaignId - ID of the campaign
+ * @returns {Promise<void>}
+ */
+window.managePayouts = async (campaignId) => {
+  payoutsId = campaignId;
+  document.getElementById("payoutAmount").value = "";
+  document.getElementById("payoutPreview").textContent = "";
+  document.getElementById("payoutsPanel").style.display = "block";
+  await showPayouts();
+};
+
+/**
+ * Close Payouts Function
+ * 
+ * @function window.closePayouts
+ * @returns {void}
+ */
+window.closePayouts = () => {
+  payoutsId = null;
+  openLedger = null;
+  document.getElementById("payoutsPanel").style.display = "none";
+};
+
+/**
+ * Show Payouts Function
+ * 
+ * Shows the open campaign's payout ledger and payout requests.
+ * 
+ * @function showPayouts
+ * @async
+ * @returns {Promise<void>}
+ * 
+ * Process:
+ * 1. Fetch the ledger, worked out by Cloud Functions from the campaign's
+ *    transactions, and the payout requests
+ * 2. List gross raised, refunds, reserved money, fees, payouts and what
+ *    can be withdrawn now
+ * 3. Say whether the ledger matches the campaign's raised total
+ * 4. List the payout requests
+ */
+async function showPayouts() {
+  const ledgerBody = document.getElementById("payoutLedger");
+  const check = document.getElementById("payoutReconciliation");
+  const history = document.getElementById("payoutHistory");
+
+  try {
+    const { ledger, payouts } = await getPayoutLedger(payoutsId);
+    openLedger = ledger;
+    // "|| 0" so nothing is shown as "-₹0.00"
+    const money = (amount) => formatMoney(amount || 0, ledger.currency);
+
+    const rows = [
+      ["Gross raised (confirmed donations)", ledger.gross],
+      ["Refunded", -ledger.refunded],
+      [`Reserved for refunds (last ${ledger.holdDays} days, or until an all-or-nothing campaign succeeds)`, -ledger.reserved],
+      ["Waiting for approval", -ledger.pending],
+      [`Platform fees (${ledger.feeRate * 100}%)`, -ledger.fees],
+      ["Paid out", -ledger.paidOut],
+      ["Available to withdraw", ledger.available]
+    ];
+    if (ledger.shortfall) {
+      rows.push(["Owed (refunded after being paid out)", -ledger.shortfall]);
+    }
+    ledgerBody.replaceChildren(...rows.map(([label, amount]) => el("tr", {},
+      el("td", {}, label),
+      el("td", {}, money(amount))
+    )));
+
+    check.textContent = ledger.reconciled
+      ? `Matches the ${ledger.transactions} ledger entries of this campaign.`
+      : `Does not match the ledger: the campaign shows ${money(ledger.storedRaised)} raised, `
+        + `its ${ledger.transactions} ledger entries add up to ${money(ledger.raised)}. Ask an admin to correct it.`;
+
+    history.replaceChildren(...(payouts.length ? payouts.map(payout => el("tr", {},
+      el("td", {}, new Date(payout.requestedAt).toLocaleDateString("en-IN")),
+      el("td", {}, money(payout.amount)),
+      el("td", {}, money(payout.fee)),
+      el("td", {}, money(payout.net)),
+      el("td", {}, `••••${payout.account.accountNumber.slice(-4)}`),
+      el("td", {}, PAYOUT_STATUS_LABELS[payout.status] || payout.status,
+        payout.reason ? ` · ${payout.reason}` : "",
+        payout.reference ? ` · Ref. ${payout.reference}` : "")
+    )) : [el("tr", {}, el("td", { colspan: 6 }, "No payouts yet"))]));
+  } catch (error) {
+    // Log error for debugging
+    console.error("Error loading payouts:", error);
+    openLedger = null;
+    ledgerBody.innerHTML = "<tr><td colspan=\"2\">Error loading payouts</td></tr>";
+  }
+}
+
+/**
+ * Payout Preview
+ * 
+ * Shows what the owner receives after the platform fee as they type.
+ */
+document.getElementById("payoutAmount")?.addEventListener("input", (event) => {
+  const preview = document.getElementById("payoutPreview");
+  const amount = openLedger ? parseAmount(event.target.value, openLedger.currency) : NaN;
+  preview.textContent = amount > 0
+    ? `You receive ${formatMoney(amount - payoutFee(amount, openLedger.feeRate), openLedger.currency)} `
+      + `after the ${formatMoney(payoutFee(amount, openLedger.feeRate), openLedger.currency)} platform fee.`
+    : "";
+});
+
+/**
+ * Request Withdrawal Function
+ * 
+ * Asks for part or all of the open campaign's available balance to be
+ * paid to the owner's payout account. An admin approves it once the
+ * transfer is sent.
+ * 
+ * @function window.requestWithdrawal
+ * @async
+ * @returns {Promise<void>}
+ */
+window.requestWithdrawal = async () => {
+  if (!payoutsId || !openLedger) {
+    return;
+  }
+
+  const amount = parseAmount(document.getElementById("payoutAmount").value, openLedger.currency);
+  if (isNaN(amount) || amount <= 0) {
+    alert("Please enter a valid amount");
+    return;
+  }
+  if (amount > openLedger.available) {
+    alert(`You can withdraw at most ${formatMoney(openLedger.available, openLedger.currency)}`);
+    return;
+  }
+
+  try {
+    await requestPayout(payoutsId, amount);
+    alert("Withdrawal requested. An admin will approve it once the transfer is sent.");
+    document.getElementById("payoutAmount").value = "";
+    document.getElementById("payoutPreview").textContent = "";
+    await showPayouts();
+  } catch (error) {
+    // Log error for debugging
+    console.error("Payout request error:", error);
+    // Show user-friendly error message
+    alert("Failed to request withdrawal: " + error.message);
+  }
+};
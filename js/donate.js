@@ -2,41 +2,76 @@
  * Donation Module
  * 
  * Handles the campaign detail page where users can:
- * - View campaign details (title, description, progress)
- * - View transaction history (donations made to the campaign)
- * - Make donations to the campaign
+ * - View campaign details (cover image, title, description, progress, gallery)
+ * - View transaction history (donations and refunds for the campaign, with
+ *   donor names and messages)
+ * - Make donations to the campaign, by display name or anonymously, and
+ *   pick a reward tier (with shipping details for the owner), or give the
+ *   same amount every month (managed from subscriptions.html)
+ * - See the donor wall of top and recent supporters (campaign owner)
+ * - Refund single donations (campaign owner and admins)
+ * - Read the creator's updates, and comment and reply in threads (the
+ *   creator posts updates and pins or hides comments)
+ * - Report the campaign to the admins
+ * 
+ * Campaigns that are not approved (see moderation.js) are only shown to
+ * their owner and to admins.
  * 
  * @file js/donate.js
  */
 
 // Import Firebase services
-import { db, auth } from "./firebase.js";
-// Import Firestore functions for database operations
-import {
-  doc,        // Reference to a specific document
-  getDoc,     // Get a single document
-  updateDoc,  // Update fields in a document
-  addDoc,     // Add a new document to a collection
-  collection, // Reference to a collection
-  query,      // Create a query for filtering/sorting
-  where,      // Filter documents by field value
-  orderBy,    // Sort documents by field value
-  getDocs     // Execute a query and get documents
-} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+import { auth, functions } from "./firebase.js";
+// Import the campaign and donation repository
+import { repository } from "./repository-firestore.js";
 // Import authentication state observer
 import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+// Import callable function helper
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-functions.js";
+// Import campaign lifecycle helpers
+import {
+  STATUS, STATUS_LABELS, FUNDING_MODE, FUNDING_MODE_LABELS, MODERATION, MODERATION_LABELS,
+  effectiveStatus, isAcceptingDonations, timeLeft, moderationState, isApproved
+} from "./lifecycle.js";
+// Import the campaign audit history helpers
+import { ACTION_LABELS, watchHistory } from "./history.js";
+// Import the payment provider layer
+import { DONATION_STATUS, isConfirmed, payForDonation } from "./payments.js";
+// Import the donor name, message and donor wall helpers
+import { validateMessage, donorFields, donorLabel, buildDonorWall } from "./donors.js";
+// Import the profile lookup (donations are shown under the donor's display name)
+import { getProfile } from "./users.js";
+// Import the safe rendering helpers (campaign text is user input)
+import { el, setRichText, richText } from "./render.js";
+// Import the reward tier helpers
+import { watchRewards, describeReward, remaining, validateShipping } from "./rewards.js";
+// Import the money helpers
+import {
+  DEFAULT_CURRENCY, amountOf, parseAmount, toInputValue, formatMoney, formatAmountOf, donationAmountError
+} from "./money.js";
+// Import the admin check and campaign reports
+import { REPORT_REASONS, checkIsAdmin, submitReport } from "./moderation.js";
+// Import the share link and embed helpers
+import { campaignUrl, shareLinks, embedCode } from "./share.js";
+// Import the updates and comments helpers
+import {
+  secondsUntilAllowed, postUpdate, postComment, setCommentPinned, setCommentHidden,
+  watchUpdates, watchComments, buildThreads
+} from "./feed.js";
 
 /* =======================
-   LOAD CAMPAIGN DETAILS
+   LIVE CAMPAIGN DETAILS
    ======================= */
 
 /**
  * Get Campaign ID from URL
  * 
  * Extracts the campaign ID from the URL query parameters.
- * The campaign ID is passed as ?id=xxxxx in the URL.
+ * The campaign ID is passed as ?id=xxxxx in the URL. Pages served at
+ * /c/<slug> (see share.js) carry it in a campaign-id meta tag instead.
  */
-const id = new URLSearchParams(window.location.search).get("id");
+const id = new URLSearchParams(window.location.search).get("id")
+  || document.querySelector('meta[name="campaign-id"]')?.content;
 
 // Validate that a campaign ID was provided in the URL
 if (!id) {
@@ -46,195 +81,774 @@ if (!id) {
 }
 
 /**
- * Reference to the Campaign Document
+ * Whether the Signed-In User Is an Admin
+ * 
+ * Looked up once per sign-in. Admins can refund donations on any campaign
+ * and see campaigns that are not approved.
  * 
- * Creates a reference to the specific campaign document in Firestore.
- * This reference is used to read and update the campaign data.
+ * @type {boolean}
  */
-const ref = doc(db, "campaigns", id);
+let isAdmin = false;
 
 /**
- * Load Campaign Details Function
+ * Whether the Signed-In User Can Refund
  * 
- * Fetches the campaign data from Firestore and displays it on the page.
- * Shows the campaign title, description, and current fundraising progress.
+ * True for the campaign owner and for admins. Updated with every campaign
+ * snapshot; the refundDonation function checks this again.
  * 
- * @function loadCampaignDetails
- * @async
- * @returns {Promise<void>}
+ * @type {boolean}
+ */
+let canRefund = false;
+
+/**
+ * Whether the Signed-In User Owns the Campaign
+ * 
+ * The donor wall is only shown to the campaign owner.
+ * 
+ * @type {boolean}
+ */
+let isOwner = false;
+
+/**
+ * Latest Transactions
+ * 
+ * Kept so the log can be redrawn when the refund buttons or the donor's
+ * own pending donations change between snapshots.
+ * 
+ * @type {Array<import("./repository.js").Donation>}
+ */
+let transactions = [];
+
+/**
+ * Reward Tiers
+ * 
+ * The campaign's reward tiers, cheapest first, kept up to date by the
+ * rewards listener.
+ * 
+ * @type {Array<Object>}
+ */
+let rewards = [];
+
+/**
+ * Donations Started on This Page
+ * 
+ * IDs of the signed-in user's donations that are still being paid. They
+ * are shown in the log as "Pending" straight away, and disappear if the
+ * payment is cancelled or fails.
+ * 
+ * @type {Set<string>}
+ */
+const myPending = new Set();
+
+/**
+ * Campaign Creator's User ID
+ * 
+ * Comments from the creator are marked. Set from the campaign snapshot.
+ * 
+ * @type {string|null}
+ */
+let creatorId = null;
+
+/**
+ * Campaign Currency
+ * 
+ * Donations are typed and stored in the campaign's currency. Set from the
+ * campaign snapshot.
+ * 
+ * @type {string}
+ */
+let campaignCurrency = DEFAULT_CURRENCY;
+
+/**
+ * Latest Comments Snapshot
+ * 
+ * Kept so the threads can be redrawn when the pin and hide buttons change.
+ * 
+ * @type {Array<Object>}
+ */
+let comments = [];
+
+/**
+ * Active Snapshot Listeners
+ * 
+ * Unsubscribe functions for the campaign, transaction, reward, history and
+ * update listeners.
+ * 
+ * @type {Array<Function>}
+ */
+let listeners = [];
+
+/**
+ * Comments Listener
+ * 
+ * Kept apart from the others: it is restarted (with hidden comments) when
+ * the campaign turns out to belong to the signed-in user.
+ * 
+ * @type {Function|null}
+ */
+let stopComments = null;
+
+/**
+ * Stop Listening Function
+ * 
+ * Detaches every snapshot listener started by watchCampaign().
+ * 
+ * @function stopListening
+ * @returns {void}
+ */
+function stopListening() {
+  listeners.forEach(unsubscribe => unsubscribe());
+  listeners = [];
+  if (stopComments) {
+    stopComments();
+    stopComments = null;
+  }
+}
+
+/**
+ * Watch Campaign Function
+ * 
+ * Listens to the campaign, its transactions, its reward tiers, its change
+ * history, its updates and its comments, so progress totals, status
+ * changes, new donations, reward stock and new posts appear without
+ * reloading the page.
+ * 
+ * @function watchCampaign
+ * @returns {void}
+ */
+function watchCampaign() {
+  // Only one set of listeners at a time
+  stopListening();
+
+  // The campaign and its transactions (newest first) come from repository.js
+  listeners.push(
+    repository.watchCampaign(id, renderCampaignDetails, (error) => {
+      // Log error for debugging
+      console.error("Error loading campaign:", error);
+      // Show user-friendly error message
+      alert("Failed to load campaign: " + error.message);
+    }),
+    repository.watchDonations(id, (donations) => {
+      transactions = donations;
+      renderTransactions();
+    }, (error) => {
+      // Log error for debugging
+      console.error("Error loading transactions:", error);
+      // Show error message in the table
+      const logBody = document.getElementById("transactionList");
+      if (logBody) {
+        logBody.innerHTML = `
+          <tr>
+            <td colspan="6" style="text-align:center; color: red;">Error loading transactions</td>
+          </tr>`;
+      }
+    }),
+    watchRewards(id, renderRewards, (error) => {
+      // Log error for debugging
+      console.error("Error loading rewards:", error);
+    }),
+    watchHistory(id, renderCampaignHistory, (error) => {
+      // Log error for debugging
+      console.error("Error loading history:", error);
+      const historyList = document.getElementById("historyList");
+      if (historyList) historyList.innerHTML = "<li>Error loading history</li>";
+    }),
+    watchUpdates(id, renderUpdates, (error) => {
+      // Log error for debugging
+      console.error("Error loading updates:", error);
+    })
+  );
+
+  listenToComments();
+}
+
+/**
+ * Listen to Comments Function
+ * 
+ * (Re)starts the comments listener; the campaign owner also gets hidden
+ * comments.
+ * 
+ * @function listenToComments
+ * @returns {void}
+ */
+function listenToComments() {
+  if (stopComments) {
+    stopComments();
+  }
+  stopComments = watchComments(id, isOwner, (docs) => {
+    comments = docs;
+    renderComments();
+  }, (error) => {
+    // Log error for debugging
+    console.error("Error loading comments:", error);
+  });
+}
+
+/**
+ * Render Campaign Details Function
+ * 
+ * Displays the campaign. Shows the cover image, campaign
+ * title, description, current fundraising progress, lifecycle status, time
+ * left, funding mode and image gallery.
+ * 
+ * @function renderCampaignDetails
+ * @param {import("./repository.js").Campaign|null} data - The campaign, or null if it was deleted
+ * @returns {void}
  * 
  * Process:
- * 1. Fetch the campaign document from Firestore
- * 2. Check if the campaign exists
- * 3. Update the page elements with campaign data
- * 4. Load the transaction history
+ * 1. Check if the campaign exists
+ * 2. Work out whether the signed-in user owns the campaign or can issue refunds
+ * 3. Hide campaigns that are not approved from everyone but the owner and admins
+ * 4. Update the page elements with campaign data
+ * 5. Redraw the transaction log if the refund buttons changed, and restart
+ *    the comments listener if ownership changed
  */
-async function loadCampaignDetails() {
-  try {
-    // Fetch the campaign document from Firestore
-    const snap = await getDoc(ref);
-    
-    // Check if the document exists
-    if (!snap.exists()) {
-      alert("Campaign not found");
-      // Redirect to dashboard if campaign doesn't exist
-      window.location.href = "dashboard.html";
-      return;
+function renderCampaignDetails(data) {
+  // Check if the campaign exists
+  if (!data) {
+    stopListening();
+    alert("Campaign not found");
+    // Redirect to dashboard if campaign doesn't exist
+    window.location.href = "dashboard.html";
+    return;
+  }
+
+  campaignCurrency = data.currency;
+
+  // Owners and admins get a Refund button on each donation
+  const user = auth.currentUser;
+  const wasOwner = isOwner;
+  const couldRefund = canRefund;
+  isOwner = Boolean(user) && data.creator === user.uid;
+  canRefund = isOwner || isAdmin;
+
+  // Campaigns waiting for review, rejected or taken down are hidden from
+  // the public; owners and admins see them with the moderation state
+  const content = document.getElementById("campaignContent");
+  const notice = document.getElementById("moderationNotice");
+  const visible = isApproved(data) || isOwner || isAdmin;
+  if (content) content.style.display = visible ? "block" : "none";
+  if (notice) renderModerationNotice(notice, data, visible);
+  if (!visible) {
+    return;
+  }
+
+  // Get the DOM elements where we'll display the campaign information
+  const title = document.getElementById("title");
+  const desc = document.getElementById("desc");
+  const progress = document.getElementById("progress");
+  const status = document.getElementById("status");
+  const fundingMode = document.getElementById("fundingMode");
+
+  // Update the page elements with campaign data
+  // Check if elements exist before updating to avoid errors
+  if (title) title.innerText = data.title;
+  // Descriptions may use limited rich text, sanitised by render.js
+  if (desc) setRichText(desc, data.description);
+  // Display progress as: "₹raised / ₹target" in the campaign's currency
+  if (progress) progress.innerText = `${formatAmountOf(data, "raised")} / ${formatAmountOf(data, "target")}`;
+  // Display status as: "Active · 12 days left"
+  if (status) status.innerText = `${STATUS_LABELS[effectiveStatus(data)]} · ${timeLeft(data)}`;
+  // Display the funding mode (all-or-nothing campaigns refund everyone if the target is missed)
+  if (fundingMode) fundingMode.innerText = FUNDING_MODE_LABELS[data.fundingMode || FUNDING_MODE.KEEP];
+  // Display the cover image and the gallery (see media.js)
+  renderMedia(data);
+  // Share buttons and embed code (approved campaigns only)
+  renderShare(data);
+
+  // Comments from the creator are marked
+  if (data.creator !== creatorId) {
+    creatorId = data.creator;
+    renderComments();
+  }
+
+  // Only the owner posts updates
+  const updateForm = document.getElementById("updateForm");
+  if (updateForm) updateForm.style.display = isOwner ? "block" : "none";
+
+  if (isOwner !== wasOwner || canRefund !== couldRefund) {
+    renderTransactions();
+  }
+  // The owner also sees hidden comments, with pin and hide buttons
+  if (isOwner !== wasOwner) {
+    listenToComments();
+  }
+}
+
+/**
+ * Render Moderation Notice Function
+ * 
+ * Explains why a campaign is not public: to visitors, that it is not
+ * available; to the owner and admins, its moderation state and the
+ * admin's reason.
+ * 
+ * @function renderModerationNotice
+ * @param {HTMLElement} notice - Notice element
+ * @param {Object} data - Campaign document data
+ * @param {boolean} visible - Whether the signed-in user can see the campaign
+ * @returns {void}
+ */
+function renderModerationNotice(notice, data, visible) {
+  const state = moderationState(data);
+  if (state === MODERATION.APPROVED) {
+    notice.style.display = "none";
+    return;
+  }
+
+  notice.style.display = "block";
+  if (!visible) {
+    notice.replaceChildren(el("p", {}, state === MODERATION.PENDING
+      ? "This campaign is waiting for review and is not public yet."
+      : "This campaign is not available."));
+    return;
+  }
+
+  notice.replaceChildren(
+    el("p", {}, el("strong", {}, `${MODERATION_LABELS[state]}:`), " only you and the admins can see this campaign."),
+    data.moderationReason ? el("p", {}, "Reason: ", data.moderationReason) : null
+  );
+}
+
+/**
+ * Render Media Function
+ * 
+ * Shows the cover image at the top of the page and the gallery thumbnails,
+ * each linking to the full-size image.
+ * 
+ * @function renderMedia
+ * @param {Object} data - Campaign document data
+ * @returns {void}
+ */
+function renderMedia(data) {
+  const cover = document.getElementById("cover");
+  if (cover) {
+    if (data.cover) {
+      cover.src = data.cover.url;
+      cover.style.display = "block";
+    } else {
+      cover.removeAttribute("src");
+      cover.style.display = "none";
     }
+  }
 
-    // Get the campaign data from the document
-    const data = snap.data();
-    
-    // Get the DOM elements where we'll display the campaign information
-    const title = document.getElementById("title");
-    const desc = document.getElementById("desc");
-    const progress = document.getElementById("progress");
-
-    // Update the page elements with campaign data
-    // Check if elements exist before updating to avoid errors
-    if (title) title.innerText = data.title;
-    if (desc) desc.innerText = data.description;
-    // Display progress as: "₹raised / ₹target"
-    if (progress) progress.innerText = `₹${data.raised} / ₹${data.target}`;
-
-    // After loading campaign details, load the transaction history
-    loadTransactions();
-  } catch (error) {
-    // Log error for debugging
-    console.error("Error loading campaign:", error);
-    // Show user-friendly error message
-    alert("Failed to load campaign: " + error.message);
+  const gallery = document.getElementById("gallery");
+  if (gallery) {
+    gallery.replaceChildren(...(data.gallery || []).map((image, index) =>
+      el("a", { href: image.url, target: "_blank", rel: "noopener" },
+        el("img", { src: image.thumbUrl, alt: `${data.title} image ${index + 1}` })
+      )
+    ));
   }
 }
 
-// Load campaign details when the page loads
-loadCampaignDetails();
+/**
+ * Authentication State Observer
+ * 
+ * Starts the listeners once the auth state is known (it decides whether
+ * refunds are offered), and restarts them when the user changes.
+ */
+onAuthStateChanged(auth, async (user) => {
+  stopListening();
+  isOwner = false;
+  canRefund = false;
+
+  try {
+    isAdmin = await checkIsAdmin(user);
+  } catch (error) {
+    console.error("Admin check error:", error);
+    isAdmin = false;
+  }
+
+  watchCampaign();
+});
+
+// Detach the listeners when leaving the page
+window.addEventListener("pagehide", stopListening);
 
 /* =======================
-   LOAD TRANSACTION LOG
+   LIVE TRANSACTION LOG
    ======================= */
 
 /**
- * Load Transactions Function
+ * Render Transactions Function
  * 
- * Fetches all donation transactions for this campaign and displays them in a table.
- * Transactions are sorted by time (most recent first).
+ * Displays the latest transactions snapshot for this campaign in a table:
+ * the confirmed ones, plus the signed-in user's own donations that are
+ * still being paid (marked "Pending"). Other pending and failed payments
+ * are left out. Each row shows the donor's name (or "Anonymous") and their
+ * message. Refunds appear as their own negative entries, and the donations
+ * they reverse are marked as refunded. Transactions are sorted by time
+ * (most recent first). The campaign owner also gets the donor wall.
  * 
- * @function loadTransactions
- * @async
- * @returns {Promise<void>}
+ * @function renderTransactions
+ * @returns {void}
  * 
  * Process:
  * 1. Get the table body element
- * 2. Create a query to filter transactions by campaign ID and sort by time
- * 3. Fetch matching transactions from Firestore
- * 4. Display each transaction in a table row with formatted date
+ * 2. Keep the confirmed transactions and the user's own pending ones
+ * 3. Display each transaction in a table row with formatted date
+ * 4. Show the donor wall to the campaign owner
  */
-async function loadTransactions() {
-  try {
-    // Get the table body element where transactions will be displayed
-    const logBody = document.getElementById("transactionList");
-    if (!logBody) {
-      console.error("transactionList element not found");
-      return;
-    }
+function renderTransactions() {
+  // Get the table body element where transactions will be displayed
+  const logBody = document.getElementById("transactionList");
+  if (!logBody) {
+    console.error("transactionList element not found");
+    return;
+  }
+
+  // Forget donations started here once the payment has settled
+  transactions.forEach(t => {
+    if (t.status !== DONATION_STATUS.PENDING) myPending.delete(t.id);
+  });
+
+  // Keep donations whose payment is confirmed, and this donor's pending ones
+  const shown = transactions.filter(t => isConfirmed(t) || myPending.has(t.id));
 
-    // Clear any existing transaction rows
-    logBody.innerHTML = "";
+  if (isOwner) {
+    renderDonorWall(transactions);
+  }
+
+  // Clear any existing transaction rows
+  logBody.innerHTML = "";
+
+  // If no transactions are shown, show a message
+  if (shown.length === 0) {
+    logBody.innerHTML = `
+      <tr>
+        <td colspan="6" style="text-align:center;">No donations yet</td>
+      </tr>`;
+    return;
+  }
+
+  // Counter for row numbering (starts at 1; pending donations are not numbered)
+  let index = 1;
+
+  // Loop through each transaction and create a table row
+  shown.forEach(d => {
+    const pending = !isConfirmed(d);
 
     /**
-     * Create a Firestore Query
+     * Format the Transaction Date
      * 
-     * This query:
-     * - Gets documents from the "transactions" collection
-     * - Filters to only transactions for this campaign (where campaignId == id)
-     * - Sorts by time in descending order (newest first)
+     * Convert the timestamp (milliseconds since epoch) to a readable date string.
+     * Format: "DD MMM YYYY, HH:MM AM/PM" (e.g., "15 Jan 2024, 02:30 PM")
+     */
+    const date = new Date(d.createdAt);
+    const formattedDate = date.toLocaleString("en-IN", {
+      day: "2-digit",      // Day of month (01-31)
+      month: "short",      // Abbreviated month name (Jan, Feb, etc.)
+      year: "numeric",     // Full year (2024)
+      hour: "2-digit",     // Hour (01-12)
+      minute: "2-digit",   // Minute (00-59)
+      hour12: true         // Use 12-hour format with AM/PM
+    });
+
+    /**
+     * Refund Column
+     * 
+     * - The donor's own donations still being paid are marked as pending
+     * - Refund entries are labelled as such (their amount is negative)
+     * - Refunded donations are marked as refunded; owners and admins can
+     *   retry a refund that was interrupted
+     * - Owners and admins get a Refund button on other donations
+     */
+    let refundCell = "";
+    if (pending) {
+      refundCell = "Pending";
+    } else if (d.type === "refund") {
+      refundCell = "Refund";
+    } else if (d.refundStatus === "processing" && canRefund) {
+      refundCell = el("button", { onclick: () => window.refundDonation(d.id) }, "Retry Refund");
+    } else if (d.refundStatus) {
+      refundCell = d.refundStatus === "processing" ? "Refunding" : "Refunded";
+    } else if (canRefund) {
+      refundCell = el("button", { onclick: () => window.refundDonation(d.id) }, "Refund");
+    }
+
+    // Refunds are negative and are shown with a minus sign
+    const amount = formatAmountOf(d, "amount");
+
+    /**
+     * Create the Table Row
      * 
-     * Note: For orderBy to work with where, you may need to create a composite index
-     * in Firestore. Firebase will provide a link if the index is missing.
+     * Donor names and messages are typed by users, so the cells are
+     * built with el() (see render.js) and never parsed as HTML.
      */
-    const q = query(
-      collection(db, "transactions"),           // Collection to query
-      where("campaignId", "==", id),            // Filter: only transactions for this campaign
-      orderBy("time", "desc")                   // Sort: newest transactions first
+    const row = el("tr", { className: pending ? "pending" : null },
+      el("td", {}, pending ? "…" : index++),  // Row number (1, 2, 3, ...)
+      el("td", {}, donorLabel(d)),            // Donor name or "Anonymous"
+      el("td", {}, amount,                    // Amount with currency symbol (negative for refunds)
+        d.recurring ? el("span", { className: "tag" }, "Monthly") : null),
+      el("td", {}, d.message || ""),          // Donor message
+      el("td", {}, formattedDate),            // Formatted date and time
+      el("td", {}, refundCell)                // Refund, pending label or button
     );
 
-    // Execute the query and get the results
-    const snapshot = await getDocs(q);
+    // Add the row to the table
+    logBody.appendChild(row);
+  });
+}
 
-    // If no transactions exist, show a message
-    if (snapshot.empty) {
-      logBody.innerHTML = `
-        <tr>
-          <td colspan="3" style="text-align:center;">No donations yet</td>
-        </tr>`;
-      return;
-    }
+/* =======================
+   REWARD TIERS
+   ======================= */
 
-    // Counter for row numbering (starts at 1)
-    let index = 1;
-
-    // Loop through each transaction and create a table row
-    snapshot.forEach(doc => {
-      // Get the transaction data
-      const d = doc.data();
-
-      /**
-       * Format the Transaction Date
-       * 
-       * Convert the timestamp (milliseconds since epoch) to a readable date string.
-       * Format: "DD MMM YYYY, HH:MM AM/PM" (e.g., "15 Jan 2024, 02:30 PM")
-       */
-      const date = new Date(d.time);
-      const formattedDate = date.toLocaleString("en-IN", {
-        day: "2-digit",      // Day of month (01-31)
-        month: "short",      // Abbreviated month name (Jan, Feb, etc.)
-        year: "numeric",     // Full year (2024)
-        hour: "2-digit",     // Hour (01-12)
-        minute: "2-digit",   // Minute (00-59)
-        hour12: true         // Use 12-hour format with AM/PM
-      });
-
-      // Create a new table row element
-      const row = document.createElement("tr");
-
-      // Set the row content with transaction details
-      row.innerHTML = `
-        <td>${index++}</td>              <!-- Row number (1, 2, 3, ...) -->
-        <td>₹${d.amount}</td>            <!-- Donation amount with currency symbol -->
-        <td>${formattedDate}</td>        <!-- Formatted date and time -->
-      `;
-
-      // Add the row to the table
-      logBody.appendChild(row);
-    });
-  } catch (error) {
-    // Log error for debugging
-    console.error("Error loading transactions:", error);
-    
-    // Show error message in the table
-    const logBody = document.getElementById("transactionList");
-    if (logBody) {
-      logBody.innerHTML = `
-        <tr>
-          <td colspan="3" style="text-align:center; color: red;">Error loading transactions</td>
-        </tr>`;
-    }
+/**
+ * Selected Reward
+ * 
+ * @function selectedReward
+ * @returns {Object|null} The reward tier picked by the donor, or null for no reward
+ */
+function selectedReward() {
+  const picked = document.querySelector('input[name="reward"]:checked');
+  return (picked && rewards.find(reward => reward.id === picked.value)) || null;
+}
+
+/**
+ * Render Rewards Function
+ * 
+ * Lists the reward tiers as options above the Donate button. Sold-out
+ * tiers can't be picked. Picking a tier shows the shipping fields and
+ * raises the amount to the tier's minimum.
+ * 
+ * @function renderRewards
+ * @param {Array<Object>} list - Reward tiers, cheapest first
+ * @returns {void}
+ */
+function renderRewards(list) {
+  const container = document.getElementById("rewardList");
+  if (!container) {
+    return;
+  }
+
+  // Keep the donor's choice across stock updates
+  const previous = selectedReward();
+  rewards = list;
+
+  container.innerHTML = "";
+  if (rewards.length === 0) {
+    container.appendChild(el("p", {}, "This campaign has no rewards"));
+  }
+
+  const option = (value, label, detail, disabled) => el("label", { style: "display: block;" },
+    el("input", {
+      type: "radio",
+      name: "reward",
+      value,
+      disabled,
+      checked: (previous ? previous.id : "") === value && !disabled,
+      onchange: onRewardChange
+    }),
+    " ", label,
+    detail ? el("br") : null,
+    detail
+  );
+
+  container.appendChild(option("", "No reward", "", false));
+  rewards.forEach(reward => {
+    container.appendChild(option(reward.id, describeReward(reward), reward.description, remaining(reward) === 0));
+  });
+
+  onRewardChange();
+}
+
+/**
+ * Reward Change Handler
+ * 
+ * Shows the shipping fields when a tier is picked, and raises the amount
+ * to the tier's minimum.
+ * 
+ * @function onRewardChange
+ * @returns {void}
+ */
+function onRewardChange() {
+  const reward = selectedReward();
+  const shipping = document.getElementById("shippingDetails");
+  if (shipping) shipping.style.display = reward ? "block" : "none";
+
+  const amountInput = document.getElementById("amount");
+  const minAmount = reward ? amountOf(reward, "minAmount") : 0;
+  if (reward && amountInput && !(parseAmount(amountInput.value, campaignCurrency) >= minAmount)) {
+    amountInput.value = toInputValue(minAmount, campaignCurrency);
+  }
+}
+
+/* =======================
+   DONOR WALL
+   ======================= */
+
+/**
+ * Render Donor Wall Function
+ * 
+ * Shows the campaign owner the top supporters (by total given) and the most
+ * recent supporters with their messages.
+ * 
+ * @function renderDonorWall
+ * @param {Array<import("./repository.js").Donation>} donations - The campaign's transactions
+ * @returns {void}
+ */
+function renderDonorWall(donations) {
+  const wall = document.getElementById("donorWall");
+  const topList = document.getElementById("topSupporters");
+  const recentList = document.getElementById("recentSupporters");
+  if (!wall || !topList || !recentList) {
+    return;
+  }
+
+  const { top, recent } = buildDonorWall(donations);
+
+  topList.innerHTML = "";
+  recentList.innerHTML = "";
+
+  if (top.length === 0) {
+    topList.innerHTML = "<li>No supporters yet</li>";
+  }
+  top.forEach(donor => {
+    topList.appendChild(el("li", {}, `${donor.name} — ${formatMoney(donor.amount, campaignCurrency)}`
+      + (donor.count > 1 ? ` (${donor.count} donations)` : "")));
+  });
+
+  if (recent.length === 0) {
+    recentList.innerHTML = "<li>No supporters yet</li>";
+  }
+  recent.forEach(donor => {
+    recentList.appendChild(el("li", {}, `${donor.name} — ${formatMoney(donor.amount, campaignCurrency)}`
+      + (donor.message ? `: "${donor.message}"` : "")));
+  });
+
+  wall.style.display = "block";
+}
+
+/* =======================
+   LIVE CAMPAIGN HISTORY
+   ======================= */
+
+/**
+ * Describe a History Value
+ * 
+ * Formats one side of a field change for display.
+ * 
+ * @function describeValue
+ * @param {string} field - Name of the changed field
+ * @param {*} value - Old or new value
+ * @param {Object} change - The whole change (targets carry their currency)
+ * @returns {string} Display text
+ */
+function describeValue(field, value, change) {
+  if (field === "target") return formatAmountOf({ target: value, currency: change.currency }, "target");
+  if (field === "status") return STATUS_LABELS[value] || value;
+  return `"${value}"`;
+}
+
+/**
+ * Render Campaign History Function
+ * 
+ * Displays the owner's changes to this campaign (edits, pauses,
+ * cancellation) as a list, newest first. Called by the history listener
+ * whenever an entry is added.
+ * 
+ * @function renderCampaignHistory
+ * @param {Array<Object>} entries - History entries, newest first (see history.js)
+ * @returns {void}
+ */
+function renderCampaignHistory(entries) {
+  const historyList = document.getElementById("historyList");
+  if (!historyList) {
+    console.error("historyList element not found");
+    return;
   }
+
+  historyList.innerHTML = "";
+
+  if (entries.length === 0) {
+    historyList.innerHTML = "<li>No changes recorded</li>";
+    return;
+  }
+
+  entries.forEach(entry => {
+    const date = new Date(entry.time).toLocaleString("en-IN", {
+      day: "2-digit",
+      month: "short",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: true
+    });
+
+    // List edited fields as: field: old → new
+    const changes = Object.entries(entry.changes || {})
+      .filter(([field]) => field !== "status")
+      .map(([field, change]) => `${field}: ${describeValue(field, change.from, change)} → ${describeValue(field, change.to, change)}`);
+
+    // Use el() so campaign text from the history is never treated as HTML
+    historyList.appendChild(el("li", {}, `${date} — ${ACTION_LABELS[entry.action] || entry.action}`
+      + (changes.length ? ` (${changes.join(", ")})` : "")));
+  });
 }
 
 /* =======================
    DONATE
    ======================= */
 
+/**
+ * Result Messages
+ * 
+ * What to tell the donor for each checkout result (see payments.js).
+ */
+const RESULT_MESSAGES = {
+  confirmed: "Donation Successful! Thank you for your contribution. If the organiser is a registered charity, "
+    + "your receipt is under My Donations on your profile (add your legal name and PAN there if you haven't).",
+  submitted: "Payment received! Your donation will appear once the payment is confirmed. If the organiser is a "
+    + "registered charity, your receipt will then be under My Donations on your profile.",
+  failed: "The payment failed. You have not been charged.",
+  dismissed: "Payment cancelled. You have not been charged."
+};
+
+/**
+ * Donation Being Made
+ * 
+ * The transaction ID of the donation in the form, picked on the first
+ * attempt. It is the donation's idempotency key: if saving the pending
+ * donation fails and the donor tries again, the same ID is sent, so a
+ * donation that was saved after all isn't recorded twice. It is dropped
+ * once the payment starts and whenever the form changes.
+ * 
+ * @type {string|null}
+ */
+let pendingDonationId = null;
+
+/**
+ * Donation In Progress
+ * 
+ * Clicks on Donate are ignored until the current donation has finished,
+ * so a double click never starts two payments.
+ * 
+ * @type {boolean}
+ */
+let donating = false;
+
+["rewardList", "shipName", "shipAddress", "shipPhone", "amount", "donorMessage", "anonymous", "monthly"]
+  .forEach(inputId => {
+    document.getElementById(inputId)?.addEventListener("input", () => {
+      pendingDonationId = null;
+    });
+  });
+
 /**
  * Donate Function
  * 
  * Processes a donation to the campaign. This function:
- * 1. Validates the donation amount
- * 2. Updates the campaign's raised amount
- * 3. Creates a transaction record
- * 4. Refreshes the page to show updated data
+ * 1. Validates the donation amount (see DONATION_LIMITS in money.js), and
+ *    the reward tier if one is picked
+ * 2. Refuses donations to campaigns that are not active
+ * 3. Records the donation as pending and takes the payment through the
+ *    payment provider (see payments.js)
+ * 
+ * The campaign's raised amount is not changed here: the payment webhook
+ * confirms the donation and increases raised on the server. The page does
+ * not reload: the pending donation shows up in the log straight away, and
+ * the listeners update it and the progress once the payment settles.
  * 
  * @function window.donate
  * @async
@@ -242,13 +856,24 @@ async function loadTransactions() {
  * 
  * Process:
  * 1. Check if user is authenticated
- * 2. Get and validate the donation amount
- * 3. Fetch current campaign data
- * 4. Update the campaign's raised amount
- * 5. Create a transaction record
- * 6. Show success message and reload page
+ * 2. Get and validate the donation amount, message, reward and shipping details
+ * 3. Check the campaign exists, is approved and is active
+ * 4. Create a pending transaction record under the donor's name or as
+ *    "Anonymous", with the backer's shipping details if a reward is picked,
+ *    or the monthly donation it starts
+ * 5. Create the payment order and open the checkout
+ * 6. Show the outcome
  */
 window.donate = async () => {
+  // Ignore further clicks until this donation has finished
+  if (donating) {
+    return;
+  }
+  donating = true;
+
+  // ID of the pending transaction for this donation, once created
+  let donationId = null;
+
   try {
     // Check if user is logged in (required to make donations)
     if (!auth.currentUser) {
@@ -264,8 +889,8 @@ window.donate = async () => {
       return;
     }
 
-    // Convert the input value to a number
-    const amt = Number(amountInput.value);
+    // Convert the input to minor units (accepts "1,00,000" and "100000.50")
+    const amt = parseAmount(amountInput.value, campaignCurrency);
 
     // Validate that the amount is a positive number
     if (!amt || amt <= 0 || isNaN(amt)) {
@@ -273,70 +898,617 @@ window.donate = async () => {
       return;
     }
 
+    // Amounts outside the limits are refused (also checked by firestore.rules)
+    const amountError = donationAmountError(amt, campaignCurrency);
+    if (amountError) {
+      alert(amountError);
+      return;
+    }
+
+    // Optional message shown next to the donation in the public log
+    const messageInput = document.getElementById("donorMessage");
+    const message = messageInput ? messageInput.value.trim() : "";
+    const messageError = validateMessage(message);
+    if (messageError) {
+      alert(messageError);
+      return;
+    }
+
     /**
-     * Get Current Campaign Data
+     * Reward Tier
      * 
-     * We need to fetch the current campaign data to:
-     * 1. Verify the campaign still exists
-     * 2. Get the current "raised" amount so we can add to it
+     * The minimum and the remaining stock are checked here for a quick
+     * answer; createPaymentOrder checks them again and reserves the reward
+     * in a transaction, so two donors can't take the last one.
      */
-    const snap = await getDoc(ref);
-    if (!snap.exists()) {
+    const reward = selectedReward();
+    let shipping = null;
+    if (reward) {
+      if (amt < amountOf(reward, "minAmount")) {
+        alert(`The "${reward.title}" reward needs a donation of at least ${formatAmountOf(reward, "minAmount")}`);
+        return;
+      }
+      if (remaining(reward) === 0) {
+        alert(`The "${reward.title}" reward is sold out`);
+        return;
+      }
+
+      shipping = {
+        name: document.getElementById("shipName").value.trim(),
+        address: document.getElementById("shipAddress").value.trim(),
+        phone: document.getElementById("shipPhone").value.trim()
+      };
+      const shippingError = validateShipping(shipping);
+      if (shippingError) {
+        alert(shippingError);
+        return;
+      }
+    }
+
+    // Monthly donations are charged automatically and carry no reward
+    const monthlyInput = document.getElementById("monthly");
+    const monthly = Boolean(monthlyInput && monthlyInput.checked);
+    if (monthly && reward) {
+      alert("Rewards are for one-off donations. Pick \"No reward\" to give monthly.");
+      return;
+    }
+
+    // Donors choose whether the log shows their display name or "Anonymous"
+    const anonymousInput = document.getElementById("anonymous");
+    const anonymous = Boolean(anonymousInput && anonymousInput.checked);
+
+    // Verify the campaign exists and is taking donations
+    // (createPaymentOrder checks this again on the server)
+    const campaign = await repository.getCampaign(id);
+    if (!campaign) {
       alert("Campaign not found");
       return;
     }
 
-    // Get the current campaign data
-    const currentData = snap.data();
-    // Calculate the new raised amount by adding the donation
-    const newRaised = currentData.raised + amt;
+    if (!isAcceptingDonations(campaign)) {
+      const state = isApproved(campaign)
+        ? STATUS_LABELS[effectiveStatus(campaign)]
+        : MODERATION_LABELS[moderationState(campaign)];
+      alert(`This campaign is ${state.toLowerCase()} and is not accepting donations`);
+      return;
+    }
 
-    /**
-     * Update Campaign Raised Amount
-     * 
-     * Updates the "raised" field in the campaign document with the new total.
-     * This is an atomic operation that ensures data consistency.
-     */
-    await updateDoc(ref, {
-      raised: newRaised  // Set the raised amount to the new total
+    // The public name is the donor's profile display name (firestore.rules
+    // checks it against the profile)
+    const profile = anonymous ? null : await getProfile(auth.currentUser.uid);
+    const donor = donorFields({
+      anonymous,
+      displayName: profile?.displayName || "",
+      message
     });
 
     /**
-     * Create Transaction Record
-     * 
-     * Adds a new document to the "transactions" collection to record the donation.
-     * This creates a permanent record of all donations made to the campaign.
+     * Create Pending Transaction Record
      * 
-     * Transaction document structure:
-     * - campaignId: Links this transaction to the campaign
-     * - amount: The donation amount
-     * - user: First 6 characters of the user's ID (for privacy)
-     * - time: Timestamp of when the donation was made
+     * Recorded under the donor's name (or "Anonymous") and pending until
+     * the payment webhook confirms or fails it; the shipping details go to
+     * the private backers collection with it (see donate() in repository.js).
+     * A retry reuses the ID, so the donation is stored once.
      */
-    await addDoc(collection(db, "transactions"), {
-      campaignId: id,                                    // ID of the campaign receiving the donation
-      amount: amt,                                       // Donation amount
-      user: auth.currentUser.uid.substring(0, 6),      // Partial user ID (first 6 chars for privacy)
-      time: Date.now()                                   // Current timestamp in milliseconds
+    pendingDonationId = pendingDonationId || repository.newDonationId();
+    donationId = pendingDonationId;
+
+    // Show the donation as pending as soon as the local write lands
+    myPending.add(donationId);
+
+    await repository.donate(donationId, {
+      campaignId: id,
+      amount: amt,
+      currency: campaign.currency,
+      userId: auth.currentUser.uid,
+      donor,
+      rewardId: reward ? reward.id : null,
+      shipping,
+      monthly
     });
 
-    // Show success message
-    alert("Donation Successful! Thank you for your contribution.");
+    // The donation is stored; from here on a new attempt is a new donation
+    pendingDonationId = null;
+
+    // Take the payment through the provider's checkout (for a monthly
+    // donation this also saves the card for the following months)
+    const result = await payForDonation(donationId, {
+      description: `${monthly ? "Monthly donation" : "Donation"} to ${campaign.title}`,
+      email: auth.currentUser.email
+    });
+
+    // Show the outcome
+    alert(RESULT_MESSAGES[result] || "Payment status: " + result);
+
+    if (result === "dismissed") {
+      // The payment never started, so stop showing it as pending
+      myPending.delete(donationId);
+      renderTransactions();
+      return;
+    }
     
-    // Clear the amount input field
+    // Clear the amount and message fields
     amountInput.value = "";
-    
-    /**
-     * Reload Page
-     * 
-     * Reloads the page to show the updated campaign progress and transaction list.
-     * This ensures the user sees the latest data immediately after donating.
-     */
-    location.reload();
+    if (messageInput) messageInput.value = "";
+    if (monthlyInput) monthlyInput.checked = false;
   } catch (error) {
+    // Stop showing a donation that could not be paid
+    if (donationId && myPending.delete(donationId)) {
+      renderTransactions();
+    }
     // Log error for debugging
     console.error("Donation error:", error);
     // Show user-friendly error message
     alert("Donation failed: " + error.message);
+  } finally {
+    donating = false;
+  }
+};
+
+/* =======================
+   REFUND
+   ======================= */
+
+/**
+ * Refund Donation Function
+ * 
+ * Refunds one donation through the refundDonation Cloud Function, which
+ * returns the money through the payment provider, adds a negative entry to
+ * the transaction log and lowers the campaign's raised amount.
+ * 
+ * @function window.refundDonation
+ * @async
+ * @param {string} transactionId - ID of the donation to refund
+ * @returns {Promise<void>}
+ */
+window.refundDonation = async (transactionId) => {
+  const reason = prompt("Reason for the refund (optional):");
+  if (reason === null) {
+    return;
+  }
+
+  try {
+    const refund = httpsCallable(functions, "refundDonation");
+    await refund({ transactionId, reason });
+
+    // The transaction listener shows the refund entry
+    alert("Donation refunded");
+  } catch (error) {
+    // Log error for debugging
+    console.error("Refund error:", error);
+    // Show user-friendly error message
+    alert("Refund failed: " + error.message);
+  }
+};
+
+/* =======================
+   UPDATES AND COMMENTS
+   ======================= */
+
+/**
+ * Format a Timestamp
+ * 
+ * @function formatDate
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} e.g. "15 Jan 2024, 02:30 PM"
+ */
+function formatDate(time) {
+  return new Date(time).toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true
+  });
+}
+
+/**
+ * Render Updates Function
+ * 
+ * Shows the creator's updates as a timeline, newest first. Update text may
+ * use the same limited rich text as the description.
+ * 
+ * @function renderUpdates
+ * @param {Array<Object>} updates - Updates, newest first (see feed.js)
+ * @returns {void}
+ */
+function renderUpdates(updates) {
+  const timeline = document.getElementById("updatesTimeline");
+  if (!timeline) {
+    return;
+  }
+
+  if (updates.length === 0) {
+    timeline.replaceChildren(el("p", {}, "No updates yet"));
+    return;
+  }
+
+  timeline.replaceChildren(...updates.map(update => el("div", { className: "update" },
+    el("h4", {}, update.title),
+    el("small", {}, formatDate(update.createdAt)),
+    el("div", {}, richText(update.body))
+  )));
+}
+
+/**
+ * Render Comment
+ * 
+ * One comment with its author, date and buttons: Reply on threads, and Pin
+ * and Hide for the campaign owner.
+ * 
+ * @function renderComment
+ * @param {Object} comment - Comment (see feed.js)
+ * @param {string} creator - Campaign creator's user ID
+ * @returns {HTMLElement} Comment element
+ */
+function renderComment(comment, creatorId) {
+  const buttons = [];
+  if (!comment.parentId) {
+    buttons.push(el("button", { onclick: () => showReplyForm(comment.id) }, "Reply"));
+  }
+  if (isOwner) {
+    buttons.push(
+      el("button", { onclick: () => window.pinComment(comment.id, !comment.pinned) }, comment.pinned ? "Unpin" : "Pin"),
+      el("button", { onclick: () => window.hideComment(comment.id, !comment.hidden) }, comment.hidden ? "Show" : "Hide")
+    );
+  }
+
+  return el("div", { className: "comment-body" },
+    el("p", {},
+      el("strong", {}, comment.authorName),
+      comment.userId === creator ? " (Creator)" : "",
+      ` · ${formatDate(comment.createdAt)}`,
+      comment.pinned ? " · Pinned" : "",
+      comment.hidden ? " · Hidden" : ""
+    ),
+    el("p", {}, comment.body),
+    buttons.flatMap(button => [button, " "])
+  );
+}
+
+/**
+ * Render Comments Function
+ * 
+ * Shows the comments as threads (see feed.js buildThreads), each with its
+ * replies and a place for the reply form.
+ * 
+ * @function renderComments
+ * @returns {void}
+ */
+function renderComments() {
+  const list = document.getElementById("commentList");
+  if (!list) {
+    return;
+  }
+
+  const threads = buildThreads(comments);
+  if (threads.length === 0) {
+    list.replaceChildren(el("p", {}, "No comments yet"));
+    return;
+  }
+
+  list.replaceChildren(...threads.map(({ comment, replies }) => el("div", {
+    className: ["comment", comment.pinned ? "pinned" : "", comment.hidden ? "hidden-comment" : ""].join(" ").trim()
+  },
+    renderComment(comment, creatorId),
+    el("div", { className: "replies" },
+      replies.map(reply => el("div", { className: reply.hidden ? "hidden-comment" : "" }, renderComment(reply, creatorId)))
+    ),
+    el("div", { id: `reply-${comment.id}` })
+  )));
+}
+
+/**
+ * Show Reply Form
+ * 
+ * Adds a reply box under a thread.
+ * 
+ * @function showReplyForm
+ * @param {string} parentId - Thread's first comment
+ * @returns {void}
+ */
+function showReplyForm(parentId) {
+  const container = document.getElementById(`reply-${parentId}`);
+  if (!container || container.firstChild) {
+    return;
+  }
+
+  const input = el("textarea", { maxlength: 1000, placeholder: "Write a reply" });
+  container.replaceChildren(
+    input,
+    el("button", {
+      onclick: async () => {
+        if (await sendComment(input.value.trim(), parentId)) {
+          container.replaceChildren();
+        }
+      }
+    }, "Post Reply")
+  );
+  input.focus();
+}
+
+/**
+ * Send Comment
+ * 
+ * Posts a comment or reply under the user's display name.
+ * 
+ * @function sendComment
+ * @async
+ * @param {string} body - Comment text
+ * @param {string|null} parentId - Thread to reply to, or null for a new thread
+ * @returns {Promise<boolean>} True if the comment was posted
+ */
+async function sendComment(body, parentId) {
+  // Check if user is logged in (comments are tied to an account)
+  if (!auth.currentUser) {
+    alert("Please login first to comment");
+    window.location.href = "login.html";
+    return false;
+  }
+
+  try {
+    const uid = auth.currentUser.uid;
+    const wait = await secondsUntilAllowed(uid, "comment");
+    if (wait > 0) {
+      alert(`Please wait ${wait} seconds before commenting again`);
+      return false;
+    }
+
+    const profile = await getProfile(uid);
+    await postComment(id, {
+      body,
+      parentId,
+      authorName: profile?.displayName || auth.currentUser.displayName || uid.substring(0, 6)
+    }, uid);
+
+    // The comments listener shows the new comment
+    return true;
+  } catch (error) {
+    // Log error for debugging
+    console.error("Comment error:", error);
+    // Show user-friendly error message
+    alert("Failed to post comment: " + error.message);
+    return false;
+  }
+}
+
+/**
+ * Post Comment Function
+ * 
+ * Starts a new comment thread.
+ * 
+ * @function window.postComment
+ * @async
+ * @returns {Promise<void>}
+ */
+window.postComment = async () => {
+  const input = document.getElementById("commentBody");
+  if (await sendComment(input.value.trim(), null)) {
+    input.value = "";
+  }
+};
+
+/**
+ * Post Update Function
+ * 
+ * Posts a dated update to the campaign's timeline (campaign owner only).
+ * 
+ * @function window.postUpdate
+ * @async
+ * @returns {Promise<void>}
+ */
+window.postUpdate = async () => {
+  const title = document.getElementById("updateTitle");
+  const body = document.getElementById("updateBody");
+
+  try {
+    const uid = auth.currentUser.uid;
+    const wait = await secondsUntilAllowed(uid, "update");
+    if (wait > 0) {
+      alert(`Please wait ${Math.ceil(wait / 60)} minute(s) before posting another update`);
+      return;
+    }
+
+    await postUpdate(id, { title: title.value.trim(), body: body.value.trim() }, uid);
+
+    // The updates listener shows the new update
+    title.value = "";
+    body.value = "";
+  } catch (error) {
+    // Log error for debugging
+    console.error("Update error:", error);
+    // Show user-friendly error message
+    alert("Failed to post update: " + error.message);
+  }
+};
+
+/**
+ * Pin Comment Function
+ * 
+ * @function window.pinComment
+ * @async
+ * @param {string} commentId - Comment ID
+ * @param {boolean} pinned - Whether to pin it
+ * @returns {Promise<void>}
+ */
+window.pinComment = async (commentId, pinned) => {
+  try {
+    await setCommentPinned(id, commentId, pinned);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Pin comment error:", error);
+    // Show user-friendly error message
+    alert("Failed to pin comment: " + error.message);
+  }
+};
+
+/**
+ * Hide Comment Function
+ * 
+ * Hidden comments are only shown to the campaign owner.
+ * 
+ * @function window.hideComment
+ * @async
+ * @param {string} commentId - Comment ID
+ * @param {boolean} hidden - Whether to hide it
+ * @returns {Promise<void>}
+ */
+window.hideComment = async (commentId, hidden) => {
+  try {
+    await setCommentHidden(id, commentId, hidden);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Hide comment error:", error);
+    // Show user-friendly error message
+    alert("Failed to hide comment: " + error.message);
+  }
+};
+
+/* =======================
+   SHARING
+   ======================= */
+
+/**
+ * Render Share Section
+ * 
+ * Links to /c/<slug>, which has the preview tags social sites read (see
+ * share.js). Campaigns that aren't public yet have nothing to share.
+ * 
+ * @function renderShare
+ * @param {Object} data - Campaign document data
+ * @returns {void}
+ */
+function renderShare(data) {
+  const section = document.getElementById("shareSection");
+  if (!section) {
+    return;
+  }
+
+  const shareable = isApproved(data) && data.status !== STATUS.DRAFT;
+  section.style.display = shareable ? "block" : "none";
+  if (!shareable) {
+    return;
+  }
+
+  const url = campaignUrl(id, data);
+  document.getElementById("shareUrl").value = url;
+  document.getElementById("embedCode").value = embedCode(id);
+
+  const links = document.getElementById("shareLinks");
+  links.innerHTML = "";
+  shareLinks(url, data.title).forEach(({ label, href }) => {
+    links.appendChild(el("a", { href, target: "_blank", rel: "noopener" }, label));
+    links.appendChild(document.createTextNode(" "));
+  });
+
+  // The device's own share sheet, where the browser has one
+  const nativeShare = document.getElementById("nativeShare");
+  if (nativeShare) nativeShare.style.display = navigator.share ? "inline-block" : "none";
+}
+
+/**
+ * Copy Text
+ * 
+ * @function copyText
+ * @async
+ * @param {string} fieldId - Input or textarea holding the text
+ * @returns {Promise<void>}
+ */
+async function copyText(fieldId) {
+  const field = document.getElementById(fieldId);
+  try {
+    await navigator.clipboard.writeText(field.value);
+    alert("Copied");
+  } catch (error) {
+    // Clipboard access can be refused; let the user copy it themselves
+    console.error("Copy error:", error);
+    field.select();
+    alert("Press Ctrl+C to copy");
+  }
+}
+
+/**
+ * Copy Share Link Function
+ * 
+ * @function window.copyShareLink
+ * @returns {Promise<void>}
+ */
+window.copyShareLink = () => copyText("shareUrl");
+
+/**
+ * Copy Embed Code Function
+ * 
+ * @function window.copyEmbedCode
+ * @returns {Promise<void>}
+ */
+window.copyEmbedCode = () => copyText("embedCode");
+
+/**
+ * Share Campaign Function
+ * 
+ * Opens the device's share sheet (Web Share API).
+ * 
+ * @function window.shareCampaign
+ * @async
+ * @returns {Promise<void>}
+ */
+window.shareCampaign = async () => {
+  try {
+    await navigator.share({
+      title: document.getElementById("title").innerText,
+      url: document.getElementById("shareUrl").value
+    });
+  } catch (error) {
+    // Closing the share sheet rejects with AbortError
+    if (error.name !== "AbortError") {
+      console.error("Share error:", error);
+    }
+  }
+};
+
+/* =======================
+   REPORTING
+   ======================= */
+
+// Fill the report reasons from the list firestore.rules accepts
+const reportReason = document.getElementById("reportReason");
+if (reportReason) {
+  Object.entries(REPORT_REASONS).forEach(([value, label]) => {
+    reportReason.appendChild(el("option", { value }, label));
+  });
+}
+
+/**
+ * Report Campaign Function
+ * 
+ * Sends a report about this campaign to the admins' moderation console.
+ * 
+ * @function window.reportCampaign
+ * @async
+ * @returns {Promise<void>}
+ */
+window.reportCampaign = async () => {
+  // Check if user is logged in (reports are tied to an account)
+  if (!auth.currentUser) {
+    alert("Please login first to report a campaign");
+    window.location.href = "login.html";
+    return;
+  }
+
+  const details = document.getElementById("reportDetails");
+
+  try {
+    await submitReport(id, reportReason.value, details.value.trim(), auth.currentUser.uid);
+
+    reportReason.value = "";
+    details.value = "";
+    document.getElementById("reportSection").open = false;
+    alert("Thank you. The admins will review this campaign.");
+  } catch (error) {
+    // Log error for debugging
+    console.error("Report error:", error);
+    // Show user-friendly error message
+    alert("Failed to send report: " + error.message);
   }
 };
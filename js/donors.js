@@ -0,0 +1,146 @@
+/**
+ * Donors Module
+ *
+ * Helpers for how donors appear on a campaign:
+ * - Donation options: shown by display name or as "Anonymous", with an
+ *   optional short message
+ * - The label and message shown for each entry in the transaction log
+ * - The donor wall (top supporters and most recent supporters)
+ *
+ * Donor names and messages are typed by users, so they must only ever be
+ * put on the page with textContent.
+ *
+ * @file js/donors.js
+ */
+
+// Import the donation status check
+import { isConfirmed } from "./payments.js";
+// Import the amount reader
+import { amountOf } from "./money.js";
+
+/**
+ * Donor Field Limits
+ *
+ * The same limits are enforced by firestore.rules.
+ *
+ * @type {{donorName: number, message: number}}
+ */
+export const DONOR_LIMITS = {
+  donorName: 50,
+  message: 280
+};
+
+/**
+ * Name Shown for Anonymous Donations
+ *
+ * @type {string}
+ */
+export const ANONYMOUS = "Anonymous";
+
+/**
+ * Number of Donors Shown in Each Donor Wall List
+ *
+ * @type {number}
+ */
+export const WALL_SIZE = 5;
+
+/**
+ * Validate a Donor Message
+ *
+ * @function validateMessage
+ * @param {string} message - Message typed by the donor ("" for none)
+ * @returns {string|null} Error message, or null if the message is valid
+ */
+export function validateMessage(message) {
+  if (message.length > DONOR_LIMITS.message) {
+    return `Message must be at most ${DONOR_LIMITS.message} characters`;
+  }
+  return null;
+}
+
+/**
+ * Donor Fields for a New Donation
+ *
+ * @function donorFields
+ * @param {Object} options
+ * @param {boolean} options.anonymous - Whether the donor chose to stay anonymous
+ * @param {string} options.displayName - Donor's display name
+ * @param {string} options.message - Optional message ("" for none)
+ * @returns {{anonymous: boolean, donorName: string, message: string}}
+ */
+export function donorFields({ anonymous, displayName, message }) {
+  return {
+    anonymous,
+    donorName: anonymous || !displayName
+      ? ANONYMOUS
+      : displayName.slice(0, DONOR_LIMITS.donorName),
+    message
+  };
+}
+
+/**
+ * Donor Label
+ *
+ * Name shown for a transaction. Transactions made before donors could pick
+ * a name show the short user ID they were stored with.
+ *
+ * @function donorLabel
+ * @param {Object} t - Transaction document data
+ * @returns {string} Display name, "Anonymous" or the short user ID
+ */
+export function donorLabel(t) {
+  if (t.anonymous) return ANONYMOUS;
+  return t.donorName || t.user || ANONYMOUS;
+}
+
+/**
+ * Build the Donor Wall
+ *
+ * Works out the top supporters (largest total after refunds) and the most
+ * recent supporters from a campaign's transactions. Named donations are
+ * grouped per donor; every anonymous donation is listed on its own so that
+ * anonymous donors cannot be told apart. Amounts are in minor units.
+ *
+ * @function buildDonorWall
+ * @param {Array<import("./repository.js").Donation>} transactions - The campaign's transactions
+ * @param {number} [size=WALL_SIZE] - Donors in each list
+ * @returns {{top: Array<{name: string, amount: number, count: number}>,
+ *            recent: Array<{name: string, amount: number, createdAt: number, message: string}>}}
+ */
+export function buildDonorWall(transactions, size = WALL_SIZE) {
+  const confirmed = transactions.filter(t => isConfirmed(t));
+
+  // Donations grouped by donor; refunds are matched to their donation
+  const byId = new Map(confirmed.map(t => [t.id, t]));
+  const groups = new Map();
+
+  confirmed.forEach(t => {
+    const donation = t.type === "refund" ? byId.get(t.refundOf) || t : t;
+    // Anonymous donations, and named ones from before user IDs were stored,
+    // are each listed on their own
+    const key = donation.anonymous || !donation.userId ? `donation:${t.refundOf || t.id}` : donation.userId;
+
+    const group = groups.get(key) || { name: donorLabel(donation), amount: 0, count: 0 };
+    group.amount += amountOf(t, "amount");
+    if (t.type !== "refund") group.count++;
+    groups.set(key, group);
+  });
+
+  const top = [...groups.values()]
+    .filter(group => group.amount > 0)
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, size);
+
+  const recent = confirmed
+    .filter(t => t.type !== "refund" && !t.refundStatus)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, size)
+    .map(t => ({
+      name: donorLabel(t),
+      amount: amountOf(t, "amount"),
+      createdAt: t.createdAt,
+      message: t.message || ""
+    }));
+
+  return { top, recent };
+}
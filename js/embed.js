@@ -0,0 +1,76 @@
+/**
+ * Embeddable Progress Widget
+ *
+ * embed.html?id=xxxxx is meant to be shown in an <iframe> on other sites
+ * (see embedCode() in share.js). It shows the campaign's title and a
+ * progress bar that updates live, with a link to donate.
+ *
+ * @file js/embed.js
+ */
+
+// Import the campaign repository
+import { repository } from "./repository-firestore.js";
+// Import campaign lifecycle helpers
+import { STATUS, isApproved, timeLeft } from "./lifecycle.js";
+// Import the money helpers
+import { formatMoney } from "./money.js";
+// Import the campaign link builder
+import { campaignUrl } from "./share.js";
+
+/**
+ * Campaign ID from the URL (?id=xxxxx)
+ */
+const id = new URLSearchParams(window.location.search).get("id");
+
+/**
+ * Show Unavailable
+ *
+ * @function showUnavailable
+ * @returns {void}
+ */
+function showUnavailable() {
+  document.getElementById("embedTitle").textContent = "Campaign unavailable";
+  document.getElementById("embedProgress").textContent = "";
+  document.getElementById("embedBar").style.width = "0%";
+  document.getElementById("embedLink").style.display = "none";
+}
+
+/**
+ * Render Widget
+ *
+ * Only public campaigns are shown; drafts and campaigns that aren't
+ * approved (or were taken down) show as unavailable.
+ *
+ * @function renderWidget
+ * @param {import("./repository.js").Campaign|null} c - The campaign, or null if there is none
+ * @returns {void}
+ */
+function renderWidget(c) {
+  if (!c || !isApproved(c) || c.status === STATUS.DRAFT) {
+    showUnavailable();
+    return;
+  }
+
+  const percent = Math.min(100, (c.raised / c.target) * 100);
+
+  document.getElementById("embedTitle").textContent = c.title;
+  document.getElementById("embedBar").style.width = `${percent}%`;
+  document.getElementById("embedProgress").textContent =
+    `${formatMoney(c.raised, c.currency)} raised of ${formatMoney(c.target, c.currency)} · ${timeLeft(c)}`;
+
+  const link = document.getElementById("embedLink");
+  link.href = campaignUrl(c.id, c);
+  link.style.display = "inline-block";
+}
+
+if (id) {
+  const stop = repository.watchCampaign(id, renderWidget, (error) => {
+    console.error("Error loading campaign:", error);
+    showUnavailable();
+  });
+
+  // Detach the listener when leaving the page
+  window.addEventListener("pagehide", stop);
+} else {
+  showUnavailable();
+}
@@ -0,0 +1,290 @@
+/**
+ * Campaign Feed Module
+ *
+ * Creator updates and comments shown on campaign.html.
+ *
+ * Updates are dated posts by the campaign creator, stored in
+ * campaigns/{campaignId}/updates:
+ * - title, body: the post (body may use the same limited rich text as
+ *   descriptions, see render.js)
+ * - by: creator's user ID
+ * - createdAt: when it was posted
+ *
+ * Comments are plain text, stored in campaigns/{campaignId}/comments:
+ * - body: the comment
+ * - parentId: null for a new thread, or the ID of the thread's first
+ *   comment for a reply (threads are one level deep)
+ * - userId, authorName: who wrote it (display name at the time)
+ * - createdAt: when it was posted
+ * - pinned, hidden: set by the campaign creator
+ *
+ * Hidden comments are only readable by the campaign creator.
+ *
+ * Posting is rate-limited by firestore.rules: every update or comment is
+ * written in the same batch as the author's rateLimits/{uid} document,
+ * which records when they last posted (server time) and can't be written
+ * again until RATE_LIMITS has passed.
+ *
+ * @file js/feed.js
+ */
+
+// Import Firestore database service
+import { db } from "./firebase.js";
+// Import Firestore functions for update and comment documents
+import {
+  collection,      // Reference to a collection
+  doc,             // Reference to a specific document
+  getDoc,          // Get a single document
+  updateDoc,       // Update fields in a document
+  writeBatch,      // Group several writes into one atomic commit
+  serverTimestamp, // Server time, checked by firestore.rules
+  onSnapshot,      // Listen to a query for live updates
+  query,           // Create a query for filtering/sorting
+  where,           // Filter documents by field value
+  orderBy          // Sort documents by field value
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+
+/**
+ * Feed Field Limits
+ *
+ * The same limits are enforced by firestore.rules.
+ *
+ * @type {{updateTitle: number, updateBody: number, comment: number, authorName: number}}
+ */
+export const FEED_LIMITS = {
+  updateTitle: 120,
+  updateBody: 5000,
+  comment: 1000,
+  authorName: 50
+};
+
+/**
+ * Time Between Posts (seconds)
+ *
+ * The same values are enforced by firestore.rules.
+ *
+ * @type {{update: number, comment: number}}
+ */
+export const RATE_LIMITS = {
+  update: 600,   // One update every 10 minutes
+  comment: 30    // One comment or reply every 30 seconds
+};
+
+/**
+ * Validate an Update
+ *
+ * @function validateUpdate
+ * @param {Object} fields
+ * @param {string} fields.title - Update title
+ * @param {string} fields.body - Update text
+ * @returns {string|null} Error message, or null if the update is valid
+ */
+export function validateUpdate({ title, body }) {
+  if (!title || !body) {
+    return "Please enter a title and some text for the update";
+  }
+  if (title.length > FEED_LIMITS.updateTitle) {
+    return `Update title must be at most ${FEED_LIMITS.updateTitle} characters`;
+  }
+  if (body.length > FEED_LIMITS.updateBody) {
+    return `Updates must be at most ${FEED_LIMITS.updateBody} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate a Comment
+ *
+ * @function validateComment
+ * @param {string} body - Comment text
+ * @returns {string|null} Error message, or null if the comment is valid
+ */
+export function validateComment(body) {
+  if (!body) {
+    return "Please write a comment";
+  }
+  if (body.length > FEED_LIMITS.comment) {
+    return `Comments must be at most ${FEED_LIMITS.comment} characters`;
+  }
+  return null;
+}
+
+/**
+ * Seconds Until the User Can Post Again
+ *
+ * Only used to give a friendly message; firestore.rules make the decision.
+ *
+ * @function secondsUntilAllowed
+ * @async
+ * @param {string} userId - Signed-in user's ID
+ * @param {"update"|"comment"} kind - What they want to post
+ * @returns {Promise<number>} 0 if they can post now
+ */
+export async function secondsUntilAllowed(userId, kind) {
+  const snap = await getDoc(doc(db, "rateLimits", userId));
+  const last = snap.exists() ? snap.data()[kind] : null;
+  if (!last) {
+    return 0;
+  }
+  const next = last.toMillis() + RATE_LIMITS[kind] * 1000;
+  return Math.max(0, Math.ceil((next - Date.now()) / 1000));
+}
+
+/**
+ * Add a Post to a Batch With Its Rate Limit Stamp
+ *
+ * @function commitPost
+ * @async
+ * @param {Object} ref - New update or comment document reference
+ * @param {Object} data - Document data
+ * @param {string} userId - Author's user ID
+ * @param {"update"|"comment"} kind - What is being posted
+ * @returns {Promise<void>}
+ */
+async function commitPost(ref, data, userId, kind) {
+  const batch = writeBatch(db);
+  batch.set(ref, data);
+  batch.set(doc(db, "rateLimits", userId), { [kind]: serverTimestamp() }, { merge: true });
+  await batch.commit();
+}
+
+/**
+ * Post Update
+ *
+ * @function postUpdate
+ * @async
+ * @param {string} campaignId - Campaign ID (must belong to the signed-in user)
+ * @param {Object} fields - title, body
+ * @param {string} userId - Signed-in user's ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the update is invalid
+ */
+export async function postUpdate(campaignId, fields, userId) {
+  const error = validateUpdate(fields);
+  if (error) {
+    throw new Error(error);
+  }
+  await commitPost(doc(collection(db, "campaigns", campaignId, "updates")), {
+    title: fields.title,
+    body: fields.body,
+    by: userId,
+    createdAt: Date.now()
+  }, userId, "update");
+}
+
+/**
+ * Post Comment
+ *
+ * @function postComment
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} fields
+ * @param {string} fields.body - Comment text
+ * @param {string|null} fields.parentId - Thread to reply to, or null for a new thread
+ * @param {string} fields.authorName - Author's display name
+ * @param {string} userId - Signed-in user's ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the comment is invalid
+ */
+export async function postComment(campaignId, { body, parentId, authorName }, userId) {
+  const error = validateComment(body);
+  if (error) {
+    throw new Error(error);
+  }
+  await commitPost(doc(collection(db, "campaigns", campaignId, "comments")), {
+    body,
+    parentId,
+    userId,
+    authorName: authorName.slice(0, FEED_LIMITS.authorName),
+    createdAt: Date.now(),
+    pinned: false,
+    hidden: false
+  }, userId, "comment");
+}
+
+/**
+ * Pin or Unpin a Comment (campaign creator only)
+ *
+ * @function setCommentPinned
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @param {string} commentId - Comment ID
+ * @param {boolean} pinned - Whether to pin it
+ * @returns {Promise<void>}
+ */
+export async function setCommentPinned(campaignId, commentId, pinned) {
+  await updateDoc(doc(db, "campaigns", campaignId, "comments", commentId), { pinned });
+}
+
+/**
+ * Hide or Show a Comment (campaign creator only)
+ *
+ * @function setCommentHidden
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @param {string} commentId - Comment ID
+ * @param {boolean} hidden - Whether to hide it
+ * @returns {Promise<void>}
+ */
+export async function setCommentHidden(campaignId, commentId, hidden) {
+  await updateDoc(doc(db, "campaigns", campaignId, "comments", commentId), { hidden });
+}
+
+/**
+ * Watch Updates
+ *
+ * @function watchUpdates
+ * @param {string} campaignId - Campaign ID
+ * @param {Function} onUpdates - Called with the updates, newest first
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Call to stop listening
+ */
+export function watchUpdates(campaignId, onUpdates, onError) {
+  return onSnapshot(query(
+    collection(db, "campaigns", campaignId, "updates"),
+    orderBy("createdAt", "desc")
+  ), snapshot => onUpdates(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))), onError);
+}
+
+/**
+ * Watch Comments
+ *
+ * Visitors only get visible comments; the campaign creator also gets the
+ * hidden ones (firestore.rules refuse the unfiltered query for anyone else).
+ *
+ * @function watchComments
+ * @param {string} campaignId - Campaign ID
+ * @param {boolean} includeHidden - Whether to include hidden comments
+ * @param {Function} onComments - Called with the comments, oldest first
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Call to stop listening
+ */
+export function watchComments(campaignId, includeHidden, onComments, onError) {
+  const comments = collection(db, "campaigns", campaignId, "comments");
+  const commentsQuery = includeHidden
+    ? query(comments, orderBy("createdAt"))
+    : query(comments, where("hidden", "==", false), orderBy("createdAt"));
+  return onSnapshot(commentsQuery,
+    snapshot => onComments(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))), onError);
+}
+
+/**
+ * Group Comments Into Threads
+ *
+ * Pinned threads come first, then the newest threads; replies are listed
+ * oldest first under their thread. Replies whose thread is not in the
+ * list (e.g. hidden) are left out.
+ *
+ * @function buildThreads
+ * @param {Array<Object>} comments - Comments, oldest first
+ * @returns {Array<{comment: Object, replies: Array<Object>}>} Threads
+ */
+export function buildThreads(comments) {
+  const threads = new Map();
+  comments.filter(c => !c.parentId).forEach(c => threads.set(c.id, { comment: c, replies: [] }));
+  comments.filter(c => c.parentId).forEach(c => threads.get(c.parentId)?.replies.push(c));
+
+  return [...threads.values()].sort((a, b) =>
+    (b.comment.pinned ? 1 : 0) - (a.comment.pinned ? 1 : 0)
+    || b.comment.createdAt - a.comment.createdAt);
+}
@@ -1,8 +1,12 @@
 /**
  * Firebase Configuration and Initialization
  * 
- * This file sets up and exports Firebase services (Authentication and Firestore)
- * that will be used throughout the application.
+ * This file sets up and exports Firebase services (Authentication, Firestore,
+ * Cloud Functions and Storage) that will be used throughout the application.
+ * 
+ * When the site is served from localhost (e.g. `firebase emulators:start`),
+ * the services are connected to the local Firebase emulators instead of the
+ * live project.
  * 
  * @file js/firebase.js
  */
@@ -11,9 +15,17 @@
 // initializeApp: Initializes the Firebase app with configuration
 import { initializeApp } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-app.js";
 // getAuth: Gets the Firebase Authentication service
-import { getAuth } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+// connectAuthEmulator: Points Authentication at the local emulator
+import { getAuth, connectAuthEmulator } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
 // getFirestore: Gets the Cloud Firestore database service
-import { getFirestore } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+// connectFirestoreEmulator: Points Firestore at the local emulator
+import { getFirestore, connectFirestoreEmulator } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+// getFunctions: Gets the Cloud Functions service (for callable functions)
+// connectFunctionsEmulator: Points Cloud Functions at the local emulator
+import { getFunctions, connectFunctionsEmulator } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-functions.js";
+// getStorage: Gets the Cloud Storage service (for campaign images)
+// connectStorageEmulator: Points Storage at the local emulator
+import { getStorage, connectStorageEmulator } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-storage.js";
 
 /**
  * Firebase Configuration Object
@@ -50,3 +62,26 @@ export const auth = getAuth(app);
 // Initialize and export Cloud Firestore database service
 // This will be used to store and retrieve campaigns and transactions
 export const db = getFirestore(app);
+
+// Initialize and export Cloud Functions service
+// This will be used to call server-side code such as payment order creation
+export const functions = getFunctions(app);
+
+// Initialize and export Cloud Storage service
+// This will be used to upload campaign cover and gallery images
+export const storage = getStorage(app);
+
+/**
+ * Local Emulator Connection
+ * 
+ * Uses the emulator ports configured in firebase.json when the site is
+ * running locally, so development and tests never touch live data.
+ */
+export const usingEmulators = ["localhost", "127.0.0.1"].includes(window.location.hostname);
+
+if (usingEmulators) {
+  connectAuthEmulator(auth, "http://127.0.0.1:9099", { disableWarnings: true });
+  connectFirestoreEmulator(db, "127.0.0.1", 8080);
+  connectFunctionsEmulator(functions, "127.0.0.1", 5001);
+  connectStorageEmulator(storage, "127.0.0.1", 9199);
+}
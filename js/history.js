@@ -0,0 +1,117 @@
+/**
+ * Campaign History Module
+ *
+ * Keeps the audit history of changes an owner makes to a campaign
+ * (creating, publishing, editing, pausing, resuming, cancelling, sending
+ * back for review). Entries
+ * live in the campaign's "history" subcollection and are shown on
+ * campaign.html.
+ *
+ * History entries are written in the same batch or transaction as the
+ * change they describe, so a change is never saved without its entry.
+ *
+ * @file js/history.js
+ */
+
+// Import Firestore database service
+import { db } from "./firebase.js";
+// Import Firestore functions for history documents
+import {
+  collection, // Reference to a collection
+  doc,        // Reference to a specific document
+  getDocs,    // Execute a query and get documents
+  onSnapshot, // Listen to a query for live updates
+  query,      // Create a query for filtering/sorting
+  orderBy     // Sort documents by field value
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+
+/**
+ * History Actions
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const ACTIONS = {
+  CREATED: "created",
+  PUBLISHED: "published",
+  EDITED: "edited",
+  PAUSED: "paused",
+  RESUMED: "resumed",
+  CANCELLED: "cancelled",
+  RESUBMITTED: "resubmitted"
+};
+
+/**
+ * Human-readable labels for each action
+ *
+ * @type {Object<string, string>}
+ */
+export const ACTION_LABELS = {
+  [ACTIONS.CREATED]: "Campaign created",
+  [ACTIONS.PUBLISHED]: "Campaign published",
+  [ACTIONS.EDITED]: "Campaign edited",
+  [ACTIONS.PAUSED]: "Donations paused",
+  [ACTIONS.RESUMED]: "Donations resumed",
+  [ACTIONS.CANCELLED]: "Campaign cancelled",
+  [ACTIONS.RESUBMITTED]: "Sent for review again"
+};
+
+/**
+ * Record History Entry
+ *
+ * Adds a history entry to a write batch or transaction.
+ *
+ * @function recordHistory
+ * @param {Object} writer - Firestore WriteBatch or Transaction (anything with set())
+ * @param {string} campaignId - ID of the campaign that changed
+ * @param {string} action - One of the ACTIONS values
+ * @param {string} userId - ID of the user making the change
+ * @param {Object<string, {from: *, to: *}>} [changes={}] - Edited fields with old and new values
+ * @returns {void}
+ */
+export function recordHistory(writer, campaignId, action, userId, changes = {}) {
+  writer.set(doc(collection(db, "campaigns", campaignId, "history")), {
+    action,           // What happened (see ACTIONS)
+    changes,          // Field-level before/after values for edits
+    by: userId,       // User who made the change
+    time: Date.now()  // When the change was made
+  });
+}
+
+/**
+ * Load History
+ *
+ * Fetches a campaign's history, newest entry first.
+ *
+ * @function loadHistory
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array<{id: string, action: string, changes: Object, by: string, time: number}>>}
+ */
+export async function loadHistory(campaignId) {
+  const snapshot = await getDocs(query(
+    collection(db, "campaigns", campaignId, "history"),
+    orderBy("time", "desc")
+  ));
+
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Watch History
+ *
+ * Like loadHistory, but calls back with the full history every time an
+ * entry is added.
+ *
+ * @function watchHistory
+ * @param {string} campaignId - Campaign ID
+ * @param {Function} onEntries - Called with the entries, newest first
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Call to stop listening
+ */
+export function watchHistory(campaignId, onEntries, onError) {
+  return onSnapshot(query(
+    collection(db, "campaigns", campaignId, "history"),
+    orderBy("time", "desc")
+  ), snapshot => onEntries(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))), onError);
+}
@@ -0,0 +1,295 @@
+/**
+ * Notifications Page
+ *
+ * The signed-in user's inbox (notifications.html), updated live, and the
+ * form for their per-category notification preferences.
+ *
+ * @file js/inbox.js
+ */
+
+// Import Firebase services
+import { auth } from "./firebase.js";
+// Import authentication state observer
+import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+// Import the inbox and preference helpers
+import {
+  CATEGORIES, CATEGORY_LABELS, watchInbox, markRead, markAllRead,
+  deleteNotification, loadPreferences, savePreferences
+} from "./notifications.js";
+// Import the safe rendering helpers (notifications quote user text)
+import { el } from "./render.js";
+
+/**
+ * Latest Inbox Snapshot
+ *
+ * @type {Array<Object>}
+ */
+let notifications = [];
+
+/**
+ * Stop Listening to the Inbox
+ *
+ * @type {Function|null}
+ */
+let stopInbox = null;
+
+/**
+ * Format Date
+ *
+ * @function formatDate
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} e.g. "15 Jan 2024, 02:30 PM"
+ */
+function formatDate(time) {
+  return new Date(time).toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true
+  });
+}
+
+/* =======================
+   INBOX
+   ======================= */
+
+/**
+ * Render Inbox
+ *
+ * Unread notifications are highlighted. Opening one marks it read.
+ *
+ * @function renderInbox
+ * @returns {void}
+ */
+function renderInbox() {
+  const list = document.getElementById("notificationList");
+  list.innerHTML = "";
+
+  if (notifications.length === 0) {
+    list.appendChild(el("li", {}, "No notifications yet"));
+    return;
+  }
+
+  notifications.forEach(n => {
+    list.appendChild(el("li", { className: n.read ? "notification" : "notification unread" },
+      el("a", { href: n.link, onclick: (event) => window.openNotification(event, n.id) }, n.title),
+      el("p", {}, n.body),
+      el("small", {}, formatDate(n.createdAt)),
+      " ",
+      n.read ? null : el("button", { onclick: () => window.readNotification(n.id) }, "Mark as Read"),
+      el("button", { onclick: () => window.removeNotification(n.id) }, "Delete")
+    ));
+  });
+}
+
+/**
+ * Open Notification Function
+ *
+ * Marks the notification read before following its link, so the write
+ * isn't lost when the page unloads.
+ *
+ * @function window.openNotification
+ * @async
+ * @param {Event} event - Click on the notification's link
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<void>}
+ */
+window.openNotification = async (event, notificationId) => {
+  const notification = notifications.find(n => n.id === notificationId);
+  if (!notification || notification.read) {
+    return;
+  }
+
+  event.preventDefault();
+  const href = event.currentTarget.href;
+  try {
+    await markRead(auth.currentUser.uid, notificationId);
+  } catch (error) {
+    // Log error for debugging (the link still opens)
+    console.error("Mark read error:", error);
+  }
+  window.location.href = href;
+};
+
+/**
+ * Read Notification Function
+ *
+ * @function window.readNotification
+ * @async
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<void>}
+ */
+window.readNotification = async (notificationId) => {
+  try {
+    await markRead(auth.currentUser.uid, notificationId);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Mark read error:", error);
+    // Show user-friendly error message
+    alert("Failed to update notification: " + error.message);
+  }
+};
+
+/**
+ * Mark All Notifications Read Function
+ *
+ * @function window.markAllNotificationsRead
+ * @async
+ * @returns {Promise<void>}
+ */
+window.markAllNotificationsRead = async () => {
+  try {
+    await markAllRead(auth.currentUser.uid, notifications);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Mark all read error:", error);
+    // Show user-friendly error message
+    alert("Failed to update notifications: " + error.message);
+  }
+};
+
+/**
+ * Remove Notification Function
+ *
+ * @function window.removeNotification
+ * @async
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<void>}
+ */
+window.removeNotification = async (notificationId) => {
+  try {
+    await deleteNotification(auth.currentUser.uid, notificationId);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Delete notification error:", error);
+    // Show user-friendly error message
+    alert("Failed to delete notification: " + error.message);
+  }
+};
+
+/* =======================
+   PREFERENCES
+   ======================= */
+
+/**
+ * Render Preferences
+ *
+ * One row per category with an in-app and an email checkbox.
+ *
+ * @function renderPreferences
+ * @param {Object<string, {inApp: boolean, email: boolean}>} preferences - Channels per category
+ * @returns {void}
+ */
+function renderPreferences(preferences) {
+  const rows = document.getElementById("preferenceRows");
+  rows.innerHTML = "";
+
+  Object.values(CATEGORIES).forEach(category => {
+    const checkbox = (channel) => el("input", {
+      type: "checkbox",
+      id: `pref-${category}-${channel}`,
+      checked: preferences[category][channel]
+    });
+
+    rows.appendChild(el("tr", {},
+      el("td", {}, CATEGORY_LABELS[category]),
+      el("td", {}, checkbox("inApp")),
+      el("td", {}, checkbox("email"))
+    ));
+  });
+}
+
+/**
+ * Save Notification Preferences Function
+ *
+ * @function window.saveNotificationPreferences
+ * @async
+ * @returns {Promise<void>}
+ */
+window.saveNotificationPreferences = async () => {
+  const checked = (id) => Boolean(document.getElementById(id)?.checked);
+
+  const preferences = {};
+  Object.values(CATEGORIES).forEach(category => {
+    preferences[category] = {
+      inApp: checked(`pref-${category}-inApp`),
+      email: checked(`pref-${category}-email`)
+    };
+  });
+
+  try {
+    await savePreferences(auth.currentUser.uid, preferences);
+    alert("Preferences saved");
+  } catch (error) {
+    // Log error for debugging
+    console.error("Preferences error:", error);
+    // Show user-friendly error message
+    alert("Failed to save preferences: " + error.message);
+  }
+};
+
+/* =======================
+   PAGE
+   ======================= */
+
+/**
+ * Stop Listening
+ *
+ * @function stopListening
+ * @returns {void}
+ */
+function stopListening() {
+  if (stopInbox) {
+    stopInbox();
+    stopInbox = null;
+  }
+}
+
+/**
+ * Load Page
+ *
+ * @function loadPage
+ * @async
+ * @param {Object|null} user - Signed-in Firebase user, or null
+ * @returns {Promise<void>}
+ */
+async function loadPage(user) {
+  const notice = document.getElementById("inboxNotice");
+  const panel = document.getElementById("inboxPanel");
+
+  stopListening();
+  panel.style.display = "none";
+
+  if (!user) {
+    notice.textContent = "Please login to see your notifications.";
+    return;
+  }
+
+  try {
+    renderPreferences(await loadPreferences(user.uid));
+
+    stopInbox = watchInbox(user.uid, (items) => {
+      notifications = items;
+      renderInbox();
+    }, (error) => {
+      console.error("Error loading notifications:", error);
+      notice.textContent = "Failed to load notifications: " + error.message;
+    });
+
+    notice.textContent = "";
+    panel.style.display = "block";
+  } catch (error) {
+    // Log error for debugging
+    console.error("Error loading notifications:", error);
+    // Show user-friendly error message
+    notice.textContent = "Failed to load notifications: " + error.message;
+  }
+}
+
+// Reload whenever the user signs in or out
+onAuthStateChanged(auth, loadPage);
+
+// Detach the listener when leaving the page
+window.addEventListener("pagehide", stopListening);
@@ -0,0 +1,220 @@
+/**
+ * Campaign Lifecycle Module
+ *
+ * Defines the statuses a campaign moves through and the rules for moving
+ * between them. A campaign's stored status only records the decisions
+ * people make (publishing, pausing, cancelling); the time- and money-driven
+ * transitions are derived here so every page agrees on them:
+ * - active -> funded   once raised reaches the target
+ * - active -> expired  once the end date has passed
+ *
+ * Separately, every new campaign is reviewed by an admin before it goes
+ * public (see MODERATION below and js/moderation.js).
+ *
+ * @file js/lifecycle.js
+ */
+
+/**
+ * Campaign Statuses
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const STATUS = {
+  DRAFT: "draft",           // Saved by the creator, not yet published
+  ACTIVE: "active",         // Published and accepting donations
+  PAUSED: "paused",         // Donations paused by the creator
+  FUNDED: "funded",         // Target reached
+  EXPIRED: "expired",       // End date passed before the target was reached
+  CANCELLED: "cancelled"    // Closed by the creator
+};
+
+/**
+ * Human-readable labels for each status
+ *
+ * @type {Object<string, string>}
+ */
+export const STATUS_LABELS = {
+  [STATUS.DRAFT]: "Draft",
+  [STATUS.ACTIVE]: "Active",
+  [STATUS.PAUSED]: "Paused",
+  [STATUS.FUNDED]: "Funded",
+  [STATUS.EXPIRED]: "Expired",
+  [STATUS.CANCELLED]: "Cancelled"
+};
+
+/**
+ * Get Effective Status
+ *
+ * Works out the status a campaign is in right now from its stored status,
+ * its totals and its end date. Campaigns created before statuses existed have
+ * no stored status and are treated as active.
+ *
+ * @function effectiveStatus
+ * @param {Object} campaign - Campaign document data
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string} One of the STATUS values
+ */
+export function effectiveStatus(campaign, now = Date.now()) {
+  const stored = campaign.status || STATUS.ACTIVE;
+
+  // Only active campaigns change status on their own
+  if (stored !== STATUS.ACTIVE) {
+    return stored;
+  }
+
+  if (Number(campaign.raised) >= Number(campaign.target)) {
+    return STATUS.FUNDED;
+  }
+
+  if (campaign.endDate && now >= campaign.endDate) {
+    return STATUS.EXPIRED;
+  }
+
+  return STATUS.ACTIVE;
+}
+
+/**
+ * Check Whether a Campaign Accepts Donations
+ *
+ * @function isAcceptingDonations
+ * @param {Object} campaign - Campaign document data
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True only for approved campaigns that are active right now
+ */
+export function isAcceptingDonations(campaign, now = Date.now()) {
+  return isApproved(campaign) && effectiveStatus(campaign, now) === STATUS.ACTIVE;
+}
+
+/**
+ * Format Time Left
+ *
+ * Describes how long a campaign has until its end date.
+ *
+ * @function timeLeft
+ * @param {Object} campaign - Campaign document data
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string} e.g. "12 days left", "5 hours left", "Ended" or "No end date"
+ */
+export function timeLeft(campaign, now = Date.now()) {
+  if (!campaign.endDate) {
+    return "No end date";
+  }
+
+  const ms = campaign.endDate - now;
+  if (ms <= 0) {
+    return "Ended";
+  }
+
+  const hour = 60 * 60 * 1000;
+  const day = 24 * hour;
+
+  if (ms >= day) {
+    const days = Math.floor(ms / day);
+    return `${days} day${days === 1 ? "" : "s"} left`;
+  }
+
+  if (ms >= hour) {
+    const hours = Math.floor(ms / hour);
+    return `${hours} hour${hours === 1 ? "" : "s"} left`;
+  }
+
+  const minutes = Math.max(1, Math.floor(ms / 60000));
+  return `${minutes} minute${minutes === 1 ? "" : "s"} left`;
+}
+
+/**
+ * Parse an End Date Input
+ *
+ * Converts the value of an <input type="date"> into the end of that day
+ * (local time) in milliseconds, so a campaign ending "on" a date stays open
+ * for the whole of that day.
+ *
+ * @function parseEndDate
+ * @param {string} value - Input value in YYYY-MM-DD format
+ * @returns {number} Timestamp in milliseconds, or NaN if the value is invalid
+ */
+export function parseEndDate(value) {
+  if (!value) {
+    return NaN;
+  }
+  return new Date(`${value}T23:59:59`).getTime();
+}
+
+/**
+ * Funding Modes
+ *
+ * Chosen when a campaign is created and fixed afterwards.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const FUNDING_MODE = {
+  KEEP: "keep",                       // The creator keeps whatever is raised
+  ALL_OR_NOTHING: "all_or_nothing"    // Every donation is refunded if the target is missed
+};
+
+/**
+ * Human-readable labels for each funding mode
+ *
+ * @type {Object<string, string>}
+ */
+export const FUNDING_MODE_LABELS = {
+  [FUNDING_MODE.KEEP]: "Keep what you raise",
+  [FUNDING_MODE.ALL_OR_NOTHING]: "All-or-nothing"
+};
+
+/**
+ * Moderation States
+ *
+ * Set by admins from the moderation console (admin.html). Only approved
+ * campaigns are listed publicly and accept donations.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const MODERATION = {
+  PENDING: "pending",       // Waiting in the review queue
+  APPROVED: "approved",     // Public
+  REJECTED: "rejected",     // Sent back to the creator with a reason
+  SUSPENDED: "suspended",   // Taken down for now (e.g. after a report)
+  REMOVED: "removed"        // Taken down for good (the campaign is also cancelled)
+};
+
+/**
+ * Human-readable labels for each moderation state
+ *
+ * @type {Object<string, string>}
+ */
+export const MODERATION_LABELS = {
+  [MODERATION.PENDING]: "Awaiting review",
+  [MODERATION.APPROVED]: "Approved",
+  [MODERATION.REJECTED]: "Rejected",
+  [MODERATION.SUSPENDED]: "Suspended",
+  [MODERATION.REMOVED]: "Removed"
+};
+
+/**
+ * Get Moderation State
+ *
+ * Campaigns created before moderation existed have no stored state and are
+ * treated as approved.
+ *
+ * @function moderationState
+ * @param {Object} campaign - Campaign document data
+ * @returns {string} One of the MODERATION values
+ */
+export function moderationState(campaign) {
+  return campaign.moderation || MODERATION.APPROVED;
+}
+
+/**
+ * Check Whether a Campaign Is Approved
+ *
+ * @function isApproved
+ * @param {Object} campaign - Campaign document data
+ * @returns {boolean} True if the campaign may be shown publicly
+ */
+export function isApproved(campaign) {
+  return moderationState(campaign) === MODERATION.APPROVED;
+}
@@ -0,0 +1,203 @@
+/**
+ * Campaign Media Module
+ *
+ * Uploads campaign cover images and gallery images to Firebase Storage.
+ * Every image is checked (type and size), then resized in the browser
+ * before upload, and stored twice under campaigns/{campaignId}/:
+ * - a display copy, at most MEDIA_LIMITS.maxWidth wide
+ * - a thumbnail, at most MEDIA_LIMITS.thumbWidth wide (used on cards)
+ *
+ * The campaign document keeps what the pages need to show them:
+ * - cover: { url, thumbUrl, path, thumbPath } or null
+ * - gallery: array of the same, at most MEDIA_LIMITS.galleryMax entries
+ *
+ * storage.rules only lets the campaign creator upload, so the campaign
+ * document must exist before its images are uploaded.
+ *
+ * @file js/media.js
+ */
+
+// Import the Storage service
+import { storage } from "./firebase.js";
+// Import Storage functions for uploads
+import {
+  ref,            // Reference to a file in Storage
+  uploadBytes,    // Upload a Blob
+  getDownloadURL, // Public URL of an uploaded file
+  deleteObject,   // Delete a file
+  listAll         // List the files under a folder
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-storage.js";
+
+/**
+ * Image Limits
+ *
+ * maxBytes and types are also enforced by storage.rules.
+ *
+ * @type {{types: Array<string>, maxBytes: number, maxWidth: number, thumbWidth: number, galleryMax: number}}
+ */
+export const MEDIA_LIMITS = {
+  types: ["image/jpeg", "image/png", "image/webp"],
+  maxBytes: 5 * 1024 * 1024,   // 5 MB, checked before resizing
+  maxWidth: 1600,              // Display copy width (px)
+  thumbWidth: 400,             // Thumbnail width (px)
+  galleryMax: 6                // Gallery images per campaign
+};
+
+/**
+ * Validate an Image File
+ *
+ * @function validateImage
+ * @param {File} file - File picked by the user
+ * @returns {string|null} Error message, or null if the file can be uploaded
+ */
+export function validateImage(file) {
+  if (!MEDIA_LIMITS.types.includes(file.type)) {
+    return `${file.name}: only JPEG, PNG and WebP images can be uploaded`;
+  }
+  if (file.size > MEDIA_LIMITS.maxBytes) {
+    return `${file.name}: images must be at most ${MEDIA_LIMITS.maxBytes / (1024 * 1024)} MB`;
+  }
+  return null;
+}
+
+/**
+ * Check a List of Picked Files
+ *
+ * @function validateImages
+ * @param {Array<File>} files - Files picked by the user
+ * @param {number} [room=MEDIA_LIMITS.galleryMax] - How many more images fit in the gallery
+ * @returns {string|null} Error message, or null if every file can be uploaded
+ */
+export function validateImages(files, room = MEDIA_LIMITS.galleryMax) {
+  if (files.length > room) {
+    return `A campaign gallery can have at most ${MEDIA_LIMITS.galleryMax} images`;
+  }
+  for (const file of files) {
+    const error = validateImage(file);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Resize an Image
+ *
+ * Draws the image onto a canvas no wider than maxWidth (smaller images are
+ * not enlarged) and encodes it as JPEG.
+ *
+ * @function resizeImage
+ * @async
+ * @param {Blob} file - Image to resize
+ * @param {number} maxWidth - Largest width in pixels
+ * @returns {Promise<Blob>} JPEG image
+ */
+export async function resizeImage(file, maxWidth) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxWidth / bitmap.width);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+
+  const context = canvas.getContext("2d");
+  // JPEG has no transparency: draw transparent areas on white
+  context.fillStyle = "#fff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Could not process image")),
+      "image/jpeg", 0.85);
+  });
+}
+
+/**
+ * Upload a Campaign Image
+ *
+ * Resizes the image, then uploads the display copy and the thumbnail.
+ *
+ * @function uploadCampaignImage
+ * @async
+ * @param {string} campaignId - Campaign the image belongs to
+ * @param {File} file - Image picked by the user
+ * @param {"cover"|"gallery"} kind - Where the image is used
+ * @returns {Promise<{url: string, thumbUrl: string, path: string, thumbPath: string}>}
+ * @throws {Error} If the file is not an allowed image
+ */
+export async function uploadCampaignImage(campaignId, file, kind) {
+  const error = validateImage(file);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const [display, thumb] = await Promise.all([
+    resizeImage(file, MEDIA_LIMITS.maxWidth),
+    resizeImage(file, MEDIA_LIMITS.thumbWidth)
+  ]);
+
+  const name = `${kind}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const path = `campaigns/${campaignId}/${name}.jpg`;
+  const thumbPath = `campaigns/${campaignId}/${name}-thumb.jpg`;
+  const metadata = { contentType: "image/jpeg" };
+
+  const [displayResult, thumbResult] = await Promise.all([
+    uploadBytes(ref(storage, path), display, metadata),
+    uploadBytes(ref(storage, thumbPath), thumb, metadata)
+  ]);
+
+  return {
+    url: await getDownloadURL(displayResult.ref),
+    thumbUrl: await getDownloadURL(thumbResult.ref),
+    path,
+    thumbPath
+  };
+}
+
+/**
+ * Upload Several Images
+ *
+ * @function uploadCampaignImages
+ * @async
+ * @param {string} campaignId - Campaign the images belong to
+ * @param {Array<File>} files - Images picked by the user
+ * @returns {Promise<Array<Object>>} Uploaded images (see uploadCampaignImage)
+ */
+export async function uploadCampaignImages(campaignId, files) {
+  return Promise.all(files.map(file => uploadCampaignImage(campaignId, file, "gallery")));
+}
+
+/**
+ * Delete a Campaign Image
+ *
+ * Removes both copies of an uploaded image. Files that are already gone
+ * are ignored.
+ *
+ * @function deleteCampaignImage
+ * @async
+ * @param {{path: string, thumbPath: string}} image - Image from the campaign document
+ * @returns {Promise<void>}
+ */
+export async function deleteCampaignImage(image) {
+  await Promise.all([image.path, image.thumbPath].map(path =>
+    deleteObject(ref(storage, path)).catch(error => {
+      if (error.code !== "storage/object-not-found") throw error;
+    })
+  ));
+}
+
+/**
+ * Delete All Campaign Images
+ *
+ * Used before deleting a campaign (storage.rules need the campaign
+ * document to check who may delete).
+ *
+ * @function deleteAllCampaignImages
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<void>}
+ */
+export async function deleteAllCampaignImages(campaignId) {
+  const folder = await listAll(ref(storage, `campaigns/${campaignId}`));
+  await Promise.all(folder.items.map(item => deleteObject(item)));
+}
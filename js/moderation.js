@@ -0,0 +1,328 @@
+/**
+ * Moderation Module
+ *
+ * Admin review of campaigns. Every new campaign starts "pending" and is
+ * only listed publicly (and only takes donations) once an admin approves
+ * it. Admins can also reject a campaign with a reason, suspend it (e.g.
+ * after a report), reinstate it, or remove it for good.
+ *
+ * Collections:
+ * - reports: campaigns reported by visitors from campaign.html
+ *   (campaignId, reason, details, reporter, createdAt, status "open"/"closed")
+ * - moderationLog: one entry per admin decision
+ *   (campaignId, action, reason, by, time, reportId)
+ *
+ * A decision updates the campaign and writes its log entry in one batch;
+ * firestore.rules refuse the campaign update without the entry.
+ *
+ * Admins have an "admin" custom claim or a document in the "admins"
+ * collection (managed from the Firebase console).
+ *
+ * @file js/moderation.js
+ */
+
+// Import Firestore database service
+import { db } from "./firebase.js";
+// Import Firestore functions for moderation documents
+import {
+  collection, // Reference to a collection
+  doc,        // Reference to a specific document
+  getDoc,     // Get a single document
+  getDocs,    // Execute a query and get documents
+  addDoc,     // Add a new document to a collection
+  writeBatch, // Group several writes into one atomic commit
+  query,      // Create a query for filtering/sorting
+  where,      // Filter documents by field value
+  orderBy,    // Sort documents by field value
+  limit       // Limit the number of results
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+// Import campaign lifecycle helpers
+import { STATUS, MODERATION } from "./lifecycle.js";
+// Import the campaign repository
+import { repository } from "./repository-firestore.js";
+
+/**
+ * Report Reasons
+ *
+ * The same values are checked by firestore.rules.
+ *
+ * @type {Object<string, string>}
+ */
+export const REPORT_REASONS = {
+  fraud: "Fraud or scam",
+  inappropriate: "Inappropriate content",
+  spam: "Spam",
+  copyright: "Uses someone else's content",
+  other: "Something else"
+};
+
+/**
+ * Moderation Field Limits
+ *
+ * The same limits are enforced by firestore.rules.
+ *
+ * @type {{details: number, reason: number}}
+ */
+export const MODERATION_LIMITS = {
+  details: 500,   // Report details typed by the visitor
+  reason: 500     // Reason given by the admin
+};
+
+/**
+ * Moderation Actions
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const MODERATION_ACTIONS = {
+  APPROVE: "approve",
+  REJECT: "reject",
+  SUSPEND: "suspend",
+  REINSTATE: "reinstate",
+  REMOVE: "remove",
+  DISMISS_REPORT: "dismiss_report"
+};
+
+/**
+ * Human-readable labels for each action (moderation log)
+ *
+ * @type {Object<string, string>}
+ */
+export const MODERATION_ACTION_LABELS = {
+  [MODERATION_ACTIONS.APPROVE]: "Approved",
+  [MODERATION_ACTIONS.REJECT]: "Rejected",
+  [MODERATION_ACTIONS.SUSPEND]: "Suspended",
+  [MODERATION_ACTIONS.REINSTATE]: "Reinstated",
+  [MODERATION_ACTIONS.REMOVE]: "Removed",
+  [MODERATION_ACTIONS.DISMISS_REPORT]: "Report dismissed"
+};
+
+/**
+ * Moderation State After Each Campaign Action
+ *
+ * @type {Object<string, string>}
+ */
+const NEXT_STATE = {
+  [MODERATION_ACTIONS.APPROVE]: MODERATION.APPROVED,
+  [MODERATION_ACTIONS.REJECT]: MODERATION.REJECTED,
+  [MODERATION_ACTIONS.SUSPEND]: MODERATION.SUSPENDED,
+  [MODERATION_ACTIONS.REINSTATE]: MODERATION.APPROVED,
+  [MODERATION_ACTIONS.REMOVE]: MODERATION.REMOVED
+};
+
+/**
+ * Actions That Need a Reason
+ *
+ * The reason is shown to the campaign owner on their dashboard.
+ *
+ * @type {Set<string>}
+ */
+export const REASON_REQUIRED = new Set([
+  MODERATION_ACTIONS.REJECT,
+  MODERATION_ACTIONS.SUSPEND,
+  MODERATION_ACTIONS.REMOVE
+]);
+
+/**
+ * Check Admin
+ *
+ * Admins have an "admin" custom claim or a document in the "admins" collection.
+ *
+ * @function checkIsAdmin
+ * @async
+ * @param {Object|null} user - Signed-in Firebase user, or null
+ * @returns {Promise<boolean>} True if the user is an admin
+ */
+export async function checkIsAdmin(user) {
+  if (!user) {
+    return false;
+  }
+  const token = await user.getIdTokenResult();
+  if (token.claims.admin === true) {
+    return true;
+  }
+  return (await getDoc(doc(db, "admins", user.uid))).exists();
+}
+
+/**
+ * Submit a Report
+ *
+ * @function submitReport
+ * @async
+ * @param {string} campaignId - Reported campaign
+ * @param {string} reason - One of the REPORT_REASONS keys
+ * @param {string} details - What is wrong ("" for none)
+ * @param {string} reporter - ID of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {Error} If the reason or details are invalid
+ */
+export async function submitReport(campaignId, reason, details, reporter) {
+  if (!REPORT_REASONS[reason]) {
+    throw new Error("Please pick a reason for the report");
+  }
+  if (details.length > MODERATION_LIMITS.details) {
+    throw new Error(`Details must be at most ${MODERATION_LIMITS.details} characters`);
+  }
+
+  await addDoc(collection(db, "reports"), {
+    campaignId,
+    reason,
+    details,
+    reporter,
+    createdAt: Date.now(),
+    status: "open"
+  });
+}
+
+/**
+ * Moderate a Campaign
+ *
+ * Applies an admin decision to a campaign and logs it, in one batch.
+ * Removing a campaign also cancels it. If the decision was made on a
+ * report, the report is closed in the same batch.
+ *
+ * @function moderateCampaign
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @param {string} action - One of the MODERATION_ACTIONS campaign actions
+ * @param {Object} options
+ * @param {string} options.by - ID of the admin
+ * @param {string} [options.reason=""] - Why (required for reject, suspend and remove)
+ * @param {string} [options.reportId] - Report that led to the decision
+ * @returns {Promise<void>}
+ * @throws {Error} If the action is unknown or a required reason is missing
+ */
+export async function moderateCampaign(campaignId, action, { by, reason = "", reportId = null }) {
+  const state = NEXT_STATE[action];
+  if (!state) {
+    throw new Error(`Unknown moderation action: ${action}`);
+  }
+  if (REASON_REQUIRED.has(action) && !reason) {
+    throw new Error("Please give a reason");
+  }
+  if (reason.length > MODERATION_LIMITS.reason) {
+    throw new Error(`Reason must be at most ${MODERATION_LIMITS.reason} characters`);
+  }
+
+  const time = Date.now();
+  const update = {
+    moderation: state,
+    moderationReason: reason,
+    moderatedAt: time,
+    moderatedBy: by
+  };
+  if (action === MODERATION_ACTIONS.REMOVE) {
+    update.status = STATUS.CANCELLED;
+  }
+
+  // The log entry's ID is stored on the campaign as moderationLogId
+  await repository.recordModeration(campaignId, update, { action, reason, by, time, reportId });
+}
+
+/**
+ * Dismiss a Report
+ *
+ * Closes a report without acting on the campaign, and logs it.
+ *
+ * @function dismissReport
+ * @async
+ * @param {Object} report - Report ({id, campaignId})
+ * @param {string} by - ID of the admin
+ * @returns {Promise<void>}
+ */
+export async function dismissReport(report, by) {
+  const time = Date.now();
+  const batch = writeBatch(db);
+
+  batch.update(doc(db, "reports", report.id), {
+    status: "closed",
+    resolution: MODERATION_ACTIONS.DISMISS_REPORT,
+    resolvedBy: by,
+    resolvedAt: time
+  });
+  batch.set(doc(collection(db, "moderationLog")), {
+    campaignId: report.campaignId,
+    action: MODERATION_ACTIONS.DISMISS_REPORT,
+    reason: "",
+    by,
+    time,
+    reportId: report.id
+  });
+
+  await batch.commit();
+}
+
+/**
+ * Load Campaigns by Moderation State
+ *
+ * @function loadByModeration
+ * @async
+ * @param {string} state - One of the MODERATION values
+ * @returns {Promise<Array<import("./repository.js").Campaign>>} Campaigns, oldest first
+ *   for the review queue, most recently moderated first otherwise
+ */
+export async function loadByModeration(state) {
+  return repository.listCampaigns({
+    moderation: state,
+    sort: state === MODERATION.PENDING
+      ? { field: "createdAt", direction: "asc" }
+      : { field: "moderatedAt", direction: "desc" }
+  });
+}
+
+/**
+ * Load Open Reports
+ *
+ * @function loadOpenReports
+ * @async
+ * @returns {Promise<Array<{id: string}>>} Open reports, oldest first
+ */
+export async function loadOpenReports() {
+  const snapshot = await getDocs(query(
+    collection(db, "reports"),
+    where("status", "==", "open"),
+    orderBy("createdAt")
+  ));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Load Moderation Log
+ *
+ * @function loadModerationLog
+ * @async
+ * @param {number} [count=50] - Entries to load
+ * @returns {Promise<Array<{id: string}>>} Latest decisions, newest first
+ */
+export async function loadModerationLog(count = 50) {
+  const snapshot = await getDocs(query(
+    collection(db, "moderationLog"),
+    orderBy("time", "desc"),
+    limit(count)
+  ));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Approve Campaigns Created Before Moderation
+ *
+ * Campaigns without a moderation state count as approved, but the public
+ * listing queries on the stored field, so it is written (and logged) for
+ * each of them. Safe to run more than once.
+ *
+ * @function approveLegacyCampaigns
+ * @async
+ * @param {string} by - ID of the admin
+ * @returns {Promise<number>} Number of campaigns updated
+ */
+export async function approveLegacyCampaigns(by) {
+  const legacy = (await repository.listCampaigns({})).filter(c => c.moderation === undefined);
+
+  for (const campaign of legacy) {
+    await moderateCampaign(campaign.id, MODERATION_ACTIONS.APPROVE, {
+      by,
+      reason: "Created before moderation"
+    });
+  }
+  return legacy.length;
+}
@@ -0,0 +1,253 @@
+/**
+ * Money Module
+ *
+ * Every amount the site stores is an integer number of minor units (paise,
+ * cents, ...) together with the currency it is in, so totals are added
+ * exactly (no 0.1 + 0.2 rounding errors):
+ * - campaigns: target, raised, currency
+ * - transactions: amount, currency (the campaign's currency)
+ * - reward tiers: minAmount, currency
+ *
+ * Documents written before currencies existed have no "currency" field and
+ * hold rupees as plain numbers; amountOf() converts those when they are read.
+ *
+ * All money parsing, arithmetic and formatting goes through this module.
+ * functions/money.js is the server copy of the parts Cloud Functions need.
+ *
+ * @file js/money.js
+ */
+
+/**
+ * Currency of Documents Without One
+ *
+ * @type {string}
+ */
+export const DEFAULT_CURRENCY = "INR";
+
+/**
+ * Currencies a Campaign Can Raise Money In
+ *
+ * The same list is checked by firestore.rules.
+ *
+ * @type {Array<string>}
+ */
+export const CURRENCIES = ["INR", "USD", "EUR", "GBP", "JPY"];
+
+/**
+ * Smallest and Largest Donation per Currency (minor units)
+ *
+ * Stops bots testing stolen cards with tiny payments and typos turning
+ * into huge ones. The same limits are checked by firestore.rules and
+ * createPaymentOrder (functions/money.js).
+ *
+ * @type {Object<string, {min: number, max: number}>}
+ */
+export const DONATION_LIMITS = {
+  INR: { min: 1000, max: 50000000 },    // ₹10 to ₹5,00,000
+  USD: { min: 100, max: 1000000 },      // $1 to $10,000
+  EUR: { min: 100, max: 1000000 },      // €1 to €10,000
+  GBP: { min: 100, max: 1000000 },      // £1 to £10,000
+  JPY: { min: 100, max: 1000000 }       // ¥100 to ¥1,000,000
+};
+
+/**
+ * Minor Unit Digits
+ *
+ * @function minorDigits
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Digits after the decimal point (2 for INR, 0 for JPY)
+ */
+export function minorDigits(currency) {
+  return new Intl.NumberFormat("en", { style: "currency", currency })
+    .resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Check a Donation Amount
+ *
+ * @function donationAmountError
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {string|null} Error message, or null if the amount is allowed
+ */
+export function donationAmountError(minor, currency) {
+  const limits = DONATION_LIMITS[currency];
+  if (!limits) {
+    return `Unsupported currency: ${currency}`;
+  }
+  if (minor < limits.min) {
+    return `The smallest donation is ${formatMoney(limits.min, currency)}`;
+  }
+  if (minor > limits.max) {
+    return `The largest donation is ${formatMoney(limits.max, currency)}`;
+  }
+  return null;
+}
+
+/**
+ * Currency of a Document
+ *
+ * @function currencyOf
+ * @param {Object} data - Campaign, transaction or reward data
+ * @returns {string} Currency code
+ */
+export function currencyOf(data) {
+  return data.currency || DEFAULT_CURRENCY;
+}
+
+/**
+ * Amount in Minor Units
+ *
+ * Reads an amount field, converting documents stored before currencies
+ * existed (rupees, possibly fractional) to paise.
+ *
+ * @function amountOf
+ * @param {Object} data - Campaign, transaction or reward data
+ * @param {string} field - "amount", "raised", "target" or "minAmount"
+ * @returns {number} Integer minor units
+ */
+export function amountOf(data, field) {
+  const value = Number(data[field] || 0);
+  return data.currency ? value : Math.round(value * 10 ** minorDigits(DEFAULT_CURRENCY));
+}
+
+/**
+ * Amount to Store
+ *
+ * The opposite of amountOf(): the value to write into a document that may
+ * still use the old format (e.g. a new target for an older campaign).
+ *
+ * @function storedAmount
+ * @param {Object} data - Document the amount is written to
+ * @param {number} minor - Integer minor units
+ * @returns {number} Value to store
+ */
+export function storedAmount(data, minor) {
+  return data.currency ? minor : minor / 10 ** minorDigits(DEFAULT_CURRENCY);
+}
+
+/**
+ * Add Amounts
+ *
+ * @function addAmounts
+ * @param {...number} amounts - Integer minor units
+ * @returns {number} Sum
+ * @throws {Error} If an amount is not a whole number of minor units
+ */
+export function addAmounts(...amounts) {
+  return amounts.reduce((sum, amount) => {
+    if (!Number.isSafeInteger(amount)) {
+      throw new Error(`Not a whole number of minor units: ${amount}`);
+    }
+    return sum + amount;
+  }, 0);
+}
+
+/**
+ * Convert Major Units to Minor Units
+ *
+ * For amounts that are already numbers (e.g. fixed thresholds).
+ *
+ * @function toMinor
+ * @param {number} major - Amount in major units (e.g. rupees)
+ * @param {string} currency - Currency code
+ * @returns {number} Integer minor units
+ */
+export function toMinor(major, currency) {
+  return Math.round(major * 10 ** minorDigits(currency));
+}
+
+/**
+ * Parse an Amount Typed by a User
+ *
+ * Accepts plain numbers ("100000", "100000.50") and grouped numbers in the
+ * Indian ("1,00,000") or international ("100,000.50") style. The decimals
+ * are read as text, so "0.1" becomes exactly 10 paise.
+ *
+ * @function parseAmount
+ * @param {string} text - Input value
+ * @param {string} currency - Currency code
+ * @returns {number} Integer minor units, or NaN if the text is not a valid amount
+ */
+export function parseAmount(text, currency) {
+  const value = String(text ?? "").trim().replace(/\s/g, "");
+  const match = /^(\d[\d,]*)(?:\.(\d+))?$/.exec(value);
+  if (!match) {
+    return NaN;
+  }
+
+  const [, whole, fraction = ""] = match;
+  if (whole.includes(",")
+      && !/^\d{1,3}(,\d{3})+$/.test(whole)            // 100,000
+      && !/^\d{1,2}(,\d{2})*,\d{3}$/.test(whole)) {   // 1,00,000
+    return NaN;
+  }
+
+  const digits = minorDigits(currency);
+  if (fraction.length > digits) {
+    return NaN;
+  }
+
+  const minor = Number(whole.replace(/,/g, "")) * 10 ** digits + Number(fraction.padEnd(digits, "0") || 0);
+  return Number.isSafeInteger(minor) ? minor : NaN;
+}
+
+/**
+ * Input Value for an Amount
+ *
+ * Writes an amount back into an input field (e.g. the edit form).
+ *
+ * @function toInputValue
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "1500.50" (no grouping, so parseAmount reads it back)
+ */
+export function toInputValue(minor, currency) {
+  const digits = minorDigits(currency);
+  return (minor / 10 ** digits).toFixed(digits);
+}
+
+/**
+ * Format an Amount
+ *
+ * Uses the currency's symbol and the viewer's locale (e.g. "₹1,00,000.00"
+ * in en-IN, "₹100,000.00" in en-US).
+ *
+ * @function formatMoney
+ * @param {number} minor - Integer minor units (negative for refunds)
+ * @param {string} currency - Currency code
+ * @param {string} [locale] - Locale to format for (default: the viewer's)
+ * @returns {string} Formatted amount
+ */
+export function formatMoney(minor, currency, locale) {
+  return new Intl.NumberFormat(locale, { style: "currency", currency })
+    .format(minor / 10 ** minorDigits(currency));
+}
+
+/**
+ * Format an Amount in Whole Units
+ *
+ * For labels where the minor unit is noise (e.g. "₹1,000" on a chart).
+ *
+ * @function formatRounded
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - Currency code
+ * @param {string} [locale] - Locale to format for (default: the viewer's)
+ * @returns {string} Formatted amount, rounded to a whole unit
+ */
+export function formatRounded(minor, currency, locale) {
+  return new Intl.NumberFormat(locale, { style: "currency", currency, maximumFractionDigits: 0, minimumFractionDigits: 0 })
+    .format(minor / 10 ** minorDigits(currency));
+}
+
+/**
+ * Format a Document's Amount
+ *
+ * @function formatAmountOf
+ * @param {Object} data - Campaign, transaction or reward data
+ * @param {string} field - Amount field
+ * @returns {string} Formatted amount in the document's currency
+ */
+export function formatAmountOf(data, field) {
+  return formatMoney(amountOf(data, field), currencyOf(data));
+}
@@ -0,0 +1,273 @@
+/**
+ * Monthly Donations Page
+ *
+ * Lists the signed-in donor's monthly donations (subscriptions.html),
+ * updated live, and lets them pause, resume or cancel one, or change the
+ * amount given from the next payment on.
+ *
+ * @file js/monthly.js
+ */
+
+// Import Firebase services
+import { auth } from "./firebase.js";
+// Import authentication state observer
+import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+// Import the campaign and subscription repository
+import { repository } from "./repository-firestore.js";
+// Import the monthly donation statuses
+import { SUBSCRIPTION_STATUS, SUBSCRIPTION_STATUS_LABELS, canChangeStatus } from "./subscriptions.js";
+// Import the money helpers
+import { parseAmount, toInputValue, formatMoney } from "./money.js";
+// Import the safe rendering helpers (campaign titles are typed by users)
+import { el } from "./render.js";
+
+/**
+ * Latest Subscriptions Snapshot
+ *
+ * @type {Array<Object>}
+ */
+let subscriptions = [];
+
+/**
+ * Campaign Titles by ID
+ *
+ * Looked up once per campaign; null while loading.
+ *
+ * @type {Map<string, string|null>}
+ */
+const titles = new Map();
+
+/**
+ * Stop Listening to the Subscriptions
+ *
+ * @type {Function|null}
+ */
+let stopSubscriptions = null;
+
+/**
+ * Format Date
+ *
+ * @function formatDate
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} e.g. "15 Jan 2024"
+ */
+function formatDate(time) {
+  return new Date(time).toLocaleDateString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric"
+  });
+}
+
+/**
+ * Campaign Title
+ *
+ * Starts loading the title the first time a campaign is seen and renders
+ * again once it arrives.
+ *
+ * @function campaignTitle
+ * @param {string} campaignId - Campaign ID
+ * @returns {string} The title, or a placeholder while it loads
+ */
+function campaignTitle(campaignId) {
+  if (!titles.has(campaignId)) {
+    titles.set(campaignId, null);
+    repository.getCampaign(campaignId)
+      .then(campaign => {
+        titles.set(campaignId, campaign ? campaign.title : "Deleted campaign");
+        renderSubscriptions();
+      })
+      .catch(error => console.error("Error loading campaign:", error));
+  }
+  return titles.get(campaignId) || "…";
+}
+
+/* =======================
+   SUBSCRIPTIONS
+   ======================= */
+
+/**
+ * Render Subscriptions
+ *
+ * @function renderSubscriptions
+ * @returns {void}
+ */
+function renderSubscriptions() {
+  const list = document.getElementById("subscriptionList");
+  list.innerHTML = "";
+
+  if (subscriptions.length === 0) {
+    list.appendChild(el("tr", {},
+      el("td", { colspan: 5, style: "text-align:center;" }, "You have no monthly donations")));
+    return;
+  }
+
+  subscriptions.forEach(s => {
+    const button = (label, handler) => el("button", { onclick: () => handler(s.id) }, label);
+    const controls = [];
+    if (canChangeStatus(s.status, SUBSCRIPTION_STATUS.PAUSED)) {
+      controls.push(button("Pause", window.pauseSubscription));
+    }
+    if (canChangeStatus(s.status, SUBSCRIPTION_STATUS.ACTIVE)) {
+      controls.push(button("Resume", window.resumeSubscription));
+    }
+    if (s.status !== SUBSCRIPTION_STATUS.CANCELLED) {
+      controls.push(button("Change Amount", window.changeSubscriptionAmount));
+      controls.push(button("Cancel", window.cancelSubscription));
+    }
+
+    list.appendChild(el("tr", {},
+      el("td", {}, el("a", { href: `campaign.html?id=${encodeURIComponent(s.campaignId)}` }, campaignTitle(s.campaignId))),
+      el("td", {}, `${formatMoney(s.amount, s.currency)}/month`),
+      el("td", {}, SUBSCRIPTION_STATUS_LABELS[s.status],
+        s.endedReason ? ` · ${s.endedReason}` : ""),
+      el("td", {}, s.status === SUBSCRIPTION_STATUS.ACTIVE && s.nextChargeAt ? formatDate(s.nextChargeAt) : "—"),
+      el("td", {}, controls.flatMap(control => [control, " "]))
+    ));
+  });
+}
+
+/**
+ * Change Subscription
+ *
+ * @function change
+ * @async
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} changes - See changeSubscription() in repository.js
+ * @returns {Promise<void>}
+ */
+async function change(subscriptionId, changes) {
+  const subscription = subscriptions.find(s => s.id === subscriptionId);
+  if (!subscription) {
+    return;
+  }
+
+  try {
+    await repository.changeSubscription(subscription, changes);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Monthly donation error:", error);
+    // Show user-friendly error message
+    alert("Failed to update monthly donation: " + error.message);
+  }
+}
+
+/**
+ * Pause Subscription Function
+ *
+ * No payments are taken until it is resumed; missed months are not charged.
+ *
+ * @function window.pauseSubscription
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<void>}
+ */
+window.pauseSubscription = (subscriptionId) =>
+  change(subscriptionId, { status: SUBSCRIPTION_STATUS.PAUSED });
+
+/**
+ * Resume Subscription Function
+ *
+ * @function window.resumeSubscription
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<void>}
+ */
+window.resumeSubscription = (subscriptionId) =>
+  change(subscriptionId, { status: SUBSCRIPTION_STATUS.ACTIVE });
+
+/**
+ * Cancel Subscription Function
+ *
+ * @function window.cancelSubscription
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<void>}
+ */
+window.cancelSubscription = async (subscriptionId) => {
+  if (!confirm("Cancel this monthly donation? This cannot be undone.")) {
+    return;
+  }
+  await change(subscriptionId, { status: SUBSCRIPTION_STATUS.CANCELLED });
+};
+
+/**
+ * Change Subscription Amount Function
+ *
+ * The new amount is charged from the next payment on.
+ *
+ * @function window.changeSubscriptionAmount
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<void>}
+ */
+window.changeSubscriptionAmount = async (subscriptionId) => {
+  const subscription = subscriptions.find(s => s.id === subscriptionId);
+  if (!subscription) {
+    return;
+  }
+
+  const value = prompt(`New monthly amount (${subscription.currency}):`,
+    toInputValue(subscription.amount, subscription.currency));
+  if (value === null) {
+    return;
+  }
+
+  const amount = parseAmount(value, subscription.currency);
+  if (!amount || amount <= 0 || isNaN(amount)) {
+    alert("Please enter a valid amount");
+    return;
+  }
+  await change(subscriptionId, { amount });
+};
+
+/* =======================
+   PAGE
+   ======================= */
+
+/**
+ * Stop Listening
+ *
+ * @function stopListening
+ * @returns {void}
+ */
+function stopListening() {
+  if (stopSubscriptions) {
+    stopSubscriptions();
+    stopSubscriptions = null;
+  }
+}
+
+/**
+ * Load Page
+ *
+ * @function loadPage
+ * @param {Object|null} user - Signed-in Firebase user, or null
+ * @returns {void}
+ */
+function loadPage(user) {
+  const notice = document.getElementById("monthlyNotice");
+  const panel = document.getElementById("monthlyPanel");
+
+  stopListening();
+  panel.style.display = "none";
+
+  if (!user) {
+    notice.textContent = "Please login to see your monthly donations.";
+    return;
+  }
+
+  stopSubscriptions = repository.watchSubscriptions(user.uid, (items) => {
+    subscriptions = items;
+    notice.textContent = "";
+    panel.style.display = "table";
+    renderSubscriptions();
+  }, (error) => {
+    // Log error for debugging
+    console.error("Error loading monthly donations:", error);
+    // Show user-friendly error message
+    notice.textContent = "Failed to load monthly donations: " + error.message;
+  });
+}
+
+// Reload whenever the user signs in or out
+onAuthStateChanged(auth, loadPage);
+
+// Detach the listener when leaving the page
+window.addEventListener("pagehide", stopListening);
@@ -0,0 +1,137 @@
+/**
+ * Site Navigation Module
+ *
+ * Fills the <nav id="siteNav"> element on every page with links that match
+ * the auth state:
+ * - Signed out: Home, Login, Register
+ * - Signed in: Home, Dashboard, My Profile, Monthly Donations, Notifications
+ *   (with an unread badge), Logout
+ * - Admins also get a Moderation link (admin.html)
+ *
+ * @file js/nav.js
+ */
+
+// Import the auth service from our Firebase configuration
+import { auth } from "./firebase.js";
+// Import authentication state observer and sign-out
+import { onAuthStateChanged, signOut } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+// Import the admin check
+import { checkIsAdmin } from "./moderation.js";
+// Import the unread notification counter
+import { watchUnreadCount } from "./notifications.js";
+
+/**
+ * Stop Listening to the Unread Count
+ *
+ * @type {Function|null}
+ */
+let stopUnread = null;
+
+/**
+ * Create Nav Link
+ *
+ * @function navLink
+ * @param {string} href - Link target
+ * @param {string} text - Link text
+ * @returns {HTMLAnchorElement} Link element
+ */
+function navLink(href, text) {
+  const link = document.createElement("a");
+  link.href = href;
+  link.textContent = text;
+  return link;
+}
+
+/**
+ * Render Navigation
+ *
+ * @function renderNav
+ * @param {Object|null} user - Signed-in Firebase user, or null
+ * @returns {void}
+ */
+function renderNav(user) {
+  const nav = document.getElementById("siteNav");
+  if (!nav) {
+    return;
+  }
+
+  if (stopUnread) {
+    stopUnread();
+    stopUnread = null;
+  }
+
+  nav.innerHTML = "";
+  nav.appendChild(navLink("index.html", "Home"));
+
+  if (!user) {
+    nav.append(navLink("login.html", "Login"), navLink("register.html", "Register"));
+    return;
+  }
+
+  const logout = navLink("#", "Logout");
+  logout.addEventListener("click", (event) => {
+    event.preventDefault();
+    window.logout();
+  });
+
+  // Unread badge, kept live while the page is open
+  const inbox = navLink("notifications.html", "Notifications");
+  const badge = document.createElement("span");
+  badge.className = "badge";
+  badge.style.display = "none";
+  inbox.appendChild(badge);
+
+  stopUnread = watchUnreadCount(user.uid, (count) => {
+    badge.textContent = count > 99 ? "99+" : String(count);
+    badge.style.display = count > 0 ? "inline-block" : "none";
+  }, (error) => console.error("Unread count error:", error));
+
+  nav.append(
+    navLink("dashboard.html", "Dashboard"),
+    navLink("profile.html", "My Profile"),
+    navLink("subscriptions.html", "Monthly Donations"),
+    inbox,
+    logout
+  );
+
+  // Admins get a link to the moderation console
+  checkIsAdmin(user)
+    .then(admin => {
+      if (admin && auth.currentUser === user) {
+        logout.before(navLink("admin.html", "Moderation"));
+      }
+    })
+    .catch(error => console.error("Admin check error:", error));
+}
+
+/**
+ * Logout Function
+ *
+ * Signs the user out and returns to the home page.
+ *
+ * @function window.logout
+ * @async
+ * @returns {Promise<void>}
+ */
+window.logout = async () => {
+  try {
+    await signOut(auth);
+    window.location.href = "index.html";
+  } catch (error) {
+    // Log error for debugging
+    console.error("Logout error:", error);
+    // Show user-friendly error message
+    alert("Logout failed: " + error.message);
+  }
+};
+
+// Re-render whenever the user signs in or out
+onAuthStateChanged(auth, renderNav);
+
+// Detach the unread listener when leaving the page
+window.addEventListener("pagehide", () => {
+  if (stopUnread) {
+    stopUnread();
+    stopUnread = null;
+  }
+});
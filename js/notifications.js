@@ -0,0 +1,211 @@
+/**
+ * Notifications Module
+ *
+ * The in-app inbox and notification preferences. Notifications are written
+ * by Cloud Functions (functions/notifications.js) into
+ * users/{uid}/notifications:
+ * - category: one of CATEGORIES
+ * - title, body: what happened (plain text)
+ * - link: relative link to the page it is about
+ * - campaignId: campaign it is about
+ * - read: false until the user opens or dismisses it
+ * - createdAt: when it was sent
+ *
+ * Preferences live in users/{uid}/settings/notifications, one entry per
+ * category: {inApp: boolean, email: boolean}. Every channel is on unless
+ * the user switches it off.
+ *
+ * CATEGORIES must match functions/notifications.js; keep the two in step.
+ *
+ * @file js/notifications.js
+ */
+
+// Import Firestore database service
+import { db } from "./firebase.js";
+// Import Firestore functions for inbox and settings documents
+import {
+  collection, // Reference to a collection
+  doc,        // Reference to a specific document
+  getDoc,     // Get a single document
+  setDoc,     // Create or overwrite a document
+  updateDoc,  // Update fields in a document
+  deleteDoc,  // Delete a document
+  writeBatch, // Group several writes into one atomic commit
+  onSnapshot, // Listen to a query for live updates
+  query,      // Create a query for filtering/sorting
+  where,      // Filter documents by field value
+  orderBy,    // Sort documents by field value
+  limit       // Cap the number of documents returned
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+
+/**
+ * Notification Categories
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const CATEGORIES = {
+  DONATION: "donation",               // Creator: a donation was confirmed
+  MILESTONE: "milestone",             // Creator: 25/50/75/100% of the target
+  COMMENT: "comment",                 // Creator: someone commented
+  UPDATE: "update",                   // Donor: a backed campaign posted an update
+  GOAL_REACHED: "goal_reached",       // Donor: a backed campaign reached its target
+  CAMPAIGN_FAILED: "campaign_failed"  // Donor: a backed campaign ended below its target
+};
+
+/**
+ * Human-readable labels for each category (preferences form)
+ *
+ * @type {Object<string, string>}
+ */
+export const CATEGORY_LABELS = {
+  [CATEGORIES.DONATION]: "Donations to my campaigns",
+  [CATEGORIES.MILESTONE]: "Funding milestones of my campaigns",
+  [CATEGORIES.COMMENT]: "Comments on my campaigns",
+  [CATEGORIES.UPDATE]: "Updates from campaigns I backed",
+  [CATEGORIES.GOAL_REACHED]: "Campaigns I backed reaching their goal",
+  [CATEGORIES.CAMPAIGN_FAILED]: "Campaigns I backed missing their goal"
+};
+
+/**
+ * Inbox Size
+ *
+ * @type {number}
+ */
+export const INBOX_SIZE = 50;
+
+/**
+ * Inbox Collection
+ *
+ * @function inboxOf
+ * @param {string} userId - User ID
+ * @returns {Object} Collection reference
+ */
+function inboxOf(userId) {
+  return collection(db, "users", userId, "notifications");
+}
+
+/**
+ * Preferences Document
+ *
+ * @function preferencesOf
+ * @param {string} userId - User ID
+ * @returns {Object} Document reference
+ */
+function preferencesOf(userId) {
+  return doc(db, "users", userId, "settings", "notifications");
+}
+
+/**
+ * Watch Inbox
+ *
+ * @function watchInbox
+ * @param {string} userId - Signed-in user's ID
+ * @param {Function} onNotifications - Called with the newest INBOX_SIZE notifications
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Call to stop listening
+ */
+export function watchInbox(userId, onNotifications, onError) {
+  return onSnapshot(query(inboxOf(userId), orderBy("createdAt", "desc"), limit(INBOX_SIZE)),
+    snapshot => onNotifications(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))), onError);
+}
+
+/**
+ * Watch Unread Count
+ *
+ * @function watchUnreadCount
+ * @param {string} userId - Signed-in user's ID
+ * @param {Function} onCount - Called with the number of unread notifications
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Call to stop listening
+ */
+export function watchUnreadCount(userId, onCount, onError) {
+  return onSnapshot(query(inboxOf(userId), where("read", "==", false)),
+    snapshot => onCount(snapshot.size), onError);
+}
+
+/**
+ * Mark Notification Read
+ *
+ * @function markRead
+ * @async
+ * @param {string} userId - Signed-in user's ID
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<void>}
+ */
+export async function markRead(userId, notificationId) {
+  await updateDoc(doc(inboxOf(userId), notificationId), { read: true });
+}
+
+/**
+ * Mark All Read
+ *
+ * @function markAllRead
+ * @async
+ * @param {string} userId - Signed-in user's ID
+ * @param {Array<{id: string, read: boolean}>} notifications - Notifications shown in the inbox
+ * @returns {Promise<void>}
+ */
+export async function markAllRead(userId, notifications) {
+  const batch = writeBatch(db);
+  notifications
+    .filter(n => !n.read)
+    .forEach(n => batch.update(doc(inboxOf(userId), n.id), { read: true }));
+  await batch.commit();
+}
+
+/**
+ * Delete Notification
+ *
+ * @function deleteNotification
+ * @async
+ * @param {string} userId - Signed-in user's ID
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<void>}
+ */
+export async function deleteNotification(userId, notificationId) {
+  await deleteDoc(doc(inboxOf(userId), notificationId));
+}
+
+/**
+ * Load Preferences
+ *
+ * @function loadPreferences
+ * @async
+ * @param {string} userId - Signed-in user's ID
+ * @returns {Promise<Object<string, {inApp: boolean, email: boolean}>>} Channels per category
+ */
+export async function loadPreferences(userId) {
+  const snap = await getDoc(preferencesOf(userId));
+  const stored = snap.exists() ? snap.data() : {};
+
+  const preferences = {};
+  Object.values(CATEGORIES).forEach(category => {
+    const preference = stored[category] || {};
+    preferences[category] = {
+      inApp: preference.inApp !== false,
+      email: preference.email !== false
+    };
+  });
+  return preferences;
+}
+
+/**
+ * Save Preferences
+ *
+ * @function savePreferences
+ * @async
+ * @param {string} userId - Signed-in user's ID
+ * @param {Object<string, {inApp: boolean, email: boolean}>} preferences - Channels per category
+ * @returns {Promise<void>}
+ */
+export async function savePreferences(userId, preferences) {
+  const data = { updatedAt: Date.now() };
+  Object.values(CATEGORIES).forEach(category => {
+    data[category] = {
+      inApp: preferences[category]?.inApp !== false,
+      email: preferences[category]?.email !== false
+    };
+  });
+  await setDoc(preferencesOf(userId), data);
+}
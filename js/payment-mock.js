@@ -0,0 +1,44 @@
+/**
+ * Mock Checkout
+ *
+ * Checkout for the mock payment provider used with the Firebase emulators.
+ * Asks whether the payment should succeed, then has the mockCheckout
+ * function send the signed webhook a real gateway would send.
+ *
+ * @file js/payment-mock.js
+ */
+
+// Import Cloud Functions service
+import { functions } from "./firebase.js";
+// Import callable function helper
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-functions.js";
+// Import amount formatting
+import { formatMoney } from "./money.js";
+
+/**
+ * Open Mock Checkout
+ *
+ * @function openMockCheckout
+ * @async
+ * @param {Object} order - Order from createPaymentOrder
+ * @param {string} order.orderId - Mock order ID
+ * @param {number} order.amount - Amount in minor units
+ * @param {string} order.currency - Currency code
+ * @param {Object} details - Donation details
+ * @param {string} details.description - What the donation is for
+ * @returns {Promise<string>} "confirmed" or "failed"
+ */
+export async function openMockCheckout(order, details) {
+  const pay = confirm(
+    `MOCK PAYMENT\n${details.description}\nAmount: ${formatMoney(order.amount, order.currency)}\n\n` +
+    "OK = payment succeeds, Cancel = payment fails"
+  );
+
+  const mockCheckout = httpsCallable(functions, "mockCheckout");
+  const { data } = await mockCheckout({
+    orderId: order.orderId,
+    outcome: pay ? "confirmed" : "failed"
+  });
+
+  return data.status;
+}
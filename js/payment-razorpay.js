@@ -0,0 +1,76 @@
+/**
+ * Razorpay Checkout
+ *
+ * Opens Razorpay's hosted checkout for an order created by
+ * createPaymentOrder. The checkout result is not trusted: the donation is
+ * only confirmed when Razorpay's signed webhook reaches paymentWebhook.
+ *
+ * @file js/payment-razorpay.js
+ */
+
+// Razorpay's checkout script
+const CHECKOUT_SCRIPT = "https://checkout.razorpay.com/v1/checkout.js";
+
+// Shared promise so the script is only loaded once
+let scriptLoading = null;
+
+/**
+ * Load Checkout Script
+ *
+ * @function loadScript
+ * @returns {Promise<void>} Resolves once window.Razorpay is available
+ */
+function loadScript() {
+  if (!scriptLoading) {
+    scriptLoading = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = CHECKOUT_SCRIPT;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        scriptLoading = null;
+        reject(new Error("Could not load the Razorpay checkout"));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return scriptLoading;
+}
+
+/**
+ * Open Razorpay Checkout
+ *
+ * @function openRazorpayCheckout
+ * @async
+ * @param {Object} order - Order from createPaymentOrder
+ * @param {string} order.orderId - Razorpay order ID
+ * @param {number} order.amount - Amount in minor units
+ * @param {string} order.currency - Currency code
+ * @param {Object} order.checkout - Checkout options from the server (public key; for a
+ *   monthly donation also the customer to save the card for, and recurring: "1")
+ * @param {Object} details - Donation details
+ * @param {string} details.description - What the donation is for
+ * @param {string} [details.email] - Donor's email
+ * @returns {Promise<string>} "submitted" once the donor pays, "dismissed" if they close the checkout
+ */
+export async function openRazorpayCheckout(order, details) {
+  await loadScript();
+
+  return new Promise((resolve) => {
+    const checkout = new window.Razorpay({
+      key: order.checkout.key,
+      order_id: order.orderId,
+      amount: order.amount,   // Minor units
+      currency: order.currency,
+      name: "Crowdfunding Platform",
+      description: details.description,
+      prefill: { email: details.email || "" },
+      ...(order.checkout.customerId
+        ? { customer_id: order.checkout.customerId, recurring: order.checkout.recurring }
+        : {}),
+      handler: () => resolve("submitted"),
+      modal: { ondismiss: () => resolve("dismissed") }
+    });
+
+    checkout.open();
+  });
+}
@@ -0,0 +1,93 @@
+/**
+ * Payments Module
+ *
+ * Browser side of the payment provider layer. A donation goes through:
+ * 1. donate.js writes a "pending" transaction
+ * 2. createPaymentOrder (Cloud Function) opens an order with the active provider
+ * 3. The provider's checkout takes the donor's payment
+ * 4. The provider calls the signed webhook (paymentWebhook), which marks the
+ *    donation "confirmed" or "failed"; only confirmed donations count
+ *    towards the campaign's raised total
+ *
+ * Each provider registers a checkout function here; the server decides
+ * which provider an order uses.
+ *
+ * @file js/payments.js
+ */
+
+// Import Cloud Functions service
+import { functions } from "./firebase.js";
+// Import callable function helper
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-functions.js";
+// Import provider checkouts
+import { openRazorpayCheckout } from "./payment-razorpay.js";
+import { openMockCheckout } from "./payment-mock.js";
+
+/**
+ * Donation Statuses
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const DONATION_STATUS = {
+  PENDING: "pending",       // Waiting for the payment to be confirmed
+  CONFIRMED: "confirmed",   // Payment captured, counted in raised
+  FAILED: "failed"          // Payment failed or was declined
+};
+
+/**
+ * Checkout Functions by Provider
+ *
+ * Each takes the order returned by createPaymentOrder and the donation
+ * details, and resolves with one of:
+ * - "confirmed" / "failed": the outcome is already known (mock provider)
+ * - "submitted": the donor paid; confirmation will arrive by webhook
+ * - "dismissed": the donor closed the checkout without paying
+ *
+ * @type {Object<string, function(Object, Object): Promise<string>>}
+ */
+const CHECKOUTS = {
+  razorpay: openRazorpayCheckout,
+  mock: openMockCheckout
+};
+
+/**
+ * Check Whether a Transaction Is Confirmed
+ *
+ * Transactions recorded before payments existed have no status and were
+ * counted when they were made, so they are treated as confirmed.
+ *
+ * @function isConfirmed
+ * @param {Object} transaction - Transaction document data
+ * @returns {boolean} True if the transaction counts towards raised
+ */
+export function isConfirmed(transaction) {
+  return (transaction.status || DONATION_STATUS.CONFIRMED) === DONATION_STATUS.CONFIRMED;
+}
+
+/**
+ * Pay for a Donation
+ *
+ * Creates the gateway order for a pending transaction and opens the
+ * provider's checkout.
+ *
+ * @function payForDonation
+ * @async
+ * @param {string} transactionId - Pending transaction document ID
+ * @param {Object} details - Shown in the checkout
+ * @param {string} details.description - What the donation is for
+ * @param {string} [details.email] - Donor's email, to prefill the checkout
+ * @returns {Promise<string>} "confirmed", "failed", "submitted" or "dismissed"
+ * @throws {Error} If the order can't be created or the provider is unknown
+ */
+export async function payForDonation(transactionId, details) {
+  const createPaymentOrder = httpsCallable(functions, "createPaymentOrder");
+  const { data: order } = await createPaymentOrder({ transactionId });
+
+  const checkout = CHECKOUTS[order.provider];
+  if (!checkout) {
+    throw new Error(`Unsupported payment provider: ${order.provider}`);
+  }
+
+  return checkout(order, details);
+}
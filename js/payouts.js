@@ -0,0 +1,232 @@
+/**
+ * Payouts Module
+ *
+ * How campaign owners get the money they raised:
+ * - Owners save the bank account to pay from the dashboard
+ *   ("payoutAccounts", document ID = owner's uid)
+ * - They request a withdrawal from a campaign, up to its available
+ *   balance: what was raised, less money still reserved for refunds and
+ *   earlier payouts. The platform fee is taken from each payout.
+ * - An admin approves the request once the transfer is sent, or rejects it
+ *
+ * Balances are worked out by Cloud Functions from the "transactions"
+ * ledger (see functions/payouts.js); this module only calls them.
+ * PAYOUT_STATUS must match functions/payouts.js; keep the two in step.
+ *
+ * @file js/payouts.js
+ */
+
+// Import Firestore database and Cloud Functions services
+import { db, functions } from "./firebase.js";
+// Import Firestore functions for payout documents
+import {
+  collection,  // Reference to a collection
+  doc,         // Reference to a specific document
+  getDoc,      // Get a single document
+  getDocs,     // Execute a query and get documents
+  setDoc,      // Create or overwrite a document
+  deleteDoc,   // Delete a document
+  query,       // Create a query for filtering/sorting
+  where,       // Filter documents by field value
+  orderBy      // Sort documents by field value
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+// Import callable Cloud Functions (payouts are requested and reviewed on the server)
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-functions.js";
+
+/**
+ * Payout Statuses
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const PAYOUT_STATUS = {
+  REQUESTED: "requested",   // Waiting for an admin
+  APPROVED: "approved",     // Transfer sent
+  REJECTED: "rejected"      // Not paid; the amount is available again
+};
+
+/**
+ * Payout Status Labels
+ *
+ * @type {Object<string, string>}
+ */
+export const PAYOUT_STATUS_LABELS = {
+  requested: "Waiting for approval",
+  approved: "Paid",
+  rejected: "Rejected"
+};
+
+/**
+ * Payout Account Formats
+ *
+ * The same checks are made by firestore.rules. Account numbers cover
+ * Indian account numbers and IBANs; routing codes cover IFSC, sort codes
+ * and SWIFT codes.
+ *
+ * @type {{accountName: number, accountNumber: RegExp, routingCode: RegExp}}
+ */
+export const PAYOUT_ACCOUNT_LIMITS = {
+  accountName: 100,
+  accountNumber: /^[A-Z0-9]{6,34}$/,
+  routingCode: /^[A-Z0-9]{4,11}$/
+};
+
+/* =======================
+   PAYOUT ACCOUNT
+   ======================= */
+
+/**
+ * Validate Payout Account Details
+ *
+ * @function validatePayoutAccount
+ * @param {Object} fields
+ * @param {string} fields.accountName - Name on the account
+ * @param {string} fields.accountNumber - Account number or IBAN, without spaces
+ * @param {string} fields.routingCode - IFSC, sort code or SWIFT code
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function validatePayoutAccount({ accountName, accountNumber, routingCode }) {
+  if (!accountName || !accountNumber || !routingCode) {
+    return "Please fill in all the payout account details";
+  }
+  if (accountName.length > PAYOUT_ACCOUNT_LIMITS.accountName) {
+    return `Account name must be at most ${PAYOUT_ACCOUNT_LIMITS.accountName} characters`;
+  }
+  if (!PAYOUT_ACCOUNT_LIMITS.accountNumber.test(accountNumber)) {
+    return "Account number must be 6 to 34 letters and digits";
+  }
+  if (!PAYOUT_ACCOUNT_LIMITS.routingCode.test(routingCode)) {
+    return "IFSC, sort code or SWIFT code must be 4 to 11 letters and digits";
+  }
+  return null;
+}
+
+/**
+ * Get Payout Account
+ *
+ * @function getPayoutAccount
+ * @async
+ * @param {string} uid - Owner (must be the signed-in user)
+ * @returns {Promise<Object|null>} The account, or null if none was saved
+ */
+export async function getPayoutAccount(uid) {
+  const snap = await getDoc(doc(db, "payoutAccounts", uid));
+  return snap.exists() ? snap.data() : null;
+}
+
+/**
+ * Save Payout Account
+ *
+ * Requests made after this are paid to the new account; earlier requests
+ * keep the account they were made with.
+ *
+ * @function savePayoutAccount
+ * @async
+ * @param {string} uid - Owner (must be the signed-in user)
+ * @param {Object} fields - See validatePayoutAccount()
+ * @returns {Promise<void>}
+ * @throws {Error} If the fields are invalid
+ */
+export async function savePayoutAccount(uid, fields) {
+  const error = validatePayoutAccount(fields);
+  if (error) {
+    throw new Error(error);
+  }
+  await setDoc(doc(db, "payoutAccounts", uid), {
+    accountName: fields.accountName,
+    accountNumber: fields.accountNumber,
+    routingCode: fields.routingCode,
+    updatedAt: Date.now()
+  });
+}
+
+/**
+ * Remove Payout Account
+ *
+ * @function removePayoutAccount
+ * @async
+ * @param {string} uid - Owner (must be the signed-in user)
+ * @returns {Promise<void>}
+ */
+export async function removePayoutAccount(uid) {
+  await deleteDoc(doc(db, "payoutAccounts", uid));
+}
+
+/* =======================
+   PAYOUTS
+   ======================= */
+
+/**
+ * Get a Campaign's Payout Ledger
+ *
+ * @function getPayoutLedger
+ * @async
+ * @param {string} campaignId - Campaign (the signed-in user's, or any for admins)
+ * @returns {Promise<{ledger: Object, payouts: Array<Object>}>} The ledger
+ *   (gross, refunded, raised, storedRaised, reconciled, reserved, pending,
+ *   fees, paidOut, available, shortfall, refundable, currency, feeRate,
+ *   holdDays; see functions/payouts.js) and the payout requests, newest first
+ */
+export async function getPayoutLedger(campaignId) {
+  const getLedger = httpsCallable(functions, "getPayoutLedger");
+  const { data } = await getLedger({ campaignId });
+  return data;
+}
+
+/**
+ * Platform Fee
+ *
+ * @function payoutFee
+ * @param {number} amount - Payout amount (minor units)
+ * @param {number} feeRate - From the ledger
+ * @returns {number} Fee (minor units), as the server works it out
+ */
+export function payoutFee(amount, feeRate) {
+  return Math.round(amount * feeRate);
+}
+
+/**
+ * Request a Payout
+ *
+ * @function requestPayout
+ * @async
+ * @param {string} campaignId - Campaign to withdraw from
+ * @param {number} amount - Amount before the platform fee (minor units)
+ * @returns {Promise<string>} ID of the payout request
+ */
+export async function requestPayout(campaignId, amount) {
+  const request = httpsCallable(functions, "requestPayout");
+  const { data } = await request({ campaignId, amount });
+  return data.payoutId;
+}
+
+/**
+ * Load Payout Requests
+ *
+ * @function loadPayoutRequests
+ * @async
+ * @returns {Promise<Array<{id: string}>>} Requests waiting for an admin, oldest first
+ */
+export async function loadPayoutRequests() {
+  const snapshot = await getDocs(query(
+    collection(db, "payouts"),
+    where("status", "==", PAYOUT_STATUS.REQUESTED),
+    orderBy("requestedAt")
+  ));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Review a Payout Request
+ *
+ * @function reviewPayout
+ * @async
+ * @param {string} payoutId - Payout request
+ * @param {boolean} approve - Approve (the transfer was sent) or reject
+ * @param {string} note - Transfer reference, or why it was rejected
+ * @returns {Promise<void>}
+ */
+export async function reviewPayout(payoutId, approve, note) {
+  const review = httpsCallable(functions, "reviewPayout");
+  await review({ payoutId, approve, note });
+}
@@ -0,0 +1,556 @@
+/**
+ * PDF Module
+ *
+ * Writes simple text-only PDF documents (receipts and statements, see
+ * receipts.js) in the browser, without a library. Text is set in Noto Sans
+ * Devanagari, which covers Latin and Devanagari (Hindi, Marathi, ...)
+ * names and titles; loadPdfFonts() fetches it and buildPdf() embeds it in
+ * the file. Without it (e.g. if the fetch fails) the standard Helvetica
+ * fonts are used, which every PDF reader has but which only cover Western
+ * European characters; anything else is then printed as "?", which is why
+ * amounts use currency codes ("INR") rather than symbols.
+ *
+ * Devanagari is drawn one glyph per character: the vowel sign "ि" is moved
+ * before its consonant, but conjuncts aren't formed (that needs the
+ * font's shaping tables), so a consonant cluster shows its virama.
+ *
+ * @file js/pdf.js
+ */
+
+/**
+ * A4 Page Size and Margin (points, 72 per inch)
+ *
+ * @type {{width: number, height: number, margin: number}}
+ */
+export const PAGE = { width: 595, height: 842, margin: 56 };
+
+// Line height as a multiple of the font size
+const LEADING = 1.4;
+
+// Average Helvetica character width as a multiple of the font size, for wrapping
+const CHAR_WIDTH = 0.5;
+
+// Characters WinAnsiEncoding places differently from Latin-1
+const WIN_ANSI = {
+  "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94,
+  "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99
+};
+
+// Embedded fonts, from the npm package pinned in package.json (the tests
+// read the same files); keep the version in step
+const FONT_PACKAGE = "https://cdn.jsdelivr.net/npm/@expo-google-fonts/noto-sans-devanagari@0.4.1";
+const FONT_FILES = {
+  regular: { url: `${FONT_PACKAGE}/400Regular/NotoSansDevanagari_400Regular.ttf`, name: "NotoSansDevanagari-Regular" },
+  bold: { url: `${FONT_PACKAGE}/700Bold/NotoSansDevanagari_700Bold.ttf`, name: "NotoSansDevanagari-Bold" }
+};
+
+// Devanagari vowel sign I, typed after its consonant (cluster) but drawn before it
+const PRE_BASE_MATRA = /((?:[\u0915-\u0939\u0958-\u095F]\u093C?\u094D)*[\u0915-\u0939\u0958-\u095F]\u093C?)\u093F/g;
+
+/**
+ * Line of a Document
+ *
+ * Either a paragraph of text (wrapped to the page width) or a row of
+ * cells at fixed positions.
+ *
+ * @typedef {Object} PdfLine
+ * @property {string} [text] - Paragraph text
+ * @property {Array<{text: string, x: number, right?: boolean}>} [cells] - Row
+ *   cells; x is measured from the left margin, and right-aligned cells end at x
+ * @property {number} [size=10] - Font size in points
+ * @property {boolean} [bold=false] - Use Helvetica-Bold
+ * @property {number} [gap=0] - Extra space above the line, in points
+ */
+
+/**
+ * Embeddable TrueType Font
+ *
+ * @typedef {Object} PdfFont
+ * @property {string} name - PostScript name
+ * @property {number} unitsPerEm - Glyph units per em
+ * @property {number} ascent - Ascender, in glyph units
+ * @property {number} descent - Descender (negative), in glyph units
+ * @property {Array<number>} bbox - Font bounding box [xMin, yMin, xMax, yMax], in glyph units
+ * @property {Map<number, number>} cmap - Glyph ID of each code point the font covers
+ * @property {Array<number>} widths - Advance width of each glyph, in glyph units
+ * @property {number} length - Size of the font file in bytes
+ * @property {Uint8Array} [file] - The font file, zlib-compressed (set by embeddableFont())
+ */
+
+/* =======================
+   FONTS
+   ======================= */
+
+/**
+ * Read a TrueType Font
+ *
+ * Reads only what embedding needs: the metrics, the advance widths and
+ * the Unicode character map (format 4, which covers the Basic
+ * Multilingual Plane).
+ *
+ * @function parseFont
+ * @param {Uint8Array} bytes - TrueType (.ttf) file
+ * @param {string} name - PostScript name to embed it under
+ * @returns {PdfFont}
+ * @throws {Error} If the file isn't a TrueType font with a Unicode character map
+ */
+export function parseFont(bytes, name) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const u16 = (offset) => view.getUint16(offset);
+  const i16 = (offset) => view.getInt16(offset);
+
+  if (view.getUint32(0) !== 0x00010000) {
+    throw new Error("Not a TrueType font");
+  }
+  const tables = {};
+  for (let i = 0; i < u16(4); i++) {
+    const entry = 12 + 16 * i;
+    const tag = String.fromCharCode(...bytes.subarray(entry, entry + 4));
+    tables[tag] = view.getUint32(entry + 8);
+  }
+
+  const { head, hhea, maxp, hmtx, cmap } = tables;
+  const glyphCount = u16(maxp + 4);
+  const metricCount = u16(hhea + 34);
+  const widths = [];
+  for (let gid = 0; gid < glyphCount; gid++) {
+    // Glyphs past the last metric share its width
+    widths.push(u16(hmtx + 4 * Math.min(gid, metricCount - 1)));
+  }
+
+  // The Windows Unicode (BMP) subtable
+  let subtable = null;
+  for (let i = 0; i < u16(cmap + 2); i++) {
+    const record = cmap + 4 + 8 * i;
+    if (u16(record) === 3 && u16(record + 2) === 1) {
+      subtable = cmap + view.getUint32(record + 4);
+    }
+  }
+  if (subtable === null || u16(subtable) !== 4) {
+    throw new Error("The font has no Unicode character map");
+  }
+
+  const codes = new Map();
+  const segments = u16(subtable + 6) / 2;
+  const ends = subtable + 14;
+  const starts = ends + 2 * segments + 2;
+  const deltas = starts + 2 * segments;
+  const rangeOffsets = deltas + 2 * segments;
+  for (let s = 0; s < segments; s++) {
+    const start = u16(starts + 2 * s);
+    const end = u16(ends + 2 * s);
+    const delta = u16(deltas + 2 * s);
+    const rangeOffset = u16(rangeOffsets + 2 * s);
+    for (let code = start; code <= end && code !== 0xffff; code++) {
+      let gid = rangeOffset === 0
+        ? code
+        : u16(rangeOffsets + 2 * s + rangeOffset + 2 * (code - start));
+      if (rangeOffset !== 0 && gid === 0) continue;
+      gid = (gid + delta) & 0xffff;
+      if (gid !== 0) codes.set(code, gid);
+    }
+  }
+
+  return {
+    name,
+    unitsPerEm: u16(head + 18),
+    ascent: i16(hhea + 4),
+    descent: i16(hhea + 6),
+    bbox: [i16(head + 36), i16(head + 38), i16(head + 40), i16(head + 42)],
+    cmap: codes,
+    widths,
+    length: bytes.length
+  };
+}
+
+/**
+ * Prepare a Font for Embedding
+ *
+ * Compresses the font file once, so buildPdf() can stay synchronous.
+ *
+ * @function embeddableFont
+ * @async
+ * @param {Uint8Array} bytes - TrueType (.ttf) file
+ * @param {string} name - PostScript name to embed it under
+ * @returns {Promise<PdfFont>}
+ */
+export async function embeddableFont(bytes, name) {
+  const font = parseFont(bytes, name);
+  // "deflate" is zlib data, which is what FlateDecode reads
+  const compressed = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  font.file = new Uint8Array(await new Response(compressed).arrayBuffer());
+  return font;
+}
+
+/**
+ * Load the PDF Fonts
+ *
+ * @function loadPdfFonts
+ * @async
+ * @returns {Promise<{regular: PdfFont, bold: PdfFont}>} Fonts for buildPdf()
+ * @throws {Error} If a font can't be fetched
+ */
+export async function loadPdfFonts() {
+  const [regular, bold] = await Promise.all([FONT_FILES.regular, FONT_FILES.bold].map(async ({ url, name }) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Couldn't load the font ${name}`);
+    }
+    return embeddableFont(new Uint8Array(await response.arrayBuffer()), name);
+  }));
+  return { regular, bold };
+}
+
+/* =======================
+   TEXT
+   ======================= */
+
+/**
+ * Typeface Used for Layout
+ *
+ * @typedef {Object} Face
+ * @property {function(string): string} show - PDF string operand drawing the text
+ * @property {function(string, number): number} width - Width of the text at a font size, in points
+ */
+
+/**
+ * Encode Text for a PDF String
+ *
+ * @function pdfString
+ * @param {string} text - Any text
+ * @returns {string} "(...)" literal with one WinAnsi byte per character
+ */
+function pdfString(text) {
+  let out = "";
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    let byte = "?";
+    if (WIN_ANSI[char]) {
+      byte = String.fromCharCode(WIN_ANSI[char]);
+    } else if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+      byte = char;
+    }
+    out += byte === "(" || byte === ")" || byte === "\\" ? `\\${byte}` : byte;
+  }
+  return `(${out})`;
+}
+
+/**
+ * Encode Text for a PDF Text String
+ *
+ * For document information such as the title, which PDF readers show
+ * with their own fonts.
+ *
+ * @function pdfTextString
+ * @param {string} text - Any text
+ * @returns {string} "<FEFF...>" literal in UTF-16
+ */
+function pdfTextString(text) {
+  return `<FEFF${utf16(text)}>`;
+}
+
+/**
+ * Encode Text as UTF-16 Hex
+ *
+ * @function utf16
+ * @param {string} text - Any text
+ * @returns {string} Four hex digits per UTF-16 code unit
+ */
+function utf16(text) {
+  let hex = "";
+  for (let i = 0; i < String(text).length; i++) {
+    hex += String(text).charCodeAt(i).toString(16).toUpperCase().padStart(4, "0");
+  }
+  return hex;
+}
+
+/**
+ * Standard Face
+ *
+ * Helvetica, with an estimated width.
+ *
+ * @function standardFace
+ * @returns {Face}
+ */
+function standardFace() {
+  return {
+    show: pdfString,
+    width: (text, size) => String(text).length * size * CHAR_WIDTH
+  };
+}
+
+/**
+ * Embedded Face
+ *
+ * Text is drawn by glyph ID (Identity-H encoding); characters the font
+ * lacks are drawn as its missing-glyph box.
+ *
+ * @function embeddedFace
+ * @param {PdfFont} font - Font to draw with
+ * @param {Map<number, string>} used - Filled with each glyph drawn and its character
+ * @returns {Face}
+ */
+function embeddedFace(font, used) {
+  const glyphs = (text) => [...String(text).replace(PRE_BASE_MATRA, "\u093F$1")]
+    .map(char => [font.cmap.get(char.codePointAt(0)) || 0, char]);
+
+  return {
+    show: (text) => {
+      const ids = glyphs(text).map(([gid, char]) => {
+        if (!used.has(gid)) used.set(gid, char);
+        return gid.toString(16).toUpperCase().padStart(4, "0");
+      });
+      return `<${ids.join("")}>`;
+    },
+    width: (text, size) => glyphs(text).reduce((sum, [gid]) => sum + font.widths[gid], 0) * size / font.unitsPerEm
+  };
+}
+
+/**
+ * Wrap a Paragraph
+ *
+ * @function wrap
+ * @param {string} text - Paragraph text
+ * @param {number} size - Font size
+ * @param {Face} face - Face the text is set in
+ * @returns {Array<string>} Lines that fit between the margins
+ */
+function wrap(text, size, face) {
+  const fits = (part) => face.width(part, size) <= PAGE.width - 2 * PAGE.margin;
+  const lines = [];
+  let line = "";
+
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    while (!fits(word)) {
+      if (line) {
+        lines.push(line);
+        line = "";
+      }
+      // As many characters as fit (always at least one)
+      const chars = [...word];
+      let count = 1;
+      while (count < chars.length && fits(chars.slice(0, count + 1).join(""))) {
+        count++;
+      }
+      lines.push(chars.slice(0, count).join(""));
+      word = chars.slice(count).join("");
+    }
+    if (line && !fits(`${line} ${word}`)) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Lay Out Lines on Pages
+ *
+ * @function layOut
+ * @param {Array<PdfLine>} lines - Document content, top to bottom
+ * @param {{regular: Face, bold: Face}} faces - Faces for normal and bold text
+ * @returns {Array<string>} Content stream of each page
+ */
+function layOut(lines, faces) {
+  const pages = [];
+  let ops = [];
+  let y = PAGE.height - PAGE.margin;
+
+  const show = (text, x, size, bold) => {
+    const face = bold ? faces.bold : faces.regular;
+    ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${face.show(text)} Tj ET`);
+  };
+  const advance = (height) => {
+    if (y - height < PAGE.margin && ops.length) {
+      pages.push(ops.join("\n"));
+      ops = [];
+      y = PAGE.height - PAGE.margin;
+    }
+    y -= height;
+  };
+
+  lines.forEach(({ text = "", cells = null, size = 10, bold = false, gap = 0 }) => {
+    if (cells) {
+      advance(gap + size * LEADING);
+      cells.forEach(cell => {
+        const x = PAGE.margin + cell.x - (cell.right ? (bold ? faces.bold : faces.regular).width(cell.text, size) : 0);
+        show(cell.text, x, size, bold);
+      });
+      return;
+    }
+
+    wrap(text, size, bold ? faces.bold : faces.regular).forEach((part, i) => {
+      advance((i === 0 ? gap : 0) + size * LEADING);
+      if (part) show(part, PAGE.margin, size, bold);
+    });
+  });
+
+  pages.push(ops.join("\n"));
+  return pages;
+}
+
+/* =======================
+   DOCUMENT
+   ======================= */
+
+/**
+ * Bytes as a String
+ *
+ * @function byteString
+ * @param {Uint8Array} bytes - Binary data
+ * @returns {string} One character per byte
+ */
+function byteString(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 8192) {
+    out += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return out;
+}
+
+/**
+ * Embedded Font Objects
+ *
+ * @function fontObjects
+ * @param {PdfFont} font - Font from embeddableFont()
+ * @param {Map<number, string>} used - Glyphs drawn with it (see embeddedFace())
+ * @param {number} firstId - Number of the first of its four objects
+ * @returns {{font: string, objects: Array<string>}} The font dictionary for the
+ *   page resources, and its CID font, descriptor, font file and ToUnicode map
+ */
+function fontObjects(font, used, firstId) {
+  const [cidFontId, descriptorId, fileId, toUnicodeId] = [0, 1, 2, 3].map(n => firstId + n);
+  const scale = (units) => Math.round(units * 1000 / font.unitsPerEm);
+  const glyphs = [...used.keys()].sort((a, b) => a - b);
+  const hex = (gid) => gid.toString(16).toUpperCase().padStart(4, "0");
+
+  // Maps glyphs back to text, so readers can copy and search it (at most
+  // 100 entries per block)
+  const blocks = [];
+  for (let i = 0; i < glyphs.length; i += 100) {
+    const block = glyphs.slice(i, i + 100);
+    blocks.push(`${block.length} beginbfchar\n`
+      + block.map(gid => `<${hex(gid)}> <${utf16(used.get(gid))}>`).join("\n")
+      + "\nendbfchar");
+  }
+  const toUnicode = [
+    "/CIDInit /ProcSet findresource begin", "12 dict begin", "begincmap",
+    "/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def",
+    "/CMapName /Adobe-Identity-UCS def", "/CMapType 2 def",
+    "1 begincodespacerange", "<0000> <FFFF>", "endcodespacerange",
+    ...blocks,
+    "endcmap", "CMapName currentdict /CMap defineresource pop", "end", "end"
+  ].join("\n");
+
+  return {
+    font: `<< /Type /Font /Subtype /Type0 /BaseFont /${font.name} /Encoding /Identity-H `
+      + `/DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`,
+    objects: [
+      `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${font.name} `
+        + "/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> "
+        + `/FontDescriptor ${descriptorId} 0 R /CIDToGIDMap /Identity `
+        + `/W [${glyphs.map(gid => `${gid} [${scale(font.widths[gid])}]`).join(" ")}] >>`,
+      `<< /Type /FontDescriptor /FontName /${font.name} /Flags 32 /FontBBox [${font.bbox.map(scale).join(" ")}] `
+        + `/ItalicAngle 0 /Ascent ${scale(font.ascent)} /Descent ${scale(font.descent)} `
+        + `/CapHeight ${scale(font.ascent)} /StemV 80 /FontFile2 ${fileId} 0 R >>`,
+      `<< /Length ${font.file.length} /Length1 ${font.length} /Filter /FlateDecode >>\n`
+        + `stream\n${byteString(font.file)}\nendstream`,
+      `<< /Length ${toUnicode.length} >>\nstream\n${toUnicode}\nendstream`
+    ]
+  };
+}
+
+/**
+ * Build a PDF
+ *
+ * @function buildPdf
+ * @param {Array<PdfLine>} lines - Document content, top to bottom (starts
+ *   a new page whenever the current one is full)
+ * @param {string} title - Document title (shown by PDF readers)
+ * @param {{regular: PdfFont, bold: PdfFont}|null} [fonts=null] - Fonts to
+ *   embed (see loadPdfFonts()); without them Helvetica is used
+ * @returns {Uint8Array} The PDF file
+ *
+ * Process:
+ * 1. Lay the lines out on A4 pages
+ * 2. Write the catalog, page tree, fonts, info and one page and content
+ *    stream per page as numbered objects, then the embedded fonts' objects
+ * 3. Write the cross-reference table with each object's byte offset
+ */
+export function buildPdf(lines, title, fonts = null) {
+  const used = { regular: new Map(), bold: new Map() };
+  const faces = fonts
+    ? { regular: embeddedFace(fonts.regular, used.regular), bold: embeddedFace(fonts.bold, used.bold) }
+    : { regular: standardFace(), bold: standardFace() };
+  const contents = layOut(lines, faces);
+
+  // Objects 1-5 are fixed; each page adds a page object and its content
+  // stream, and each embedded font four objects after the pages
+  const pageIds = contents.map((_, i) => 6 + 2 * i);
+  let fontDicts = [
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+  ];
+  const fontData = [];
+  if (fonts) {
+    fontDicts = ["regular", "bold"].map((style, i) => {
+      const embedded = fontObjects(fonts[style], used[style], 6 + 2 * contents.length + 4 * i);
+      fontData.push(...embedded.objects);
+      return embedded.font;
+    });
+  }
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`,
+    ...fontDicts,
+    `<< /Title ${pdfTextString(title)} /Producer (Crowdfunding Platform) >>`
+  ];
+  contents.forEach((stream, i) => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] `
+      + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+  objects.push(...fontData);
+
+  // Every character is one byte, so string lengths are byte offsets
+  let file = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const offset = file.length;
+    file += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = file.length;
+  file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    file += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  });
+  file += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Uint8Array.from(file, char => char.charCodeAt(0));
+}
+
+/**
+ * Download a PDF
+ *
+ * @function downloadPdf
+ * @param {Uint8Array} bytes - From buildPdf()
+ * @param {string} filename - Suggested file name
+ * @returns {void}
+ */
+export function downloadPdf(bytes, filename) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: "application/pdf" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the file
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
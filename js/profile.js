@@ -0,0 +1,500 @@
+/**
+ * Profile Page Module
+ *
+ * Handles profile.html, which shows a user's profile and:
+ * - The campaigns the user created
+ * - Every donation the user made, with totals per campaign, PDF receipts
+ *   and annual statements, and the legal name and PAN receipts use (own
+ *   profile only)
+ * - A form to edit the display name, avatar and bio (own profile only)
+ *
+ * The page shows the signed-in user's profile, or another user's public
+ * profile when opened as profile.html?uid=xxxxx.
+ *
+ * @file js/profile.js
+ */
+
+// Import Firebase services
+import { auth } from "./firebase.js";
+// Import authentication state observer and profile updater
+import { onAuthStateChanged, updateProfile } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+// Import the profile helpers
+import { getProfile, updateUserProfile } from "./users.js";
+// Import the campaign and donation repository
+import { repository } from "./repository-firestore.js";
+// Import campaign lifecycle helpers
+import { STATUS, STATUS_LABELS, effectiveStatus, isApproved } from "./lifecycle.js";
+// Import the donation status check
+import { DONATION_STATUS, isConfirmed } from "./payments.js";
+// Import the money helpers
+import { formatMoney } from "./money.js";
+// Import the receipt helpers
+import {
+  loadReceipts, receiptNumber, receiptPdf, statementPdf,
+  getTaxDetails, saveTaxDetails, receiptComplete, panRequired
+} from "./receipts.js";
+// Import the PDF font loader and download helper
+import { loadPdfFonts, downloadPdf } from "./pdf.js";
+
+/**
+ * Profile Being Viewed
+ *
+ * The uid from the URL (?uid=xxxxx), if any. Without it the page shows the
+ * signed-in user's own profile.
+ */
+const requestedUid = new URLSearchParams(window.location.search).get("uid");
+
+/**
+ * The Signed-in User's Receipts
+ *
+ * Keyed by transaction ID (receipts use the donation's ID).
+ *
+ * @type {Map<string, Object>}
+ */
+const receipts = new Map();
+
+/**
+ * The Signed-in User's Tax Details
+ *
+ * Legal name and PAN for receipts (see receipts.js), or null if not saved.
+ *
+ * @type {{legalName: string, pan?: string}|null}
+ */
+let taxDetails = null;
+
+/**
+ * PDF Fonts Being Loaded
+ *
+ * Fetched the first time a PDF is downloaded (see loadPdfFonts() in pdf.js).
+ *
+ * @type {Promise<Object|null>|null}
+ */
+let pdfFonts = null;
+
+/**
+ * Format a Timestamp
+ *
+ * @function formatDate
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} e.g. "15 Jan 2024, 02:30 PM"
+ */
+function formatDate(time) {
+  return new Date(time).toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true
+  });
+}
+
+/**
+ * Authentication State Observer
+ *
+ * Decides whose profile to show once the auth state is known. Visitors who
+ * are not signed in can only view other users' profiles.
+ */
+onAuthStateChanged(auth, (user) => {
+  const uid = requestedUid || user?.uid;
+
+  if (!uid) {
+    alert("Please login first");
+    window.location.href = "login.html";
+    return;
+  }
+
+  loadProfile(uid, Boolean(user) && user.uid === uid);
+});
+
+/**
+ * Load Profile Function
+ *
+ * @function loadProfile
+ * @async
+ * @param {string} uid - User whose profile is shown
+ * @param {boolean} isOwn - Whether it is the signed-in user's own profile
+ * @returns {Promise<void>}
+ *
+ * Process:
+ * 1. Fetch and display the profile document
+ * 2. On the user's own profile, fill in the edit form and load donations
+ * 3. Load the campaigns the user created
+ */
+async function loadProfile(uid, isOwn) {
+  try {
+    const profile = await getProfile(uid) || { displayName: "Unknown user", avatarUrl: "", bio: "" };
+
+    document.getElementById("displayName").textContent = profile.displayName;
+    document.getElementById("bio").textContent = profile.bio;
+
+    const avatar = document.getElementById("avatar");
+    if (profile.avatarUrl) {
+      avatar.src = profile.avatarUrl;
+      avatar.style.display = "block";
+    } else {
+      avatar.style.display = "none";
+    }
+
+    if (isOwn) {
+      document.getElementById("nameInput").value = profile.displayName;
+      document.getElementById("avatarInput").value = profile.avatarUrl;
+      document.getElementById("bioInput").value = profile.bio;
+      document.getElementById("editProfile").style.display = "block";
+      document.getElementById("donationsSection").style.display = "block";
+      loadTaxDetails(uid);
+      loadDonations(uid);
+    }
+
+    loadCampaignsCreated(uid, isOwn);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Error loading profile:", error);
+    // Show user-friendly error message
+    alert("Failed to load profile: " + error.message);
+  }
+}
+
+/**
+ * Load Campaigns Created Function
+ *
+ * Lists the user's campaigns with a link to each. Drafts and campaigns
+ * that are not approved (see lifecycle.js) are only listed on the user's
+ * own profile.
+ *
+ * @function loadCampaignsCreated
+ * @async
+ * @param {string} uid - Campaign creator
+ * @param {boolean} isOwn - Whether it is the signed-in user's own profile
+ * @returns {Promise<void>}
+ */
+async function loadCampaignsCreated(uid, isOwn) {
+  const list = document.getElementById("campaignsCreated");
+
+  const campaigns = (await repository.listCampaigns({
+    creator: uid,                                    // Filter: only this user's campaigns
+    sort: { field: "createdAt", direction: "desc" }  // Sort: newest first
+  })).filter(c => isOwn || (c.status !== STATUS.DRAFT && isApproved(c)));
+
+  list.innerHTML = "";
+  if (campaigns.length === 0) {
+    list.innerHTML = "<li>No campaigns yet</li>";
+    return;
+  }
+
+  campaigns.forEach(c => {
+    const li = document.createElement("li");
+    const link = document.createElement("a");
+    link.href = `campaign.html?id=${encodeURIComponent(c.id)}`;
+    link.textContent = c.title;
+    li.append(link, ` — ${formatMoney(c.raised, c.currency)} / ${formatMoney(c.target, c.currency)} (${STATUS_LABELS[effectiveStatus(c)]})`);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Describe a Donation's Status
+ *
+ * @function donationStatus
+ * @param {import("./repository.js").Donation} d - The transaction
+ * @returns {string} Status text for the donation list
+ */
+function donationStatus(d) {
+  if (d.type === "refund") return "Refund";
+  if (d.refundStatus) return "Refunded";
+  if (d.status === DONATION_STATUS.PENDING) return "Pending";
+  if (d.status === DONATION_STATUS.FAILED) return "Failed";
+  return "Confirmed";
+}
+
+/**
+ * Load Receipts
+ *
+ * A failure here only hides the receipts; the donations are still listed.
+ *
+ * @function loadOwnReceipts
+ * @async
+ * @param {string} uid - Donor (the signed-in user)
+ * @returns {Promise<void>}
+ */
+async function loadOwnReceipts(uid) {
+  receipts.clear();
+  try {
+    (await loadReceipts(uid)).forEach(receipt => receipts.set(receipt.id, receipt));
+  } catch (error) {
+    console.error("Error loading receipts:", error);
+  }
+
+  // Financial years with receipts, newest first
+  const years = [...new Set([...receipts.values()].map(r => r.financialYear))].sort().reverse();
+  const select = document.getElementById("statementYear");
+  select.innerHTML = "";
+  years.forEach(year => select.add(new Option(`${year} (April to March)`, year)));
+  document.getElementById("statementSection").style.display = years.length ? "block" : "none";
+}
+
+/**
+ * Load Tax Details
+ *
+ * Fills in the tax receipt details form.
+ *
+ * @function loadTaxDetails
+ * @async
+ * @param {string} uid - Donor (the signed-in user)
+ * @returns {Promise<void>}
+ */
+async function loadTaxDetails(uid) {
+  try {
+    taxDetails = await getTaxDetails(uid);
+  } catch (error) {
+    console.error("Error loading tax details:", error);
+  }
+  document.getElementById("legalNameInput").value = taxDetails?.legalName || "";
+  document.getElementById("panInput").value = taxDetails?.pan || "";
+}
+
+/**
+ * Fonts for a PDF
+ *
+ * A PDF is still made if the fonts can't be fetched, with the standard
+ * fonts (see pdf.js); the fetch is tried again for the next one.
+ *
+ * @function fontsForPdf
+ * @returns {Promise<Object|null>} Fonts for buildPdf(), or null
+ */
+function fontsForPdf() {
+  if (!pdfFonts) {
+    pdfFonts = loadPdfFonts().catch(error => {
+      console.error("Error loading PDF fonts:", error);
+      pdfFonts = null;
+      return null;
+    });
+  }
+  return pdfFonts;
+}
+
+/**
+ * Load Donations Function
+ *
+ * Lists every transaction made by the user and totals the confirmed ones
+ * (including refunds, which are negative) per campaign. Donations to
+ * registered charities get a receipt download button.
+ *
+ * @function loadDonations
+ * @async
+ * @param {string} uid - Donor (the signed-in user)
+ * @returns {Promise<void>}
+ *
+ * Process:
+ * 1. Fetch the user's transactions through their donor records, newest first
+ * 2. Fetch the title of each campaign they went to
+ * 3. Fetch the user's receipts
+ * 4. Display every transaction with its status and receipt
+ * 5. Display the confirmed total and donation count per campaign
+ */
+async function loadDonations(uid) {
+  const totalsBody = document.getElementById("donationTotals");
+  const listBody = document.getElementById("donationList");
+
+  try {
+    // Anonymous donations included (see listDonorDonations() in repository.js)
+    const entries = await repository.listDonorDonations(uid);
+
+    if (entries.length === 0) {
+      totalsBody.innerHTML = `<tr><td colspan="3" style="text-align:center;">No donations yet</td></tr>`;
+      listBody.innerHTML = `<tr><td colspan="5" style="text-align:center;">No donations yet</td></tr>`;
+      return;
+    }
+
+    await loadOwnReceipts(uid);
+
+    // Look up each campaign's title once
+    const campaignIds = [...new Set(entries.map(d => d.campaignId))];
+    const titles = new Map();
+    await Promise.all(campaignIds.map(async campaignId => {
+      const campaign = await repository.getCampaign(campaignId);
+      titles.set(campaignId, campaign ? campaign.title : "Deleted campaign");
+    }));
+
+    // Totals per campaign (confirmed entries only)
+    const totals = new Map();
+
+    listBody.innerHTML = "";
+    entries.forEach(d => {
+      if (isConfirmed(d)) {
+        const total = totals.get(d.campaignId) || { amount: 0, count: 0, currency: d.currency };
+        total.amount += d.amount;
+        if (d.type !== "refund") total.count++;
+        totals.set(d.campaignId, total);
+      }
+
+      const row = document.createElement("tr");
+      [
+        titles.get(d.campaignId),
+        formatMoney(d.amount, d.currency),
+        donationStatus(d),
+        formatDate(d.createdAt)
+      ].forEach(text => {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const receiptCell = document.createElement("td");
+      const receipt = receipts.get(d.id);
+      if (receipt) {
+        const button = document.createElement("button");
+        button.textContent = `No. ${receiptNumber(receipt)}`;
+        button.addEventListener("click", () => window.downloadReceipt(d.id));
+        receiptCell.appendChild(button);
+      }
+      row.appendChild(receiptCell);
+      listBody.appendChild(row);
+    });
+
+    totalsBody.innerHTML = "";
+    totals.forEach((total, campaignId) => {
+      const row = document.createElement("tr");
+
+      const campaignCell = document.createElement("td");
+      const link = document.createElement("a");
+      link.href = `campaign.html?id=${encodeURIComponent(campaignId)}`;
+      link.textContent = titles.get(campaignId);
+      campaignCell.appendChild(link);
+
+      const countCell = document.createElement("td");
+      countCell.textContent = total.count;
+
+      const amountCell = document.createElement("td");
+      amountCell.textContent = formatMoney(total.amount, total.currency);
+
+      row.append(campaignCell, countCell, amountCell);
+      totalsBody.appendChild(row);
+    });
+  } catch (error) {
+    // Log error for debugging
+    console.error("Error loading donations:", error);
+    listBody.innerHTML = `<tr><td colspan="5" style="text-align:center; color: red;">Error loading donations</td></tr>`;
+  }
+}
+
+/**
+ * Save Receipt Details Function
+ *
+ * Saves the legal name and PAN receipts use, and fills them in on
+ * receipts issued without them.
+ *
+ * @function window.saveReceiptDetails
+ * @async
+ * @returns {Promise<void>}
+ */
+window.saveReceiptDetails = async () => {
+  try {
+    const user = auth.currentUser;
+    if (!user) {
+      alert("Please login first");
+      return;
+    }
+
+    const fields = {
+      legalName: document.getElementById("legalNameInput").value.trim(),
+      pan: document.getElementById("panInput").value.trim().toUpperCase()
+    };
+
+    const updated = await saveTaxDetails(user.uid, fields, [...receipts.values()]);
+    updated.forEach(receipt => receipts.set(receipt.id, receipt));
+    taxDetails = { legalName: fields.legalName, ...(fields.pan ? { pan: fields.pan } : {}) };
+
+    alert("Receipt details saved");
+  } catch (error) {
+    // Log error for debugging
+    console.error("Receipt details save error:", error);
+    // Show user-friendly error message
+    alert("Failed to save receipt details: " + error.message);
+  }
+};
+
+/**
+ * Download Receipt Function
+ *
+ * Receipts must name the donor (see receiptComplete() in receipts.js)
+ * before they can be downloaded.
+ *
+ * @function window.downloadReceipt
+ * @async
+ * @param {string} transactionId - Donation the receipt is for
+ * @returns {Promise<void>}
+ */
+window.downloadReceipt = async (transactionId) => {
+  const receipt = receipts.get(transactionId);
+  if (!receipt) {
+    alert("No receipt was issued for this donation");
+    return;
+  }
+  if (!receiptComplete(receipt)) {
+    alert(`Please add your legal name${panRequired(receipt) ? " and PAN" : ""} under Tax Receipt Details first`);
+    return;
+  }
+  downloadPdf(receiptPdf(receipt, await fontsForPdf()), `receipt-${receiptNumber(receipt)}.pdf`);
+};
+
+/**
+ * Download Statement Function
+ *
+ * Builds the annual statement for the financial year picked.
+ *
+ * @function window.downloadStatement
+ * @async
+ * @returns {Promise<void>}
+ */
+window.downloadStatement = async () => {
+  const year = document.getElementById("statementYear").value;
+  if (!year) {
+    alert("You have no receipts yet");
+    return;
+  }
+  if (!taxDetails) {
+    alert("Please add your legal name under Tax Receipt Details first");
+    return;
+  }
+
+  const list = [...receipts.values()];
+  downloadPdf(statementPdf(list, year, taxDetails, await fontsForPdf()), `donation-statement-${year}.pdf`);
+};
+
+/**
+ * Save Profile Function
+ *
+ * Saves the edit form to the signed-in user's profile document and keeps
+ * the display name on the auth account in step.
+ *
+ * @function window.saveProfile
+ * @async
+ * @returns {Promise<void>}
+ */
+window.saveProfile = async () => {
+  try {
+    const user = auth.currentUser;
+    if (!user) {
+      alert("Please login first");
+      return;
+    }
+
+    const fields = {
+      displayName: document.getElementById("nameInput").value.trim(),
+      avatarUrl: document.getElementById("avatarInput").value.trim(),
+      bio: document.getElementById("bioInput").value.trim()
+    };
+
+    await updateUserProfile(user.uid, fields);
+    await updateProfile(user, { displayName: fields.displayName, photoURL: fields.avatarUrl || null });
+
+    alert("Profile Saved");
+    loadProfile(user.uid, true);
+  } catch (error) {
+    // Log error for debugging
+    console.error("Profile save error:", error);
+    // Show user-friendly error message
+    alert("Failed to save profile: " + error.message);
+  }
+};
@@ -0,0 +1,483 @@
+/**
+ * Receipts Module
+ *
+ * Tax receipts for donations to registered charities (e.g. under section
+ * 80G in India):
+ * - Organisers save their legal entity details from the dashboard
+ *   ("legalEntities", document ID = organiser's uid)
+ * - Cloud Functions issue a numbered receipt for every donation confirmed
+ *   for their campaigns from then on (see functions/receipts.js);
+ *   receipt numbers run 1, 2, 3, ... per organiser with no gaps
+ * - Donors save the legal name (and PAN) their receipts name them by
+ *   ("taxDetails", document ID = donor's uid); receipts issued before
+ *   that are filled in when they save them
+ * - Donors download each receipt, and a statement of every receipt in a
+ *   financial year (April to March), as PDFs from their profile
+ *
+ * RECEIPT_STATUS must match functions/receipts.js; keep the two in step.
+ *
+ * @file js/receipts.js
+ */
+
+// Import Firestore database service
+import { db } from "./firebase.js";
+// Import Firestore functions for legal entity and receipt documents
+import {
+  collection,  // Reference to a collection
+  doc,         // Reference to a specific document
+  getDoc,      // Get a single document
+  getDocs,     // Execute a query and get documents
+  setDoc,      // Create or overwrite a document
+  deleteDoc,   // Delete a document
+  writeBatch,  // Write several documents atomically
+  query,       // Create a query for filtering/sorting
+  where,       // Filter documents by field value
+  orderBy      // Sort documents by field value
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+// Import the money helpers
+import { minorDigits } from "./money.js";
+// Import the PDF writer
+import { buildPdf } from "./pdf.js";
+
+/**
+ * Receipt Statuses
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const RECEIPT_STATUS = {
+  ISSUED: "issued",         // Valid
+  CANCELLED: "cancelled"    // The donation was refunded; the number is not reused
+};
+
+/**
+ * Legal Entity Field Limits
+ *
+ * The same limits are enforced by firestore.rules.
+ *
+ * @type {{name: number, registrationNumber: number, address: number}}
+ */
+export const LEGAL_ENTITY_LIMITS = {
+  name: 200,
+  registrationNumber: 50,
+  address: 500
+};
+
+/**
+ * Donor Tax Detail Limits
+ *
+ * The same limits are enforced by firestore.rules.
+ *
+ * @type {{legalName: number}}
+ */
+export const TAX_DETAILS_LIMITS = {
+  legalName: 200
+};
+
+/**
+ * Permanent Account Number Format (e.g. "AAATA1234F")
+ *
+ * @type {RegExp}
+ */
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+// Receipts in this currency are for deductions under section 80G, which
+// need the donor's PAN
+const PAN_CURRENCY = "INR";
+
+/* =======================
+   LEGAL ENTITY
+   ======================= */
+
+/**
+ * Validate Legal Entity Details
+ *
+ * @function validateLegalEntity
+ * @param {Object} fields
+ * @param {string} fields.name - Registered name of the charity
+ * @param {string} fields.registrationNumber - e.g. its 80G registration number
+ * @param {string} fields.pan - Permanent Account Number
+ * @param {string} fields.address - Registered address
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function validateLegalEntity({ name, registrationNumber, pan, address }) {
+  if (!name || !registrationNumber || !pan || !address) {
+    return "Please fill in all the legal entity details";
+  }
+  if (name.length > LEGAL_ENTITY_LIMITS.name) {
+    return `Name must be at most ${LEGAL_ENTITY_LIMITS.name} characters`;
+  }
+  if (registrationNumber.length > LEGAL_ENTITY_LIMITS.registrationNumber) {
+    return `Registration number must be at most ${LEGAL_ENTITY_LIMITS.registrationNumber} characters`;
+  }
+  if (!PAN_PATTERN.test(pan)) {
+    return "PAN must be 10 characters, like AAATA1234F";
+  }
+  if (address.length > LEGAL_ENTITY_LIMITS.address) {
+    return `Address must be at most ${LEGAL_ENTITY_LIMITS.address} characters`;
+  }
+  return null;
+}
+
+/**
+ * Get Legal Entity Details
+ *
+ * @function getLegalEntity
+ * @async
+ * @param {string} uid - Organiser (must be the signed-in user)
+ * @returns {Promise<Object|null>} The details, or null if none were saved
+ */
+export async function getLegalEntity(uid) {
+  const snap = await getDoc(doc(db, "legalEntities", uid));
+  return snap.exists() ? snap.data() : null;
+}
+
+/**
+ * Save Legal Entity Details
+ *
+ * Receipts issued after this use the new details; earlier receipts keep
+ * the details they were issued with.
+ *
+ * @function saveLegalEntity
+ * @async
+ * @param {string} uid - Organiser (must be the signed-in user)
+ * @param {Object} fields - See validateLegalEntity()
+ * @returns {Promise<void>}
+ * @throws {Error} If the fields are invalid
+ */
+export async function saveLegalEntity(uid, fields) {
+  const error = validateLegalEntity(fields);
+  if (error) {
+    throw new Error(error);
+  }
+  await setDoc(doc(db, "legalEntities", uid), {
+    name: fields.name,
+    registrationNumber: fields.registrationNumber,
+    pan: fields.pan,
+    address: fields.address,
+    updatedAt: Date.now()
+  });
+}
+
+/**
+ * Remove Legal Entity Details
+ *
+ * Donations confirmed afterwards get no receipt.
+ *
+ * @function removeLegalEntity
+ * @async
+ * @param {string} uid - Organiser (must be the signed-in user)
+ * @returns {Promise<void>}
+ */
+export async function removeLegalEntity(uid) {
+  await deleteDoc(doc(db, "legalEntities", uid));
+}
+
+/* =======================
+   DONOR TAX DETAILS
+   ======================= */
+
+/**
+ * Whether a Receipt Needs the Donor's PAN
+ *
+ * @function panRequired
+ * @param {Object} receipt - Receipt data
+ * @returns {boolean}
+ */
+export function panRequired(receipt) {
+  return receipt.currency === PAN_CURRENCY;
+}
+
+/**
+ * Whether a Receipt Names Its Donor
+ *
+ * Receipts issued before the donor saved their tax details have no legal
+ * name (or, before legal names were collected, the profile name and no
+ * PAN).
+ *
+ * @function receiptComplete
+ * @param {Object} receipt - Receipt data
+ * @returns {boolean} Whether it has the legal name, and the PAN if it needs one
+ */
+export function receiptComplete(receipt) {
+  return Boolean(receipt.donorName) && "donorPan" in receipt && (!panRequired(receipt) || Boolean(receipt.donorPan));
+}
+
+/**
+ * Validate Donor Tax Details
+ *
+ * @function validateTaxDetails
+ * @param {Object} fields
+ * @param {string} fields.legalName - Name as on the donor's PAN card or other ID
+ * @param {string} [fields.pan] - Permanent Account Number
+ * @param {boolean} [panNeeded=false] - Whether the donor has receipts that need a PAN
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function validateTaxDetails({ legalName, pan = "" }, panNeeded = false) {
+  if (!legalName) {
+    return "Please enter your legal name";
+  }
+  if (legalName.length > TAX_DETAILS_LIMITS.legalName) {
+    return `Legal name must be at most ${TAX_DETAILS_LIMITS.legalName} characters`;
+  }
+  if (pan && !PAN_PATTERN.test(pan)) {
+    return "PAN must be 10 characters, like ABCDE1234F";
+  }
+  if (!pan && panNeeded) {
+    return "Receipts for donations in rupees (section 80G) need your PAN";
+  }
+  return null;
+}
+
+/**
+ * Get Donor Tax Details
+ *
+ * @function getTaxDetails
+ * @async
+ * @param {string} uid - Donor (must be the signed-in user)
+ * @returns {Promise<{legalName: string, pan?: string}|null>} The details, or null if none were saved
+ */
+export async function getTaxDetails(uid) {
+  const snap = await getDoc(doc(db, "taxDetails", uid));
+  return snap.exists() ? snap.data() : null;
+}
+
+/**
+ * Save Donor Tax Details
+ *
+ * Receipts issued from now on name the donor this way. Receipts already
+ * issued that don't name them yet (see receiptComplete()) are filled in;
+ * the others keep the details they have.
+ *
+ * @function saveTaxDetails
+ * @async
+ * @param {string} uid - Donor (must be the signed-in user)
+ * @param {Object} fields - See validateTaxDetails()
+ * @param {Array<Object>} receipts - The donor's receipts (see loadReceipts())
+ * @returns {Promise<Array<Object>>} The receipts, with the ones filled in updated
+ * @throws {Error} If the fields are invalid
+ *
+ * Process:
+ * 1. Validate the details (a PAN is needed if any receipt needs one)
+ * 2. Save them and fill in the incomplete receipts in one batch
+ */
+export async function saveTaxDetails(uid, fields, receipts) {
+  const error = validateTaxDetails(fields, receipts.some(panRequired));
+  if (error) {
+    throw new Error(error);
+  }
+
+  const details = { legalName: fields.legalName, updatedAt: Date.now() };
+  if (fields.pan) details.pan = fields.pan;
+  const filledIn = { donorName: fields.legalName, donorPan: fields.pan || null };
+
+  const batch = writeBatch(db);
+  batch.set(doc(db, "taxDetails", uid), details);
+  const updated = receipts.map(receipt => {
+    if (receiptComplete(receipt)) return receipt;
+    batch.update(doc(db, "receipts", receipt.id), filledIn);
+    return { ...receipt, ...filledIn };
+  });
+  await batch.commit();
+  return updated;
+}
+
+/* =======================
+   RECEIPTS
+   ======================= */
+
+/**
+ * Load a Donor's Receipts
+ *
+ * @function loadReceipts
+ * @async
+ * @param {string} uid - Donor (must be the signed-in user)
+ * @returns {Promise<Array<Object>>} Receipts (id = transaction ID), newest first
+ */
+export async function loadReceipts(uid) {
+  const snapshot = await getDocs(query(
+    collection(db, "receipts"),
+    where("donorId", "==", uid),
+    orderBy("donatedAt", "desc")
+  ));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Format a Receipt Number
+ *
+ * @function receiptNumber
+ * @param {Object} receipt - Receipt data
+ * @returns {string} e.g. "000042"
+ */
+export function receiptNumber(receipt) {
+  return String(receipt.number).padStart(6, "0");
+}
+
+/**
+ * Format an Amount for a PDF
+ *
+ * Uses the currency code, which every PDF font can print (see pdf.js).
+ *
+ * @function pdfAmount
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "INR 1,00,000.00"
+ */
+function pdfAmount(minor, currency) {
+  return new Intl.NumberFormat("en-IN", { style: "currency", currency, currencyDisplay: "code" })
+    .format(minor / 10 ** minorDigits(currency));
+}
+
+/**
+ * Format a Date for a PDF
+ *
+ * @function pdfDate
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} e.g. "15 Jan 2025"
+ */
+function pdfDate(time) {
+  return new Date(time).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" });
+}
+
+/**
+ * Organiser Lines
+ *
+ * @function organiserLines
+ * @param {Object} organiser - Legal entity details copied onto the receipt
+ * @returns {Array<import("./pdf.js").PdfLine>}
+ */
+function organiserLines(organiser) {
+  return [
+    { text: organiser.name, size: 12, bold: true },
+    { text: organiser.address },
+    { text: `Registration No.: ${organiser.registrationNumber}` },
+    { text: `PAN: ${organiser.pan}` }
+  ];
+}
+
+/**
+ * Receipt PDF
+ *
+ * @function receiptPdf
+ * @param {Object} receipt - Receipt data (see functions/receipts.js)
+ * @param {Object|null} [fonts=null] - Fonts to embed (see loadPdfFonts() in pdf.js)
+ * @returns {Uint8Array} The PDF file
+ */
+export function receiptPdf(receipt, fonts = null) {
+  const cancelled = receipt.status === RECEIPT_STATUS.CANCELLED;
+
+  const lines = [
+    { text: "Donation Receipt", size: 18, bold: true },
+    { text: `Receipt No. ${receiptNumber(receipt)}`, gap: 4 },
+    { text: `Date: ${pdfDate(receipt.donatedAt)}` },
+    { text: `Financial year: ${receipt.financialYear}` },
+    { text: "Issued by", bold: true, gap: 14 },
+    ...organiserLines(receipt.organiser),
+    { text: "Received from", bold: true, gap: 14 },
+    { text: receipt.donorName || "Donor" },
+    ...(receipt.donorPan ? [{ text: `PAN: ${receipt.donorPan}` }] : []),
+    { text: "Donation", bold: true, gap: 14 },
+    { text: `Amount: ${pdfAmount(receipt.amount, receipt.currency)}`, size: 12, bold: true },
+    { text: `Towards: ${receipt.campaignTitle}${receipt.recurring ? " (monthly donation)" : ""}` },
+    { text: `Payment reference: ${receipt.paymentId || receipt.id}` }
+  ];
+
+  if (cancelled) {
+    lines.push({
+      text: `CANCELLED: this donation was refunded on ${pdfDate(receipt.cancelledAt)}. The receipt is no longer valid.`,
+      bold: true,
+      gap: 14
+    });
+  }
+
+  lines.push({ text: "This receipt was issued electronically and needs no signature.", size: 8, gap: 24 });
+
+  return buildPdf(lines, `Receipt ${receiptNumber(receipt)} - ${receipt.organiser.name}`, fonts);
+}
+
+/**
+ * Annual Statement PDF
+ *
+ * Lists every receipt from one financial year, grouped by organiser, with
+ * totals per organiser (cancelled receipts are listed but not counted).
+ *
+ * @function statementPdf
+ * @param {Array<Object>} receipts - The donor's receipts (any years)
+ * @param {string} financialYear - e.g. "2024-25"
+ * @param {{legalName: string, pan?: string}|null} donor - The donor's tax details
+ * @param {Object|null} [fonts=null] - Fonts to embed (see loadPdfFonts() in pdf.js)
+ * @returns {Uint8Array} The PDF file
+ */
+export function statementPdf(receipts, financialYear, donor, fonts = null) {
+  const inYear = receipts
+    .filter(r => r.financialYear === financialYear)
+    .sort((a, b) => a.donatedAt - b.donatedAt);
+
+  const [startYear] = financialYear.split("-");
+  const lines = [
+    { text: "Annual Donation Statement", size: 18, bold: true },
+    { text: `Financial year ${financialYear} (1 Apr ${startYear} to 31 Mar ${Number(startYear) + 1})`, gap: 4 },
+    { text: `Donor: ${donor?.legalName || "Donor"}` },
+    ...(donor?.pan ? [{ text: `PAN: ${donor.pan}` }] : [])
+  ];
+
+  if (inYear.length === 0) {
+    lines.push({ text: "No receipts were issued to you in this financial year.", gap: 14 });
+  }
+
+  // One section per organiser, in order of their first receipt
+  const byOrganiser = new Map();
+  inYear.forEach(r => {
+    if (!byOrganiser.has(r.organiserId)) byOrganiser.set(r.organiserId, []);
+    byOrganiser.get(r.organiserId).push(r);
+  });
+
+  byOrganiser.forEach(list => {
+    lines.push({ text: "", gap: 10 }, ...organiserLines(list[list.length - 1].organiser));
+    lines.push({
+      bold: true,
+      gap: 6,
+      cells: [
+        { text: "Receipt No.", x: 0 },
+        { text: "Date", x: 70 },
+        { text: "Campaign", x: 150 },
+        { text: "Amount", x: 483, right: true }
+      ]
+    });
+
+    const totals = new Map();
+    list.forEach(r => {
+      const cancelled = r.status === RECEIPT_STATUS.CANCELLED;
+      if (!cancelled) totals.set(r.currency, (totals.get(r.currency) || 0) + r.amount);
+
+      const title = r.campaignTitle.length > 45 ? `${r.campaignTitle.slice(0, 44)}…` : r.campaignTitle;
+      lines.push({
+        cells: [
+          { text: receiptNumber(r), x: 0 },
+          { text: pdfDate(r.donatedAt), x: 70 },
+          { text: title, x: 150 },
+          { text: cancelled ? "Cancelled" : pdfAmount(r.amount, r.currency), x: 483, right: true }
+        ]
+      });
+    });
+
+    totals.forEach((amount, currency) => {
+      lines.push({
+        bold: true,
+        cells: [
+          { text: "Total", x: 150 },
+          { text: pdfAmount(amount, currency), x: 483, right: true }
+        ]
+      });
+    });
+  });
+
+  lines.push({
+    text: "Each donation above has its own receipt, which can be downloaded from your profile.",
+    size: 8,
+    gap: 24
+  });
+
+  return buildPdf(lines, `Donation statement ${financialYear}`, fonts);
+}
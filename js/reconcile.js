@@ -0,0 +1,32 @@
+/**
+ * Reconciliation Module
+ *
+ * Reports campaigns whose stored "raised" total has drifted from the
+ * "transactions" ledger, and corrects them. The ledger is read and the
+ * totals are written by a Cloud Function (see functions/reconcile.js),
+ * which only admins may call; this module only calls it.
+ *
+ * @file js/reconcile.js
+ */
+
+// Import Cloud Functions service
+import { functions } from "./firebase.js";
+// Import callable Cloud Functions (reconciliation runs on the server)
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-functions.js";
+
+/**
+ * Reconcile Raised Totals
+ *
+ * @function reconcileRaised
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.fix=false] - Overwrite drifted "raised" fields with the ledger total
+ * @returns {Promise<Array<{campaignId: string, title: string, currency: string, stored: number, ledger: number, difference: number, fixed: boolean}>>}
+ *   One entry per drifted campaign (empty when everything matches); amounts in minor units
+ * @throws {Error} If the user isn't an admin
+ */
+export async function reconcileRaised({ fix = false } = {}) {
+  const reconcile = httpsCallable(functions, "reconcileTotals");
+  const { data } = await reconcile({ fix });
+  return data.drifted;
+}
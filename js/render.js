@@ -0,0 +1,269 @@
+/**
+ * Safe Rendering Module
+ *
+ * Shared helpers for putting user-supplied text on the page without letting
+ * it run as HTML:
+ * - el(): builds DOM elements; strings always become text nodes
+ * - richText(): turns a campaign description into DOM, keeping only a small
+ *   allow-list of formatting tags
+ * - plainText(): strips a description down to its text (cards, previews)
+ *
+ * Campaign titles, categories, donor names and messages are plain text and
+ * must go through el() or textContent. Only descriptions support rich text.
+ *
+ * @file js/render.js
+ */
+
+/**
+ * Allowed Rich Text Tags
+ *
+ * Tag names (lower case) that richText() keeps. Every attribute is dropped
+ * except href on links.
+ *
+ * @type {Set<string>}
+ */
+export const ALLOWED_TAGS = new Set([
+  "p", "br", "b", "strong", "i", "em", "a", "ul", "ol", "li"
+]);
+
+/**
+ * Allowed Link Protocols
+ *
+ * @type {Set<string>}
+ */
+export const ALLOWED_PROTOCOLS = new Set(["http:", "https:", "mailto:"]);
+
+/**
+ * Tags Dropped Together With Their Content
+ *
+ * Other disallowed tags are unwrapped: the tag goes, its text stays.
+ *
+ * @type {Set<string>}
+ */
+const DROPPED_TAGS = new Set([
+  "script", "style", "iframe", "object", "embed", "template", "noscript",
+  "svg", "math", "textarea", "select", "button", "head", "title"
+]);
+
+/**
+ * Create an Element
+ *
+ * Builds an element with properties and children. String and number
+ * children are added as text nodes, so they are never parsed as HTML.
+ *
+ * Attributes:
+ * - Functions under "on..." names are added as event listeners
+ *   (e.g. { onclick: () => ... }); "on..." strings are ignored
+ * - "style" may be a string or an object of style properties
+ * - "href" and "src" are dropped unless isSafeUrl() accepts them
+ * - "className" and "textContent" are set as DOM properties
+ * - Anything else is set with setAttribute (null/undefined/false are skipped)
+ *
+ * @function el
+ * @param {string} tag - Tag name
+ * @param {Object} [attrs={}] - Attributes, properties and event listeners
+ * @param {...(Node|string|number|null|undefined|Array)} children - Child nodes or text
+ * @returns {HTMLElement} The new element
+ *
+ * @example
+ * el("a", { href: `campaign.html?id=${encodeURIComponent(id)}` }, c.title)
+ */
+export function el(tag, attrs = {}, ...children) {
+  const element = document.createElement(tag);
+
+  Object.entries(attrs).forEach(([name, value]) => {
+    if (value === null || value === undefined || value === false) {
+      return;
+    }
+    if (name.startsWith("on")) {
+      if (typeof value === "function") {
+        element.addEventListener(name.slice(2).toLowerCase(), value);
+      }
+    } else if (name === "style" && typeof value === "object") {
+      Object.assign(element.style, value);
+    } else if (name === "href" || name === "src") {
+      // Never link to javascript: and similar URLs
+      if (isSafeUrl(value)) {
+        element.setAttribute(name, value);
+      }
+    } else if (name === "className" || name === "textContent") {
+      element[name] = value;
+    } else {
+      element.setAttribute(name, value === true ? "" : String(value));
+    }
+  });
+
+  append(element, children);
+  return element;
+}
+
+/**
+ * Append Children
+ *
+ * @function append
+ * @param {Node} parent - Element to append to
+ * @param {Array} children - Nodes, text, or nested arrays of them
+ * @returns {Node} The parent
+ */
+export function append(parent, children) {
+  children.flat(Infinity).forEach(child => {
+    if (child === null || child === undefined || child === false) {
+      return;
+    }
+    parent.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+  });
+  return parent;
+}
+
+/**
+ * URL Scheme
+ *
+ * Browsers ignore whitespace and control characters inside a scheme
+ * ("java\tscript:" still runs), so they are removed before reading it.
+ *
+ * @function urlScheme
+ * @param {string} url - URL to read
+ * @returns {string} Lower-case scheme with its colon (e.g. "https:"), or "" for relative URLs
+ */
+function urlScheme(url) {
+  const cleaned = String(url).replace(/[\u0000-\u0020\u007f-\u009f]/g, "");
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(cleaned);
+  return match ? match[1].toLowerCase() + ":" : "";
+}
+
+/**
+ * Check a Link URL
+ *
+ * Relative links (same site) are allowed; absolute links must use http,
+ * https or mailto.
+ *
+ * @function isSafeUrl
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL is safe to link to
+ */
+export function isSafeUrl(url) {
+  const scheme = urlScheme(url);
+  return scheme === "" || ALLOWED_PROTOCOLS.has(scheme);
+}
+
+/**
+ * Copy Allowed Nodes
+ *
+ * Copies the children of a parsed (inert) node into target, keeping text
+ * and allowed tags only.
+ *
+ * @function copyAllowed
+ * @param {Node} source - Parsed node whose children are copied
+ * @param {Node} target - Node receiving the safe copies
+ * @returns {void}
+ */
+function copyAllowed(source, target) {
+  source.childNodes.forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      target.appendChild(document.createTextNode(node.textContent));
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      // Comments, processing instructions, etc.
+      return;
+    }
+
+    const tag = node.nodeName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) {
+      return;
+    }
+    if (!ALLOWED_TAGS.has(tag)) {
+      // Unwrap: keep the text inside unknown tags
+      copyAllowed(node, target);
+      return;
+    }
+
+    const copy = document.createElement(tag);
+    if (tag === "a") {
+      // Description links must be absolute http, https or mailto links
+      const href = node.getAttribute("href");
+      if (href && ALLOWED_PROTOCOLS.has(urlScheme(href))) {
+        copy.setAttribute("href", href.trim());
+        copy.setAttribute("rel", "noopener noreferrer nofollow");
+        copy.setAttribute("target", "_blank");
+      }
+    }
+    copyAllowed(node, copy);
+    target.appendChild(copy);
+  });
+}
+
+/**
+ * Sanitise HTML
+ *
+ * Parses the HTML without running it (DOMParser documents are inert: no
+ * scripts run and no images load) and returns a fragment containing only
+ * the allowed tags. Links keep their href only if it is http, https or
+ * mailto.
+ *
+ * @function sanitizeHtml
+ * @param {string} html - Untrusted HTML
+ * @returns {DocumentFragment} Safe DOM
+ */
+export function sanitizeHtml(html) {
+  const parsed = new DOMParser().parseFromString(String(html ?? ""), "text/html");
+  const fragment = document.createDocumentFragment();
+  copyAllowed(parsed.body, fragment);
+  return fragment;
+}
+
+/**
+ * Render Rich Text
+ *
+ * Turns a campaign description into safe DOM. Descriptions written before
+ * rich text was supported are plain text: those keep their line breaks,
+ * with blank lines starting new paragraphs.
+ *
+ * @function richText
+ * @param {string} text - Description (plain text or limited HTML)
+ * @returns {DocumentFragment} Safe DOM
+ */
+export function richText(text) {
+  const source = String(text ?? "");
+
+  if (!/<[a-z!/]/i.test(source)) {
+    const fragment = document.createDocumentFragment();
+    source.split(/\n\s*\n/).forEach(paragraph => {
+      const lines = paragraph.split("\n");
+      fragment.appendChild(el("p", {}, lines.map((line, i) => i ? [el("br"), line] : line)));
+    });
+    return fragment;
+  }
+
+  return sanitizeHtml(source);
+}
+
+/**
+ * Set Rich Text
+ *
+ * Replaces an element's content with the rendered description.
+ *
+ * @function setRichText
+ * @param {HTMLElement} element - Element to fill
+ * @param {string} text - Description (plain text or limited HTML)
+ * @returns {void}
+ */
+export function setRichText(element, text) {
+  element.replaceChildren(richText(text));
+}
+
+/**
+ * Plain Text of a Description
+ *
+ * Strips the tags from a description, e.g. for campaign cards.
+ *
+ * @function plainText
+ * @param {string} text - Description (plain text or limited HTML)
+ * @returns {string} Text only
+ */
+export function plainText(text) {
+  const container = document.createElement("div");
+  container.appendChild(richText(text));
+  container.querySelectorAll("p, li, br").forEach(node => node.after(" "));
+  return container.textContent.replace(/\s+/g, " ").trim();
+}
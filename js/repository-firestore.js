@@ -0,0 +1,268 @@
+/**
+ * Firestore Repository Backend
+ *
+ * Stores campaigns, donations and monthly donations in Cloud Firestore (see repository.js for
+ * the models and operations). Cursors are document snapshots.
+ *
+ * @file js/repository-firestore.js
+ */
+
+// Import Firestore database and Cloud Functions services
+import { db, functions } from "./firebase.js";
+// Import Firestore functions for campaign and transaction documents
+import {
+  collection,     // Reference to a collection
+  doc,            // Reference to a specific document
+  getDoc,         // Get a single document
+  getDocs,        // Execute a query and get documents
+  onSnapshot,     // Listen to a document or query for live updates
+  query,          // Create a query for filtering/sorting
+  where,          // Filter documents by field value
+  orderBy,        // Sort documents by field value
+  limit,          // Cap the number of documents returned
+  startAfter,     // Start a query after a given document (pagination cursor)
+  updateDoc,      // Update fields of an existing document
+  writeBatch,     // Group several writes into one atomic commit
+  runTransaction  // Run reads and writes as one atomic unit
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+// Import callable Cloud Functions (campaigns are created on the server)
+import { httpsCallable } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-functions.js";
+// Import the campaign history writer
+import { recordHistory } from "./history.js";
+// Import the repository operations
+import { createRepository } from "./repository.js";
+
+/**
+ * Campaign Subcollections Deleted With the Campaign
+ *
+ * Backers are left out: only campaigns without donations can be deleted.
+ *
+ * @type {Array<string>}
+ */
+const CAMPAIGN_CHILDREN = ["history", "rewards", "updates", "comments"];
+
+/**
+ * Campaign Query
+ *
+ * Note: Each filter/sort combination needs a composite index; they are
+ * listed in firestore.indexes.json.
+ *
+ * @function campaignQuery
+ * @param {Object} filters - See watchCampaigns() in repository.js
+ * @returns {Object} Firestore query
+ */
+function campaignQuery(filters) {
+  const constraints = [];
+
+  ["creator", "status", "moderation", "category"].forEach(field => {
+    if (filters[field] !== undefined) {
+      constraints.push(where(field, "==", filters[field]));
+    }
+  });
+  if (filters.keyword !== undefined) {
+    constraints.push(where("keywords", "array-contains", filters.keyword));
+  }
+  if (filters.endsAfter !== undefined) {
+    constraints.push(where("endDate", ">", filters.endsAfter));
+  }
+
+  if (filters.sort) {
+    constraints.push(orderBy(filters.sort.field, filters.sort.direction));
+  }
+
+  if (filters.after) {
+    constraints.push(startAfter(filters.after));
+  }
+  if (filters.limit) {
+    constraints.push(limit(filters.limit));
+  }
+
+  return query(collection(db, "campaigns"), ...constraints);
+}
+
+/**
+ * Transactions of a Campaign
+ *
+ * Note: For orderBy to work with where, you may need to create a composite index
+ * in Firestore. Firebase will provide a link if the index is missing.
+ *
+ * @function donationQuery
+ * @param {string} campaignId - Campaign ID
+ * @returns {Object} Firestore query, newest first
+ */
+function donationQuery(campaignId) {
+  return query(
+    collection(db, "transactions"),           // Collection to query
+    where("campaignId", "==", campaignId),    // Filter: only transactions for this campaign
+    orderBy("time", "desc")                   // Sort: newest transactions first
+  );
+}
+
+/**
+ * Monthly Donations of a Donor
+ *
+ * @function subscriptionQuery
+ * @param {string} userId - Donor's user ID
+ * @returns {Object} Firestore query, newest first
+ */
+function subscriptionQuery(userId) {
+  return query(
+    collection(db, "subscriptions"),
+    where("userId", "==", userId),
+    orderBy("createdAt", "desc")
+  );
+}
+
+/**
+ * Firestore Backend
+ *
+ * @type {import("./repository.js").Backend}
+ */
+export const firestoreBackend = {
+  newId(collectionName) {
+    return doc(collection(db, collectionName)).id;
+  },
+
+  // The createCampaign function writes the campaign, its slug and its first
+  // history entry, after checking the creator's rate limits
+  async createCampaign(id, data) {
+    const createCampaign = httpsCallable(functions, "createCampaign");
+    await createCampaign({ campaignId: id, campaign: data });
+  },
+
+  async getCampaign(id) {
+    const snap = await getDoc(doc(db, "campaigns", id));
+    return snap.exists() ? snap.data() : null;
+  },
+
+  watchCampaign(id, onData, onError) {
+    return onSnapshot(doc(db, "campaigns", id),
+      snap => onData(snap.exists() ? snap.data() : null), onError);
+  },
+
+  watchCampaigns(filters, onRows, onError) {
+    return onSnapshot(campaignQuery(filters),
+      snapshot => onRows(snapshot.docs.map(d => ({ id: d.id, data: d.data(), cursor: d }))), onError);
+  },
+
+  async listCampaigns(filters) {
+    const snapshot = await getDocs(campaignQuery(filters));
+    return snapshot.docs.map(d => ({ id: d.id, data: d.data() }));
+  },
+
+  // The campaign is read and written in one transaction, with the history
+  // entry for the change
+  async changeCampaign(id, change) {
+    const ref = doc(db, "campaigns", id);
+
+    await runTransaction(db, async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists()) {
+        throw new Error("Campaign not found");
+      }
+
+      const result = change(snap.data());
+      if (!result) {
+        return;
+      }
+      t.update(ref, result.update);
+      recordHistory(t, id, result.history.action, result.history.by, result.history.changes);
+    });
+  },
+
+  async updateCampaign(id, update) {
+    await updateDoc(doc(db, "campaigns", id), update);
+  },
+
+  async deleteCampaign(id) {
+    const ref = doc(db, "campaigns", id);
+    const [snap, ...children] = await Promise.all([
+      getDoc(ref),
+      ...CAMPAIGN_CHILDREN.map(name => getDocs(collection(db, "campaigns", id, name)))
+    ]);
+
+    const batch = writeBatch(db);
+    children.forEach(snapshot => snapshot.docs.forEach(child => batch.delete(child.ref)));
+    if (snap.exists() && snap.data().slug) {
+      batch.delete(doc(db, "slugs", snap.data().slug));
+    }
+    batch.delete(ref);
+    await batch.commit();
+  },
+
+  async moderateCampaign(id, update, log, report) {
+    const batch = writeBatch(db);
+    batch.update(doc(db, "campaigns", id), update);
+    batch.set(doc(db, "moderationLog", log.id), log.data);
+    if (report) {
+      batch.update(doc(db, "reports", report.id), report.data);
+    }
+    await batch.commit();
+  },
+
+  // The donor record, backer details and subscriptions are written together
+  // with the transaction (firestore.rules check they point at each other);
+  // nothing is written if the transaction is already stored
+  async createDonation(id, data, donor, backer, subscription) {
+    await runTransaction(db, async (t) => {
+      const txRef = doc(db, "transactions", id);
+      if ((await t.get(txRef)).exists()) {
+        return;
+      }
+      t.set(txRef, data);
+      t.set(doc(db, "donorRecords", id), donor);
+      if (backer) {
+        t.set(doc(db, "campaigns", data.campaignId, "backers", id), backer);
+      }
+      if (subscription) {
+        t.set(doc(db, "subscriptions", subscription.id), subscription.data);
+      }
+    });
+  },
+
+  async listDonations(campaignId) {
+    const snapshot = await getDocs(donationQuery(campaignId));
+    return snapshot.docs.map(d => ({ id: d.id, data: d.data() }));
+  },
+
+  watchDonations(campaignId, onRows, onError) {
+    return onSnapshot(donationQuery(campaignId),
+      snapshot => onRows(snapshot.docs.map(d => ({ id: d.id, data: d.data() }))), onError);
+  },
+
+  // Anonymous donations name their donor only in the private donor
+  // records; older entries name them in the ledger itself
+  async listDonorDonations(userId) {
+    const [records, named] = await Promise.all([
+      getDocs(query(collection(db, "donorRecords"), where("userId", "==", userId), orderBy("time", "desc"))),
+      getDocs(query(collection(db, "transactions"), where("userId", "==", userId), orderBy("time", "desc")))
+    ]);
+
+    const byId = new Map(named.docs.map(d => [d.id, d.data()]));
+    await Promise.all(records.docs.filter(r => !byId.has(r.id)).map(async r => {
+      const snap = await getDoc(doc(db, "transactions", r.id));
+      if (snap.exists()) {
+        byId.set(r.id, snap.data());
+      }
+    }));
+    return [...byId]
+      .map(([id, data]) => ({ id, data }))
+      .sort((a, b) => b.data.time - a.data.time);
+  },
+
+  watchSubscriptions(userId, onRows, onError) {
+    return onSnapshot(subscriptionQuery(userId),
+      snapshot => onRows(snapshot.docs.map(d => ({ id: d.id, data: d.data() }))), onError);
+  },
+
+  async updateSubscription(id, changes) {
+    await updateDoc(doc(db, "subscriptions", id), changes);
+  }
+};
+
+/**
+ * Site Repository
+ *
+ * The repository the pages use.
+ */
+export const repository = createRepository(firestoreBackend);
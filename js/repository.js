@@ -0,0 +1,1017 @@
+/**
+ * Repository Module
+ *
+ * One place for reading and writing campaigns, donations and monthly
+ * donations. Pages call the functions here instead of building Firestore
+ * queries themselves, and get back Campaign and Donation models with the
+ * same field names everywhere: stored campaigns use "createdAt" and stored
+ * transactions use "time", but both models use createdAt.
+ *
+ * Storage is done by a backend:
+ * - firestoreBackend (repository-firestore.js), used by the site
+ * - memoryBackend() (below), which keeps everything in memory so page logic
+ *   can run in Node without Firebase
+ *
+ * This module must not import Firebase (or any module that does), so it
+ * loads outside the browser.
+ *
+ * @file js/repository.js
+ */
+
+// Import campaign lifecycle constants
+import { STATUS, STATUS_LABELS, FUNDING_MODE, MODERATION, effectiveStatus, moderationState } from "./lifecycle.js";
+// Import the money helpers
+import { CURRENCIES, amountOf, currencyOf, storedAmount, formatMoney, donationAmountError } from "./money.js";
+// Import the slug builder for /c/<slug> links
+import { buildSlug } from "./share.js";
+// Import the monthly donation statuses
+import { SUBSCRIPTION_STATUS, canChangeStatus } from "./subscriptions.js";
+
+/* =======================
+   MODELS
+   ======================= */
+
+/**
+ * Campaign Model
+ *
+ * The stored campaign document with its ID. Amounts are always in minor
+ * units of `currency` (campaigns created before currencies existed are
+ * converted, see money.js).
+ *
+ * @typedef {Object} Campaign
+ * @property {string} id - Document ID
+ * @property {string} title - Campaign title
+ * @property {string} category - One of the categories in search.js
+ * @property {string} description - Limited rich text (see render.js)
+ * @property {number} target - Target amount (minor units)
+ * @property {number} raised - Confirmed donations minus refunds (minor units)
+ * @property {string} currency - Currency of every amount on the campaign
+ * @property {string} creator - User ID of the creator
+ * @property {number} createdAt - When the campaign was created
+ * @property {number} endDate - When the campaign stops taking donations
+ * @property {string} fundingMode - One of the FUNDING_MODE values
+ * @property {string} status - One of the STATUS values
+ * @property {string} moderation - One of the MODERATION values
+ * @property {string} [slug] - Link at /c/<slug> (see share.js)
+ * @property {number} [monthlyRecurring] - Active monthly donations per month (minor units)
+ * @property {number} [subscribers] - Number of active monthly donors
+ */
+
+/**
+ * Donation Model
+ *
+ * A transaction document (donation or refund entry) with its ID.
+ *
+ * @typedef {Object} Donation
+ * @property {string} id - Document ID
+ * @property {string} campaignId - Campaign the money went to
+ * @property {number} amount - Amount in minor units (negative for refunds)
+ * @property {string} currency - The campaign's currency
+ * @property {string} [userId] - Donor's user ID (named donations only)
+ * @property {boolean} anonymous - Whether the donor chose to stay anonymous
+ * @property {string} donorName - Name shown in the public log
+ * @property {string} message - Message shown in the public log
+ * @property {string} [rewardId] - Reward tier picked
+ * @property {string} status - One of the DONATION_STATUS values (see payments.js)
+ * @property {string} [type] - "refund" for refund entries
+ * @property {boolean} [recurring] - Part of a monthly donation
+ * @property {string} [subscriptionId] - The monthly donation it belongs to
+ * @property {number} [cycle] - Which month of the monthly donation (the first payment has none)
+ * @property {number} createdAt - When the donation was made (stored as "time")
+ */
+
+/**
+ * Subscription Model
+ *
+ * A monthly donation (see subscriptions.js) with its ID. Billing fields
+ * are written by the server only.
+ *
+ * @typedef {Object} Subscription
+ * @property {string} id - Document ID
+ * @property {string} campaignId - Campaign the money goes to
+ * @property {number} amount - Monthly amount in minor units
+ * @property {string} currency - The campaign's currency
+ * @property {string} userId - Donor's user ID
+ * @property {string} status - One of the SUBSCRIPTION_STATUS values
+ * @property {number} createdAt - When the donor signed up
+ * @property {number} [nextChargeAt] - Next billing date (once active)
+ * @property {string} [endedReason] - Why a subscription was cancelled by the server
+ */
+
+/**
+ * To Campaign Model
+ *
+ * @function toCampaign
+ * @param {string} id - Document ID
+ * @param {Object} data - Stored campaign document
+ * @returns {Campaign}
+ */
+export function toCampaign(id, data) {
+  return {
+    ...data,
+    id,
+    target: amountOf(data, "target"),
+    raised: amountOf(data, "raised"),
+    currency: currencyOf(data)
+  };
+}
+
+/**
+ * To Donation Model
+ *
+ * @function toDonation
+ * @param {string} id - Document ID
+ * @param {Object} data - Stored transaction document
+ * @returns {Donation}
+ */
+export function toDonation(id, data) {
+  const { time, ...fields } = data;
+  return {
+    ...fields,
+    id,
+    amount: amountOf(data, "amount"),
+    currency: currencyOf(data),
+    createdAt: time
+  };
+}
+
+/**
+ * To Subscription Model
+ *
+ * @function toSubscription
+ * @param {string} id - Document ID
+ * @param {Object} data - Stored subscription document
+ * @returns {Subscription}
+ */
+export function toSubscription(id, data) {
+  return { ...data, id };
+}
+
+/* =======================
+   VALIDATION
+   ======================= */
+
+/**
+ * Validate Campaign Fields
+ *
+ * The main checks of createCampaign (functions/campaigns.js), with
+ * messages for the form.
+ *
+ * @function validateCampaign
+ * @param {Object} fields - See createCampaign()
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function validateCampaign(fields, now = Date.now()) {
+  if (!fields.title || !fields.category || !fields.description) {
+    return "Please fill in all fields";
+  }
+  if (!CURRENCIES.includes(fields.currency)) {
+    return `Unsupported currency: ${fields.currency}`;
+  }
+  if (!Number.isInteger(fields.target) || fields.target <= 0) {
+    return "Please enter a valid target amount";
+  }
+  if (!Number.isFinite(fields.endDate) || fields.endDate <= now) {
+    return "Please pick an end date in the future";
+  }
+  if (!fields.creator) {
+    return "Please login to create a campaign";
+  }
+  return null;
+}
+
+/**
+ * Validate Donation Fields
+ *
+ * Donor names and messages are checked by donors.js.
+ *
+ * @function validateDonation
+ * @param {Object} fields - See donate()
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function validateDonation(fields) {
+  if (!fields.campaignId) {
+    return "Campaign not found";
+  }
+  if (!Number.isInteger(fields.amount) || fields.amount <= 0) {
+    return "Please enter a valid amount";
+  }
+  if (!CURRENCIES.includes(fields.currency)) {
+    return `Unsupported currency: ${fields.currency}`;
+  }
+  const amountError = donationAmountError(fields.amount, fields.currency);
+  if (amountError) {
+    return amountError;
+  }
+  if (!fields.userId) {
+    return "Please login to donate";
+  }
+  if (fields.monthly && fields.rewardId) {
+    return "Rewards can't be claimed with a monthly donation";
+  }
+  return null;
+}
+
+/* =======================
+   REPOSITORY
+   ======================= */
+
+/**
+ * Storage Backend
+ *
+ * Backends store plain documents; the repository builds them and turns
+ * them into models.
+ *
+ * @typedef {Object} Backend
+ * @property {function(string): string} newId - New document ID in a collection
+ * @property {function(string, Object): Promise<void>} createCampaign - Store a
+ *   campaign with its slug and "created" history entry; storing the same
+ *   campaign ID again for the same creator does nothing
+ * @property {function(string): Promise<Object|null>} getCampaign - Stored campaign, or null
+ * @property {function(string, function, function): Function} watchCampaign - Listen to a campaign;
+ *   returns a function that stops listening
+ * @property {function(Object, function, function): Function} watchCampaigns - Listen to a
+ *   campaign query; calls back with [{id, data, cursor}]
+ * @property {function(Object): Promise<Array<{id: string, data: Object}>>} listCampaigns - Read a
+ *   campaign query once (the sort is optional)
+ * @property {function(string, function): Promise<void>} changeCampaign - Read a campaign, pass it
+ *   to the callback and write the {update, history: {action, by, changes}} it returns (nothing if
+ *   it returns null), all in one transaction; the callback may throw to refuse the change
+ * @property {function(string, Object): Promise<void>} updateCampaign - Change fields of a campaign
+ * @property {function(string): Promise<void>} deleteCampaign - Delete a campaign with its slug,
+ *   history, reward tiers, updates and comments
+ * @property {function(string, Object, Object, Object|null): Promise<void>} moderateCampaign - Update
+ *   a campaign and store its moderation log entry ({id, data}) and, if given, the report
+ *   closure ({id, data}) in one write
+ * @property {function(string, Object, Object, Object|null, Object|null): Promise<void>} createDonation - Store a
+ *   transaction with its donor record and, if a reward was picked, its backer details,
+ *   or, for a monthly donation, its subscription ({id, data}); storing the same
+ *   transaction ID again for the same donor does nothing
+ * @property {function(string): Promise<Array<{id: string, data: Object}>>} listDonations - A
+ *   campaign's transactions, newest first
+ * @property {function(string, function, function): Function} watchDonations - Listen to a
+ *   campaign's transactions, newest first
+ * @property {function(string): Promise<Array<{id: string, data: Object}>>} listDonorDonations - A
+ *   donor's transactions, anonymous ones included (through their donor records), newest first
+ * @property {function(string, function, function): Function} watchSubscriptions - Listen to a
+ *   donor's subscriptions, newest first
+ * @property {function(string, Object): Promise<void>} updateSubscription - Change a subscription
+ */
+
+/**
+ * Create a Repository
+ *
+ * @function createRepository
+ * @param {Backend} backend - firestoreBackend or memoryBackend()
+ * @returns {Object} The repository operations
+ */
+export function createRepository(backend) {
+  return {
+    /**
+     * Create a Campaign
+     *
+     * @async
+     * @param {Object} fields
+     * @param {string} fields.title - Campaign title
+     * @param {string} fields.category - Campaign category
+     * @param {string} fields.description - Campaign description
+     * @param {Array<string>} fields.keywords - Search index (see search.js; needs the DOM to build)
+     * @param {number} fields.target - Target amount (minor units)
+     * @param {string} fields.currency - Currency code
+     * @param {number} fields.endDate - When donations close
+     * @param {string} fields.fundingMode - One of the FUNDING_MODE values
+     * @param {boolean} fields.draft - Save as a draft instead of publishing
+     * @param {string} fields.creator - Creator's user ID
+     * @param {string} [id] - From newCampaignId(); retrying with the same ID
+     *   doesn't create a second campaign
+     * @returns {Promise<string>} The new campaign's ID
+     * @throws {Error} If the fields are invalid or the write fails
+     */
+    async createCampaign(fields, id = backend.newId("campaigns")) {
+      const error = validateCampaign(fields);
+      if (error) {
+        throw new Error(error);
+      }
+
+      await backend.createCampaign(id, {
+        title: fields.title,                        // Campaign title
+        category: fields.category,                  // Campaign category (e.g., "Education", "Health")
+        target: fields.target,                      // Target fundraising amount (minor units, see money.js)
+        raised: 0,                                  // Amount raised so far (starts at 0)
+        currency: fields.currency,                  // Currency of every amount on the campaign
+        progress: 0,                                // raised / target, kept for "closest to goal" sorting
+        description: fields.description,            // Campaign description
+        keywords: fields.keywords,                  // Search index (see search.js)
+        creator: fields.creator,                    // User ID of the campaign creator
+        createdAt: Date.now(),                      // Timestamp of when campaign was created
+        endDate: fields.endDate,                    // Timestamp when the campaign stops taking donations
+        fundingMode: fields.fundingMode === FUNDING_MODE.ALL_OR_NOTHING // Keep what you raise, or refund
+          ? FUNDING_MODE.ALL_OR_NOTHING                                // everyone if the target is missed
+          : FUNDING_MODE.KEEP,
+        status: fields.draft ? STATUS.DRAFT : STATUS.ACTIVE, // Lifecycle status (see lifecycle.js)
+        moderation: MODERATION.PENDING,             // Public once an admin approves it (see moderation.js)
+        cover: null,                                // Cover image (see media.js)
+        gallery: [],                                // Gallery images (see media.js)
+        slug: buildSlug(fields.title, id)           // Link at /c/<slug> (see share.js)
+      });
+      return id;
+    },
+
+    /**
+     * New Campaign ID
+     *
+     * Picked before the campaign is created, so a retry can reuse it.
+     *
+     * @returns {string}
+     */
+    newCampaignId() {
+      return backend.newId("campaigns");
+    },
+
+    /**
+     * Get a Campaign
+     *
+     * @async
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Campaign|null>} The campaign, or null if there is none
+     */
+    async getCampaign(campaignId) {
+      const data = await backend.getCampaign(campaignId);
+      return data ? toCampaign(campaignId, data) : null;
+    },
+
+    /**
+     * Watch a Campaign
+     *
+     * @param {string} campaignId - Campaign ID
+     * @param {function(Campaign|null): void} onCampaign - Called with every change (null once deleted)
+     * @param {Function} onError - Called if the listener fails
+     * @returns {Function} Call to stop listening
+     */
+    watchCampaign(campaignId, onCampaign, onError) {
+      return backend.watchCampaign(campaignId,
+        data => onCampaign(data ? toCampaign(campaignId, data) : null), onError);
+    },
+
+    /**
+     * Watch Campaigns
+     *
+     * Lists campaigns matching every filter given. With a page size, one
+     * more campaign is fetched to find out whether there is a next page.
+     *
+     * @param {Object} filters
+     * @param {string} [filters.creator] - Creator's user ID
+     * @param {string} [filters.status] - Stored lifecycle status
+     * @param {string} [filters.moderation] - Moderation state
+     * @param {string} [filters.category] - Category
+     * @param {string} [filters.keyword] - Word in the search index
+     * @param {number} [filters.endsAfter] - Only campaigns ending after this time
+     * @param {{field: string, direction: string}} filters.sort - Sort order (see SORTS in search.js)
+     * @param {*} [filters.after] - Cursor of the last campaign of the previous page
+     * @param {number} [filters.pageSize] - Campaigns per page (all if omitted)
+     * @param {function({campaigns: Array<Campaign>, hasNext: boolean, cursor: *}): void} onPage -
+     *   Called with every change; cursor is the one to pass as `after` for the next page
+     * @param {Function} onError - Called if the listener fails
+     * @returns {Function} Call to stop listening
+     */
+    watchCampaigns(filters, onPage, onError) {
+      const { pageSize, ...query } = filters;
+      if (pageSize) {
+        query.limit = pageSize + 1;
+      }
+
+      return backend.watchCampaigns(query, rows => {
+        const shown = pageSize ? rows.slice(0, pageSize) : rows;
+        onPage({
+          campaigns: shown.map(row => toCampaign(row.id, row.data)),
+          hasNext: rows.length > shown.length,
+          cursor: shown.length ? shown[shown.length - 1].cursor : null
+        });
+      }, onError);
+    },
+
+    /**
+     * List Campaigns
+     *
+     * Reads the campaigns matching every filter once, for pages that don't
+     * need live updates.
+     *
+     * @async
+     * @param {Object} filters - As for watchCampaigns(), without paging; the sort is optional
+     * @returns {Promise<Array<Campaign>>}
+     */
+    async listCampaigns(filters) {
+      const rows = await backend.listCampaigns(filters);
+      return rows.map(row => toCampaign(row.id, row.data));
+    },
+
+    /**
+     * Change a Campaign's Status
+     *
+     * Moves one of the creator's campaigns to a new status and records the
+     * change in its history. The status check and the write see the same
+     * version of the campaign.
+     *
+     * @async
+     * @param {string} campaignId - Campaign ID
+     * @param {Object} change
+     * @param {Array<string>} change.from - Effective statuses the change is allowed from
+     * @param {string} change.to - Status to move to
+     * @param {string} change.action - History action to record (see history.js)
+     * @param {string} change.by - User making the change
+     * @returns {Promise<void>}
+     * @throws {Error} If the campaign doesn't exist, isn't the user's, or is in the wrong status
+     */
+    async changeCampaignStatus(campaignId, { from, to, action, by }) {
+      await backend.changeCampaign(campaignId, (campaign) => {
+        if (campaign.creator !== by) {
+          throw new Error("Only the campaign creator can change this campaign");
+        }
+
+        const current = effectiveStatus(campaign);
+        if (!from.includes(current)) {
+          throw new Error(`The campaign is ${STATUS_LABELS[current].toLowerCase()}`);
+        }
+
+        return {
+          update: { status: to },
+          history: { action, by, changes: { status: { from: current, to } } }
+        };
+      });
+    },
+
+    /**
+     * Resubmit a Campaign
+     *
+     * Sends a rejected campaign back to the admins' review queue.
+     *
+     * @async
+     * @param {string} campaignId - Campaign ID
+     * @param {string} by - User making the change
+     * @returns {Promise<void>}
+     * @throws {Error} If the campaign doesn't exist, isn't the user's, or wasn't rejected
+     */
+    async resubmitCampaign(campaignId, by) {
+      await backend.changeCampaign(campaignId, (campaign) => {
+        if (campaign.creator !== by) {
+          throw new Error("Only the campaign creator can change this campaign");
+        }
+        if (moderationState(campaign) !== MODERATION.REJECTED) {
+          throw new Error("Only rejected campaigns can be sent for review again");
+        }
+
+        return {
+          update: { moderation: MODERATION.PENDING },
+          history: {
+            action: "resubmitted", // ACTIONS.RESUBMITTED in history.js
+            by,
+            changes: { moderation: { from: MODERATION.REJECTED, to: MODERATION.PENDING } }
+          }
+        };
+      });
+    },
+
+    /**
+     * Edit a Campaign
+     *
+     * Saves the fields that changed and records them in the history.
+     *
+     * @async
+     * @param {string} campaignId - Campaign ID
+     * @param {Object} fields
+     * @param {string} fields.title - Campaign title
+     * @param {string} fields.category - Campaign category
+     * @param {string} fields.description - Campaign description
+     * @param {Array<string>} fields.keywords - Search index for the title and description (see search.js)
+     * @param {number} fields.target - Target amount (minor units of the campaign's currency)
+     * @param {string} by - User making the change
+     * @returns {Promise<boolean>} Whether anything changed
+     * @throws {Error} If the campaign doesn't exist, isn't the user's, is cancelled, or
+     *   the target is below the amount already raised
+     */
+    async editCampaign(campaignId, fields, by) {
+      let edited = false;
+
+      await backend.changeCampaign(campaignId, (campaign) => {
+        if (campaign.creator !== by) {
+          throw new Error("Only the campaign creator can edit this campaign");
+        }
+        if (campaign.status === STATUS.CANCELLED) {
+          throw new Error("Cancelled campaigns can't be edited");
+        }
+
+        // The target can never drop below what has already been raised
+        const raised = amountOf(campaign, "raised");
+        if (fields.target < raised) {
+          throw new Error(`The target can't be lower than the ${formatMoney(raised, currencyOf(campaign))} already raised`);
+        }
+
+        // Collect the fields that actually changed (older campaigns still store rupees)
+        const values = {
+          title: fields.title,
+          category: fields.category,
+          description: fields.description,
+          target: storedAmount(campaign, fields.target)
+        };
+        const changes = {};
+        Object.entries(values).forEach(([field, value]) => {
+          if (campaign[field] !== value) {
+            changes[field] = { from: campaign[field], to: value };
+          }
+        });
+
+        // Record the target's currency so the history can format it
+        if (changes.target) {
+          changes.target.currency = campaign.currency || null;
+        }
+
+        edited = Object.keys(changes).length > 0;
+        if (!edited) {
+          return null;
+        }
+
+        const update = {};
+        Object.entries(changes).forEach(([field, change]) => { update[field] = change.to; });
+
+        // Keep the search index in step with the edited values (progress is
+        // recomputed by the trackProgress Cloud Function)
+        update.keywords = fields.keywords;
+
+        return {
+          update,
+          history: { action: "edited", by, changes } // ACTIONS.EDITED in history.js
+        };
+      });
+      return edited;
+    },
+
+    /**
+     * Update a Campaign's Images
+     *
+     * @async
+     * @param {string} campaignId - Campaign ID
+     * @param {{cover: (Object|undefined), gallery: (Array<Object>|undefined)}} media - New
+     *   cover and/or gallery (see media.js)
+     * @returns {Promise<void>}
+     */
+    async updateCampaignMedia(campaignId, media) {
+      const update = {};
+      ["cover", "gallery"].forEach(field => {
+        if (media[field] !== undefined) {
+          update[field] = media[field];
+        }
+      });
+      await backend.updateCampaign(campaignId, update);
+    },
+
+    /**
+     * Delete a Campaign
+     *
+     * Deletes the campaign with its slug, history, reward tiers, updates and
+     * comments. The caller checks it has no donations and deletes its images
+     * first (storage.rules need the campaign to check the creator).
+     *
+     * @async
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<void>}
+     */
+    async deleteCampaign(campaignId) {
+      await backend.deleteCampaign(campaignId);
+    },
+
+    /**
+     * Record a Moderation Decision
+     *
+     * Updates the campaign and adds the decision to the moderation log in
+     * one write (firestore.rules refuse the campaign update without its log
+     * entry). A decision made on a report also closes the report.
+     *
+     * @async
+     * @param {string} campaignId - Campaign ID
+     * @param {Object} update - Moderation fields to set (see moderateCampaign() in moderation.js)
+     * @param {Object} log
+     * @param {string} log.action - One of the MODERATION_ACTIONS values
+     * @param {string} log.reason - Why
+     * @param {string} log.by - ID of the admin
+     * @param {number} log.time - When the decision was made
+     * @param {string|null} log.reportId - Report that led to the decision
+     * @returns {Promise<void>}
+     */
+    async recordModeration(campaignId, update, log) {
+      const logId = backend.newId("moderationLog");
+      await backend.moderateCampaign(campaignId, { ...update, moderationLogId: logId }, {
+        id: logId,
+        data: { campaignId, ...log }
+      }, log.reportId ? {
+        id: log.reportId,
+        data: { status: "closed", resolution: log.action, resolvedBy: log.by, resolvedAt: log.time }
+      } : null);
+    },
+
+    /**
+     * New Donation ID
+     *
+     * Lets the page track the donation before it is written, and doubles
+     * as its idempotency key: donating again with the same ID records the
+     * donation once.
+     *
+     * @returns {string}
+     */
+    newDonationId() {
+      return backend.newId("transactions");
+    },
+
+    /**
+     * Donate
+     *
+     * Records a pending donation; the payment webhook confirms or fails it.
+     *
+     * @async
+     * @param {string} donationId - From newDonationId()
+     * @param {Object} fields
+     * @param {string} fields.campaignId - Campaign receiving the donation
+     * @param {number} fields.amount - Donation amount (minor units)
+     * @param {string} fields.currency - The campaign's currency
+     * @param {string} fields.userId - Donor's user ID
+     * @param {{anonymous: boolean, donorName: string, message: string}} fields.donor - See donorFields() in donors.js
+     * @param {string} [fields.rewardId] - Reward tier picked
+     * @param {{name: string, address: string, phone: string}} [fields.shipping] - Where to send the reward
+     * @param {boolean} [fields.monthly] - Give the same amount every month (no reward)
+     * @returns {Promise<void>}
+     * @throws {Error} If the fields are invalid or the write fails
+     *
+     * The ledger is public, so an anonymous donation doesn't carry the
+     * donor's user ID: it goes in the private donorRecords collection,
+     * under the donation's ID, in the same write (for every donation, so
+     * the donor's history can list them all). The shipping details go to
+     * the campaign's private backers collection the same way. A monthly
+     * donation's subscription is written with its first payment; it starts
+     * "pending" and the server activates it once that payment is confirmed.
+     */
+    async donate(donationId, fields) {
+      const error = validateDonation(fields);
+      if (error) {
+        throw new Error(error);
+      }
+
+      const subscriptionId = fields.monthly ? backend.newId("subscriptions") : null;
+      const time = Date.now();
+
+      await backend.createDonation(donationId, {
+        campaignId: fields.campaignId,                 // ID of the campaign receiving the donation
+        amount: fields.amount,                         // Donation amount (minor units)
+        currency: fields.currency,                     // Always the campaign's currency
+        ...(fields.donor.anonymous ? {} : {
+          user: fields.userId.substring(0, 6),         // Partial user ID (first 6 chars for privacy)
+          userId: fields.userId                        // Full user ID of the donor
+        }),
+        ...fields.donor,                               // anonymous, donorName and message
+        ...(fields.rewardId ? { rewardId: fields.rewardId } : {}), // Reward tier, if one was picked
+        ...(subscriptionId ? { subscriptionId, recurring: true } : {}), // First payment of a monthly donation
+        time,                                          // Current timestamp in milliseconds
+        status: "pending"                              // Confirmed or failed by the payment webhook
+      }, {
+        userId: fields.userId,
+        campaignId: fields.campaignId,
+        time
+      }, fields.rewardId ? {
+        userId: fields.userId,
+        rewardId: fields.rewardId,
+        ...fields.shipping,
+        createdAt: Date.now()
+      } : null, subscriptionId ? {
+        id: subscriptionId,
+        data: {
+          userId: fields.userId,
+          campaignId: fields.campaignId,
+          amount: fields.amount,
+          currency: fields.currency,
+          ...fields.donor,
+          status: SUBSCRIPTION_STATUS.PENDING,
+          createdAt: Date.now(),
+          firstTransactionId: donationId
+        }
+      } : null);
+    },
+
+    /**
+     * List Donations
+     *
+     * @async
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Array<Donation>>} The campaign's transactions, newest first
+     */
+    async listDonations(campaignId) {
+      const rows = await backend.listDonations(campaignId);
+      return rows.map(row => toDonation(row.id, row.data));
+    },
+
+    /**
+     * Watch Donations
+     *
+     * @param {string} campaignId - Campaign ID
+     * @param {function(Array<Donation>): void} onDonations - Called with the transactions, newest first
+     * @param {Function} onError - Called if the listener fails
+     * @returns {Function} Call to stop listening
+     */
+    watchDonations(campaignId, onDonations, onError) {
+      return backend.watchDonations(campaignId,
+        rows => onDonations(rows.map(row => toDonation(row.id, row.data))), onError);
+    },
+
+    /**
+     * List a Donor's Donations
+     *
+     * @async
+     * @param {string} userId - Donor's user ID
+     * @returns {Promise<Array<Donation>>} Every transaction the donor made, anonymous
+     *   ones included, newest first
+     */
+    async listDonorDonations(userId) {
+      const rows = await backend.listDonorDonations(userId);
+      return rows.map(row => toDonation(row.id, row.data));
+    },
+
+    /**
+     * Watch a Donor's Monthly Donations
+     *
+     * @param {string} userId - Donor's user ID
+     * @param {function(Array<Subscription>): void} onSubscriptions - Called with the subscriptions, newest first
+     * @param {Function} onError - Called if the listener fails
+     * @returns {Function} Call to stop listening
+     */
+    watchSubscriptions(userId, onSubscriptions, onError) {
+      return backend.watchSubscriptions(userId,
+        rows => onSubscriptions(rows.map(row => toSubscription(row.id, row.data))), onError);
+    },
+
+    /**
+     * Change a Monthly Donation
+     *
+     * Pauses, resumes or cancels it, or changes the monthly amount from the
+     * next billing date on.
+     *
+     * @async
+     * @param {Subscription} subscription - The subscription as last read
+     * @param {Object} changes
+     * @param {string} [changes.status] - New status (see canChangeStatus() in subscriptions.js)
+     * @param {number} [changes.amount] - New monthly amount (minor units)
+     * @returns {Promise<void>}
+     * @throws {Error} If the change isn't allowed or the write fails
+     */
+    async changeSubscription(subscription, changes) {
+      if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED) {
+        throw new Error("This monthly donation has been cancelled");
+      }
+      if (changes.status !== undefined && !canChangeStatus(subscription.status, changes.status)) {
+        throw new Error("This monthly donation can't be changed that way");
+      }
+      if (changes.amount !== undefined && (!Number.isInteger(changes.amount) || changes.amount <= 0)) {
+        throw new Error("Please enter a valid amount");
+      }
+      const amountError = changes.amount !== undefined && donationAmountError(changes.amount, subscription.currency);
+      if (amountError) {
+        throw new Error(amountError);
+      }
+      // The card was only authorised for charges up to the mandate's cap
+      const maxAmount = subscription.mandate?.maxAmount;
+      if (changes.amount !== undefined && maxAmount !== undefined && changes.amount > maxAmount) {
+        throw new Error(`Your card allows up to ${formatMoney(maxAmount, subscription.currency)} a month; `
+          + "cancel this monthly donation and start a new one to give more");
+      }
+
+      await backend.updateSubscription(subscription.id, { ...changes, updatedAt: Date.now() });
+    }
+  };
+}
+
+/* =======================
+   IN-MEMORY BACKEND
+   ======================= */
+
+/**
+ * Compare Two Values for Sorting
+ *
+ * @function compare
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * In-Memory Backend
+ *
+ * Keeps documents in Maps and calls listeners synchronously after every
+ * write. Listeners get copies, like Firestore snapshots. Cursors are
+ * document IDs.
+ *
+ * @function memoryBackend
+ * @param {Object} [seed] - Documents to start with
+ * @param {Object<string, Object>} [seed.campaigns] - Stored campaigns by ID
+ * @param {Object<string, Object>} [seed.transactions] - Stored transactions by ID
+ * @param {Object<string, Object>} [seed.subscriptions] - Stored subscriptions by ID
+ * @param {Object<string, Object>} [seed.donorRecords] - Stored donor records by transaction ID
+ * @returns {Backend & {slugs: Map, history: Map, backers: Map, donorRecords: Map, moderationLog: Map, reports: Map}}
+ *   The backend, plus what it wrote besides campaigns, transactions and subscriptions
+ */
+export function memoryBackend(seed = {}) {
+  const campaigns = new Map(Object.entries(seed.campaigns || {}));
+  const transactions = new Map(Object.entries(seed.transactions || {}));
+  const subscriptions = new Map(Object.entries(seed.subscriptions || {}));
+  const slugs = new Map();
+  const history = new Map();
+  const backers = new Map();
+  const donorRecords = new Map(Object.entries(seed.donorRecords || {}));
+  const moderationLog = new Map();
+  const reports = new Map();
+  const listeners = new Set();
+  let lastId = 0;
+
+  const copy = (data) => (data ? structuredClone(data) : null);
+
+  // Call a listener now and after every write
+  const listen = (read, callback) => {
+    const listener = () => callback(read());
+    listeners.add(listener);
+    listener();
+    return () => listeners.delete(listener);
+  };
+  const changed = () => listeners.forEach(listener => listener());
+
+  const campaignRows = (query) => {
+    let rows = [...campaigns].filter(([, c]) =>
+      ["creator", "status", "moderation", "category"].every(field => query[field] === undefined || c[field] === query[field])
+      && (query.keyword === undefined || (c.keywords || []).includes(query.keyword))
+      && (query.endsAfter === undefined || c.endDate > query.endsAfter));
+
+    // Without a sort order Firestore returns documents by ID
+    const { field, direction } = query.sort || {};
+    rows.sort(([idA, a], [idB, b]) =>
+      (direction === "desc" ? -1 : 1) * ((field ? compare(a[field], b[field]) : 0) || compare(idA, idB)));
+
+    // A cursor that isn't among the results (e.g. its campaign no longer
+    // matches) has no page after it
+    if (query.after) {
+      const index = rows.findIndex(([id]) => id === query.after);
+      rows = index === -1 ? [] : rows.slice(index + 1);
+    }
+    if (query.limit) {
+      rows = rows.slice(0, query.limit);
+    }
+    return rows.map(([id, data]) => ({ id, data: copy(data), cursor: id }));
+  };
+
+  const donationRows = (campaignId) => [...transactions]
+    .filter(([, t]) => t.campaignId === campaignId)
+    .sort(([, a], [, b]) => b.time - a.time)
+    .map(([id, data]) => ({ id, data: copy(data) }));
+
+  const donorRows = (userId) => [...transactions]
+    .filter(([id, t]) => t.userId === userId || donorRecords.get(id)?.userId === userId)
+    .sort(([, a], [, b]) => b.time - a.time)
+    .map(([id, data]) => ({ id, data: copy(data) }));
+
+  const subscriptionRows = (userId) => [...subscriptions]
+    .filter(([, s]) => s.userId === userId)
+    .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+    .map(([id, data]) => ({ id, data: copy(data) }));
+
+  return {
+    slugs,
+    history,
+    backers,
+    donorRecords,
+    moderationLog,
+    reports,
+
+    newId(collectionName) {
+      lastId++;
+      return `${collectionName}-${lastId}`;
+    },
+
+    async createCampaign(id, data) {
+      if (campaigns.get(id)?.creator === data.creator) {
+        return;
+      }
+      if (campaigns.has(id) || slugs.has(data.slug)) {
+        throw new Error(`Campaign ${id} already exists`);
+      }
+      campaigns.set(id, copy(data));
+      slugs.set(data.slug, { campaignId: id });
+      // ACTIONS.CREATED in history.js
+      history.set(id, [{ action: "created", changes: {}, by: data.creator, time: data.createdAt }]);
+      changed();
+    },
+
+    async getCampaign(id) {
+      return copy(campaigns.get(id));
+    },
+
+    watchCampaign(id, onData) {
+      return listen(() => copy(campaigns.get(id)), onData);
+    },
+
+    watchCampaigns(query, onRows) {
+      return listen(() => campaignRows(query), onRows);
+    },
+
+    async listCampaigns(query) {
+      return campaignRows(query);
+    },
+
+    async changeCampaign(id, change) {
+      if (!campaigns.has(id)) {
+        throw new Error("Campaign not found");
+      }
+      const result = change(copy(campaigns.get(id)));
+      if (!result) {
+        return;
+      }
+      campaigns.set(id, { ...campaigns.get(id), ...copy(result.update) });
+      history.set(id, [...(history.get(id) || []), { changes: {}, ...copy(result.history), time: Date.now() }]);
+      changed();
+    },
+
+    async updateCampaign(id, update) {
+      if (!campaigns.has(id)) {
+        throw new Error("Campaign not found");
+      }
+      campaigns.set(id, { ...campaigns.get(id), ...copy(update) });
+      changed();
+    },
+
+    async deleteCampaign(id) {
+      const slug = campaigns.get(id)?.slug;
+      if (slug) {
+        slugs.delete(slug);
+      }
+      campaigns.delete(id);
+      history.delete(id);
+      changed();
+    },
+
+    async moderateCampaign(id, update, log, report) {
+      if (!campaigns.has(id)) {
+        throw new Error("Campaign not found");
+      }
+      campaigns.set(id, { ...campaigns.get(id), ...copy(update) });
+      moderationLog.set(log.id, copy(log.data));
+      if (report) {
+        reports.set(report.id, { ...reports.get(report.id), ...copy(report.data) });
+      }
+      changed();
+    },
+
+    async createDonation(id, data, donor, backer, subscription) {
+      if (transactions.has(id) && donorRecords.get(id)?.userId === donor.userId) {
+        return;
+      }
+      if (transactions.has(id)) {
+        throw new Error(`Transaction ${id} already exists`);
+      }
+      if (!campaigns.has(data.campaignId)) {
+        throw new Error("Campaign not found");
+      }
+      transactions.set(id, copy(data));
+      donorRecords.set(id, copy(donor));
+      if (backer) {
+        backers.set(id, copy(backer));
+      }
+      if (subscription) {
+        subscriptions.set(subscription.id, copy(subscription.data));
+      }
+      changed();
+    },
+
+    async listDonations(campaignId) {
+      return donationRows(campaignId);
+    },
+
+    watchDonations(campaignId, onRows) {
+      return listen(() => donationRows(campaignId), onRows);
+    },
+
+    async listDonorDonations(userId) {
+      return donorRows(userId);
+    },
+
+    watchSubscriptions(userId, onRows) {
+      return listen(() => subscriptionRows(userId), onRows);
+    },
+
+    async updateSubscription(id, changes) {
+      if (!subscriptions.has(id)) {
+        throw new Error("Monthly donation not found");
+      }
+      subscriptions.set(id, { ...subscriptions.get(id), ...copy(changes) });
+      changed();
+    }
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * Reward Tiers Module
+ *
+ * Reward tiers are perks a campaign owner offers for donations above a
+ * minimum amount. They are stored in campaigns/{campaignId}/rewards:
+ * - minAmount: smallest donation that earns the reward (minor units, see money.js)
+ * - currency: the campaign's currency
+ * - title, description: what the backer gets
+ * - limit: how many can be claimed (null for unlimited)
+ * - claimed: how many are taken (only ever changed by Cloud Functions)
+ * - deliveryDate: estimated delivery month ("YYYY-MM")
+ * - createdAt: when the tier was added
+ *
+ * Shipping details collected at checkout are private and are kept apart
+ * from the public transaction log, in campaigns/{campaignId}/backers (one
+ * document per donation, with the transaction's ID). Only the backer and
+ * the campaign owner can read them.
+ *
+ * Stock is reserved on the server (createPaymentOrder), so two donors can
+ * never take the last reward.
+ *
+ * @file js/rewards.js
+ */
+
+// Import Firestore database service
+import { db } from "./firebase.js";
+// Import the money helpers
+import { amountOf, formatAmountOf } from "./money.js";
+// Import Firestore functions for reward and backer documents
+import {
+  collection, // Reference to a collection
+  doc,        // Reference to a specific document
+  getDocs,    // Execute a query and get documents
+  addDoc,     // Add a new document to a collection
+  deleteDoc,  // Delete a document
+  onSnapshot, // Listen to a query for live updates
+  query,      // Create a query for filtering/sorting
+  orderBy     // Sort documents by field value
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+
+/**
+ * Reward and Shipping Field Limits
+ *
+ * The same limits are enforced by firestore.rules.
+ *
+ * @type {{title: number, description: number, name: number, address: number, phone: number}}
+ */
+export const REWARD_LIMITS = {
+  title: 80,
+  description: 500,
+  name: 100,
+  address: 500,
+  phone: 20
+};
+
+/**
+ * Validate Reward Fields
+ *
+ * @function validateReward
+ * @param {Object} fields
+ * @param {string} fields.title - Reward title
+ * @param {string} fields.description - What the backer gets
+ * @param {number} fields.minAmount - Minimum donation (minor units)
+ * @param {number|null} fields.limit - Quantity available (null for unlimited)
+ * @param {string} fields.deliveryDate - Estimated delivery month ("YYYY-MM")
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function validateReward({ title, description, minAmount, limit, deliveryDate }) {
+  if (!title || !description || !deliveryDate) {
+    return "Please fill all reward fields";
+  }
+  if (title.length > REWARD_LIMITS.title) {
+    return `Reward title must be at most ${REWARD_LIMITS.title} characters`;
+  }
+  if (description.length > REWARD_LIMITS.description) {
+    return `Reward description must be at most ${REWARD_LIMITS.description} characters`;
+  }
+  if (!Number.isSafeInteger(minAmount) || minAmount <= 0) {
+    return "Please enter a valid minimum amount";
+  }
+  if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+    return "Quantity must be a whole number, or left empty for unlimited";
+  }
+  if (!/^\d{4}-\d{2}$/.test(deliveryDate)) {
+    return "Please pick an estimated delivery month";
+  }
+  return null;
+}
+
+/**
+ * Validate Shipping Details
+ *
+ * @function validateShipping
+ * @param {Object} fields
+ * @param {string} fields.name - Recipient name
+ * @param {string} fields.address - Postal address
+ * @param {string} fields.phone - Contact number
+ * @returns {string|null} Error message, or null if the details are valid
+ */
+export function validateShipping({ name, address, phone }) {
+  if (!name || !address || !phone) {
+    return "Please enter your name, address and phone number for the reward";
+  }
+  if (name.length > REWARD_LIMITS.name
+      || address.length > REWARD_LIMITS.address
+      || phone.length > REWARD_LIMITS.phone) {
+    return "Shipping details are too long";
+  }
+  return null;
+}
+
+/**
+ * Remaining Stock
+ *
+ * @function remaining
+ * @param {Object} reward - Reward document data
+ * @returns {number} Rewards left (Infinity for unlimited tiers)
+ */
+export function remaining(reward) {
+  return reward.limit === null || reward.limit === undefined
+    ? Infinity
+    : Math.max(0, reward.limit - (reward.claimed || 0));
+}
+
+/**
+ * Format Delivery Month
+ *
+ * @function formatDelivery
+ * @param {string} deliveryDate - "YYYY-MM"
+ * @returns {string} e.g. "Mar 2025"
+ */
+export function formatDelivery(deliveryDate) {
+  const [year, month] = deliveryDate.split("-").map(Number);
+  return new Date(year, month - 1, 1).toLocaleString("en-IN", { month: "short", year: "numeric" });
+}
+
+/**
+ * Describe a Reward
+ *
+ * @function describeReward
+ * @param {Object} reward - Reward document data
+ * @returns {string} e.g. "₹500.00+ · T-shirt · est. Mar 2025 · 12 left"
+ */
+export function describeReward(reward) {
+  const left = remaining(reward);
+  return `${formatAmountOf(reward, "minAmount")}+ · ${reward.title} · est. ${formatDelivery(reward.deliveryDate)}`
+    + (left === Infinity ? "" : left === 0 ? " · Sold out" : ` · ${left} left`);
+}
+
+/**
+ * Rewards Collection
+ *
+ * @function rewardsOf
+ * @param {string} campaignId - Campaign ID
+ * @returns {Object} Collection reference
+ */
+function rewardsOf(campaignId) {
+  return collection(db, "campaigns", campaignId, "rewards");
+}
+
+/**
+ * Rewards from a Snapshot
+ *
+ * Sorted again here because tiers created before currencies existed store
+ * rupees rather than paise, so Firestore's order can be wrong.
+ *
+ * @function rewardsFrom
+ * @param {Object} snapshot - Query snapshot of the rewards collection
+ * @returns {Array<{id: string}>} Rewards, cheapest first
+ */
+function rewardsFrom(snapshot) {
+  return snapshot.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => amountOf(a, "minAmount") - amountOf(b, "minAmount"));
+}
+
+/**
+ * Load Rewards
+ *
+ * @function loadRewards
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array<{id: string}>>} Rewards, cheapest first
+ */
+export async function loadRewards(campaignId) {
+  return rewardsFrom(await getDocs(rewardsOf(campaignId)));
+}
+
+/**
+ * Watch Rewards
+ *
+ * Like loadRewards, but calls back whenever a reward changes (e.g. stock).
+ *
+ * @function watchRewards
+ * @param {string} campaignId - Campaign ID
+ * @param {Function} onRewards - Called with the rewards, cheapest first
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Call to stop listening
+ */
+export function watchRewards(campaignId, onRewards, onError) {
+  return onSnapshot(rewardsOf(campaignId), snapshot => onRewards(rewardsFrom(snapshot)), onError);
+}
+
+/**
+ * Create Reward
+ *
+ * @function createReward
+ * @async
+ * @param {string} campaignId - Campaign ID (must belong to the signed-in user)
+ * @param {Object} fields - title, description, minAmount, currency, limit, deliveryDate
+ * @returns {Promise<void>}
+ * @throws {Error} If the fields are invalid
+ */
+export async function createReward(campaignId, fields) {
+  const error = validateReward(fields);
+  if (error) {
+    throw new Error(error);
+  }
+  await addDoc(rewardsOf(campaignId), {
+    ...fields,
+    claimed: 0,
+    createdAt: Date.now()
+  });
+}
+
+/**
+ * Delete Reward
+ *
+ * Only tiers nobody has claimed can be deleted (enforced by firestore.rules).
+ *
+ * @function deleteReward
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @param {string} rewardId - Reward ID
+ * @returns {Promise<void>}
+ */
+export async function deleteReward(campaignId, rewardId) {
+  await deleteDoc(doc(db, "campaigns", campaignId, "rewards", rewardId));
+}
+
+/**
+ * Load Backers
+ *
+ * Shipping details for every reward claimed on a campaign (campaign owner only).
+ *
+ * @function loadBackers
+ * @async
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array<{id: string}>>} Backers (id = transaction ID), oldest first
+ */
+export async function loadBackers(campaignId) {
+  const snapshot = await getDocs(query(
+    collection(db, "campaigns", campaignId, "backers"),
+    orderBy("createdAt")
+  ));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
@@ -0,0 +1,88 @@
+/**
+ * Fraud Review Module
+ *
+ * Admin review of donations flagged by the risk scoring in Cloud Functions
+ * (functions/risk.js). Each donation's score is stored in
+ * riskChecks/{transactionId} (userId, campaignId, amount, currency, time,
+ * score, flags, flagged, review); flagged ones start with review "open"
+ * until an admin clears them or marks them as fraud. Fraudulent donations
+ * are then refunded from the campaign page.
+ *
+ * REVIEW and the flags must match functions/risk.js; keep the two in step.
+ *
+ * @file js/risk.js
+ */
+
+// Import Firestore database service
+import { db } from "./firebase.js";
+// Import Firestore functions for risk check documents
+import {
+  collection, // Reference to a collection
+  doc,        // Reference to a specific document
+  getDocs,    // Execute a query and get documents
+  updateDoc,  // Update fields of an existing document
+  query,      // Create a query for filtering/sorting
+  where,      // Filter documents by field value
+  orderBy     // Sort documents by field value
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+
+/**
+ * Review States of a Flagged Donation
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const REVIEW = {
+  OPEN: "open",         // Waiting for an admin
+  CLEARED: "cleared",   // Looked fine
+  FRAUD: "fraud"        // Fraudulent; refund it
+};
+
+/**
+ * Risk Flag Labels
+ *
+ * @type {Object<string, string>}
+ */
+export const RISK_FLAG_LABELS = {
+  velocity: "Many donations in the last hour",
+  shared_ip: "Several accounts on one IP address",
+  new_account: "Account less than a day old",
+  self_donation: "Organiser donating to their own campaign",
+  large_amount: "Close to the largest donation allowed",
+  card_testing: "Repeated minimum-size donations"
+};
+
+/**
+ * Load Flagged Donations
+ *
+ * @function loadFlaggedDonations
+ * @async
+ * @returns {Promise<Array<{id: string}>>} Checks waiting for review
+ *   (id = transaction ID), newest first
+ */
+export async function loadFlaggedDonations() {
+  const snapshot = await getDocs(query(
+    collection(db, "riskChecks"),
+    where("review", "==", REVIEW.OPEN),
+    orderBy("time", "desc")
+  ));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Review a Flagged Donation
+ *
+ * @function reviewDonation
+ * @async
+ * @param {string} transactionId - Flagged donation
+ * @param {string} review - REVIEW.CLEARED or REVIEW.FRAUD
+ * @param {string} by - ID of the admin
+ * @returns {Promise<void>}
+ */
+export async function reviewDonation(transactionId, review, by) {
+  await updateDoc(doc(db, "riskChecks", transactionId), {
+    review,
+    reviewedBy: by,
+    reviewedAt: Date.now()
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * Campaign Search Module
+ *
+ * Shared helpers for the public campaign catalogue: the fixed list of
+ * categories, the available sort orders and the keyword index stored on
+ * each campaign.
+ *
+ * Firestore has no full-text search, so every campaign stores a "keywords"
+ * array holding the lowercase words in its title and description together
+ * with their prefixes ("education" also stores "ed", "edu", ...). The
+ * catalogue queries that array with "array-contains" for the first search
+ * word and matches any further words on the client.
+ *
+ * @file js/search.js
+ */
+
+/**
+ * Campaign Categories
+ *
+ * Offered when creating a campaign and used as the category filter on the
+ * home page, so filter values always match stored values exactly.
+ *
+ * @type {string[]}
+ */
+export const CATEGORIES = [
+  "Education",
+  "Health",
+  "Environment",
+  "Animals",
+  "Community",
+  "Disaster Relief",
+  "Arts",
+  "Technology",
+  "Other"
+];
+
+/**
+ * Sort Orders
+ *
+ * Maps each sort option on the home page to the Firestore field and
+ * direction it orders by.
+ *
+ * @type {Object<string, {label: string, field: string, direction: string}>}
+ */
+export const SORTS = {
+  newest: { label: "Newest", field: "createdAt", direction: "desc" },
+  funded: { label: "Most funded", field: "raised", direction: "desc" },
+  closest: { label: "Closest to goal", field: "progress", direction: "desc" },
+  ending: { label: "Ending soon", field: "endDate", direction: "asc" }
+};
+
+// Maximum number of keywords stored per campaign (keeps documents small)
+const MAX_KEYWORDS = 400;
+
+// Longest prefix indexed per word (longer search words are cut to this length)
+const MAX_PREFIX = 15;
+
+/**
+ * Tokenize Text
+ *
+ * Splits text into unique lowercase words of two or more letters/digits.
+ * Combining marks count as part of a word, so Devanagari vowel signs
+ * ("पानी") don't split it.
+ *
+ * @function tokenize
+ * @param {string} text - Text to split
+ * @returns {string[]} Unique words in order of first appearance
+ */
+export function tokenize(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(word => word.length >= 2);
+
+  return [...new Set(words)];
+}
+
+/**
+ * Build Campaign Keywords
+ *
+ * Creates the "keywords" array stored on a campaign document: every prefix
+ * (two letters and up) of every word, title words first.
+ *
+ * @function buildKeywords
+ * @param {string} title - Campaign title
+ * @param {string} description - Campaign description
+ * @returns {string[]} Keywords for the array-contains search
+ */
+export function buildKeywords(title, description) {
+  const keywords = new Set();
+
+  for (const word of tokenize(`${title} ${description}`)) {
+    for (let length = 2; length <= Math.min(word.length, MAX_PREFIX); length++) {
+      keywords.add(word.slice(0, length));
+    }
+  }
+
+  return [...keywords].slice(0, MAX_KEYWORDS);
+}
+
+/**
+ * Prepare Search Words
+ *
+ * Tokenizes a search box value into the words looked up in "keywords".
+ *
+ * @function searchWords
+ * @param {string} text - Search box value
+ * @returns {string[]} Search words, each cut to the longest indexed prefix
+ */
+export function searchWords(text) {
+  return [...new Set(tokenize(text).map(word => word.slice(0, MAX_PREFIX)))];
+}
+
+/**
+ * Match Remaining Search Words
+ *
+ * Checks that a campaign contains every search word. Keywords include
+ * prefixes, so "edu" finds "education".
+ *
+ * @function matchesSearch
+ * @param {Object} campaign - Campaign document data
+ * @param {string[]} words - Search words from searchWords()
+ * @returns {boolean} True if every word is one of the campaign's keywords
+ */
+export function matchesSearch(campaign, words) {
+  const keywords = campaign.keywords || buildKeywords(campaign.title, campaign.description);
+  return words.every(word => keywords.includes(word));
+}
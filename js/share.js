@@ -0,0 +1,97 @@
+/**
+ * Sharing Module
+ *
+ * Clean campaign links, share buttons and the embeddable widget.
+ *
+ * Every new campaign gets a slug such as "clean-water-for-kibera-x7k2qa",
+ * fixed at creation. It is stored on the campaign ("slug") and in
+ * slugs/{slug} ({campaignId}), so /c/<slug> can be resolved to the
+ * campaign. The page at /c/<slug> is served by the campaignPage Cloud
+ * Function with preview tags (see functions/pages.js). Campaigns created
+ * before slugs existed use /c/<campaignId>.
+ *
+ * @file js/share.js
+ */
+
+/**
+ * Longest Slug Prefix Taken From the Title
+ *
+ * @type {number}
+ */
+const SLUG_WORDS_LENGTH = 60;
+
+/**
+ * Widget Size (pixels)
+ *
+ * @type {{width: number, height: number}}
+ */
+export const EMBED_SIZE = { width: 340, height: 170 };
+
+/**
+ * Build a Slug
+ *
+ * Lower-case words from the title plus the start of the campaign ID, so
+ * two campaigns with the same title still get different slugs.
+ *
+ * @function buildSlug
+ * @param {string} title - Campaign title
+ * @param {string} campaignId - Campaign document ID
+ * @returns {string} e.g. "clean-water-for-kibera-x7k2qa"
+ */
+export function buildSlug(title, campaignId) {
+  const words = title
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")   // Drop accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, SLUG_WORDS_LENGTH)
+    .replace(/-+$/, "");
+  const suffix = campaignId.slice(0, 6).toLowerCase().replace(/[^a-z0-9]/g, "0");
+  return words ? `${words}-${suffix}` : suffix;
+}
+
+/**
+ * Campaign Link
+ *
+ * @function campaignUrl
+ * @param {string} campaignId - Campaign document ID
+ * @param {Object} campaign - Campaign document data
+ * @returns {string} Absolute /c/<slug> link
+ */
+export function campaignUrl(campaignId, campaign) {
+  return `${window.location.origin}/c/${encodeURIComponent(campaign.slug || campaignId)}`;
+}
+
+/**
+ * Share Links
+ *
+ * @function shareLinks
+ * @param {string} url - Campaign link
+ * @param {string} title - Campaign title
+ * @returns {Array<{label: string, href: string}>} One link per network
+ */
+export function shareLinks(url, title) {
+  const u = encodeURIComponent(url);
+  const text = encodeURIComponent(`Support "${title}"`);
+  return [
+    { label: "X / Twitter", href: `https://twitter.com/intent/tweet?url=${u}&text=${text}` },
+    { label: "Facebook", href: `https://www.facebook.com/sharer/sharer.php?u=${u}` },
+    { label: "WhatsApp", href: `https://wa.me/?text=${text}%20${u}` },
+    { label: "LinkedIn", href: `https://www.linkedin.com/sharing/share-offsite/?url=${u}` },
+    { label: "Email", href: `mailto:?subject=${text}&body=${u}` }
+  ];
+}
+
+/**
+ * Embed Code
+ *
+ * @function embedCode
+ * @param {string} campaignId - Campaign document ID
+ * @returns {string} <iframe> snippet showing the live progress widget (embed.html)
+ */
+export function embedCode(campaignId) {
+  const src = `${window.location.origin}/embed.html?id=${encodeURIComponent(campaignId)}`;
+  return `<iframe src="${src}" width="${EMBED_SIZE.width}" height="${EMBED_SIZE.height}" `
+    + `style="border: 0;" title="Campaign progress" loading="lazy"></iframe>`;
+}
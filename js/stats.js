@@ -0,0 +1,255 @@
+/**
+ * Campaign Statistics Module
+ *
+ * Works out the figures shown on the owner analytics page (analytics.html)
+ * from a campaign's transactions (Donation models, see repository.js). Only
+ * confirmed ledger entries count (see payments.js); refunds are negative
+ * entries, so sums are net of refunds.
+ *
+ * Days are calendar days in the viewer's time zone, keyed "YYYY-MM-DD".
+ * Amounts are integer minor units in the campaign's currency (see money.js).
+ *
+ * @file js/stats.js
+ */
+
+// Import the donation status check
+import { isConfirmed } from "./payments.js";
+// Import the money helpers
+import { toMinor, formatRounded } from "./money.js";
+
+/**
+ * One Day in Milliseconds
+ *
+ * @type {number}
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Days of Donations Used for the Projection
+ *
+ * @type {number}
+ */
+export const VELOCITY_DAYS = 7;
+
+/**
+ * Donation Size Bucket Boundaries (whole units of the campaign's currency)
+ *
+ * @type {Array<number>}
+ */
+export const AMOUNT_STEPS = [100, 500, 1000, 5000, 10000];
+
+/**
+ * Donation Size Buckets
+ *
+ * @function amountBuckets
+ * @param {string} currency - Campaign currency
+ * @returns {Array<{label: string, min: number, max: number}>} Buckets in minor units
+ *   (lower bound inclusive), e.g. "Under ₹100", "₹100–₹499", ..., "₹10,000+"
+ */
+export function amountBuckets(currency) {
+  const bounds = [0, ...AMOUNT_STEPS.map(step => toMinor(step, currency)), Infinity];
+  const unit = toMinor(1, currency);
+
+  return bounds.slice(0, -1).map((min, index) => {
+    const max = bounds[index + 1];
+    let label;
+    if (min === 0) {
+      label = `Under ${formatRounded(max, currency)}`;
+    } else if (max === Infinity) {
+      label = `${formatRounded(min, currency)}+`;
+    } else {
+      label = `${formatRounded(min, currency)}–${formatRounded(max - unit, currency)}`;
+    }
+    return { label, min, max };
+  });
+}
+
+/**
+ * Day Key
+ *
+ * @function dayKey
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} Local date as "YYYY-MM-DD"
+ */
+export function dayKey(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Start of Day
+ *
+ * @function startOfDay
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number} Local midnight at the start of that day
+ */
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Confirmed Ledger Entries
+ *
+ * @function confirmedEntries
+ * @param {Array<import("./repository.js").Donation>} transactions - The campaign's transactions
+ * @returns {Array<import("./repository.js").Donation>} Confirmed donations and refunds, oldest first
+ */
+export function confirmedEntries(transactions) {
+  return transactions
+    .filter(isConfirmed)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Donations Kept
+ *
+ * Confirmed donations that were not refunded.
+ *
+ * @function keptDonations
+ * @param {Array<Object>} entries - Confirmed ledger entries
+ * @returns {Array<Object>} Donations
+ */
+function keptDonations(entries) {
+  return entries.filter(t => t.type !== "refund" && !t.refundStatus);
+}
+
+/**
+ * Daily Totals
+ *
+ * Net amount per day from the first entry to the last (or to `until`),
+ * including days without donations.
+ *
+ * @function dailySeries
+ * @param {Array<Object>} entries - Confirmed ledger entries, oldest first
+ * @param {number} [until] - Extend the series to this time (e.g. now)
+ * @returns {Array<{day: string, amount: number}>} One point per day
+ */
+export function dailySeries(entries, until) {
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const totals = new Map();
+  entries.forEach(t => {
+    const key = dayKey(t.createdAt);
+    totals.set(key, (totals.get(key) || 0) + t.amount);
+  });
+
+  const series = [];
+  const last = startOfDay(Math.max(entries[entries.length - 1].createdAt, until || 0));
+  // Step to noon of the next day and round down, so a daylight saving
+  // change can't skip or repeat a day
+  for (let day = startOfDay(entries[0].createdAt); day <= last; day = startOfDay(day + DAY + DAY / 2)) {
+    const key = dayKey(day);
+    series.push({ day: key, amount: totals.get(key) || 0 });
+  }
+  return series;
+}
+
+/**
+ * Cumulative Totals
+ *
+ * @function cumulativeSeries
+ * @param {Array<{day: string, amount: number}>} daily - Output of dailySeries()
+ * @returns {Array<{day: string, amount: number}>} Running total at the end of each day
+ */
+export function cumulativeSeries(daily) {
+  let total = 0;
+  return daily.map(({ day, amount }) => ({ day, amount: (total += amount) }));
+}
+
+/**
+ * Unique Donors
+ *
+ * Named donors are counted by account. Anonymous donations don't name
+ * their donor, so each one counts as a donor of its own.
+ *
+ * @function uniqueDonors
+ * @param {Array<Object>} entries - Confirmed ledger entries
+ * @returns {number} Number of accounts with at least one kept donation
+ */
+export function uniqueDonors(entries) {
+  return new Set(keptDonations(entries).map(t => t.userId || t.id)).size;
+}
+
+/**
+ * Average and Median Gift
+ *
+ * @function giftSummary
+ * @param {Array<Object>} entries - Confirmed ledger entries
+ * @returns {{count: number, average: number, median: number}} Zeroes when there are no gifts
+ */
+export function giftSummary(entries) {
+  const amounts = keptDonations(entries).map(t => t.amount).sort((a, b) => a - b);
+  if (amounts.length === 0) {
+    return { count: 0, average: 0, median: 0 };
+  }
+
+  const middle = Math.floor(amounts.length / 2);
+  return {
+    count: amounts.length,
+    average: amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length,
+    median: amounts.length % 2 ? amounts[middle] : (amounts[middle - 1] + amounts[middle]) / 2
+  };
+}
+
+/**
+ * Project Completion
+ *
+ * Uses the net amount raised over the last VELOCITY_DAYS days (or since the
+ * first donation, if that is more recent) to estimate when the target
+ * will be reached.
+ *
+ * @function projectCompletion
+ * @param {import("./repository.js").Campaign} campaign - The campaign (raised, target, endDate)
+ * @param {Array<Object>} entries - Confirmed ledger entries, oldest first
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {{reached: boolean, perDay: number, date: number|null, beforeEnd: boolean}}
+ *   perDay is the recent average per day; date is null when it can't be projected
+ */
+export function projectCompletion(campaign, entries, now = Date.now()) {
+  const { raised, target } = campaign;
+  if (raised >= target) {
+    return { reached: true, perDay: 0, date: null, beforeEnd: true };
+  }
+
+  const windowStart = entries.length
+    ? Math.max(now - VELOCITY_DAYS * DAY, entries[0].createdAt)
+    : now;
+  const days = Math.max(1, (now - windowStart) / DAY);
+  const recent = entries
+    .filter(t => t.createdAt >= windowStart)
+    .reduce((sum, t) => sum + t.amount, 0);
+  const perDay = recent / days;
+
+  if (perDay <= 0) {
+    return { reached: false, perDay: 0, date: null, beforeEnd: false };
+  }
+
+  const date = now + ((target - raised) / perDay) * DAY;
+  return {
+    reached: false,
+    perDay,
+    date,
+    beforeEnd: !campaign.endDate || date <= campaign.endDate
+  };
+}
+
+/**
+ * Donations by Amount
+ *
+ * @function amountDistribution
+ * @param {Array<Object>} entries - Confirmed ledger entries
+ * @param {string} currency - Campaign currency
+ * @returns {Array<{label: string, count: number}>} Number of kept donations per amountBuckets() entry
+ */
+export function amountDistribution(entries, currency) {
+  const donations = keptDonations(entries);
+  return amountBuckets(currency).map(({ label, min, max }) => ({
+    label,
+    count: donations.filter(t => t.amount >= min && t.amount < max).length
+  }));
+}
@@ -0,0 +1,61 @@
+/**
+ * Monthly Donations Module
+ *
+ * Statuses of recurring monthly donations ("subscriptions") and the
+ * changes a donor can make to them from subscriptions.html. Billing itself
+ * happens on the server (functions/subscriptions.js):
+ * - pending   -> active     once the first payment is confirmed
+ * - active    -> cancelled  after three monthly payments fail in a row, or
+ *                           when the campaign stops taking donations
+ *
+ * SUBSCRIPTION_STATUS must match functions/billing.js; keep the two in step.
+ *
+ * @file js/subscriptions.js
+ */
+
+/**
+ * Subscription Statuses
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const SUBSCRIPTION_STATUS = {
+  PENDING: "pending",       // Waiting for the first payment
+  ACTIVE: "active",         // Charged every month
+  PAUSED: "paused",         // Skipped by the billing sweep until resumed
+  CANCELLED: "cancelled"    // Ended by the donor, a failed payment or the campaign closing
+};
+
+/**
+ * Human-readable labels for each status
+ *
+ * @type {Object<string, string>}
+ */
+export const SUBSCRIPTION_STATUS_LABELS = {
+  [SUBSCRIPTION_STATUS.PENDING]: "Awaiting first payment",
+  [SUBSCRIPTION_STATUS.ACTIVE]: "Active",
+  [SUBSCRIPTION_STATUS.PAUSED]: "Paused",
+  [SUBSCRIPTION_STATUS.CANCELLED]: "Cancelled"
+};
+
+/**
+ * Check Whether the Donor Can Change the Status
+ *
+ * Active and paused subscriptions can be paused, resumed or cancelled;
+ * a cancelled subscription stays cancelled (firestore.rules enforce the same).
+ *
+ * @function canChangeStatus
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the donor may make the change
+ */
+export function canChangeStatus(from, to) {
+  if (from === SUBSCRIPTION_STATUS.CANCELLED) {
+    return false;
+  }
+  if (to === SUBSCRIPTION_STATUS.CANCELLED) {
+    return true;
+  }
+  return (from === SUBSCRIPTION_STATUS.ACTIVE && to === SUBSCRIPTION_STATUS.PAUSED)
+    || (from === SUBSCRIPTION_STATUS.PAUSED && to === SUBSCRIPTION_STATUS.ACTIVE);
+}
@@ -0,0 +1,123 @@
+/**
+ * User Profiles Module
+ *
+ * Reads and writes the public profile stored for each user in the "users"
+ * collection (document ID = auth uid):
+ * - displayName: name shown on the profile
+ * - avatarUrl: link to a profile picture ("" for none)
+ * - bio: short description
+ * - createdAt: when the profile was created
+ *
+ * @file js/users.js
+ */
+
+// Import Firestore database service
+import { db } from "./firebase.js";
+// Import Firestore functions for profile documents
+import {
+  doc,        // Reference to a specific document
+  getDoc,     // Get a single document
+  setDoc,     // Create or overwrite a document
+  updateDoc   // Update fields in a document
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+
+/**
+ * Profile Field Limits
+ *
+ * The same limits are enforced by firestore.rules.
+ *
+ * @type {{displayName: number, bio: number, avatarUrl: number}}
+ */
+export const PROFILE_LIMITS = {
+  displayName: 50,
+  bio: 500,
+  avatarUrl: 500
+};
+
+/**
+ * Validate Profile Fields
+ *
+ * Checks whichever of the fields are present.
+ *
+ * @function validateProfile
+ * @param {Object} fields
+ * @param {string} [fields.displayName] - Display name (required if present)
+ * @param {string} [fields.bio] - Bio
+ * @param {string} [fields.avatarUrl] - Avatar image URL (https, or "" for none)
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function validateProfile({ displayName, bio, avatarUrl }) {
+  if (displayName !== undefined) {
+    if (!displayName) {
+      return "Please enter a display name";
+    }
+    if (displayName.length > PROFILE_LIMITS.displayName) {
+      return `Display name must be at most ${PROFILE_LIMITS.displayName} characters`;
+    }
+  }
+
+  if (bio !== undefined && bio.length > PROFILE_LIMITS.bio) {
+    return `Bio must be at most ${PROFILE_LIMITS.bio} characters`;
+  }
+
+  if (avatarUrl) {
+    if (avatarUrl.length > PROFILE_LIMITS.avatarUrl || !avatarUrl.startsWith("https://")) {
+      return "Avatar must be an https:// image link";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create Profile
+ *
+ * Creates the profile document for a newly registered user.
+ *
+ * @function createProfile
+ * @async
+ * @param {string} uid - User ID
+ * @param {Object} fields
+ * @param {string} fields.displayName - Display name from the register form
+ * @param {string} [fields.avatarUrl=""] - Avatar image URL
+ * @returns {Promise<void>}
+ */
+export async function createProfile(uid, { displayName, avatarUrl = "" }) {
+  await setDoc(doc(db, "users", uid), {
+    displayName,
+    avatarUrl,
+    bio: "",
+    createdAt: Date.now()
+  });
+}
+
+/**
+ * Get Profile
+ *
+ * @function getProfile
+ * @async
+ * @param {string} uid - User ID
+ * @returns {Promise<Object|null>} Profile data, or null if the user has no profile
+ */
+export async function getProfile(uid) {
+  const snap = await getDoc(doc(db, "users", uid));
+  return snap.exists() ? snap.data() : null;
+}
+
+/**
+ * Update Profile
+ *
+ * @function updateUserProfile
+ * @async
+ * @param {string} uid - User ID (must be the signed-in user)
+ * @param {Object} fields - Any of displayName, avatarUrl, bio
+ * @returns {Promise<void>}
+ * @throws {Error} If the fields are invalid
+ */
+export async function updateUserProfile(uid, fields) {
+  const error = validateProfile(fields);
+  if (error) {
+    throw new Error(error);
+  }
+  await updateDoc(doc(db, "users", uid), fields);
+}
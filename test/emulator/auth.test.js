@@ -0,0 +1,189 @@
+/**
+ * Sign-Up, Email Verification and Password Reset
+ *
+ * Runs the register, login and reset pages' handlers (js/auth.js) against
+ * the Auth emulator, and createCampaign against the Functions emulator.
+ *
+ * @file test/emulator/auth.test.js
+ */
+
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { applyActionCode, confirmPasswordReset, createUserWithEmailAndPassword, updateProfile } from "firebase/auth";
+import { siteEnvironment, authEmulator, sentEmails } from "../helpers/emulator.js";
+import { openPage, fill, loadModule, alerts } from "../helpers/site.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("auth.js", () => {
+  let env;
+  let auth;
+  let repository;
+  let email;
+
+  before(async () => {
+    env = await siteEnvironment();
+    await loadModule("auth.js");
+    ({ auth } = await loadModule("firebase.js"));
+    ({ repository } = await loadModule("repository-firestore.js"));
+  });
+
+  after(async () => {
+    await auth.signOut();
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await auth.signOut();
+    await env.clearFirestore();
+    await authEmulator("accounts", "DELETE");
+    email = `asha-${randomUUID()}@example.com`;
+  });
+
+  async function register(password = "correct-horse-42") {
+    openPage("register.html");
+    fill({ nameInput: "Asha Rao", emailInput: email, passwordInput: password });
+    await window.register();
+  }
+
+  async function profileOf(uid) {
+    let profile;
+    await env.withSecurityRulesDisabled(async (context) => {
+      profile = (await context.firestore().doc(`users/${uid}`).get()).data();
+    });
+    return profile;
+  }
+
+  describe("register", () => {
+    it("creates the account and its profile, and sends a verification email", async () => {
+      await register();
+
+      assert.deepEqual(alerts, ["Registered Successfully. Check your inbox to verify your email address."]);
+      const user = auth.currentUser;
+      assert.equal(user.email, email);
+      assert.equal(user.displayName, "Asha Rao");
+      assert.equal(user.emailVerified, false);
+
+      const profile = await profileOf(user.uid);
+      assert.equal(profile.displayName, "Asha Rao");
+      assert.equal(typeof profile.createdAt, "number");
+
+      assert.equal((await sentEmails(email, "VERIFY_EMAIL")).length, 1);
+    });
+
+    it("refuses short passwords without creating an account", async () => {
+      await register("short");
+
+      assert.deepEqual(alerts, ["Password must be at least 6 characters"]);
+      assert.equal(auth.currentUser, null);
+    });
+
+    it("refuses an address that is already registered", async () => {
+      await register();
+      await register();
+
+      assert.match(alerts[0], /^Registration failed: .*email-already-in-use/);
+    });
+  });
+
+  describe("login", () => {
+    async function login() {
+      await auth.signOut();
+      openPage("login.html");
+      fill({ emailInput: email, passwordInput: "correct-horse-42" });
+      await window.login();
+    }
+
+    it("creates the profile of an account that has none", async () => {
+      // A sign-up that stopped before its profile was written
+      const { user } = await createUserWithEmailAndPassword(auth, email, "correct-horse-42");
+      await updateProfile(user, { displayName: "Asha Rao" });
+
+      await login();
+      assert.deepEqual(alerts, ["Login Successful"]);
+      assert.equal((await profileOf(user.uid)).displayName, "Asha Rao");
+    });
+
+    it("leaves an existing profile as it is", async () => {
+      await register();
+      const { uid } = auth.currentUser;
+      const { createdAt } = await profileOf(uid);
+
+      await login();
+      assert.deepEqual(alerts, ["Login Successful"]);
+      assert.equal((await profileOf(uid)).createdAt, createdAt);
+    });
+  });
+
+  describe("resetPassword", () => {
+    it("emails a reset link that sets a new password", async () => {
+      await register();
+      await auth.signOut();
+
+      openPage("reset.html");
+      fill({ emailInput: email });
+      await window.resetPassword();
+      assert.deepEqual(alerts, ["If an account exists for that address, a password reset link is on its way."]);
+
+      const [reset] = await sentEmails(email, "PASSWORD_RESET");
+      assert.ok(reset, "no password reset email was sent");
+      await confirmPasswordReset(auth, reset.oobCode, "battery-staple-77");
+
+      openPage("login.html");
+      fill({ emailInput: email, passwordInput: "correct-horse-42" });
+      await window.login();
+      assert.match(alerts[0], /^Login failed: /);
+
+      openPage("login.html");
+      fill({ emailInput: email, passwordInput: "battery-staple-77" });
+      await window.login();
+      assert.deepEqual(alerts, ["Login Successful"]);
+      assert.equal(auth.currentUser.email, email);
+    });
+
+    it("gives unknown addresses the same answer", async () => {
+      openPage("reset.html");
+      fill({ emailInput: email });
+      await window.resetPassword();
+
+      assert.deepEqual(alerts, ["If an account exists for that address, a password reset link is on its way."]);
+    });
+  });
+
+  describe("creating a campaign", () => {
+    const campaignFields = () => ({
+      title: "Clean water for Ward 12",
+      category: "Community",
+      description: "Wells and filters",
+      keywords: ["clean", "water"],
+      target: 10000000,
+      currency: "INR",
+      endDate: Date.now() + 30 * DAY,
+      fundingMode: "keep",
+      draft: false,
+      creator: auth.currentUser.uid
+    });
+
+    it("is refused until the email address is verified, then allowed", async () => {
+      await register();
+
+      await assert.rejects(repository.createCampaign(campaignFields()), {
+        code: "functions/permission-denied",
+        message: "Please verify your email address first"
+      });
+
+      const [verification] = await sentEmails(email, "VERIFY_EMAIL");
+      await applyActionCode(auth, verification.oobCode);
+      await auth.currentUser.reload();
+      await auth.currentUser.getIdToken(true);    // The claim the function checks
+
+      const campaignId = await repository.createCampaign(campaignFields());
+      let campaign;
+      await env.withSecurityRulesDisabled(async (context) => {
+        campaign = (await context.firestore().doc(`campaigns/${campaignId}`).get()).data();
+      });
+      assert.equal(campaign.creator, auth.currentUser.uid);
+      assert.equal(campaign.moderation, "pending");
+    });
+  });
+});
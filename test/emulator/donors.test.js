@@ -0,0 +1,68 @@
+/**
+ * Donor Wall
+ *
+ * js/donors.js is pure, but it imports the payments module and with it the
+ * Firebase SDK, so it loads through the site helpers.
+ *
+ * @file test/emulator/donors.test.js
+ */
+
+import assert from "node:assert/strict";
+import { loadModule } from "../helpers/site.js";
+
+describe("donors.js: buildDonorWall", () => {
+  let buildDonorWall;
+
+  before(async () => {
+    ({ buildDonorWall } = await loadModule("donors.js"));
+  });
+
+  const donation = (id, fields) => ({
+    id, amount: 50000, currency: "INR", status: "confirmed", anonymous: false, createdAt: 1, ...fields
+  });
+
+  it("adds up each named donor's donations", () => {
+    const { top } = buildDonorWall([
+      donation("t1", { userId: "bob", donorName: "Bob" }),
+      donation("t2", { userId: "bob", donorName: "Bob", amount: 20000 }),
+      donation("t3", { userId: "carol", donorName: "Carol", amount: 60000 })
+    ]);
+    assert.deepEqual(top, [
+      { name: "Bob", amount: 70000, count: 2 },
+      { name: "Carol", amount: 60000, count: 1 }
+    ]);
+  });
+
+  it("lists each anonymous donation on its own", () => {
+    const { top } = buildDonorWall([
+      donation("t1", { anonymous: true, donorName: "Anonymous" }),
+      donation("t2", { anonymous: true, donorName: "Anonymous" })
+    ]);
+    assert.equal(top.length, 2);
+  });
+
+  it("lists donations from before user IDs were stored on their own", () => {
+    const { top } = buildDonorWall([
+      donation("t1", { user: "bob123", amount: 30000 }),
+      donation("t2", { user: "carol1", amount: 20000 }),
+      donation("t3", { user: "dave12", amount: 10000 })
+    ]);
+    assert.deepEqual(top.map(group => group.name), ["bob123", "carol1", "dave12"]);
+  });
+
+  it("takes refunds off the donation they belong to", () => {
+    const { top, recent } = buildDonorWall([
+      donation("t1", { user: "bob123", refundStatus: "refunded" }),
+      donation("r1", { type: "refund", refundOf: "t1", amount: -50000 }),
+      donation("t2", { user: "carol1", amount: 20000, createdAt: 2 })
+    ]);
+    assert.deepEqual(top, [{ name: "carol1", amount: 20000, count: 1 }]);
+    assert.deepEqual(recent.map(entry => entry.name), ["carol1"]);
+  });
+
+  it("leaves out donations that aren't confirmed", () => {
+    const { top, recent } = buildDonorWall([donation("t1", { userId: "bob", donorName: "Bob", status: "pending" })]);
+    assert.deepEqual(top, []);
+    assert.deepEqual(recent, []);
+  });
+});
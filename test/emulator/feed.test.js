@@ -0,0 +1,58 @@
+/**
+ * Updates and Comments
+ *
+ * What js/feed.js checks and how it threads comments; the rules behind it
+ * are in rules/feed.test.js.
+ *
+ * @file test/emulator/feed.test.js
+ */
+
+import assert from "node:assert/strict";
+import { loadModule } from "../helpers/site.js";
+
+describe("feed.js", () => {
+  let feed;
+
+  before(async () => {
+    feed = await loadModule("feed.js");
+  });
+
+  describe("validateUpdate and validateComment", () => {
+    it("need text within the limits", () => {
+      assert.equal(feed.validateUpdate({ title: "First well dug", body: "Photos soon" }), null);
+      assert.match(feed.validateUpdate({ title: "", body: "Photos soon" }), /Please enter a title/);
+      assert.match(feed.validateUpdate({ title: "t".repeat(121), body: "b" }), /at most 120/);
+      assert.match(feed.validateUpdate({ title: "t", body: "b".repeat(5001) }), /at most 5000/);
+
+      assert.equal(feed.validateComment("Great work"), null);
+      assert.equal(feed.validateComment(""), "Please write a comment");
+      assert.match(feed.validateComment("c".repeat(1001)), /at most 1000/);
+    });
+  });
+
+  describe("buildThreads", () => {
+    const comment = (id, fields = {}) => ({ id, parentId: null, pinned: false, createdAt: 1, ...fields });
+
+    it("puts pinned threads first, then the newest", () => {
+      const threads = feed.buildThreads([
+        comment("old", { pinned: true }),
+        comment("mid", { createdAt: 2 }),
+        comment("new", { createdAt: 3 })
+      ]);
+      assert.deepEqual(threads.map(t => t.comment.id), ["old", "new", "mid"]);
+    });
+
+    it("lists replies oldest first under their thread", () => {
+      const [thread] = feed.buildThreads([
+        comment("c1"),
+        comment("r1", { parentId: "c1", createdAt: 2 }),
+        comment("r2", { parentId: "c1", createdAt: 3 })
+      ]);
+      assert.deepEqual(thread.replies.map(r => r.id), ["r1", "r2"]);
+    });
+
+    it("leaves out replies whose thread isn't shown", () => {
+      assert.deepEqual(feed.buildThreads([comment("r1", { parentId: "hidden" })]), []);
+    });
+  });
+});
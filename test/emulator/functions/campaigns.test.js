@@ -0,0 +1,60 @@
+/**
+ * Campaign Progress
+ *
+ * @file test/emulator/functions/campaigns.test.js
+ */
+
+import assert from "node:assert/strict";
+import { siteEnvironment } from "../../helpers/emulator.js";
+import { campaignData, seed, stored } from "../../helpers/rules.js";
+import { serverModule } from "../../helpers/server.js";
+
+describe("functions: syncProgress", () => {
+  let env;
+  const { syncProgress } = serverModule("campaigns");
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // "water" has raised ₹50,000 of ₹1,00,000
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, { "campaigns/water": campaignData({ raised: 5000000, progress: 0.5 }) });
+  });
+
+  // The trigger's before and after, once the creator has set a new target
+  // (the emulated trackProgress trigger may run too; it writes the same)
+  async function retarget(target) {
+    const before = await stored(env, "campaigns/water");
+    await seed(env, { "campaigns/water": { ...before, target } });
+    return [before, { ...before, target }];
+  }
+
+  it("recomputes progress when the target changes", async () => {
+    const [before, after] = await retarget(20000000);
+    await syncProgress(before, after, "water");
+    assert.equal((await stored(env, "campaigns/water")).progress, 0.25);
+  });
+
+  it("uses the raised total stored now, not the one in the event", async () => {
+    const [before, after] = await retarget(20000000);
+    const settled = await stored(env, "campaigns/water");
+    await seed(env, { "campaigns/water": { ...settled, raised: 10000000, progress: 1 } });
+
+    await syncProgress(before, after, "water");
+    assert.equal((await stored(env, "campaigns/water")).progress, 0.5);
+  });
+
+  it("does nothing when the target didn't change", async () => {
+    // A stale progress shows whether anything was written
+    await seed(env, { "campaigns/water": campaignData({ raised: 5000000, progress: 0.1 }) });
+    const before = await stored(env, "campaigns/water");
+    await syncProgress(before, { ...before, title: "Wells" }, "water");
+    assert.equal((await stored(env, "campaigns/water")).progress, 0.1);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Campaign Status Sweep
+ *
+ * @file test/emulator/functions/closing.test.js
+ */
+
+import assert from "node:assert/strict";
+import { siteEnvironment } from "../../helpers/emulator.js";
+import { campaignData, seed, stored } from "../../helpers/rules.js";
+import { serverModule } from "../../helpers/server.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("functions: closeEndedCampaigns", () => {
+  let env;
+  const { closeEndedCampaigns } = serverModule("closing");
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+  });
+
+  // Campaigns created before currencies existed hold rupees and have no currency
+  function legacyCampaign(fields) {
+    const data = campaignData(fields);
+    delete data.currency;
+    return data;
+  }
+
+  const statusOf = async (id) => (await stored(env, `campaigns/${id}`)).status;
+
+  it("stores expired for active campaigns past their end date", async () => {
+    await seed(env, { "campaigns/ended": campaignData({ endDate: Date.now() - DAY, raised: 500000 }) });
+
+    const summary = await closeEndedCampaigns();
+    assert.deepEqual(summary, { expired: 1, funded: 0, skipped: 0 });
+    assert.equal(await statusOf("ended"), "expired");
+  });
+
+  it("stores funded for older campaigns that reached their target while active", async () => {
+    await seed(env, {
+      "campaigns/legacy": legacyCampaign({ target: 50000, raised: 50000 }),
+      "campaigns/ended": campaignData({ endDate: Date.now() - DAY, raised: 10000000 })
+    });
+
+    const summary = await closeEndedCampaigns();
+    assert.deepEqual(summary, { expired: 0, funded: 2, skipped: 0 });
+    assert.equal(await statusOf("legacy"), "funded");
+    assert.equal(await statusOf("ended"), "funded");
+  });
+
+  it("leaves open, paused, drafted and cancelled campaigns alone", async () => {
+    await seed(env, {
+      "campaigns/open": campaignData(),
+      "campaigns/paused": campaignData({ status: "paused", endDate: Date.now() - DAY }),
+      "campaigns/draft": campaignData({ status: "draft", endDate: Date.now() - DAY }),
+      "campaigns/cancelled": campaignData({ status: "cancelled", endDate: Date.now() - DAY })
+    });
+
+    const summary = await closeEndedCampaigns();
+    assert.deepEqual(summary, { expired: 0, funded: 0, skipped: 0 });
+    assert.equal(await statusOf("open"), "active");
+    assert.equal(await statusOf("paused"), "paused");
+    assert.equal(await statusOf("draft"), "draft");
+    assert.equal(await statusOf("cancelled"), "cancelled");
+  });
+});
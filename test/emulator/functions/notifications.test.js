@@ -0,0 +1,214 @@
+/**
+ * Notifications
+ *
+ * The emulated notify* and sendMail triggers also run on the documents
+ * written here; they write the same notifications under the same IDs.
+ *
+ * @file test/emulator/functions/notifications.test.js
+ */
+
+import assert from "node:assert/strict";
+import { siteEnvironment, webClient, signUp } from "../../helpers/emulator.js";
+import { campaignData, donationData, donorRecordData, seed, stored } from "../../helpers/rules.js";
+import { serverDb, serverModule } from "../../helpers/server.js";
+
+describe("functions: notifications", () => {
+  let env;
+  const db = serverDb();
+  const {
+    CATEGORIES, notify, onDonationSettled, onCampaignChanged, onCommentPosted, onUpdatePosted, sendQueuedMail
+  } = serverModule("notifications");
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // "water" was created by alice; bob and carol backed it, carol anonymously
+  beforeEach(async () => {
+    await env.clearFirestore();
+    const anonymous = donationData({ anonymous: true, donorName: "Anonymous", status: "confirmed" });
+    await seed(env, {
+      "campaigns/water": campaignData(),
+      "transactions/t1": donationData({ status: "confirmed" }),
+      "transactions/t2": anonymous,
+      "donorRecords/t2": donorRecordData(anonymous, "carol"),
+      // dave's donation is still pending
+      "transactions/t3": donationData({ user: "dave", userId: "dave" })
+    });
+  });
+
+  // IDs of the notifications in a user's inbox
+  async function inbox(userId) {
+    const snap = await db.collection("users").doc(userId).collection("notifications").get();
+    return snap.docs.map(d => d.id).sort();
+  }
+
+  const notice = (fields = {}) => ({
+    key: "comment_c1", title: "New comment", body: "Hi", link: "campaign.html?id=water", campaignId: "water", ...fields
+  });
+
+  describe("notify", () => {
+    it("writes to the inbox and the mail outbox", async () => {
+      await notify("alice", CATEGORIES.COMMENT, notice());
+
+      const notification = await stored(env, "users/alice/notifications/comment_c1");
+      assert.equal(notification.category, "comment");
+      assert.equal(notification.read, false);
+
+      const email = await stored(env, "mail/alice_comment_c1");
+      assert.equal(email.userId, "alice");
+      assert.equal(email.subject, "New comment");
+      assert.ok(email.text.startsWith("Hi\n\n"));
+      assert.ok(email.text.endsWith("/campaign.html?id=water"));
+    });
+
+    it("leaves out the channels the user switched off for that category", async () => {
+      await seed(env, {
+        "users/alice/settings/notifications": { comment: { inApp: false, email: true }, donation: { inApp: true, email: false } }
+      });
+      await notify("alice", CATEGORIES.COMMENT, notice());
+      await notify("alice", CATEGORIES.DONATION, notice({ key: "donation_t1" }));
+
+      assert.deepEqual(await inbox("alice"), ["donation_t1"]);
+      assert.ok(await stored(env, "mail/alice_comment_c1"));
+      assert.equal(await stored(env, "mail/alice_donation_t1"), undefined);
+    });
+
+    it("notifies once per event, however often it runs", async () => {
+      await notify("alice", CATEGORIES.COMMENT, notice());
+      await db.doc("users/alice/notifications/comment_c1").update({ read: true });
+
+      await notify("alice", CATEGORIES.COMMENT, notice({ title: "Again" }));
+      const notification = await stored(env, "users/alice/notifications/comment_c1");
+      assert.equal(notification.title, "New comment");
+      assert.equal(notification.read, true);
+    });
+  });
+
+  describe("creators", () => {
+    it("hear about confirmed donations, not refunds or other changes", async () => {
+      const donation = donationData({ message: "Good luck" });
+      await onDonationSettled(donation, { ...donation, status: "confirmed" }, "t1");
+      await onDonationSettled({ ...donation, status: "confirmed" }, { ...donation, status: "confirmed", message: "" }, "t1x");
+      await onDonationSettled(donation, { ...donation, status: "confirmed", type: "refund" }, "r1");
+
+      assert.deepEqual(await inbox("alice"), ["donation_t1"]);
+      const { body } = await stored(env, "users/alice/notifications/donation_t1");
+      assert.equal(body, 'Bob donated ₹500.00: "Good luck"');
+    });
+
+    it("hear about each milestone the campaign passes", async () => {
+      const before = campaignData({ raised: 2000000 });
+      await onCampaignChanged(before, { ...before, raised: 6000000 }, "water");
+
+      assert.deepEqual(await inbox("alice"), ["milestone_water_25", "milestone_water_50"]);
+      const { title } = await stored(env, "users/alice/notifications/milestone_water_50");
+      assert.equal(title, '"Clean water for Ward 12" is 50% funded');
+    });
+
+    it("hear about comments by others, not their own", async () => {
+      await onCommentPosted({ userId: "alice", authorName: "Alice", body: "Thanks all" }, "water", "c1");
+      await onCommentPosted({ userId: "bob", authorName: "Bob", body: "Any news?" }, "water", "c2");
+
+      assert.deepEqual(await inbox("alice"), ["comment_c2"]);
+      assert.equal((await stored(env, "users/alice/notifications/comment_c2")).body, "Bob: Any news?");
+    });
+  });
+
+  describe("backers", () => {
+    it("hear about updates, anonymous backers included, pending donors and the creator not", async () => {
+      await seed(env, { "transactions/t4": donationData({ user: "alice", userId: "alice", status: "confirmed" }) });
+      await onUpdatePosted({ title: "First well dug" }, "water", "u1");
+
+      assert.deepEqual(await inbox("bob"), ["update_u1"]);
+      assert.deepEqual(await inbox("carol"), ["update_u1"]);
+      assert.deepEqual(await inbox("dave"), []);
+      assert.deepEqual(await inbox("alice"), []);
+    });
+
+    it("hear when the campaign reaches its goal", async () => {
+      const before = campaignData({ raised: 9000000 });
+      await onCampaignChanged(before, { ...before, raised: 10000000 }, "water");
+
+      assert.deepEqual(await inbox("bob"), ["goal_water"]);
+      assert.deepEqual(await inbox("carol"), ["goal_water"]);
+      assert.ok((await inbox("alice")).includes("milestone_water_100"));
+    });
+
+    it("hear when the campaign ends below its target, and whether they will be refunded", async () => {
+      const before = campaignData({ raised: 5000000, fundingMode: "all_or_nothing" });
+      await onCampaignChanged(before, { ...before, status: "expired" }, "water");
+
+      const { title, body } = await stored(env, "users/bob/notifications/failed_water");
+      assert.equal(title, '"Clean water for Ward 12" did not reach its goal');
+      assert.match(body, /will be refunded/);
+      assert.deepEqual(await inbox("carol"), ["failed_water"]);
+    });
+
+    it("don't hear about a campaign that ends funded", async () => {
+      const before = campaignData({ raised: 10000000 });
+      await onCampaignChanged(before, { ...before, status: "expired" }, "water");
+      assert.deepEqual(await inbox("bob"), []);
+    });
+  });
+
+  describe("sendQueuedMail", () => {
+    const capture = serverModule("mail/capture");
+    let realTransport;
+
+    // This process isn't the Functions emulator, so pick the capture
+    // transport the way a deployment would pick one
+    before(() => {
+      realTransport = process.env.MAIL_TRANSPORT;
+      process.env.MAIL_TRANSPORT = "capture";
+    });
+
+    after(() => {
+      if (realTransport === undefined) {
+        delete process.env.MAIL_TRANSPORT;
+      } else {
+        process.env.MAIL_TRANSPORT = realTransport;
+      }
+    });
+
+    beforeEach(() => {
+      capture.clear();
+    });
+
+    async function queue(id, userId) {
+      const entry = { userId, category: "comment", subject: "New comment", text: "Hi", status: "queued", createdAt: Date.now() };
+      const ref = db.collection("mail").doc(id);
+      await ref.set(entry);
+      return [ref, entry];
+    }
+
+    it("sends to the recipient's sign-in address and marks the entry sent", async () => {
+      const client = webClient();
+      try {
+        const user = await signUp(client);
+        await sendQueuedMail(...await queue("m1", user.uid));
+
+        assert.deepEqual(capture.captured().map(m => [m.to, m.subject]), [[user.email, "New comment"]]);
+        assert.equal((await stored(env, "mail/m1")).status, "sent");
+      } finally {
+        await client.close();
+      }
+    });
+
+    it("skips users without an account", async () => {
+      await sendQueuedMail(...await queue("m1", "nobody"));
+      assert.deepEqual(capture.captured(), []);
+      assert.equal((await stored(env, "mail/m1")).status, "skipped");
+    });
+
+    it("leaves entries that were already handled", async () => {
+      const [ref, entry] = await queue("m1", "nobody");
+      await sendQueuedMail(ref, { ...entry, status: "sent" });
+      assert.deepEqual(capture.captured(), []);
+    });
+  });
+});
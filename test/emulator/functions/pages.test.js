@@ -0,0 +1,73 @@
+/**
+ * Shareable Campaign Pages
+ *
+ * Hosting isn't started by `npm test`, so campaign.html is served to
+ * renderCampaignPage() from the working tree.
+ *
+ * @file test/emulator/functions/pages.test.js
+ */
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { siteEnvironment } from "../../helpers/emulator.js";
+import { campaignData, seed } from "../../helpers/rules.js";
+import { serverModule } from "../../helpers/server.js";
+
+describe("functions: renderCampaignPage", () => {
+  let env;
+  let realFetch;
+  const { renderCampaignPage } = serverModule("pages");
+
+  before(async () => {
+    env = await siteEnvironment();
+    realFetch = globalThis.fetch;
+    const html = readFileSync(new URL("../../../campaign.html", import.meta.url), "utf8");
+    globalThis.fetch = async () => new Response(html);
+  });
+
+  after(async () => {
+    globalThis.fetch = realFetch;
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+  });
+
+  const seedCampaign = (fields) => seed(env, {
+    "campaigns/water": campaignData(fields),
+    "slugs/clean-water": { campaignId: "water" }
+  });
+
+  it("puts the campaign's title into the head and the heading", async () => {
+    await seedCampaign({ title: "Clean water for Ward 12" });
+
+    const { status, html } = await renderCampaignPage("clean-water");
+    assert.equal(status, 200);
+    assert.match(html, /<title>Clean water for Ward 12 \| Crowdfunding Platform<\/title>/);
+    assert.match(html, /<h2 id="title">Clean water for Ward 12<\/h2>/);
+  });
+
+  it("keeps replacement patterns in a title as typed", async () => {
+    const title = "Save $& share $' and $` $$1";
+    await seedCampaign({ title });
+
+    const { html } = await renderCampaignPage("clean-water");
+    assert.ok(html.includes(`<title>Save $&amp; share $&#39; and $\` $$1 | Crowdfunding Platform</title>`));
+    assert.ok(html.includes(`<h2 id="title">Save $&amp; share $&#39; and $\` $$1</h2>`));
+    assert.equal(html.match(/<h2 id="title">/g).length, 1);
+  });
+
+  it("escapes HTML in a title", async () => {
+    await seedCampaign({ title: "<script>alert(1)</script>" });
+
+    const { html } = await renderCampaignPage("clean-water");
+    assert.ok(!html.includes("<script>alert(1)</script>"));
+    assert.ok(html.includes("<h2 id=\"title\">&lt;script&gt;alert(1)&lt;/script&gt;</h2>"));
+  });
+
+  it("serves a 404 for campaigns that aren't approved", async () => {
+    await seedCampaign({ moderation: "pending" });
+    assert.equal((await renderCampaignPage("clean-water")).status, 404);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Donation Payments
+ *
+ * Drives a donation the way donate.js does: a pending transaction, then
+ * createPaymentOrder, then mockCheckout, which settles it through
+ * settleDonation as the gateway's webhook would.
+ *
+ * @file test/emulator/functions/payments.test.js
+ */
+
+import assert from "node:assert/strict";
+import { doc, writeBatch } from "firebase/firestore";
+import { httpsCallable } from "firebase/functions";
+import { siteEnvironment, webClient, signUp } from "../../helpers/emulator.js";
+import { campaignData, donationData, donorRecordData, seed, stored } from "../../helpers/rules.js";
+
+describe("functions: createPaymentOrder, mockCheckout and settleDonation", () => {
+  let env;
+  let donor;
+  let uid;
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().doc("campaigns/water").set(campaignData());
+    });
+    donor = webClient();
+    uid = (await signUp(donor)).uid;
+    await seed(env, { [`users/${uid}`]: { displayName: "Bob", bio: "", avatarUrl: "", createdAt: Date.now() } });
+  });
+
+  afterEach(async () => {
+    await donor.close();
+  });
+
+  // Pending transaction and its donor record, as donate() in js/repository.js writes them
+  async function pendingDonation(id, fields = {}) {
+    const donation = donationData(fields.anonymous ? fields : { user: uid.slice(0, 6), userId: uid, ...fields });
+    const batch = writeBatch(donor.db);
+    batch.set(doc(donor.db, "transactions", id), donation);
+    batch.set(doc(donor.db, "donorRecords", id), donorRecordData(donation, uid));
+    await batch.commit();
+  }
+
+  const call = (name, data) => httpsCallable(donor.functions, name)(data).then(result => result.data);
+
+  it("confirms a paid donation and raises the campaign's total", async () => {
+    await pendingDonation("t1");
+
+    const order = await call("createPaymentOrder", { transactionId: "t1" });
+    assert.equal(order.provider, "mock");
+    assert.match(order.orderId, /^order_mock_/);
+    assert.equal(order.amount, 50000);
+    assert.equal(order.currency, "INR");
+    assert.equal((await stored(env, "transactions/t1")).orderId, order.orderId);
+
+    const result = await call("mockCheckout", { orderId: order.orderId, outcome: "confirmed" });
+    assert.equal(result.status, "confirmed");
+
+    const tx = await stored(env, "transactions/t1");
+    assert.equal(tx.status, "confirmed");
+    assert.equal(typeof tx.settledAt, "number");
+    assert.equal((await stored(env, "campaigns/water")).raised, 50000);
+  });
+
+  it("fails a declined payment without raising the total", async () => {
+    await pendingDonation("t1");
+    const order = await call("createPaymentOrder", { transactionId: "t1" });
+
+    const result = await call("mockCheckout", { orderId: order.orderId, outcome: "failed" });
+    assert.equal(result.status, "failed");
+    assert.equal((await stored(env, "transactions/t1")).status, "failed");
+    assert.equal((await stored(env, "campaigns/water")).raised, 0);
+  });
+
+  it("settles a repeated webhook only once", async () => {
+    await pendingDonation("t1");
+    const order = await call("createPaymentOrder", { transactionId: "t1" });
+
+    await call("mockCheckout", { orderId: order.orderId, outcome: "confirmed" });
+    const again = await call("mockCheckout", { orderId: order.orderId, outcome: "confirmed" });
+    assert.equal(again.status, "confirmed");
+    assert.equal((await stored(env, "campaigns/water")).raised, 50000);
+  });
+
+  it("confirms a donation paid on a later attempt after one failed", async () => {
+    await pendingDonation("t1");
+    const order = await call("createPaymentOrder", { transactionId: "t1" });
+
+    assert.equal((await call("mockCheckout", { orderId: order.orderId, outcome: "failed" })).status, "failed");
+    assert.equal((await call("mockCheckout", { orderId: order.orderId, outcome: "confirmed" })).status, "confirmed");
+    assert.equal((await stored(env, "campaigns/water")).raised, 50000);
+
+    // A late webhook for the failed attempt changes nothing
+    assert.equal((await call("mockCheckout", { orderId: order.orderId, outcome: "failed" })).status, "confirmed");
+    assert.equal((await stored(env, "transactions/t1")).status, "confirmed");
+    assert.equal((await stored(env, "campaigns/water")).raised, 50000);
+  });
+
+  it("won't open a second order for the same donation", async () => {
+    await pendingDonation("t1");
+    await call("createPaymentOrder", { transactionId: "t1" });
+
+    await assert.rejects(call("createPaymentOrder", { transactionId: "t1" }),
+      { code: "functions/failed-precondition" });
+  });
+
+  it("refuses another user's donation", async () => {
+    await pendingDonation("t1");
+    const other = webClient();
+    try {
+      await signUp(other);
+      await assert.rejects(httpsCallable(other.functions, "createPaymentOrder")({ transactionId: "t1" }),
+        { code: "functions/not-found" });
+    } finally {
+      await other.close();
+    }
+  });
+
+  it("accepts the donor's own anonymous donation", async () => {
+    await pendingDonation("t1", { anonymous: true, donorName: "Anonymous" });
+
+    const order = await call("createPaymentOrder", { transactionId: "t1" });
+    await call("mockCheckout", { orderId: order.orderId, outcome: "confirmed" });
+
+    const tx = await stored(env, "transactions/t1");
+    assert.equal(tx.status, "confirmed");
+    assert.equal(tx.userId, undefined);
+    assert.equal(tx.user, undefined);
+  });
+
+  it("refuses another user's anonymous donation", async () => {
+    await pendingDonation("t1", { anonymous: true, donorName: "Anonymous" });
+    const other = webClient();
+    try {
+      await signUp(other);
+      await assert.rejects(httpsCallable(other.functions, "createPaymentOrder")({ transactionId: "t1" }),
+        { code: "functions/not-found" });
+    } finally {
+      await other.close();
+    }
+  });
+
+  it("fails the first payment of a monthly donation that has already started", async () => {
+    const donation = donationData({ user: uid.slice(0, 6), userId: uid, subscriptionId: "s1", recurring: true });
+    await seed(env, {
+      "subscriptions/s1": { userId: uid, campaignId: "water", amount: 50000, currency: "INR", status: "active" },
+      "transactions/t1": donation,
+      "donorRecords/t1": donorRecordData(donation, uid)
+    });
+
+    await assert.rejects(call("createPaymentOrder", { transactionId: "t1" }),
+      { code: "functions/failed-precondition" });
+    assert.equal((await stored(env, "transactions/t1")).status, "failed");
+  });
+
+  it("fails the donation when the campaign has ended", async () => {
+    await env.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().doc("campaigns/water").update({ endDate: Date.now() - 1000 });
+    });
+    await pendingDonation("t1");
+
+    await assert.rejects(call("createPaymentOrder", { transactionId: "t1" }),
+      { code: "functions/failed-precondition" });
+    assert.equal((await stored(env, "transactions/t1")).status, "failed");
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Payout Requests and Reviews
+ *
+ * @file test/emulator/functions/payouts.test.js
+ */
+
+import assert from "node:assert/strict";
+import { siteEnvironment } from "../../helpers/emulator.js";
+import { campaignData, donationData, seed, stored } from "../../helpers/rules.js";
+import { serverModule } from "../../helpers/server.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("functions: requestPayout and reviewPayout", () => {
+  let env;
+  const { requestPayout, reviewPayout } = serverModule("payouts");
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // Alice's campaign has 1500 out of the refund hold and 500 still in it
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, {
+      "campaigns/water": campaignData({ raised: 200000, progress: 0.02 }),
+      "transactions/t1": donationData({ status: "confirmed", amount: 150000, settledAt: Date.now() - 30 * DAY }),
+      "transactions/t2": donationData({ status: "confirmed", amount: 50000, settledAt: Date.now() - DAY }),
+      "payoutAccounts/alice": { accountName: "Alice", accountNumber: "1234567890", routingCode: "HDFC0001234" }
+    });
+  });
+
+  it("stores the request with the fee and a copy of the account", async () => {
+    const payoutId = await requestPayout("water", "alice", 100000);
+
+    const payout = await stored(env, `payouts/${payoutId}`);
+    assert.equal(payout.status, "requested");
+    assert.equal(payout.amount, 100000);
+    assert.equal(payout.fee, 5000);
+    assert.equal(payout.net, 95000);
+    assert.equal(payout.currency, "INR");
+    assert.equal(payout.account.accountNumber, "1234567890");
+  });
+
+  it("refuses more than the available balance", async () => {
+    await assert.rejects(requestPayout("water", "alice", 150001), /at most ₹1,500/);
+    await requestPayout("water", "alice", 150000);
+  });
+
+  it("refuses a second open request, other owners and owners without an account", async () => {
+    await assert.rejects(requestPayout("water", "bob", 1000), /Campaign not found/);
+    await seed(env, { "campaigns/wells": campaignData({ creator: "carol" }) });
+    await assert.rejects(requestPayout("wells", "carol", 1000), /payout account first/);
+
+    await requestPayout("water", "alice", 10000);
+    await assert.rejects(requestPayout("water", "alice", 10000), /already has a payout waiting/);
+  });
+
+  it("approves a request with its transfer reference, once", async () => {
+    const payoutId = await requestPayout("water", "alice", 100000);
+    await reviewPayout(payoutId, { by: "admin", approve: true, note: "UTR123" });
+
+    const payout = await stored(env, `payouts/${payoutId}`);
+    assert.equal(payout.status, "approved");
+    assert.equal(payout.reference, "UTR123");
+    assert.equal(payout.reviewedBy, "admin");
+
+    await assert.rejects(reviewPayout(payoutId, { by: "admin", approve: false }), /already been reviewed/);
+  });
+
+  it("rejects a request, making the amount available again", async () => {
+    const payoutId = await requestPayout("water", "alice", 150000);
+    await reviewPayout(payoutId, { by: "admin", approve: false, note: "Wrong account" });
+    assert.equal((await stored(env, `payouts/${payoutId}`)).reason, "Wrong account");
+
+    await requestPayout("water", "alice", 150000);
+  });
+
+  it("won't approve a request the balance no longer covers after refunds", async () => {
+    const payoutId = await requestPayout("water", "alice", 150000);
+    await seed(env, {
+      "transactions/t1": donationData({ status: "confirmed", amount: 150000, settledAt: Date.now() - 30 * DAY, refundStatus: "refunded" }),
+      "transactions/r1": donationData({ status: "confirmed", type: "refund", amount: -150000, refundOf: "t1" })
+    });
+
+    await assert.rejects(reviewPayout(payoutId, { by: "admin", approve: true }), /no longer covers it/);
+    assert.equal((await stored(env, `payouts/${payoutId}`)).status, "requested");
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Rate Limits and Risk Checks
+ *
+ * @file test/emulator/functions/ratelimits.test.js
+ */
+
+import assert from "node:assert/strict";
+import { siteEnvironment } from "../../helpers/emulator.js";
+import { campaignData, seed, stored } from "../../helpers/rules.js";
+import { serverModule } from "../../helpers/server.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const NOW = Date.UTC(2024, 0, 15, 10, 0, 0);
+
+describe("functions: consumeRateLimits", () => {
+  let env;
+  const { RATE_LIMITS, hashIp, consumeRateLimits } = serverModule("ratelimits");
+  const { limit: userLimit } = RATE_LIMITS.campaign.user;
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+  });
+
+  // One attempt a minute from NOW on
+  async function attempts(count, caller, kind = "campaign") {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      results.push(await consumeRateLimits(kind, caller, NOW + i * MINUTE));
+    }
+    return results;
+  }
+
+  it("allows an account its limit, then says when to try again", async () => {
+    const results = await attempts(userLimit + 1, { uid: "bob", ip: "203.0.113.7" });
+    assert.ok(results.slice(0, userLimit).every(r => r.allowed));
+
+    // The first attempt leaves the window a day after it was made
+    const refused = results[userLimit];
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfter, (DAY - userLimit * MINUTE) / 1000);
+  });
+
+  it("doesn't record refused attempts", async () => {
+    await attempts(userLimit + 2, { uid: "bob", ip: "203.0.113.7" });
+    assert.equal((await stored(env, "abuseLimits/campaign_user_bob")).hits.length, userLimit);
+  });
+
+  it("allows attempts again once old ones leave the window", async () => {
+    await attempts(userLimit, { uid: "bob", ip: "203.0.113.7" });
+    assert.equal((await consumeRateLimits("campaign", { uid: "bob", ip: "203.0.113.7" }, NOW + DAY - 1)).allowed, false);
+    assert.equal((await consumeRateLimits("campaign", { uid: "bob", ip: "203.0.113.7" }, NOW + DAY + 1)).allowed, true);
+  });
+
+  it("limits one address across accounts", async () => {
+    const { limit } = RATE_LIMITS.donation.ip;
+    for (let i = 0; i < limit; i++) {
+      const result = await consumeRateLimits("donation", { uid: `user${i}`, ip: "203.0.113.7" }, NOW + i);
+      assert.equal(result.allowed, true);
+    }
+
+    assert.equal((await consumeRateLimits("donation", { uid: "bob", ip: "203.0.113.7" }, NOW + limit)).allowed, false);
+    assert.equal((await consumeRateLimits("donation", { uid: "bob", ip: "203.0.113.8" }, NOW + limit)).allowed, true);
+  });
+
+  it("keeps campaign and donation limits apart, and stores addresses hashed", async () => {
+    await attempts(userLimit, { uid: "bob", ip: "203.0.113.7" });
+    assert.equal((await consumeRateLimits("donation", { uid: "bob", ip: "203.0.113.7" }, NOW)).allowed, true);
+
+    assert.ok(await stored(env, `abuseLimits/campaign_ip_${hashIp("203.0.113.7")}`));
+    assert.equal(await stored(env, "abuseLimits/campaign_ip_203.0.113.7"), undefined);
+  });
+});
+
+describe("functions: checkDonation", () => {
+  let env;
+  const { checkDonation } = serverModule("risk");
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+  });
+
+  const tx = (fields = {}) => ({ campaignId: "water", amount: 50000, currency: "INR", ...fields });
+  const check = (id, uid, fields, now = NOW) =>
+    checkDonation({ id }, tx(fields), uid, campaignData(), "iphash", now);
+
+  it("stores the score apart from the ledger, open for review when flagged", async () => {
+    // alice created the campaign
+    const result = await check("t1", "alice");
+    assert.deepEqual(result.flags, ["self_donation"]);
+    assert.equal(result.flagged, false);
+
+    const stored1 = await stored(env, "riskChecks/t1");
+    assert.equal(stored1.userId, "alice");
+    assert.equal(stored1.ipHash, "iphash");
+    assert.equal(stored1.review, null);
+
+    await check("t2", "alice", { amount: 40000000 });
+    assert.equal((await stored(env, "riskChecks/t2")).review, "open");
+  });
+
+  it("counts the donor's checks from the last hour", async () => {
+    await seed(env, Object.fromEntries([1, 2, 3, 4, 5].map(n => [
+      `riskChecks/old${n}`, { userId: "bob", ipHash: "other", amount: 50000, time: NOW - n * MINUTE }
+    ])));
+    assert.deepEqual((await check("t1", "bob")).flags, ["velocity"]);
+
+    // An hour later they have all left the window
+    assert.deepEqual((await check("t2", "bob", {}, NOW + 60 * MINUTE)).flags, []);
+  });
+
+  it("counts other accounts seen at the address in the last day", async () => {
+    await seed(env, Object.fromEntries(["carol", "dave", "erin"].map(userId => [
+      `riskChecks/${userId}`, { userId, ipHash: "iphash", amount: 50000, time: NOW - 2 * 60 * MINUTE }
+    ])));
+    assert.deepEqual((await check("t1", "bob")).flags, ["shared_ip"]);
+    assert.deepEqual((await check("t2", "bob", {}, NOW + DAY)).flags, []);
+  });
+});
+
+describe("functions: createCampaign (taken IDs)", () => {
+  let env;
+  const { ALREADY_EXISTS, alreadyCreated, createCampaign } = serverModule("campaigns");
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, {
+      "campaigns/water": campaignData(),
+      "slugs/clean-water": { campaignId: "water" }
+    });
+  });
+
+  it("marks a taken ID or link as ALREADY_EXISTS, for the callable to report", async () => {
+    await assert.rejects(alreadyCreated("water", "bob"), { code: ALREADY_EXISTS, message: "That campaign ID is taken" });
+    await assert.rejects(createCampaign("water", campaignData({ creator: "bob" })), { code: ALREADY_EXISTS });
+    await assert.rejects(createCampaign("wells", campaignData({ creator: "bob" })),
+      { code: ALREADY_EXISTS, message: "That campaign link is taken" });
+  });
+
+  it("treats the creator's own repeated submission as done", async () => {
+    assert.equal(await alreadyCreated("water", "alice"), true);
+    assert.equal(await createCampaign("water", campaignData()), false);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Donation Receipts
+ *
+ * Donations are confirmed through settleDonation, as the gateway's webhook
+ * would, for a campaign whose organiser ("alice") is a registered charity.
+ *
+ * @file test/emulator/functions/receipts.test.js
+ */
+
+import assert from "node:assert/strict";
+import { siteEnvironment } from "../../helpers/emulator.js";
+import { campaignData, donationData, donorRecordData, seed, stored } from "../../helpers/rules.js";
+import { serverModule } from "../../helpers/server.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("functions: receipts", () => {
+  let env;
+  const { settleDonation } = serverModule("ledger");
+  const { refundFailedCampaigns } = serverModule("refunds");
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // Four pending donations by "bob", whose profile name isn't his legal name
+  beforeEach(async () => {
+    await env.clearFirestore();
+    const docs = {
+      "campaigns/water": campaignData(),
+      "legalEntities/alice": {
+        name: "Ward 12 Water Trust", registrationNumber: "AAATW1234F20214", pan: "AAATW1234F",
+        address: "12 Lake Road, Pune", updatedAt: Date.now()
+      },
+      "users/bob": { displayName: "bobby_w", avatarUrl: "", bio: "" },
+      "taxDetails/bob": { legalName: "Robert Wadekar", pan: "ABCPW1234K", updatedAt: Date.now() }
+    };
+    ["t1", "t2", "t3", "t4"].forEach(id => {
+      const donation = donationData({ orderId: `order_${id}`, provider: "mock" });
+      docs[`transactions/${id}`] = donation;
+      docs[`donorRecords/${id}`] = donorRecordData(donation);
+    });
+    await seed(env, docs);
+  });
+
+  const settle = (id, outcome = "confirmed") => settleDonation({ orderId: `order_${id}`, paymentId: `pay_${id}`, outcome });
+
+  it("numbers receipts in the order donations are confirmed", async () => {
+    await settle("t2");
+    await settle("t1");
+    await settle("t3");
+
+    assert.equal((await stored(env, "receipts/t2")).number, 1);
+    assert.equal((await stored(env, "receipts/t1")).number, 2);
+    assert.equal((await stored(env, "receipts/t3")).number, 3);
+    assert.deepEqual(await stored(env, "receiptCounters/alice"), { last: 3 });
+  });
+
+  it("takes no number for a failed payment or a repeated webhook", async () => {
+    await settle("t1", "failed");
+    await settle("t2");
+    await settle("t2");
+    await settle("t3");
+
+    assert.equal(await stored(env, "receipts/t1"), undefined);
+    assert.equal((await stored(env, "receipts/t2")).number, 1);
+    assert.equal((await stored(env, "receipts/t3")).number, 2);
+  });
+
+  it("gives donations confirmed at the same time consecutive numbers", async () => {
+    await Promise.all(["t1", "t2", "t3", "t4"].map(id => settle(id)));
+
+    const numbers = await Promise.all(["t1", "t2", "t3", "t4"].map(async id => (await stored(env, `receipts/${id}`)).number));
+    assert.deepEqual(numbers.sort(), [1, 2, 3, 4]);
+  });
+
+  it("names the donor by their legal name and PAN, not their profile", async () => {
+    await settle("t1");
+
+    const receipt = await stored(env, "receipts/t1");
+    assert.equal(receipt.donorName, "Robert Wadekar");
+    assert.equal(receipt.donorPan, "ABCPW1234K");
+    assert.equal(receipt.organiser.name, "Ward 12 Water Trust");
+    assert.equal(receipt.status, "issued");
+  });
+
+  it("leaves the donor's name for them to fill in if they saved none", async () => {
+    await env.withSecurityRulesDisabled(context => context.firestore().doc("taxDetails/bob").delete());
+    await settle("t1");
+
+    const receipt = await stored(env, "receipts/t1");
+    assert.equal(receipt.donorName, null);
+    assert.equal(receipt.donorPan, null);
+  });
+
+  it("keeps a refunded donation's number and doesn't reuse it", async () => {
+    // Another of alice's campaigns, all-or-nothing, which ended short
+    await seed(env, {
+      "campaigns/wells": campaignData({ fundingMode: "all_or_nothing", endDate: Date.now() - DAY })
+    });
+    await env.withSecurityRulesDisabled(context => context.firestore().doc("transactions/t1").update({ campaignId: "wells" }));
+    await settle("t1");
+
+    await refundFailedCampaigns();
+    const refunded = await stored(env, "receipts/t1");
+    assert.equal(refunded.number, 1);
+    assert.equal(refunded.status, "cancelled");
+    assert.equal(refunded.refundEntry, (await stored(env, "transactions/t1")).refundEntry);
+
+    await settle("t2");
+    assert.equal((await stored(env, "receipts/t2")).number, 2);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Reconciliation
+ *
+ * @file test/emulator/functions/reconcile.test.js
+ */
+
+import assert from "node:assert/strict";
+import { httpsCallable } from "firebase/functions";
+import { siteEnvironment, webClient, signUp } from "../../helpers/emulator.js";
+import { campaignData, donationData, seed, stored } from "../../helpers/rules.js";
+import { serverModule } from "../../helpers/server.js";
+
+describe("functions: reconcileRaised", () => {
+  let env;
+  const { reconcileRaised } = serverModule("reconcile");
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // "water" shows 900 raised but its ledger holds 500 confirmed (and 500
+  // pending); "wells" matches once its refund entry is counted
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, {
+      "campaigns/water": campaignData({ raised: 90000, progress: 0.009 }),
+      "campaigns/wells": campaignData({ raised: 40000, progress: 0.004 }),
+      "transactions/t1": donationData({ status: "confirmed" }),
+      "transactions/t2": donationData({ status: "pending" }),
+      "transactions/t3": donationData({ campaignId: "wells", status: "confirmed" }),
+      "transactions/t4": donationData({ campaignId: "wells", status: "confirmed", type: "refund", amount: -10000 })
+    });
+  });
+
+  it("reports campaigns whose total differs from the ledger", async () => {
+    const drifted = await reconcileRaised();
+    assert.deepEqual(drifted, [{
+      campaignId: "water", title: "Clean water for Ward 12", currency: "INR",
+      stored: 90000, ledger: 50000, difference: 40000, fixed: false
+    }]);
+    assert.equal((await stored(env, "campaigns/water")).raised, 90000);
+  });
+
+  it("corrects the total and its progress when asked", async () => {
+    const [entry] = await reconcileRaised({ fix: true });
+    assert.equal(entry.fixed, true);
+
+    const campaign = await stored(env, "campaigns/water");
+    assert.equal(campaign.raised, 50000);
+    assert.equal(campaign.progress, 0.005);
+    assert.deepEqual(await reconcileRaised(), []);
+  });
+});
+
+describe("functions: reconcileTotals", () => {
+  it("is refused to users who aren't admins", async () => {
+    const client = webClient();
+    try {
+      await signUp(client);
+      await assert.rejects(httpsCallable(client.functions, "reconcileTotals")({ fix: true }),
+        { code: "functions/permission-denied" });
+    } finally {
+      await client.close();
+    }
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Automatic Refunds
+ *
+ * @file test/emulator/functions/refunds.test.js
+ */
+
+import assert from "node:assert/strict";
+import { siteEnvironment } from "../../helpers/emulator.js";
+import { campaignData, donationData, donorRecordData, seed, stored } from "../../helpers/rules.js";
+import { serverModule } from "../../helpers/server.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("functions: refundFailedCampaigns", () => {
+  let env;
+  const { refundFailedCampaigns } = serverModule("refunds");
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+  });
+
+  // An all-or-nothing campaign that ended with one confirmed donation
+  async function seedEnded(fields, donationFields = {}) {
+    await env.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await db.doc("campaigns/water").set(campaignData({
+        fundingMode: "all_or_nothing",
+        endDate: Date.now() - DAY,
+        raised: 50000,
+        progress: 0.005,
+        ...fields
+      }));
+      const donation = donationData({ status: "confirmed", settledAt: Date.now() - 2 * DAY, ...donationFields });
+      await db.doc("transactions/t1").set(donation);
+      await db.doc("donorRecords/t1").set(donorRecordData(donation));
+    });
+  }
+
+  it("refunds a campaign that missed its target", async () => {
+    await seedEnded({ status: "active" });
+
+    const summary = await refundFailedCampaigns();
+    assert.deepEqual(summary, { campaigns: 1, refunds: 1, errors: 0 });
+
+    const campaign = await stored(env, "campaigns/water");
+    assert.equal(campaign.status, "expired");
+    assert.equal(campaign.raised, 0);
+    assert.equal(typeof campaign.refundsCompletedAt, "number");
+    assert.equal((await stored(env, "transactions/t1")).refundStatus, "refunded");
+  });
+
+  it("refunds a campaign marked funded that missed its target", async () => {
+    await seedEnded({ status: "funded" });
+
+    const summary = await refundFailedCampaigns();
+    assert.deepEqual(summary, { campaigns: 1, refunds: 1, errors: 0 });
+    assert.equal((await stored(env, "campaigns/water")).status, "expired");
+  });
+
+  it("keeps an anonymous donor out of the refund entry", async () => {
+    await seedEnded({ status: "active" }, { anonymous: true, donorName: "Anonymous" });
+    await refundFailedCampaigns();
+
+    const { refundEntry } = await stored(env, "transactions/t1");
+    const entry = await stored(env, `transactions/${refundEntry}`);
+    assert.equal(entry.anonymous, true);
+    assert.equal(entry.userId, undefined);
+    assert.equal(entry.user, undefined);
+    assert.equal((await stored(env, `donorRecords/${refundEntry}`)).userId, "bob");
+  });
+
+  it("leaves campaigns that reached their target", async () => {
+    await seedEnded({ status: "funded", raised: 10000000, progress: 1 });
+
+    const summary = await refundFailedCampaigns();
+    assert.deepEqual(summary, { campaigns: 0, refunds: 0, errors: 0 });
+    assert.equal((await stored(env, "transactions/t1")).refundStatus, undefined);
+  });
+
+  it("leaves campaigns that haven't ended", async () => {
+    await seedEnded({ endDate: Date.now() + DAY });
+
+    const summary = await refundFailedCampaigns();
+    assert.deepEqual(summary, { campaigns: 0, refunds: 0, errors: 0 });
+  });
+});
+
+describe("functions: interrupted refunds", () => {
+  let env;
+  const { refundDonation, finishInterruptedRefunds } = serverModule("refunds");
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // t1's money was returned but its ledger entry wasn't written; t2 is
+  // still waiting on the gateway
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await db.doc("campaigns/water").set(campaignData({ raised: 100000, progress: 0.01 }));
+      const paid = { status: "confirmed", provider: "mock", refundStatus: "processing" };
+      await db.doc("transactions/t1").set(donationData({
+        ...paid,
+        paymentId: "pay_1",
+        refundId: "rfnd_1",
+        refundRequest: { by: "alice", reason: "Duplicate donation" }
+      }));
+      await db.doc("transactions/t2").set(donationData({ ...paid, paymentId: "pay_2", refundClaimedAt: Date.now() }));
+    });
+  });
+
+  it("are finished by a retry without refunding the payment again", async () => {
+    const entryId = await refundDonation("t1", { by: "admin", reason: "Retry" });
+
+    const entry = await stored(env, `transactions/${entryId}`);
+    assert.equal(entry.type, "refund");
+    assert.equal(entry.amount, -50000);
+    assert.equal(entry.refundId, "rfnd_1");
+    assert.equal(entry.by, "alice");
+    assert.equal(entry.reason, "Duplicate donation");
+
+    const donation = await stored(env, "transactions/t1");
+    assert.equal(donation.refundStatus, "refunded");
+    assert.equal(donation.refundEntry, entryId);
+    assert.equal((await stored(env, "campaigns/water")).raised, 50000);
+  });
+
+  it("are recorded once when finished twice", async () => {
+    const first = await refundDonation("t1", { by: "alice", reason: "" });
+    await assert.rejects(refundDonation("t1", { by: "alice", reason: "" }), /already been refunded/);
+    assert.equal((await stored(env, "transactions/t1")).refundEntry, first);
+    assert.equal((await stored(env, "campaigns/water")).raised, 50000);
+  });
+
+  it("are not finished while the gateway refund is still running", async () => {
+    await assert.rejects(refundDonation("t2", { by: "alice", reason: "" }), /already being refunded/);
+    assert.equal((await stored(env, "transactions/t2")).refundStatus, "processing");
+  });
+
+  it("are finished by the sweep", async () => {
+    const summary = await finishInterruptedRefunds();
+    assert.deepEqual(summary, { refunds: 1, errors: 0 });
+    assert.equal((await stored(env, "transactions/t1")).refundStatus, "refunded");
+    assert.equal((await stored(env, "transactions/t2")).refundStatus, "processing");
+    assert.equal((await stored(env, "campaigns/water")).raised, 50000);
+  });
+});
+
+describe("functions: expired refund claims", () => {
+  let env;
+  let gateway;
+  const { refundDonation, refundFailedCampaigns, REFUND_CLAIM_TTL } = serverModule("refunds");
+  const payments = serverModule("payments");
+  const getProvider = payments.getProvider;
+
+  before(async () => {
+    env = await siteEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // t1 was claimed by a request that stopped before the gateway answered;
+  // the gateway stands in for the payment provider and counts refunds
+  beforeEach(async () => {
+    await env.clearFirestore();
+    gateway = {
+      refunds: new Map(),
+      refunded: 0,
+      async findRefund({ paymentId }) {
+        return this.refunds.get(paymentId) || null;
+      },
+      async refundPayment({ paymentId }) {
+        this.refunded++;
+        this.refunds.set(paymentId, `rfnd_${this.refunded}`);
+        return `rfnd_${this.refunded}`;
+      }
+    };
+    payments.getProvider = () => gateway;
+
+    await seed(env, {
+      "campaigns/water": campaignData({ raised: 100000, progress: 0.01 }),
+      "transactions/t1": donationData({
+        status: "confirmed",
+        provider: "razorpay",
+        paymentId: "pay_1",
+        refundStatus: "processing",
+        refundRequest: { by: "alice", reason: "Duplicate donation" },
+        refundClaimedAt: Date.now() - REFUND_CLAIM_TTL - 1000
+      })
+    });
+  });
+
+  afterEach(() => {
+    payments.getProvider = getProvider;
+  });
+
+  it("are taken over and refunded", async () => {
+    const entryId = await refundDonation("t1", { by: "admin", reason: "Retry" });
+
+    const entry = await stored(env, `transactions/${entryId}`);
+    assert.equal(entry.refundId, "rfnd_1");
+    assert.equal(entry.by, "alice");
+    assert.equal((await stored(env, "transactions/t1")).refundStatus, "refunded");
+    assert.equal(gateway.refunded, 1);
+  });
+
+  it("use the refund the stopped request made instead of refunding again", async () => {
+    gateway.refunds.set("pay_1", "rfnd_earlier");
+
+    const entryId = await refundDonation("t1", { by: "admin", reason: "Retry" });
+    assert.equal((await stored(env, `transactions/${entryId}`)).refundId, "rfnd_earlier");
+    assert.equal(gateway.refunded, 0);
+  });
+
+  it("stay claimed while the gateway can't be asked", async () => {
+    gateway.findRefund = async () => { throw new Error("Gateway unavailable"); };
+
+    await assert.rejects(refundDonation("t1", { by: "admin", reason: "Retry" }), /Gateway unavailable/);
+    const donation = await stored(env, "transactions/t1");
+    assert.equal(donation.refundStatus, "processing");
+    assert.ok(donation.refundClaimedAt > Date.now() - REFUND_CLAIM_TTL);
+    assert.equal(gateway.refunded, 0);
+  });
+
+  it("no longer hold up a failed campaign's refunds", async () => {
+    await seed(env, {
+      "campaigns/water": campaignData({
+        fundingMode: "all_or_nothing",
+        endDate: Date.now() - DAY,
+        raised: 50000,
+        progress: 0.005
+      })
+    });
+
+    const summary = await refundFailedCampaigns();
+    assert.deepEqual(summary, { campaigns: 1, refunds: 1, errors: 0 });
+    assert.equal(typeof (await stored(env, "campaigns/water")).refundsCompletedAt, "number");
+    assert.equal(gateway.refunded, 1);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Reward Stock
+ *
+ * @file test/emulator/functions/rewards.test.js
+ */
+
+import assert from "node:assert/strict";
+import { siteEnvironment } from "../../helpers/emulator.js";
+import { campaignData, donationData, seed, stored } from "../../helpers/rules.js";
+import { serverModule, serverDb } from "../../helpers/server.js";
+
+describe("functions: reward stock", () => {
+  let env;
+  let db;
+  const { RESERVATION_TTL, reserveReward, releaseReward, reclaimReward } = serverModule("rewards");
+  const { releaseStaleReservations } = serverModule("ledger");
+
+  before(async () => {
+    env = await siteEnvironment();
+    db = serverDb();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // "water" offers one ₹500 T-shirt; t1 and t2 are pending ₹500 donations for it
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, {
+      "campaigns/water": campaignData(),
+      "campaigns/water/rewards/shirt": {
+        title: "T-shirt", description: "Cotton", minAmount: 50000, currency: "INR",
+        limit: 1, claimed: 0, deliveryDate: "2025-03", createdAt: 1
+      },
+      "transactions/t1": donationData({ rewardId: "shirt" }),
+      "transactions/t2": donationData({ rewardId: "shirt" })
+    });
+  });
+
+  const claimed = async () => (await stored(env, "campaigns/water/rewards/shirt")).claimed;
+
+  describe("reserveReward", () => {
+    it("holds one reward for the donation, once", async () => {
+      await reserveReward(db.doc("transactions/t1"));
+      await reserveReward(db.doc("transactions/t1"));
+      assert.equal(await claimed(), 1);
+      assert.equal((await stored(env, "transactions/t1")).rewardReserved, true);
+    });
+
+    it("refuses the last reward to a second donor", async () => {
+      await reserveReward(db.doc("transactions/t1"));
+      await assert.rejects(reserveReward(db.doc("transactions/t2")), /sold out/);
+      assert.equal(await claimed(), 1);
+    });
+
+    it("lets only one of two donors racing for the last reward have it", async () => {
+      const results = await Promise.allSettled([
+        reserveReward(db.doc("transactions/t1")),
+        reserveReward(db.doc("transactions/t2"))
+      ]);
+      assert.deepEqual(results.map(r => r.status).sort(), ["fulfilled", "rejected"]);
+      assert.equal(await claimed(), 1);
+    });
+
+    it("refuses donations below the tier's minimum, and tiers that are gone", async () => {
+      await seed(env, { "transactions/t3": donationData({ rewardId: "shirt", amount: 49999 }) });
+      await assert.rejects(reserveReward(db.doc("transactions/t3")), /at least ₹500/);
+
+      await seed(env, { "transactions/t4": donationData({ rewardId: "mug" }) });
+      await assert.rejects(reserveReward(db.doc("transactions/t4")), /no longer offered/);
+      assert.equal(await claimed(), 0);
+    });
+  });
+
+  describe("releasing and reclaiming", () => {
+    beforeEach(async () => {
+      await reserveReward(db.doc("transactions/t1"));
+    });
+
+    it("gives a released reward back to the tier", async () => {
+      await db.runTransaction(async (t) => {
+        const ref = db.doc("transactions/t1");
+        releaseReward(t, ref, (await t.get(ref)).data());
+      });
+      assert.equal(await claimed(), 0);
+      assert.equal((await stored(env, "transactions/t1")).rewardReserved, false);
+    });
+
+    it("releases rewards held by checkouts left unpaid", async () => {
+      const { time } = await stored(env, "transactions/t1");
+      assert.equal(await releaseStaleReservations(time + RESERVATION_TTL - 1), 0);
+      assert.equal(await releaseStaleReservations(time + RESERVATION_TTL + 1), 1);
+      assert.equal(await claimed(), 0);
+    });
+
+    it("claims the reward again for a late payment, if any are left", async () => {
+      const { time } = await stored(env, "transactions/t1");
+      await releaseStaleReservations(time + RESERVATION_TTL + 1);
+
+      const reclaim = (id) => db.runTransaction(async (t) => reclaimReward(t, (await t.get(db.doc(`transactions/${id}`))).data()));
+      assert.deepEqual(await reclaim("t1"), { rewardReserved: true });
+      assert.equal(await claimed(), 1);
+
+      // The last one is gone now
+      assert.deepEqual(await reclaim("t2"), { rewardUnavailable: true });
+      assert.equal(await claimed(), 1);
+    });
+  });
+});
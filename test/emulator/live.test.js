@@ -0,0 +1,78 @@
+/**
+ * Live Updates
+ *
+ * The campaign page, the dashboard and the home page follow Firestore
+ * through the repository's watch*() listeners (js/repository-firestore.js).
+ * Changes here are made the way the server makes them, without the rules.
+ *
+ * @file test/emulator/live.test.js
+ */
+
+import assert from "node:assert/strict";
+import { siteEnvironment } from "../helpers/emulator.js";
+import { campaignData, donationData, seed } from "../helpers/rules.js";
+import { loadModule } from "../helpers/site.js";
+
+describe("repository-firestore.js: listeners", () => {
+  let env;
+  let repository;
+
+  before(async () => {
+    env = await siteEnvironment();
+    ({ repository } = await loadModule("repository-firestore.js"));
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, { "campaigns/water": campaignData() });
+  });
+
+  // First value a listener is called with that matches, once it has stopped
+  // (Firestore calls listeners asynchronously, so stop is always set)
+  function until(watch, matches) {
+    return new Promise((resolve, reject) => {
+      const stop = watch(value => {
+        if (matches(value)) {
+          stop();
+          resolve(value);
+        }
+      }, reject);
+    });
+  }
+
+  it("shows a campaign's new total without reloading", async () => {
+    const raised = until(listener => repository.watchCampaign("water", listener), c => c.raised === 50000);
+    await seed(env, { "campaigns/water": campaignData({ raised: 50000, progress: 0.005 }) });
+    assert.equal((await raised).progress, 0.005);
+  });
+
+  it("shows null once the campaign is deleted", async () => {
+    const deleted = until(listener => repository.watchCampaign("water", listener), c => c === null);
+    await env.withSecurityRulesDisabled((context) => context.firestore().doc("campaigns/water").delete());
+    assert.equal(await deleted, null);
+  });
+
+  it("adds settled donations to the transaction log", async () => {
+    const confirmed = until(listener => repository.watchDonations("water", listener),
+      donations => donations.some(d => d.id === "t1" && d.status === "confirmed"));
+    await seed(env, { "transactions/t1": donationData({ status: "pending" }) });
+    await seed(env, { "transactions/t1": donationData({ status: "confirmed" }) });
+    assert.equal((await confirmed).length, 1);
+  });
+
+  it("adds newly approved campaigns to the catalogue page", async () => {
+    const filters = { status: "active", moderation: "approved", sort: { field: "createdAt", direction: "desc" }, pageSize: 2 };
+    await until(listener => repository.watchCampaigns(filters, listener), page => page.campaigns.length === 1);
+
+    const listed = until(listener => repository.watchCampaigns(filters, listener), page => page.campaigns.length === 2);
+    await seed(env, { "campaigns/wells": campaignData({ moderation: "pending" }) });
+    await seed(env, { "campaigns/wells": campaignData({ createdAt: Date.now() }) });
+    const page = await listed;
+    assert.deepEqual(page.campaigns.map(c => c.id), ["wells", "water"]);
+    assert.equal(page.hasNext, false);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Moderation Checks
+ *
+ * What js/moderation.js refuses before writing anything; the rules behind
+ * it are in rules/moderation.test.js.
+ *
+ * @file test/emulator/moderation.test.js
+ */
+
+import assert from "node:assert/strict";
+import { loadModule } from "../helpers/site.js";
+
+describe("moderation.js", () => {
+  let moderation;
+
+  before(async () => {
+    moderation = await loadModule("moderation.js");
+  });
+
+  it("asks for a known report reason and short details", async () => {
+    await assert.rejects(moderation.submitReport("water", "dislike", "", "bob"), /pick a reason/);
+    await assert.rejects(moderation.submitReport("water", "spam", "d".repeat(501), "bob"), /at most 500 characters/);
+  });
+
+  it("refuses unknown actions, and takedowns without a reason", async () => {
+    const { MODERATION_ACTIONS, REASON_REQUIRED } = moderation;
+    await assert.rejects(moderation.moderateCampaign("water", "delete", { by: "mod" }), /Unknown moderation action/);
+    for (const action of REASON_REQUIRED) {
+      await assert.rejects(moderation.moderateCampaign("water", action, { by: "mod" }), /give a reason/);
+    }
+    await assert.rejects(moderation.moderateCampaign("water", MODERATION_ACTIONS.REJECT,
+      { by: "mod", reason: "r".repeat(501) }), /at most 500 characters/);
+  });
+
+  it("labels every action, and needs no reason to approve or reinstate", () => {
+    const { MODERATION_ACTIONS, MODERATION_ACTION_LABELS, REASON_REQUIRED } = moderation;
+    Object.values(MODERATION_ACTIONS).forEach(action => assert.ok(MODERATION_ACTION_LABELS[action]));
+    assert.equal(REASON_REQUIRED.has(MODERATION_ACTIONS.APPROVE), false);
+    assert.equal(REASON_REQUIRED.has(MODERATION_ACTIONS.REINSTATE), false);
+  });
+
+  it("treats signed-out visitors as not admins", async () => {
+    assert.equal(await moderation.checkIsAdmin(null), false);
+  });
+});
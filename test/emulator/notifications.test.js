@@ -0,0 +1,30 @@
+/**
+ * Notification Categories
+ *
+ * js/notifications.js imports the Firebase SDK, so it loads through the
+ * site helpers.
+ *
+ * @file test/emulator/notifications.test.js
+ */
+
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { loadModule } from "../helpers/site.js";
+
+const server = createRequire(import.meta.url)("../../functions/notifications.js");
+
+describe("notifications.js: CATEGORIES", () => {
+  let site;
+
+  before(async () => {
+    site = await loadModule("notifications.js");
+  });
+
+  it("matches the server's copy", () => {
+    assert.deepEqual(site.CATEGORIES, server.CATEGORIES);
+  });
+
+  it("has a label for every category on the preferences form", () => {
+    assert.deepEqual(Object.keys(site.CATEGORY_LABELS).sort(), Object.values(site.CATEGORIES).sort());
+  });
+});
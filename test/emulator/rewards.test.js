@@ -0,0 +1,72 @@
+/**
+ * Reward Tiers
+ *
+ * js/rewards.js imports the Firebase SDK, so it loads through the site
+ * helpers. The stock itself is kept by functions/rewards.js (see
+ * functions/rewards.test.js).
+ *
+ * @file test/emulator/rewards.test.js
+ */
+
+import assert from "node:assert/strict";
+import { loadModule } from "../helpers/site.js";
+
+describe("rewards.js", () => {
+  let rewards;
+
+  before(async () => {
+    rewards = await loadModule("rewards.js");
+  });
+
+  const tier = (fields = {}) => ({
+    title: "T-shirt", description: "Cotton", minAmount: 50000, limit: 10, deliveryDate: "2025-03", ...fields
+  });
+
+  describe("validateReward", () => {
+    it("accepts a complete tier, limited or not", () => {
+      assert.equal(rewards.validateReward(tier()), null);
+      assert.equal(rewards.validateReward(tier({ limit: null })), null);
+    });
+
+    it("needs every field", () => {
+      ["title", "description", "deliveryDate"].forEach(field => {
+        assert.equal(rewards.validateReward(tier({ [field]: "" })), "Please fill all reward fields");
+      });
+    });
+
+    it("refuses long text, bad amounts, quantities and months", () => {
+      assert.match(rewards.validateReward(tier({ title: "t".repeat(81) })), /at most 80/);
+      assert.match(rewards.validateReward(tier({ description: "d".repeat(501) })), /at most 500/);
+      assert.match(rewards.validateReward(tier({ minAmount: 0 })), /valid minimum/);
+      assert.match(rewards.validateReward(tier({ minAmount: 500.5 })), /valid minimum/);
+      assert.match(rewards.validateReward(tier({ limit: 0 })), /whole number/);
+      assert.match(rewards.validateReward(tier({ limit: 2.5 })), /whole number/);
+      assert.match(rewards.validateReward(tier({ deliveryDate: "March" })), /delivery month/);
+    });
+  });
+
+  describe("validateShipping", () => {
+    it("needs a name, an address and a phone number within the limits", () => {
+      const shipping = { name: "Bob", address: "12 Ward Rd, Pune", phone: "+91 98765 43210" };
+      assert.equal(rewards.validateShipping(shipping), null);
+      assert.match(rewards.validateShipping({ ...shipping, phone: "" }), /Please enter/);
+      assert.equal(rewards.validateShipping({ ...shipping, address: "a".repeat(501) }), "Shipping details are too long");
+    });
+  });
+
+  describe("remaining and describeReward", () => {
+    it("counts what is left, never below zero", () => {
+      assert.equal(rewards.remaining({ limit: 10, claimed: 3 }), 7);
+      assert.equal(rewards.remaining({ limit: 10 }), 10);
+      assert.equal(rewards.remaining({ limit: 1, claimed: 2 }), 0);
+      assert.equal(rewards.remaining({ limit: null }), Infinity);
+    });
+
+    it("shows the minimum, delivery month and stock", () => {
+      const shirt = { ...tier(), currency: "INR", claimed: 3 };
+      assert.equal(rewards.describeReward(shirt), "₹500.00+ · T-shirt · est. Mar 2025 · 7 left");
+      assert.equal(rewards.describeReward({ ...shirt, claimed: 10 }), "₹500.00+ · T-shirt · est. Mar 2025 · Sold out");
+      assert.equal(rewards.describeReward({ ...shirt, limit: null }), "₹500.00+ · T-shirt · est. Mar 2025");
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Campaign Rules
+ *
+ * @file test/emulator/rules/campaigns.test.js
+ */
+
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { rulesEnvironment, seed, campaignData } from "../../helpers/rules.js";
+
+describe("firestore.rules: campaigns", () => {
+  let env;
+
+  before(async () => {
+    env = await rulesEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, { "campaigns/water": campaignData() });
+  });
+
+  const asAlice = () => env.authenticatedContext("alice").firestore().doc("campaigns/water");
+  const asMallory = () => env.authenticatedContext("mallory").firestore().doc("campaigns/water");
+
+  it("is readable by anyone", async () => {
+    await assertSucceeds(env.unauthenticatedContext().firestore().doc("campaigns/water").get());
+  });
+
+  it("is only created by the createCampaign function", async () => {
+    await assertFails(env.authenticatedContext("alice").firestore().doc("campaigns/new")
+      .set(campaignData()));
+  });
+
+  describe("creator-only edits", () => {
+    it("lets the creator edit the description", async () => {
+      await assertSucceeds(asAlice().update({ description: "Wells, filters and pumps" }));
+    });
+
+    it("refuses other users", async () => {
+      await assertFails(asMallory().update({ description: "Send money elsewhere" }));
+    });
+
+    it("refuses signed-out visitors", async () => {
+      await assertFails(env.unauthenticatedContext().firestore().doc("campaigns/water")
+        .update({ description: "Send money elsewhere" }));
+    });
+
+    it("refuses handing the campaign to somebody else", async () => {
+      await assertFails(asAlice().update({ creator: "mallory" }));
+    });
+
+    it("refuses approving the creator's own campaign", async () => {
+      await seed(env, { "campaigns/water": campaignData({ moderation: "pending" }) });
+      await assertFails(asAlice().update({ moderation: "approved" }));
+    });
+  });
+
+  describe("fields the creator can't change", () => {
+    it("include the end date", async () => {
+      await assertFails(asAlice().update({ endDate: Date.now() + 365 * 24 * 60 * 60 * 1000 }));
+    });
+
+    it("include the funding mode, currency and slug", async () => {
+      await assertFails(asAlice().update({ fundingMode: "all_or_nothing" }));
+      await assertFails(asAlice().update({ currency: "USD" }));
+      await assertFails(asAlice().update({ slug: "other-link" }));
+    });
+
+    it("include fields the rules don't know about", async () => {
+      await assertFails(asAlice().update({ verified: true }));
+    });
+  });
+
+  describe("status changes by the creator", () => {
+    it("allow publishing a draft", async () => {
+      await seed(env, { "campaigns/water": campaignData({ status: "draft" }) });
+      await assertSucceeds(asAlice().update({ status: "active" }));
+    });
+
+    it("allow pausing, resuming and cancelling", async () => {
+      await assertSucceeds(asAlice().update({ status: "paused" }));
+      await assertSucceeds(asAlice().update({ status: "active" }));
+      await assertSucceeds(asAlice().update({ status: "cancelled" }));
+    });
+
+    it("refuse funded and expired, which Cloud Functions store", async () => {
+      await assertFails(asAlice().update({ status: "funded" }));
+      await assertFails(asAlice().update({ status: "expired" }));
+    });
+
+    it("refuse reopening a cancelled or expired campaign", async () => {
+      await seed(env, { "campaigns/water": campaignData({ status: "cancelled" }) });
+      await assertFails(asAlice().update({ status: "active" }));
+      await seed(env, { "campaigns/water": campaignData({ status: "expired" }) });
+      await assertFails(asAlice().update({ status: "active" }));
+    });
+
+    it("refuse unpublishing back to a draft", async () => {
+      await assertFails(asAlice().update({ status: "draft" }));
+    });
+  });
+
+  describe("raised", () => {
+    it("is never written by the creator", async () => {
+      await assertFails(asAlice().update({ raised: 5000000 }));
+    });
+
+    it("is never written by other users", async () => {
+      await assertFails(asMallory().update({ raised: 5000000 }));
+    });
+
+    it("keeps the target from dropping below it", async () => {
+      await seed(env, { "campaigns/water": campaignData({ raised: 2000000 }) });
+      await assertFails(asAlice().update({ target: 1000000 }));
+      await assertSucceeds(asAlice().update({ target: 2000000 }));
+    });
+
+    it("has its progress written by Cloud Functions only", async () => {
+      await assertFails(asAlice().update({ progress: 1 }));
+      await assertFails(asAlice().update({ target: 2000000, progress: 0 }));
+    });
+  });
+
+  describe("deleting", () => {
+    it("is allowed for the creator before any money was raised", async () => {
+      await assertSucceeds(asAlice().delete());
+    });
+
+    it("is refused once money was raised", async () => {
+      await seed(env, { "campaigns/water": campaignData({ raised: 50000 }) });
+      await assertFails(asAlice().delete());
+    });
+
+    it("is refused for other users", async () => {
+      await assertFails(asMallory().delete());
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Update and Comment Rules
+ *
+ * @file test/emulator/rules/feed.test.js
+ */
+
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { doc, collection, writeBatch, serverTimestamp, query, where, getDocs } from "firebase/firestore";
+import { rulesEnvironment, seed, campaignData } from "../../helpers/rules.js";
+
+describe("firestore.rules: updates and comments", () => {
+  let env;
+
+  before(async () => {
+    env = await rulesEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // "water" was created by alice; c1 is a thread with a reply, c3 is hidden
+  beforeEach(async () => {
+    await env.clearFirestore();
+    const comment = { body: "When do the wells open?", parentId: null, userId: "bob", authorName: "Bob", createdAt: 1, pinned: false, hidden: false };
+    await seed(env, {
+      "campaigns/water": campaignData(),
+      "campaigns/water/comments/c1": comment,
+      "campaigns/water/comments/c2": { ...comment, parentId: "c1", userId: "alice", authorName: "Alice" },
+      "campaigns/water/comments/c3": { ...comment, hidden: true }
+    });
+  });
+
+  const db = (uid) => (uid ? env.authenticatedContext(uid) : env.unauthenticatedContext()).firestore();
+
+  // A post and the author's rate limit stamp in one batch, as commitPost() in feed.js writes them
+  function post(uid, kind, fields, campaignId = "water") {
+    const firestore = db(uid);
+    const batch = writeBatch(firestore);
+    batch.set(doc(collection(firestore, "campaigns", campaignId, `${kind}s`)), fields);
+    batch.set(doc(firestore, "rateLimits", uid), { [kind]: serverTimestamp() }, { merge: true });
+    return batch.commit();
+  }
+
+  const update = (fields = {}) => ({ title: "First well dug", body: "Photos soon", by: "alice", createdAt: Date.now(), ...fields });
+  const comment = (fields = {}) => ({
+    body: "Great work", parentId: null, userId: "bob", authorName: "Bob", createdAt: Date.now(), pinned: false, hidden: false, ...fields
+  });
+
+  describe("updates", () => {
+    it("are posted by the creator, with the rate limit stamp", async () => {
+      await assertSucceeds(post("alice", "update", update()));
+      await assertFails(db("alice").collection("campaigns/water/updates").add(update()));
+    });
+
+    it("are refused to other users", async () => {
+      await assertFails(post("bob", "update", update({ by: "bob" })));
+      await assertFails(post("bob", "update", update()));
+    });
+
+    it("need a title and text within the limits", async () => {
+      await assertFails(post("alice", "update", update({ title: "" })));
+      await assertFails(post("alice", "update", update({ title: "t".repeat(121) })));
+      await assertFails(post("alice", "update", update({ body: "b".repeat(5001) })));
+    });
+
+    it("are limited to one every ten minutes", async () => {
+      await assertSucceeds(post("alice", "update", update()));
+      await assertFails(post("alice", "update", update()));
+    });
+
+    it("can't be edited", async () => {
+      await seed(env, { "campaigns/water/updates/u1": update() });
+      await assertFails(db("alice").doc("campaigns/water/updates/u1").update({ title: "Edited" }));
+    });
+  });
+
+  describe("comments", () => {
+    it("are posted by anyone signed in, as themselves", async () => {
+      await assertSucceeds(post("bob", "comment", comment()));
+      await assertFails(post("carol", "comment", comment()));
+    });
+
+    it("are refused on campaigns that aren't approved", async () => {
+      await seed(env, { "campaigns/wells": campaignData({ moderation: "pending" }) });
+      await assertFails(post("bob", "comment", comment(), "wells"));
+    });
+
+    it("reply one level deep only", async () => {
+      await assertSucceeds(post("bob", "comment", comment({ parentId: "c1" })));
+      await assertFails(post("carol", "comment", comment({ userId: "carol", parentId: "c2" })));
+    });
+
+    it("start out neither pinned nor hidden, within the limits", async () => {
+      await assertFails(post("bob", "comment", comment({ pinned: true })));
+      await assertFails(post("bob", "comment", comment({ hidden: true })));
+      await assertFails(post("bob", "comment", comment({ body: "b".repeat(1001) })));
+      await assertFails(post("bob", "comment", comment({ authorName: "b".repeat(51) })));
+    });
+
+    it("are limited to one every thirty seconds", async () => {
+      await assertSucceeds(post("bob", "comment", comment()));
+      await assertFails(post("bob", "comment", comment()));
+    });
+
+    it("are pinned and hidden by the creator only", async () => {
+      await assertSucceeds(db("alice").doc("campaigns/water/comments/c1").update({ pinned: true }));
+      await assertSucceeds(db("alice").doc("campaigns/water/comments/c1").update({ hidden: true }));
+      await assertFails(db("bob").doc("campaigns/water/comments/c1").update({ hidden: false }));
+      await assertFails(db("alice").doc("campaigns/water/comments/c1").update({ body: "Edited" }));
+    });
+
+    it("are hidden from everyone but the creator", async () => {
+      const visible = (uid) => getDocs(query(collection(db(uid), "campaigns/water/comments"), where("hidden", "==", false)));
+      await assertSucceeds(visible(null));
+      await assertFails(db(null).doc("campaigns/water/comments/c3").get());
+      await assertFails(db("bob").doc("campaigns/water/comments/c3").get());
+      await assertSucceeds(db("alice").doc("campaigns/water/comments/c3").get());
+    });
+  });
+});
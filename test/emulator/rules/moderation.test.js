@@ -0,0 +1,121 @@
+/**
+ * Moderation Rules
+ *
+ * @file test/emulator/rules/moderation.test.js
+ */
+
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { rulesEnvironment, seed, campaignData } from "../../helpers/rules.js";
+
+describe("firestore.rules: moderation", () => {
+  let env;
+
+  before(async () => {
+    env = await rulesEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // "root" is an admin by custom claim, "mod" by the admins collection;
+  // "water" waits for review and bob has reported it
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, {
+      "admins/mod": { addedAt: 1 },
+      "campaigns/water": campaignData({ moderation: "pending" }),
+      "reports/r1": { campaignId: "water", reason: "spam", details: "", reporter: "bob", createdAt: 1, status: "open" }
+    });
+  });
+
+  const as = (uid) => (uid === "root"
+    ? env.authenticatedContext("root", { admin: true })
+    : env.authenticatedContext(uid)).firestore();
+
+  const report = (fields = {}) => ({
+    campaignId: "water", reason: "fraud", details: "Fake photos", reporter: "bob", createdAt: Date.now(), status: "open", ...fields
+  });
+
+  // The campaign update and its log entry in one batch, as recordModeration() writes them
+  function decide(uid, moderation, { logId = "l1", by = uid, reason = "" } = {}) {
+    const db = as(uid);
+    const time = Date.now();
+    const batch = db.batch();
+    batch.update(db.doc("campaigns/water"), {
+      moderation, moderationReason: reason, moderatedAt: time, moderatedBy: by, moderationLogId: logId
+    });
+    batch.set(db.doc(`moderationLog/${logId}`), { campaignId: "water", action: moderation, reason, by, time, reportId: null });
+    return batch.commit();
+  }
+
+  describe("reports", () => {
+    it("can be made by anyone signed in, as themselves", async () => {
+      await assertSucceeds(as("bob").collection("reports").add(report()));
+      await assertFails(as("bob").collection("reports").add(report({ reporter: "carol" })));
+      await assertFails(env.unauthenticatedContext().firestore().collection("reports").add(report()));
+    });
+
+    it("need a known reason, short details and an existing campaign", async () => {
+      await assertFails(as("bob").collection("reports").add(report({ reason: "dislike" })));
+      await assertFails(as("bob").collection("reports").add(report({ details: "d".repeat(501) })));
+      await assertFails(as("bob").collection("reports").add(report({ campaignId: "missing" })));
+      await assertFails(as("bob").collection("reports").add(report({ status: "closed" })));
+    });
+
+    it("are read and closed by admins only", async () => {
+      await assertFails(as("bob").doc("reports/r1").get());
+      await assertSucceeds(as("mod").doc("reports/r1").get());
+
+      const close = (uid) => as(uid).doc("reports/r1")
+        .update({ status: "closed", resolution: "dismiss_report", resolvedBy: uid, resolvedAt: Date.now() });
+      await assertFails(close("bob"));
+      await assertSucceeds(close("root"));
+    });
+
+    it("keep what was reported", async () => {
+      await assertFails(as("mod").doc("reports/r1").update({ status: "closed", resolvedBy: "mod", reason: "other" }));
+      await assertFails(as("mod").doc("reports/r1").delete());
+    });
+  });
+
+  describe("admin decisions", () => {
+    it("are made by admins, by claim or by the admins collection", async () => {
+      await assertSucceeds(decide("root", "approved"));
+      await assertSucceeds(decide("mod", "rejected", { logId: "l2", reason: "Blurry photos" }));
+    });
+
+    it("are refused to other users, the creator included", async () => {
+      await assertFails(decide("bob", "approved"));
+      await assertFails(decide("alice", "approved"));
+    });
+
+    it("need their log entry, in the admin's own name", async () => {
+      await assertFails(as("mod").doc("campaigns/water").update({
+        moderation: "approved", moderationReason: "", moderatedAt: Date.now(), moderatedBy: "mod", moderationLogId: "l1"
+      }));
+      await assertFails(decide("mod", "approved", { by: "root" }));
+    });
+
+    it("change only the moderation fields and the status", async () => {
+      const db = as("mod");
+      const batch = db.batch();
+      batch.update(db.doc("campaigns/water"), {
+        moderation: "approved", moderationReason: "", moderatedAt: Date.now(), moderatedBy: "mod",
+        moderationLogId: "l1", target: 1
+      });
+      batch.set(db.doc("moderationLog/l1"), { campaignId: "water", action: "approve", reason: "", by: "mod", time: Date.now() });
+      await assertFails(batch.commit());
+    });
+  });
+
+  describe("the moderation log", () => {
+    it("is read by admins only, and never changed", async () => {
+      await decide("mod", "approved");
+      await assertFails(as("bob").doc("moderationLog/l1").get());
+      await assertSucceeds(as("root").doc("moderationLog/l1").get());
+      await assertFails(as("mod").doc("moderationLog/l1").update({ reason: "Edited" }));
+      await assertFails(as("mod").doc("moderationLog/l1").delete());
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Inbox and Notification Preference Rules
+ *
+ * @file test/emulator/rules/notifications.test.js
+ */
+
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { rulesEnvironment, seed } from "../../helpers/rules.js";
+
+describe("firestore.rules: notifications", () => {
+  let env;
+
+  before(async () => {
+    env = await rulesEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // alice has one unread notification, as functions/notifications.js writes it
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, {
+      "users/alice/notifications/comment_c1": {
+        category: "comment", title: "New comment", body: "Bob: Hi", link: "campaign.html?id=water",
+        campaignId: "water", read: false, createdAt: 1
+      }
+    });
+  });
+
+  const as = (uid) => env.authenticatedContext(uid).firestore();
+  const notification = (uid) => as(uid).doc("users/alice/notifications/comment_c1");
+
+  describe("inbox", () => {
+    it("is read and cleared by its owner only", async () => {
+      await assertSucceeds(as("alice").collection("users/alice/notifications").get());
+      await assertFails(as("bob").collection("users/alice/notifications").get());
+      await assertFails(notification("bob").delete());
+      await assertSucceeds(notification("alice").delete());
+    });
+
+    it("lets the owner change only the read state", async () => {
+      await assertSucceeds(notification("alice").update({ read: true }));
+      await assertFails(notification("alice").update({ read: "yes" }));
+      await assertFails(notification("alice").update({ title: "Edited" }));
+      await assertFails(notification("bob").update({ read: true }));
+    });
+
+    it("is written by Cloud Functions only", async () => {
+      await assertFails(as("alice").doc("users/alice/notifications/fake").set({ title: "Fake", read: false }));
+    });
+  });
+
+  describe("preferences", () => {
+    const preferences = (fields = {}) => ({ comment: { inApp: true, email: false }, updatedAt: 1, ...fields });
+    const settings = (uid, id = "notifications") => as(uid).doc(`users/alice/settings/${id}`);
+
+    it("are saved and read by their owner only", async () => {
+      await assertSucceeds(settings("alice").set(preferences()));
+      await assertSucceeds(settings("alice").get());
+      await assertFails(settings("bob").get());
+      await assertFails(settings("bob").set(preferences()));
+      await assertFails(settings("alice").delete());
+    });
+
+    it("refuses other settings documents, unknown categories and channels", async () => {
+      await assertFails(settings("alice", "theme").set(preferences()));
+      await assertFails(settings("alice").set(preferences({ payout: { inApp: true, email: true } })));
+      await assertFails(settings("alice").set(preferences({ comment: { inApp: true, sms: true } })));
+      await assertFails(settings("alice").set(preferences({ comment: { inApp: "on", email: true } })));
+    });
+  });
+});
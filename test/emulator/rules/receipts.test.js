@@ -0,0 +1,69 @@
+/**
+ * Receipt and Tax Detail Rules
+ *
+ * @file test/emulator/rules/receipts.test.js
+ */
+
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { rulesEnvironment, seed } from "../../helpers/rules.js";
+
+describe("firestore.rules: receipts", () => {
+  let env;
+
+  before(async () => {
+    env = await rulesEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // Receipt 1 was issued before bob saved his tax details; receipt 2 after
+  beforeEach(async () => {
+    await env.clearFirestore();
+    const receipt = { number: 1, organiserId: "alice", donorId: "bob", amount: 50000, currency: "INR", status: "issued" };
+    await seed(env, {
+      "receipts/t1": { ...receipt, donorName: null, donorPan: null },
+      "receipts/t2": { ...receipt, number: 2, donorName: "Robert Wadekar", donorPan: "ABCPW1234K" }
+    });
+  });
+
+  const as = (uid) => env.authenticatedContext(uid).firestore();
+  const details = (fields = {}) => ({ legalName: "Robert Wadekar", pan: "ABCPW1234K", updatedAt: Date.now(), ...fields });
+
+  describe("tax details", () => {
+    it("are saved and read by the donor only", async () => {
+      await assertSucceeds(as("bob").doc("taxDetails/bob").set(details()));
+      await assertSucceeds(as("bob").doc("taxDetails/bob").get());
+      await assertFails(as("carol").doc("taxDetails/bob").get());
+      await assertFails(as("carol").doc("taxDetails/bob").set(details()));
+    });
+
+    it("may leave out the PAN", async () => {
+      const { pan, ...withoutPan } = details();
+      await assertSucceeds(as("bob").doc("taxDetails/bob").set(withoutPan));
+    });
+
+    it("refuses an empty name, a malformed PAN and other fields", async () => {
+      await assertFails(as("bob").doc("taxDetails/bob").set(details({ legalName: "" })));
+      await assertFails(as("bob").doc("taxDetails/bob").set(details({ pan: "abcpw1234k" })));
+      await assertFails(as("bob").doc("taxDetails/bob").set(details({ displayName: "bobby_w" })));
+    });
+  });
+
+  describe("filling in a receipt", () => {
+    it("lets the donor add their name and PAN to a receipt without them", async () => {
+      await assertSucceeds(as("bob").doc("receipts/t1").update({ donorName: "Robert Wadekar", donorPan: "ABCPW1234K" }));
+    });
+
+    it("refuses other donors, other fields and receipts that have a PAN", async () => {
+      await assertFails(as("carol").doc("receipts/t1").update({ donorName: "Carol", donorPan: null }));
+      await assertFails(as("bob").doc("receipts/t1").update({ donorName: "Robert Wadekar", donorPan: null, amount: 1 }));
+      await assertFails(as("bob").doc("receipts/t2").update({ donorName: "Someone Else", donorPan: "ABCPW1234K" }));
+    });
+
+    it("refuses a malformed PAN", async () => {
+      await assertFails(as("bob").doc("receipts/t1").update({ donorName: "Robert Wadekar", donorPan: "1234" }));
+    });
+  });
+});
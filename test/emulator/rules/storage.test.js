@@ -0,0 +1,98 @@
+/**
+ * Campaign Image Storage Rules
+ *
+ * @file test/emulator/rules/storage.test.js
+ */
+
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { storageRulesEnvironment, seed, campaignData } from "../../helpers/rules.js";
+
+const MB = 1024 * 1024;
+
+describe("storage.rules: campaign images", () => {
+  let env;
+
+  before(async () => {
+    env = await storageRulesEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // "water" was created by alice
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.clearStorage();
+    await seed(env, { "campaigns/water": campaignData() });
+  });
+
+  const storageOf = (uid) => (uid ? env.authenticatedContext(uid) : env.unauthenticatedContext()).storage();
+
+  function upload(uid, path, { size = 1024, contentType = "image/jpeg" } = {}) {
+    return Promise.resolve(storageOf(uid).ref(path).put(new Uint8Array(size), { contentType }));
+  }
+
+  // An image already uploaded, as media.js stores it
+  async function seedImage(path) {
+    await env.withSecurityRulesDisabled(async (context) => {
+      await context.storage().ref(path).put(new Uint8Array(1024), { contentType: "image/jpeg" });
+    });
+  }
+
+  describe("uploading", () => {
+    it("lets the creator upload JPEG, PNG and WebP images", async () => {
+      await assertSucceeds(upload("alice", "campaigns/water/cover.jpg"));
+      await assertSucceeds(upload("alice", "campaigns/water/gallery-1.png", { contentType: "image/png" }));
+      await assertSucceeds(upload("alice", "campaigns/water/gallery-2.webp", { contentType: "image/webp" }));
+    });
+
+    it("lets the creator replace an image", async () => {
+      await seedImage("campaigns/water/cover.jpg");
+      await assertSucceeds(upload("alice", "campaigns/water/cover.jpg"));
+    });
+
+    it("refuses other users and signed-out visitors", async () => {
+      await assertFails(upload("bob", "campaigns/water/cover.jpg"));
+      await assertFails(upload(null, "campaigns/water/cover.jpg"));
+    });
+
+    it("allows up to 5 MB", async () => {
+      await assertSucceeds(upload("alice", "campaigns/water/large.jpg", { size: 5 * MB }));
+      await assertFails(upload("alice", "campaigns/water/too-large.jpg", { size: 5 * MB + 1 }));
+    });
+
+    it("refuses files that aren't JPEG, PNG or WebP", async () => {
+      await assertFails(upload("alice", "campaigns/water/cover.gif", { contentType: "image/gif" }));
+      await assertFails(upload("alice", "campaigns/water/cover.svg", { contentType: "image/svg+xml" }));
+      await assertFails(upload("alice", "campaigns/water/cover.html", { contentType: "text/html" }));
+    });
+
+    it("refuses paths outside a campaign's own folder", async () => {
+      await assertFails(upload("alice", "campaigns/water/nested/cover.jpg"));
+      await assertFails(upload("alice", "users/alice/avatar.jpg"));
+      await assertFails(upload("alice", "cover.jpg"));
+    });
+
+    it("refuses campaigns that don't exist", async () => {
+      await assertFails(upload("alice", "campaigns/missing/cover.jpg"));
+    });
+  });
+
+  describe("viewing and deleting", () => {
+    beforeEach(async () => {
+      await seedImage("campaigns/water/cover.jpg");
+    });
+
+    it("lets anyone view and list campaign images", async () => {
+      await assertSucceeds(storageOf(null).ref("campaigns/water/cover.jpg").getMetadata());
+      await assertSucceeds(storageOf("bob").ref("campaigns/water").listAll());
+    });
+
+    it("lets only the creator delete them", async () => {
+      await assertFails(storageOf("bob").ref("campaigns/water/cover.jpg").delete());
+      await assertFails(storageOf(null).ref("campaigns/water/cover.jpg").delete());
+      await assertSucceeds(storageOf("alice").ref("campaigns/water/cover.jpg").delete());
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Monthly Donation Rules
+ *
+ * @file test/emulator/rules/subscriptions.test.js
+ */
+
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { rulesEnvironment, seed, campaignData } from "../../helpers/rules.js";
+
+describe("firestore.rules: subscriptions", () => {
+  let env;
+
+  before(async () => {
+    env = await rulesEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // An active subscription whose card allows charges up to ₹2,500
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, {
+      "campaigns/water": campaignData(),
+      "subscriptions/s1": {
+        userId: "bob", campaignId: "water", amount: 50000, currency: "INR", status: "active",
+        mandate: { customerId: "c1", maxAmount: 250000 }
+      }
+    });
+  });
+
+  const change = (uid, fields) => env.authenticatedContext(uid).firestore()
+    .doc("subscriptions/s1").update({ ...fields, updatedAt: Date.now() });
+
+  it("lets the donor pause it and change the amount", async () => {
+    await assertSucceeds(change("bob", { status: "paused" }));
+    await assertSucceeds(change("bob", { amount: 250000 }));
+  });
+
+  it("refuses amounts above the mandate's cap", async () => {
+    await assertFails(change("bob", { amount: 250100 }));
+  });
+
+  it("refuses changes to the mandate and by other users", async () => {
+    await assertFails(change("bob", { "mandate.maxAmount": 10000000 }));
+    await assertFails(change("carol", { status: "paused" }));
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Transaction (Ledger) Rules
+ *
+ * @file test/emulator/rules/transactions.test.js
+ */
+
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { rulesEnvironment, seed, campaignData, donationData, donorRecordData } from "../../helpers/rules.js";
+
+describe("firestore.rules: transactions", () => {
+  let env;
+
+  before(async () => {
+    env = await rulesEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  // bob's profile names him "Bob", as donationData() does
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await seed(env, {
+      "campaigns/water": campaignData(),
+      "users/bob": { displayName: "Bob", bio: "", avatarUrl: "", createdAt: Date.now() }
+    });
+  });
+
+  const asBob = () => env.authenticatedContext("bob").firestore();
+
+  // A transaction and its donor record in one batch, as donate() writes them
+  function donate(db, id, donation, record = donorRecordData(donation)) {
+    const batch = db.batch();
+    batch.set(db.doc(`transactions/${id}`), donation);
+    batch.set(db.doc(`donorRecords/${id}`), record);
+    return batch.commit();
+  }
+
+  describe("creating a donation", () => {
+    it("succeeds for a pending donation by the signed-in user", async () => {
+      await assertSucceeds(donate(asBob(), "t1", donationData()));
+    });
+
+    it("refuses a donation without its donor record", async () => {
+      await assertFails(asBob().doc("transactions/t1").set(donationData()));
+    });
+
+    it("refuses another user's ID", async () => {
+      await assertFails(donate(asBob(), "t1", donationData({ userId: "carol" })));
+      const donation = donationData();
+      await assertFails(donate(asBob(), "t2", donation, donorRecordData(donation, "carol")));
+    });
+
+    it("refuses signed-out visitors", async () => {
+      await assertFails(donate(env.unauthenticatedContext().firestore(), "t1", donationData()));
+    });
+
+    it("refuses zero and negative amounts", async () => {
+      await assertFails(donate(asBob(), "t1", donationData({ amount: 0 })));
+      await assertFails(donate(asBob(), "t2", donationData({ amount: -50000 })));
+    });
+
+    it("refuses fractional minor units and amounts outside the limits", async () => {
+      await assertFails(donate(asBob(), "t1", donationData({ amount: 50000.5 })));
+      await assertFails(donate(asBob(), "t2", donationData({ amount: 999 })));
+      await assertFails(donate(asBob(), "t3", donationData({ amount: 50000001 })));
+    });
+
+    it("refuses a currency other than the campaign's", async () => {
+      await assertFails(donate(asBob(), "t1", donationData({ currency: "USD", amount: 5000 })));
+    });
+
+    it("refuses donations that claim to be confirmed", async () => {
+      await assertFails(donate(asBob(), "t1", donationData({ status: "confirmed" })));
+    });
+
+    it("refuses campaigns that are not approved", async () => {
+      await seed(env, { "campaigns/water": campaignData({ moderation: "pending" }) });
+      await assertFails(donate(asBob(), "t1", donationData()));
+    });
+  });
+
+  describe("anonymous donations", () => {
+    const anonymous = () => donationData({ anonymous: true, donorName: "Anonymous" });
+
+    it("keep the donor's user ID out of the ledger", async () => {
+      await assertSucceeds(donate(asBob(), "t1", anonymous()));
+    });
+
+    it("refuse a user ID in the ledger", async () => {
+      await assertFails(donate(asBob(), "t1", { ...anonymous(), userId: "bob" }));
+      await assertFails(donate(asBob(), "t2", { ...anonymous(), user: "bob" }));
+    });
+  });
+
+  describe("named donations", () => {
+    it("carry the donor's profile name", async () => {
+      await assertFails(donate(asBob(), "t1", donationData({ donorName: "Alice" })));
+    });
+
+    it("carry the donor's short user ID", async () => {
+      await assertFails(donate(asBob(), "t1", donationData({ user: "carol" })));
+      const { user, ...withoutShortId } = donationData();
+      await assertFails(donate(asBob(), "t2", withoutShortId));
+    });
+
+    it("are shown as \"Anonymous\" when the donor has no profile", async () => {
+      await env.withSecurityRulesDisabled((context) => context.firestore().doc("users/bob").delete());
+      await assertFails(donate(asBob(), "t1", donationData()));
+      await assertSucceeds(donate(asBob(), "t2", donationData({ donorName: "Anonymous" })));
+    });
+  });
+
+  describe("donor records", () => {
+    beforeEach(async () => {
+      await donate(asBob(), "t1", donationData({ anonymous: true, donorName: "Anonymous" }));
+    });
+
+    it("are readable by the donor only", async () => {
+      await assertSucceeds(asBob().doc("donorRecords/t1").get());
+      await assertFails(env.authenticatedContext("alice").firestore().doc("donorRecords/t1").get());
+      await assertFails(env.unauthenticatedContext().firestore().doc("donorRecords/t1").get());
+    });
+
+    it("can't be changed or deleted", async () => {
+      await assertFails(asBob().doc("donorRecords/t1").update({ userId: "carol" }));
+      await assertFails(asBob().doc("donorRecords/t1").delete());
+    });
+
+    it("can't be added for a transaction that already exists", async () => {
+      const donation = donationData({ anonymous: true, donorName: "Anonymous" });
+      await seed(env, { "transactions/t2": donation });
+      const asCarol = env.authenticatedContext("carol").firestore();
+      await assertFails(asCarol.doc("donorRecords/t2").set(donorRecordData(donation, "carol")));
+    });
+  });
+
+  describe("the ledger is append-only", () => {
+    beforeEach(async () => {
+      await seed(env, { "transactions/t1": donationData({ status: "confirmed" }) });
+    });
+
+    it("refuses updates, even by the donor", async () => {
+      await assertFails(asBob().doc("transactions/t1").update({ amount: 100 }));
+      await assertFails(asBob().doc("transactions/t1").update({ status: "failed" }));
+    });
+
+    it("refuses deletes, even by the donor", async () => {
+      await assertFails(asBob().doc("transactions/t1").delete());
+    });
+
+    it("refuses updates and deletes by the campaign creator", async () => {
+      const asAlice = env.authenticatedContext("alice").firestore();
+      await assertFails(asAlice.doc("transactions/t1").update({ amount: 100 }));
+      await assertFails(asAlice.doc("transactions/t1").delete());
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * User Profile Rules
+ *
+ * @file test/emulator/rules/users.test.js
+ */
+
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { rulesEnvironment, seed } from "../../helpers/rules.js";
+
+describe("firestore.rules: users", () => {
+  let env;
+
+  before(async () => {
+    env = await rulesEnvironment();
+  });
+
+  after(async () => {
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+  });
+
+  const as = (uid) => env.authenticatedContext(uid).firestore();
+  const profile = (fields = {}) => ({ displayName: "Bob", bio: "", avatarUrl: "", createdAt: Date.now(), ...fields });
+
+  describe("creating a profile", () => {
+    it("is allowed for the user's own profile only", async () => {
+      await assertSucceeds(as("bob").doc("users/bob").set(profile()));
+      await assertFails(as("carol").doc("users/carol2").set(profile()));
+      await assertFails(env.unauthenticatedContext().firestore().doc("users/bob").set(profile()));
+    });
+
+    it("refuses names, bios and avatars outside the limits", async () => {
+      await assertFails(as("bob").doc("users/bob").set(profile({ displayName: "" })));
+      await assertFails(as("bob").doc("users/bob").set(profile({ displayName: "b".repeat(51) })));
+      await assertFails(as("bob").doc("users/bob").set(profile({ bio: "b".repeat(501) })));
+      await assertFails(as("bob").doc("users/bob").set(profile({ avatarUrl: "http://example.com/bob.png" })));
+      await assertSucceeds(as("bob").doc("users/bob").set(profile({
+        displayName: "b".repeat(50), bio: "b".repeat(500), avatarUrl: "https://example.com/bob.png"
+      })));
+    });
+
+    it("needs the time it was created", async () => {
+      const { createdAt, ...withoutTime } = profile();
+      await assertFails(as("bob").doc("users/bob").set(withoutTime));
+    });
+  });
+
+  describe("an existing profile", () => {
+    beforeEach(async () => {
+      await seed(env, { "users/bob": profile({ createdAt: 1 }) });
+    });
+
+    it("is public", async () => {
+      await assertSucceeds(env.unauthenticatedContext().firestore().doc("users/bob").get());
+    });
+
+    it("is edited by its owner only, within the limits", async () => {
+      await assertSucceeds(as("bob").doc("users/bob").update({ displayName: "Robert", bio: "Hello" }));
+      await assertFails(as("carol").doc("users/bob").update({ displayName: "Carol" }));
+      await assertFails(as("bob").doc("users/bob").update({ displayName: "" }));
+    });
+
+    it("keeps its creation time and can't be deleted", async () => {
+      await assertFails(as("bob").doc("users/bob").update({ createdAt: 2 }));
+      await assertFails(as("bob").doc("users/bob").delete());
+    });
+  });
+});
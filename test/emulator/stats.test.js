@@ -0,0 +1,128 @@
+/**
+ * Campaign Statistics
+ *
+ * js/stats.js is pure, but it imports the payments module and with it the
+ * Firebase SDK, so it loads through the site helpers. Times are built in
+ * local time, as the analytics page groups by the viewer's days.
+ *
+ * @file test/emulator/stats.test.js
+ */
+
+import assert from "node:assert/strict";
+import { loadModule } from "../helpers/site.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const at = (day, hour = 12) => new Date(2024, 2, day, hour).getTime();
+
+describe("stats.js", () => {
+  let stats;
+
+  before(async () => {
+    stats = await loadModule("stats.js");
+  });
+
+  const entry = (id, day, fields = {}) => ({ id, createdAt: at(day), amount: 50000, status: "confirmed", ...fields });
+
+  describe("confirmedEntries", () => {
+    it("keeps confirmed entries, oldest first", () => {
+      const entries = stats.confirmedEntries([entry("b", 2), entry("p", 1, { status: "pending" }), entry("a", 1)]);
+      assert.deepEqual(entries.map(t => t.id), ["a", "b"]);
+    });
+  });
+
+  describe("dailySeries and cumulativeSeries", () => {
+    it("totals each day, days without donations included, net of refunds", () => {
+      const entries = [
+        entry("t1", 1, { amount: 50000 }),
+        entry("t2", 1, { amount: 20000, createdAt: at(1, 23) }),
+        entry("r1", 3, { type: "refund", refundOf: "t2", amount: -20000 }),
+        entry("t3", 4, { amount: 10000 })
+      ];
+      const daily = stats.dailySeries(entries);
+      assert.deepEqual(daily, [
+        { day: "2024-03-01", amount: 70000 },
+        { day: "2024-03-02", amount: 0 },
+        { day: "2024-03-03", amount: -20000 },
+        { day: "2024-03-04", amount: 10000 }
+      ]);
+      assert.deepEqual(stats.cumulativeSeries(daily).map(p => p.amount), [70000, 70000, 50000, 60000]);
+    });
+
+    it("runs on to the given time, one point per calendar day", () => {
+      // Long enough to cross a daylight saving change wherever the tests run
+      const daily = stats.dailySeries([entry("t1", 1)], at(31 + 30, 0));
+      assert.equal(daily.length, 61);
+      assert.equal(new Set(daily.map(p => p.day)).size, 61);
+      assert.equal(daily.at(-1).day, "2024-04-30");
+    });
+
+    it("is empty without entries", () => {
+      assert.deepEqual(stats.dailySeries([]), []);
+    });
+  });
+
+  describe("uniqueDonors and giftSummary", () => {
+    const entries = [
+      entry("t1", 1, { userId: "bob", amount: 10000 }),
+      entry("t2", 2, { userId: "bob", amount: 30000 }),
+      entry("t3", 2, { anonymous: true, amount: 20000 }),
+      entry("t4", 3, { anonymous: true, amount: 40000 }),
+      entry("t5", 3, { userId: "carol", amount: 90000, refundStatus: "refunded" }),
+      entry("r5", 4, { type: "refund", refundOf: "t5", amount: -90000 })
+    ];
+
+    it("counts accounts once and each anonymous donation apart, refunded ones left out", () => {
+      assert.equal(stats.uniqueDonors(entries), 3);
+    });
+
+    it("averages the kept gifts and finds their median", () => {
+      assert.deepEqual(stats.giftSummary(entries), { count: 4, average: 25000, median: 25000 });
+      assert.deepEqual(stats.giftSummary(entries.slice(0, 3)), { count: 3, average: 20000, median: 20000 });
+      assert.deepEqual(stats.giftSummary([]), { count: 0, average: 0, median: 0 });
+    });
+  });
+
+  describe("projectCompletion", () => {
+    const campaign = { raised: 60000, target: 100000, endDate: at(30) };
+
+    it("projects from the last week's donations", () => {
+      // ₹700 over the last seven days: ₹100 a day, so ₹400 more takes four days
+      const entries = Array.from({ length: 7 }, (_, n) => entry(`t${n}`, 10 + n, { amount: 10000 }));
+      const now = at(17);
+      const projection = stats.projectCompletion(campaign, [entry("old", 1, { amount: 500000 }), ...entries], now);
+      assert.equal(projection.perDay, 10000);
+      assert.equal(projection.date, now + 4 * DAY);
+      assert.equal(projection.beforeEnd, true);
+    });
+
+    it("says whether the target will be reached before the end date", () => {
+      const projection = stats.projectCompletion({ ...campaign, endDate: at(18) }, [entry("t1", 16, { amount: 10000 })], at(17));
+      assert.equal(projection.beforeEnd, false);
+    });
+
+    it("can't project without recent donations, and knows a reached target", () => {
+      assert.deepEqual(stats.projectCompletion(campaign, [], at(17)), { reached: false, perDay: 0, date: null, beforeEnd: false });
+      assert.equal(stats.projectCompletion({ ...campaign, raised: 100000 }, [], at(17)).reached, true);
+    });
+  });
+
+  describe("amountDistribution", () => {
+    it("buckets kept donations by size in the campaign's currency", () => {
+      const buckets = stats.amountDistribution([
+        entry("t1", 1, { amount: 9999 }),
+        entry("t2", 1, { amount: 10000 }),
+        entry("t3", 1, { amount: 1000000 }),
+        entry("t4", 1, { amount: 1000000, refundStatus: "refunded" })
+      ], "INR");
+      assert.deepEqual(buckets.map(b => b.count), [1, 1, 0, 0, 0, 1]);
+      assert.equal(buckets[0].label, "Under ₹100");
+      assert.equal(buckets.at(-1).label, "₹10,000+");
+    });
+
+    it("uses whole units of currencies without minor units", () => {
+      const [under, next] = stats.amountBuckets("JPY");
+      assert.equal(under.max, 100);
+      assert.equal(next.label, "¥100–¥499");
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Profile Validation
+ *
+ * The same limits as the users rules (see rules/users.test.js). js/users.js
+ * imports the Firebase SDK, so it loads through the site helpers.
+ *
+ * @file test/emulator/users.test.js
+ */
+
+import assert from "node:assert/strict";
+import { loadModule } from "../helpers/site.js";
+
+describe("users.js: validateProfile", () => {
+  let validateProfile;
+  let updateUserProfile;
+
+  before(async () => {
+    ({ validateProfile, updateUserProfile } = await loadModule("users.js"));
+  });
+
+  it("accepts fields within the limits", () => {
+    assert.equal(validateProfile({ displayName: "Bob", bio: "b".repeat(500), avatarUrl: "https://example.com/bob.png" }), null);
+  });
+
+  it("checks only the fields given", () => {
+    assert.equal(validateProfile({ bio: "Hello" }), null);
+    assert.equal(validateProfile({}), null);
+  });
+
+  it("needs a display name of at most 50 characters", () => {
+    assert.equal(validateProfile({ displayName: "" }), "Please enter a display name");
+    assert.equal(validateProfile({ displayName: "b".repeat(50) }), null);
+    assert.equal(validateProfile({ displayName: "b".repeat(51) }), "Display name must be at most 50 characters");
+  });
+
+  it("limits the bio to 500 characters", () => {
+    assert.equal(validateProfile({ bio: "b".repeat(501) }), "Bio must be at most 500 characters");
+  });
+
+  it("allows only https avatar links, or none", () => {
+    assert.equal(validateProfile({ avatarUrl: "" }), null);
+    assert.equal(validateProfile({ avatarUrl: "http://example.com/bob.png" }), "Avatar must be an https:// image link");
+    assert.equal(validateProfile({ avatarUrl: "javascript:alert(1)" }), "Avatar must be an https:// image link");
+    assert.equal(validateProfile({ avatarUrl: `https://example.com/${"b".repeat(500)}` }),
+      "Avatar must be an https:// image link");
+  });
+
+  it("refuses invalid fields before writing", async () => {
+    await assert.rejects(updateUserProfile("bob", { displayName: "" }), /Please enter a display name/);
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * DOM Test Helpers
+ *
+ * A bare jsdom window for unit tests of page modules that only use the
+ * DOM (e.g. js/render.js), with the browser globals those modules read.
+ * Import it before the module under test.
+ *
+ * @file test/helpers/dom.js
+ */
+
+import { JSDOM } from "jsdom";
+
+const { window } = new JSDOM("<!DOCTYPE html><html><body></body></html>");
+
+globalThis.window = window;
+globalThis.document = window.document;
+globalThis.Node = window.Node;
+globalThis.DOMParser = window.DOMParser;
+
+/**
+ * Markup of Rendered Nodes
+ *
+ * @param {Node} node - Element or fragment
+ * @returns {string} Its HTML
+ */
+export function markup(node) {
+  const container = document.createElement("div");
+  container.appendChild(node);
+  return container.innerHTML;
+}
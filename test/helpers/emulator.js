@@ -0,0 +1,102 @@
+/**
+ * Emulator Test Helpers
+ *
+ * Connects the Firebase web SDK to the emulators started by `npm test`
+ * (ports from firebase.json), in the project the site and Cloud Functions
+ * use (.firebaserc), so tests go through the deployed rules and functions
+ * the same way the pages do.
+ *
+ * @file test/helpers/emulator.js
+ */
+
+import { readFileSync } from "node:fs";
+import { randomUUID } from "node:crypto";
+import { initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { initializeApp, deleteApp } from "firebase/app";
+import { getAuth, connectAuthEmulator, createUserWithEmailAndPassword } from "firebase/auth";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+import { getFunctions, connectFunctionsEmulator } from "firebase/functions";
+
+const readJson = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), "utf8"));
+
+// Project the emulated Cloud Functions run in
+export const SITE_PROJECT = readJson("../../.firebaserc").projects.default;
+
+// Emulator ports
+export const PORTS = Object.fromEntries(
+  Object.entries(readJson("../../firebase.json").emulators).map(([name, config]) => [name, config.port])
+);
+
+/**
+ * Start a Test Environment for the Site's Project
+ *
+ * Used to seed and inspect documents without the rules.
+ *
+ * @async
+ * @returns {Promise<Object>} RulesTestEnvironment
+ */
+export function siteEnvironment() {
+  return initializeTestEnvironment({
+    projectId: SITE_PROJECT,
+    firestore: { host: "127.0.0.1", port: PORTS.firestore }
+  });
+}
+
+/**
+ * Web SDK Client
+ *
+ * A separate app per call, so each test user has their own sign-in.
+ *
+ * @returns {{app: Object, auth: Object, db: Object, functions: Object, close: function(): Promise<void>}}
+ */
+export function webClient() {
+  const app = initializeApp({ projectId: SITE_PROJECT, apiKey: "demo-api-key" }, randomUUID());
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  const functions = getFunctions(app);
+
+  connectAuthEmulator(auth, `http://127.0.0.1:${PORTS.auth}`, { disableWarnings: true });
+  connectFirestoreEmulator(db, "127.0.0.1", PORTS.firestore);
+  connectFunctionsEmulator(functions, "127.0.0.1", PORTS.functions);
+
+  return { app, auth, db, functions, close: () => deleteApp(app) };
+}
+
+/**
+ * Sign Up a Test User
+ *
+ * @async
+ * @param {Object} client - From webClient()
+ * @returns {Promise<Object>} The signed-in Firebase user
+ */
+export async function signUp(client) {
+  const email = `donor-${randomUUID()}@example.com`;
+  const { user } = await createUserWithEmailAndPassword(client.auth, email, "correct-horse-42");
+  return user;
+}
+
+/**
+ * Auth Emulator REST Call
+ *
+ * @async
+ * @param {string} path - Path under /emulator/v1/projects/<project>/, e.g. "oobCodes"
+ * @param {string} [method="GET"] - HTTP method
+ * @returns {Promise<Object>} Response body
+ */
+export async function authEmulator(path, method = "GET") {
+  const response = await fetch(`http://127.0.0.1:${PORTS.auth}/emulator/v1/projects/${SITE_PROJECT}/${path}`, { method });
+  return response.json();
+}
+
+/**
+ * Emails Sent by the Auth Emulator
+ *
+ * @async
+ * @param {string} email - Recipient
+ * @param {"VERIFY_EMAIL"|"PASSWORD_RESET"} requestType - Kind of email
+ * @returns {Promise<Array<{oobCode: string, oobLink: string}>>} Matching emails, oldest first
+ */
+export async function sentEmails(email, requestType) {
+  const { oobCodes = [] } = await authEmulator("oobCodes");
+  return oobCodes.filter(code => code.email === email && code.requestType === requestType);
+}
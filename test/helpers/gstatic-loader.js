@@ -0,0 +1,24 @@
+/**
+ * Firebase CDN Loader Hooks
+ *
+ * The pages import the Firebase SDK from www.gstatic.com. These hooks
+ * resolve those imports to the same version installed from npm, so page
+ * modules (js/*.js) load in Node. Registered by site.js.
+ *
+ * @file test/helpers/gstatic-loader.js
+ */
+
+const CDN_MODULE = /^https:\/\/www\.gstatic\.com\/firebasejs\/9\.23\.0\/firebase-([a-z]+)\.js$/;
+
+/**
+ * Resolve Hook
+ *
+ * @param {string} specifier - Imported module
+ * @param {Object} context - Resolution context
+ * @param {Function} nextResolve - Default resolution
+ * @returns {Promise<Object>} Resolved module
+ */
+export async function resolve(specifier, context, nextResolve) {
+  const match = CDN_MODULE.exec(specifier);
+  return nextResolve(match ? `firebase/${match[1]}` : specifier, context);
+}
@@ -0,0 +1,46 @@
+/**
+ * Server Module Helpers
+ *
+ * Loads Cloud Functions modules (CommonJS, with their own node_modules in
+ * functions/) so tests can call them directly. firebase-admin finds the
+ * Firestore emulator through FIRESTORE_EMULATOR_HOST, set by `npm test`.
+ *
+ * @file test/helpers/server.js
+ */
+
+import { createRequire } from "node:module";
+import { SITE_PROJECT } from "./emulator.js";
+
+const require = createRequire(new URL("../../functions/index.js", import.meta.url));
+
+/**
+ * Load a Functions Module
+ *
+ * @param {string} name - Module path relative to functions/, e.g. "campaigns"
+ * @returns {Object} The module's exports
+ */
+export function serverModule(name) {
+  initializeAdmin();
+  return require(`./${name}`);
+}
+
+/**
+ * Server Firestore
+ *
+ * The firebase-admin database the functions modules use, for passing them
+ * document references.
+ *
+ * @returns {Object} Admin Firestore instance
+ */
+export function serverDb() {
+  initializeAdmin();
+  return require("firebase-admin/firestore").getFirestore();
+}
+
+// The default firebase-admin app, in the site's project (as index.js does)
+function initializeAdmin() {
+  const { initializeApp, getApps } = require("firebase-admin/app");
+  if (!getApps().length) {
+    initializeApp({ projectId: SITE_PROJECT });
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Site Test Helpers
+ *
+ * Runs the site's page modules in Node: a jsdom window served from
+ * localhost (so js/firebase.js connects to the emulators) and the
+ * Firebase CDN imports mapped to npm (see gstatic-loader.js).
+ *
+ * Modules are loaded once per test run, like in a single browser tab, so
+ * openPage() swaps the page's markup instead of creating a new window.
+ *
+ * @file test/helpers/site.js
+ */
+
+import { register } from "node:module";
+import { readFileSync } from "node:fs";
+import { JSDOM, VirtualConsole } from "jsdom";
+
+register("./gstatic-loader.js", import.meta.url);
+
+// Messages the page showed with alert(), oldest first
+export const alerts = [];
+
+const dom = new JSDOM("<!DOCTYPE html><html><body></body></html>", {
+  url: "http://localhost:5000/index.html",
+  virtualConsole: new VirtualConsole()    // jsdom's "navigation not implemented" notices
+});
+
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+globalThis.alert = dom.window.alert = (message) => alerts.push(String(message));
+
+/**
+ * Open a Page
+ *
+ * Replaces the document's markup with one of the site's pages. Its scripts
+ * are not run; import the modules a test needs with loadModule().
+ *
+ * @param {string} page - File name, e.g. "register.html"
+ * @returns {Document} The document
+ */
+export function openPage(page) {
+  const html = readFileSync(new URL(`../../${page}`, import.meta.url), "utf8");
+  document.documentElement.innerHTML = new JSDOM(html).window.document.documentElement.innerHTML;
+  alerts.length = 0;
+  return document;
+}
+
+/**
+ * Fill In Form Fields
+ *
+ * @param {Object<string, string>} values - Values by element ID
+ * @returns {void}
+ */
+export function fill(values) {
+  Object.entries(values).forEach(([id, value]) => {
+    document.getElementById(id).value = value;
+  });
+}
+
+/**
+ * Load a Site Module
+ *
+ * @async
+ * @param {string} path - Path under js/, e.g. "auth.js"
+ * @returns {Promise<Object>} The module's exports
+ */
+export function loadModule(path) {
+  return import(new URL(`../../js/${path}`, import.meta.url));
+}
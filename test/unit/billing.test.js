@@ -0,0 +1,132 @@
+/**
+ * Monthly Billing Rules
+ *
+ * @file test/unit/billing.test.js
+ */
+
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const { SUBSCRIPTION_STATUS, MAX_FAILED_CHARGES, chargeDate, nextChargeDate, subscriptionAfterPayment } =
+  createRequire(import.meta.url)("../../functions/billing.js");
+
+const NOW = Date.UTC(2024, 0, 15, 10, 0, 0);
+
+describe("billing.js: subscriptionAfterPayment", () => {
+  const pending = { status: SUBSCRIPTION_STATUS.PENDING, amount: 50000 };
+
+  it("activates a subscription when its first payment is confirmed", () => {
+    const update = subscriptionAfterPayment(pending, "confirmed", { tokenId: "token_1" }, NOW);
+    assert.equal(update.status, SUBSCRIPTION_STATUS.ACTIVE);
+    assert.equal(update.startedAt, NOW);
+    assert.equal(update.nextChargeAt, Date.UTC(2024, 1, 15, 10, 0, 0));
+    assert.equal(update.cycle, 1);
+    assert.equal(update["mandate.tokenId"], "token_1");
+  });
+
+  it("cancels a subscription when its first payment fails", () => {
+    const update = subscriptionAfterPayment(pending, "failed", {}, NOW);
+    assert.equal(update.status, SUBSCRIPTION_STATUS.CANCELLED);
+    assert.equal(update.endedReason, "The first payment failed");
+  });
+
+  it("activates it after all when a later attempt on the first order is captured", () => {
+    const cancelled = { ...pending, ...subscriptionAfterPayment(pending, "failed", {}, NOW) };
+
+    const update = subscriptionAfterPayment(cancelled, "confirmed", { tokenId: "token_1" }, NOW + 60000);
+    assert.equal(update.status, SUBSCRIPTION_STATUS.ACTIVE);
+    assert.equal(update.startedAt, NOW + 60000);
+    assert.equal(update.endedAt, null);
+    assert.equal(update.endedReason, null);
+  });
+
+  it("doesn't bring back subscriptions cancelled for other reasons", () => {
+    const byDonor = { ...pending, status: SUBSCRIPTION_STATUS.CANCELLED };
+    assert.equal(subscriptionAfterPayment(byDonor, "confirmed", {}, NOW).status, undefined);
+
+    const started = { status: SUBSCRIPTION_STATUS.CANCELLED, startedAt: NOW - 1, endedReason: "The first payment failed" };
+    assert.equal(subscriptionAfterPayment(started, "confirmed", {}, NOW).status, undefined);
+  });
+
+  it("counts failed monthly charges and cancels after too many in a row", () => {
+    let subscription = { status: SUBSCRIPTION_STATUS.ACTIVE, startedAt: NOW, failedCharges: 0 };
+    for (let n = 1; n < MAX_FAILED_CHARGES; n++) {
+      subscription = { ...subscription, ...subscriptionAfterPayment(subscription, "failed", {}, NOW) };
+      assert.equal(subscription.status, SUBSCRIPTION_STATUS.ACTIVE);
+      assert.equal(subscription.failedCharges, n);
+    }
+
+    const update = subscriptionAfterPayment(subscription, "failed", {}, NOW);
+    assert.equal(update.status, SUBSCRIPTION_STATUS.CANCELLED);
+    assert.equal(update.failedCharges, MAX_FAILED_CHARGES);
+  });
+
+  it("resets the failure count when a monthly charge is confirmed", () => {
+    const subscription = { status: SUBSCRIPTION_STATUS.ACTIVE, startedAt: NOW, failedCharges: 2 };
+    assert.deepEqual(subscriptionAfterPayment(subscription, "confirmed", {}, NOW),
+      { failedCharges: 0, lastChargedAt: NOW });
+  });
+});
+
+describe("billing.js: chargeDate", () => {
+  const jan31 = Date.UTC(2024, 0, 31, 10, 0, 0);
+
+  it("bills on the last day of shorter months", () => {
+    assert.equal(chargeDate(jan31, 1), Date.UTC(2024, 1, 29, 10, 0, 0));
+    assert.equal(chargeDate(jan31, 2), Date.UTC(2024, 2, 31, 10, 0, 0));
+    assert.equal(chargeDate(jan31, 3), Date.UTC(2024, 3, 30, 10, 0, 0));
+  });
+
+  it("uses 28 February outside leap years", () => {
+    assert.equal(chargeDate(Date.UTC(2023, 0, 31, 10, 0, 0), 1), Date.UTC(2023, 1, 28, 10, 0, 0));
+    assert.equal(chargeDate(jan31, 13), Date.UTC(2025, 1, 28, 10, 0, 0));
+  });
+
+  it("goes back to the starting day after a short month", () => {
+    // Each date is counted from the first payment, not from the month before
+    const jan30 = Date.UTC(2024, 0, 30, 10, 0, 0);
+    assert.equal(chargeDate(jan30, 1), Date.UTC(2024, 1, 29, 10, 0, 0));
+    assert.equal(chargeDate(jan30, 2), Date.UTC(2024, 2, 30, 10, 0, 0));
+  });
+
+  it("bills a subscription started on 29 February on the 28th in other years", () => {
+    const leapDay = Date.UTC(2024, 1, 29, 10, 0, 0);
+    assert.equal(chargeDate(leapDay, 12), Date.UTC(2025, 1, 28, 10, 0, 0));
+    assert.equal(chargeDate(leapDay, 13), Date.UTC(2025, 2, 29, 10, 0, 0));
+    assert.equal(chargeDate(leapDay, 48), Date.UTC(2028, 1, 29, 10, 0, 0));
+  });
+
+  it("crosses the year end", () => {
+    assert.equal(chargeDate(Date.UTC(2024, 11, 31, 10, 0, 0), 2), Date.UTC(2025, 1, 28, 10, 0, 0));
+  });
+});
+
+describe("billing.js: nextChargeDate", () => {
+  const jan31 = Date.UTC(2024, 0, 31, 10, 0, 0);
+
+  it("bills a month after the first payment", () => {
+    assert.equal(nextChargeDate(jan31, jan31), Date.UTC(2024, 1, 29, 10, 0, 0));
+  });
+
+  it("moves to the following month once a billing date has passed", () => {
+    const feb29 = Date.UTC(2024, 1, 29, 10, 0, 0);
+    assert.equal(nextChargeDate(jan31, feb29), Date.UTC(2024, 2, 31, 10, 0, 0));
+    assert.equal(nextChargeDate(jan31, feb29 - 1), feb29);
+  });
+
+  it("skips the months missed while paused", () => {
+    // Resumed in mid-June: the next charge is 30 June, not the months before
+    const resumed = Date.UTC(2024, 5, 15, 0, 0, 0);
+    assert.equal(nextChargeDate(jan31, resumed), Date.UTC(2024, 5, 30, 10, 0, 0));
+  });
+
+  it("skips to the next month when resumed late on the billing day", () => {
+    const resumed = Date.UTC(2024, 5, 30, 12, 0, 0);
+    assert.equal(nextChargeDate(jan31, resumed), Date.UTC(2024, 6, 31, 10, 0, 0));
+  });
+
+  it("finds 28 February the year after a leap-day start", () => {
+    const leapDay = Date.UTC(2024, 1, 29, 10, 0, 0);
+    assert.equal(nextChargeDate(leapDay, Date.UTC(2025, 1, 1)), Date.UTC(2025, 1, 28, 10, 0, 0));
+  });
+});
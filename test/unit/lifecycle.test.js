@@ -0,0 +1,119 @@
+/**
+ * Campaign Lifecycle
+ *
+ * @file test/unit/lifecycle.test.js
+ */
+
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import {
+  STATUS, STATUS_LABELS, MODERATION, MODERATION_LABELS, effectiveStatus, isAcceptingDonations, timeLeft,
+  parseEndDate, moderationState, isApproved
+} from "../../js/lifecycle.js";
+
+// The server copy (functions/lifecycle.js)
+const server = createRequire(import.meta.url)("../../functions/lifecycle.js");
+
+const NOW = Date.UTC(2024, 0, 15, 10, 0, 0);
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// An approved ₹1,000 campaign with ₹400 raised, ending in ten days
+const campaign = (fields = {}) => ({
+  target: 100000, raised: 40000, endDate: NOW + 10 * DAY, status: "active", moderation: "approved", ...fields
+});
+
+describe("lifecycle.js: effectiveStatus", () => {
+  it("treats campaigns without a stored status as active", () => {
+    assert.equal(effectiveStatus(campaign({ status: undefined }), NOW), STATUS.ACTIVE);
+  });
+
+  it("derives funded and expired for active campaigns", () => {
+    assert.equal(effectiveStatus(campaign({ raised: 100000 }), NOW), STATUS.FUNDED);
+    assert.equal(effectiveStatus(campaign(), NOW + 10 * DAY), STATUS.EXPIRED);
+    assert.equal(effectiveStatus(campaign(), NOW + 10 * DAY - 1), STATUS.ACTIVE);
+  });
+
+  it("keeps the owner's decisions whatever the totals and the date", () => {
+    ["draft", "paused", "cancelled"].forEach(status => {
+      assert.equal(effectiveStatus(campaign({ status, raised: 100000 }), NOW + 20 * DAY), status);
+    });
+  });
+});
+
+describe("lifecycle.js: isAcceptingDonations", () => {
+  it("accepts donations only while approved and active", () => {
+    assert.equal(isAcceptingDonations(campaign(), NOW), true);
+    assert.equal(isAcceptingDonations(campaign({ status: "paused" }), NOW), false);
+    assert.equal(isAcceptingDonations(campaign({ status: "cancelled" }), NOW), false);
+    assert.equal(isAcceptingDonations(campaign({ moderation: "pending" }), NOW), false);
+    assert.equal(isAcceptingDonations(campaign(), NOW + 10 * DAY), false);
+  });
+});
+
+describe("lifecycle.js: timeLeft", () => {
+  it("counts days, then hours, then minutes", () => {
+    assert.equal(timeLeft(campaign(), NOW), "10 days left");
+    assert.equal(timeLeft(campaign({ endDate: NOW + DAY }), NOW), "1 day left");
+    assert.equal(timeLeft(campaign({ endDate: NOW + 5 * HOUR }), NOW), "5 hours left");
+    assert.equal(timeLeft(campaign({ endDate: NOW + 30 * 1000 }), NOW), "1 minute left");
+  });
+
+  it("says when the campaign has ended or has no end date", () => {
+    assert.equal(timeLeft(campaign({ endDate: NOW }), NOW), "Ended");
+    assert.equal(timeLeft(campaign({ endDate: undefined }), NOW), "No end date");
+  });
+});
+
+describe("lifecycle.js: parseEndDate", () => {
+  it("ends the campaign at the end of the chosen day", () => {
+    const end = new Date(parseEndDate("2024-03-31"));
+    assert.deepEqual([end.getFullYear(), end.getMonth(), end.getDate(), end.getHours(), end.getMinutes()],
+      [2024, 2, 31, 23, 59]);
+  });
+
+  it("rejects empty and invalid values", () => {
+    assert.ok(Number.isNaN(parseEndDate("")));
+    assert.ok(Number.isNaN(parseEndDate("not a date")));
+  });
+});
+
+describe("lifecycle.js: moderation", () => {
+  it("treats campaigns from before moderation as approved", () => {
+    assert.equal(moderationState(campaign({ moderation: undefined })), MODERATION.APPROVED);
+    assert.equal(isApproved(campaign({ moderation: undefined })), true);
+  });
+
+  it("shows only approved campaigns", () => {
+    Object.values(MODERATION).forEach(moderation => {
+      assert.equal(isApproved(campaign({ moderation })), moderation === MODERATION.APPROVED);
+    });
+  });
+});
+
+describe("lifecycle.js: labels", () => {
+  it("labels every status and moderation state", () => {
+    Object.values(STATUS).forEach(status => assert.ok(STATUS_LABELS[status]));
+    Object.values(MODERATION).forEach(state => assert.ok(MODERATION_LABELS[state]));
+  });
+});
+
+describe("lifecycle.js: the server copy", () => {
+  it("has the same statuses and moderation states", () => {
+    assert.deepEqual(server.STATUS, STATUS);
+    assert.deepEqual(server.MODERATION, MODERATION);
+  });
+
+  it("agrees on which campaigns accept donations", () => {
+    const statuses = [undefined, ...Object.values(STATUS)];
+    const states = [undefined, ...Object.values(MODERATION)];
+    statuses.forEach(status => states.forEach(moderation => {
+      [campaign({ status, moderation }), campaign({ status, moderation, raised: 100000 })].forEach(c => {
+        [NOW, NOW + 10 * DAY].forEach(now => {
+          assert.equal(server.effectiveStatus(c, now), effectiveStatus(c, now));
+          assert.equal(server.isAcceptingDonations(c, now), isAcceptingDonations(c, now));
+        });
+      });
+    }));
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Money
+ *
+ * Amounts are integer minor units; documents written before currencies
+ * existed hold rupees.
+ *
+ * @file test/unit/money.test.js
+ */
+
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import {
+  DONATION_LIMITS, parseAmount, amountOf, storedAmount, formatMoney, donationAmountError, toInputValue
+} from "../../js/money.js";
+
+// The server copy (functions/money.js)
+const server = createRequire(import.meta.url)("../../functions/money.js");
+
+describe("money.js: parseAmount", () => {
+  it("reads plain amounts", () => {
+    assert.equal(parseAmount("100000", "INR"), 10000000);
+    assert.equal(parseAmount("100000.50", "INR"), 10000050);
+    assert.equal(parseAmount("12.5", "INR"), 1250);
+    assert.equal(parseAmount("0.1", "INR"), 10);
+  });
+
+  it("reads Indian and international grouping", () => {
+    assert.equal(parseAmount("1,00,000", "INR"), 10000000);
+    assert.equal(parseAmount("1,00,00,000", "INR"), 1000000000);
+    assert.equal(parseAmount("12,34,567.89", "INR"), 123456789);
+    assert.equal(parseAmount("100,000.50", "INR"), 10000050);
+    assert.equal(parseAmount("1,000.5", "INR"), 100050);
+    assert.equal(parseAmount("1,234,567", "USD"), 123456700);
+  });
+
+  it("ignores spaces", () => {
+    assert.equal(parseAmount(" 1 000 ", "INR"), 100000);
+  });
+
+  it("refuses badly grouped numbers", () => {
+    ["1,0000", "10,00", "1,,000", ",100", "100,"].forEach(text =>
+      assert.ok(Number.isNaN(parseAmount(text, "INR")), text));
+  });
+
+  it("refuses more decimals than the currency has", () => {
+    assert.ok(Number.isNaN(parseAmount("1.234", "INR")));
+    assert.ok(Number.isNaN(parseAmount("10.5", "JPY")));
+  });
+
+  it("reads yen without minor units", () => {
+    assert.equal(parseAmount("1,000", "JPY"), 1000);
+    assert.equal(parseAmount("100", "JPY"), 100);
+  });
+
+  it("refuses text that isn't an amount", () => {
+    ["", "abc", "-5", "1e3", "1.", ".5", "Infinity"].forEach(text =>
+      assert.ok(Number.isNaN(parseAmount(text, "INR")), JSON.stringify(text)));
+    assert.ok(Number.isNaN(parseAmount(undefined, "INR")));
+  });
+
+  it("reads back what toInputValue writes", () => {
+    assert.equal(parseAmount(toInputValue(150050, "INR"), "INR"), 150050);
+    assert.equal(parseAmount(toInputValue(1500, "JPY"), "JPY"), 1500);
+  });
+});
+
+describe("money.js: amountOf and storedAmount", () => {
+  it("reads minor units from documents with a currency", () => {
+    assert.equal(amountOf({ amount: 50000, currency: "INR" }, "amount"), 50000);
+    assert.equal(amountOf({ amount: 1000, currency: "JPY" }, "amount"), 1000);
+  });
+
+  it("converts rupees in documents without a currency", () => {
+    assert.equal(amountOf({ amount: 500 }, "amount"), 50000);
+    assert.equal(amountOf({ target: 10.5 }, "target"), 1050);
+    assert.equal(amountOf({ raised: 0.1 }, "raised"), 10);
+  });
+
+  it("reads missing fields as zero", () => {
+    assert.equal(amountOf({}, "raised"), 0);
+    assert.equal(amountOf({ currency: "USD" }, "raised"), 0);
+  });
+
+  it("stores rupees in documents without a currency", () => {
+    assert.equal(storedAmount({}, 1050), 10.5);
+    assert.equal(storedAmount({ currency: "USD" }, 1050), 1050);
+    assert.equal(amountOf({ target: storedAmount({}, 1234567) }, "target"), 1234567);
+  });
+
+  it("match the server copy", () => {
+    [{ amount: 500 }, { amount: 10.5 }, { amount: 50000, currency: "INR" }, {}].forEach(data =>
+      assert.equal(server.amountOf(data, "amount"), amountOf(data, "amount"), JSON.stringify(data)));
+  });
+});
+
+describe("money.js: formatMoney", () => {
+  it("formats in the currency and locale", () => {
+    assert.equal(formatMoney(10000000, "INR", "en-IN"), "₹1,00,000.00");
+    assert.equal(formatMoney(10000000, "INR", "en-US"), "₹100,000.00");
+    assert.equal(formatMoney(150050, "USD", "en-US"), "$1,500.50");
+    assert.equal(formatMoney(150050, "EUR", "de-DE"), "1.500,50\u00a0€");
+  });
+
+  it("formats yen without minor units", () => {
+    assert.equal(formatMoney(1000, "JPY", "en-US"), "¥1,000");
+  });
+
+  it("formats refunds as negative amounts", () => {
+    assert.equal(formatMoney(-50000, "INR", "en-IN"), "-₹500.00");
+  });
+});
+
+describe("money.js: donationAmountError", () => {
+  it("accepts amounts within the limits", () => {
+    Object.entries(DONATION_LIMITS).forEach(([currency, { min, max }]) => {
+      assert.equal(donationAmountError(min, currency), null, currency);
+      assert.equal(donationAmountError(max, currency), null, currency);
+    });
+  });
+
+  it("refuses amounts outside the limits", () => {
+    assert.match(donationAmountError(999, "INR"), /^The smallest donation is /);
+    assert.match(donationAmountError(50000001, "INR"), /^The largest donation is /);
+    assert.match(donationAmountError(99, "JPY"), /^The smallest donation is /);
+  });
+
+  it("refuses currencies it doesn't know", () => {
+    assert.equal(donationAmountError(1000, "XYZ"), "Unsupported currency: XYZ");
+  });
+
+  // The server formats the limits for India; the page in the viewer's locale
+  it("matches the server copy", () => {
+    assert.deepEqual(server.DONATION_LIMITS, DONATION_LIMITS);
+    [[999, "INR"], [1000, "INR"], [50000001, "INR"], [100, "JPY"], [1000, "XYZ"]].forEach(([minor, currency]) =>
+      assert.equal(server.donationAmountError(minor, currency) === null, donationAmountError(minor, currency) === null,
+        `${minor} ${currency}`));
+  });
+});
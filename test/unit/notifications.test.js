@@ -0,0 +1,35 @@
+/**
+ * Notification Milestones
+ *
+ * Delivering notifications needs Firestore; see
+ * test/emulator/functions/notifications.test.js.
+ *
+ * @file test/unit/notifications.test.js
+ */
+
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const { MILESTONES, milestonesPassed } = createRequire(import.meta.url)("../../functions/notifications.js");
+
+describe("notifications.js: milestonesPassed", () => {
+  it("finds the milestones a change crossed", () => {
+    assert.deepEqual(milestonesPassed(0.2, 0.3), [25]);
+    assert.deepEqual(milestonesPassed(0, 0.8), [25, 50, 75]);
+    assert.deepEqual(milestonesPassed(0.9, 1.4), [100]);
+  });
+
+  it("counts landing exactly on a milestone as passing it, and leaving it as not", () => {
+    assert.deepEqual(milestonesPassed(0.2, 0.25), [25]);
+    assert.deepEqual(milestonesPassed(0.25, 0.3), []);
+  });
+
+  it("finds none when progress stays between milestones or goes down", () => {
+    assert.deepEqual(milestonesPassed(0.3, 0.4), []);
+    assert.deepEqual(milestonesPassed(0.8, 0.4), []);
+  });
+
+  it("covers every milestone when a campaign is funded in one go", () => {
+    assert.deepEqual(milestonesPassed(0, 1), MILESTONES);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Payout Ledger
+ *
+ * @file test/unit/payouts.test.js
+ */
+
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const { PLATFORM_FEE_RATE, REFUND_HOLD_DAYS, payoutFee, payoutLedger } =
+  createRequire(import.meta.url)("../../functions/payouts.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1, 12, 0, 0);
+
+// A flexible campaign that ended short of its target
+function campaign(fields = {}) {
+  return { currency: "INR", target: 10000000, raised: 0, endDate: NOW - DAY, fundingMode: "keep", ...fields };
+}
+
+// A confirmed donation settled `age` ago
+function donation(amount, age, fields = {}) {
+  return { amount, currency: "INR", status: "confirmed", time: NOW - age, settledAt: NOW - age, ...fields };
+}
+
+function refund(amount) {
+  return { amount: -amount, currency: "INR", status: "confirmed", type: "refund", time: NOW };
+}
+
+describe("payouts.js: payoutFee", () => {
+  it("keeps 5% of every payout, rounded to the minor unit", () => {
+    assert.equal(PLATFORM_FEE_RATE, 0.05);
+    assert.equal(payoutFee(100000), 5000);
+    assert.equal(payoutFee(12345), 617);
+  });
+});
+
+describe("payouts.js: payoutLedger", () => {
+  const old = 30 * DAY;
+
+  it("makes donations older than the hold available", () => {
+    const ledger = payoutLedger(campaign({ raised: 150000 }), [donation(100000, old), donation(50000, old)], [], NOW);
+    assert.equal(ledger.gross, 150000);
+    assert.equal(ledger.raised, 150000);
+    assert.equal(ledger.reconciled, true);
+    assert.equal(ledger.reserved, 0);
+    assert.equal(ledger.available, 150000);
+    assert.equal(ledger.holdDays, 14);
+  });
+
+  it("reserves donations for 14 days after they are confirmed", () => {
+    const justInside = (REFUND_HOLD_DAYS * DAY) - 1000;
+    const justOutside = (REFUND_HOLD_DAYS * DAY) + 1000;
+    const ledger = payoutLedger(campaign(), [donation(100000, justInside), donation(50000, justOutside)], [], NOW);
+    assert.equal(ledger.reserved, 100000);
+    assert.equal(ledger.available, 50000);
+  });
+
+  it("reserves donations with a refund in progress, whatever their age", () => {
+    const ledger = payoutLedger(campaign(), [donation(100000, old, { refundStatus: "processing" })], [], NOW);
+    assert.equal(ledger.reserved, 100000);
+    assert.equal(ledger.available, 0);
+  });
+
+  it("ignores pending and failed donations", () => {
+    const ledger = payoutLedger(campaign(),
+      [donation(100000, old, { status: "pending" }), donation(50000, old, { status: "failed" })], [], NOW);
+    assert.equal(ledger.gross, 0);
+    assert.equal(ledger.available, 0);
+  });
+
+  it("holds everything an all-or-nothing campaign raised until it ends at its target", () => {
+    const entries = [donation(100000, old)];
+    const running = payoutLedger(campaign({ fundingMode: "all_or_nothing", target: 100000, endDate: NOW + DAY }), entries, [], NOW);
+    assert.equal(running.reserved, 100000);
+    assert.equal(running.available, 0);
+
+    const missed = payoutLedger(campaign({ fundingMode: "all_or_nothing", target: 200000 }), entries, [], NOW);
+    assert.equal(missed.reserved, 100000);
+
+    const succeeded = payoutLedger(campaign({ fundingMode: "all_or_nothing", target: 100000 }), entries, [], NOW);
+    assert.equal(succeeded.reserved, 0);
+    assert.equal(succeeded.available, 100000);
+  });
+
+  it("takes open and approved requests off the balance, with the fees", () => {
+    const payouts = [
+      { status: "approved", amount: 40000, fee: 2000 },
+      { status: "requested", amount: 30000, fee: 1500 },
+      { status: "rejected", amount: 100000, fee: 5000 }
+    ];
+    const ledger = payoutLedger(campaign(), [donation(100000, old)], payouts, NOW);
+    assert.equal(ledger.pending, 30000);
+    assert.equal(ledger.fees, 2000);
+    assert.equal(ledger.paidOut, 38000);
+    assert.equal(ledger.available, 30000);
+    assert.equal(ledger.shortfall, 0);
+  });
+
+  it("nets refunds off what was raised", () => {
+    const ledger = payoutLedger(campaign({ raised: 50000 }),
+      [donation(100000, old, { refundStatus: "refunded" }), refund(100000), donation(50000, old)], [], NOW);
+    assert.equal(ledger.gross, 150000);
+    assert.equal(ledger.refunded, 100000);
+    assert.equal(ledger.raised, 50000);
+    assert.equal(ledger.available, 50000);
+  });
+
+  it("reports a shortfall when refunds follow a payout", () => {
+    const payouts = [{ status: "approved", amount: 100000, fee: 5000 }];
+    const ledger = payoutLedger(campaign(), [donation(100000, old), donation(50000, old), refund(50000)], payouts, NOW);
+    assert.equal(ledger.raised, 100000);
+    assert.equal(ledger.available, 0);
+    assert.equal(ledger.shortfall, 0);
+
+    const after = payoutLedger(campaign(),
+      [donation(100000, old), donation(50000, old), refund(50000), refund(50000)], payouts, NOW);
+    assert.equal(after.available, 0);
+    assert.equal(after.shortfall, 50000);
+  });
+
+  it("notices when the stored total has drifted from the ledger", () => {
+    const ledger = payoutLedger(campaign({ raised: 90000 }), [donation(100000, old)], [], NOW);
+    assert.equal(ledger.storedRaised, 90000);
+    assert.equal(ledger.reconciled, false);
+  });
+});
+
+describe("payouts.js: refundable", () => {
+  const old = 30 * DAY;
+
+  it("is everything raised until money is requested or paid out", () => {
+    const ledger = payoutLedger(campaign(), [donation(100000, old), donation(50000, DAY)], [], NOW);
+    assert.equal(ledger.reserved, 50000);
+    assert.equal(ledger.refundable, 150000);
+  });
+
+  it("leaves out money requested or paid out, so it can't be given back twice", () => {
+    const payouts = [{ status: "approved", amount: 60000, fee: 3000 }, { status: "requested", amount: 40000, fee: 2000 }];
+    const ledger = payoutLedger(campaign(), [donation(100000, old), donation(50000, DAY)], payouts, NOW);
+    assert.equal(ledger.refundable, 50000);
+  });
+
+  it("is only what is still held when reserved donations were paid out after refunds", () => {
+    // 80000 confirmed yesterday is reserved, but refunds since the payout
+    // leave only 20000 with the platform
+    const payouts = [{ status: "approved", amount: 100000, fee: 5000 }];
+    const entries = [donation(100000, old), donation(50000, old), donation(80000, DAY), refund(50000), refund(60000)];
+    const ledger = payoutLedger(campaign(), entries, payouts, NOW);
+    assert.equal(ledger.reserved, 80000);
+    assert.equal(ledger.shortfall, 60000);
+    assert.equal(ledger.refundable, 20000);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * PDF Writer
+ *
+ * The embedded-font tests use the font files pdf.js fetches from the CDN,
+ * installed from npm at the same version.
+ *
+ * @file test/unit/pdf.test.js
+ */
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { buildPdf, embeddableFont, parseFont } from "../../js/pdf.js";
+
+const FONT_DIR = new URL("../../node_modules/@expo-google-fonts/noto-sans-devanagari/", import.meta.url);
+const fontFile = (style) => readFileSync(new URL(`${style}/NotoSansDevanagari_${style}.ttf`, FONT_DIR));
+
+// The file as text, one character per byte
+const text = (bytes) => Buffer.from(bytes).toString("latin1");
+
+// Content stream of each page, in order
+const pageStreams = (file) => [...file.matchAll(/<< \/Length \d+ >>\nstream\n(BT[\s\S]*?)\nendstream/g)].map(m => m[1]);
+
+describe("pdf.js: buildPdf", () => {
+  it("writes a cross-reference table that points at every object", () => {
+    const file = text(buildPdf([{ text: "Donation Receipt", size: 18, bold: true }], "Receipt 000001"));
+    assert.ok(file.startsWith("%PDF-1.4\n"));
+    assert.ok(file.endsWith("%%EOF\n"));
+
+    const xref = Number(/startxref\n(\d+)/.exec(file)[1]);
+    assert.ok(file.startsWith("xref\n", xref));
+    const offsets = [...file.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+    // Five fixed objects, and one page with its stream
+    assert.equal(offsets.length, 5 + 2);
+    offsets.forEach((offset, i) => assert.ok(file.startsWith(`${i + 1} 0 obj\n`, offset)));
+  });
+
+  it("starts a new page when one is full", () => {
+    const lines = Array.from({ length: 60 }, (_, i) => ({ text: `Line ${i + 1}` }));
+    const file = text(buildPdf(lines, "Statement"));
+
+    assert.match(file, /\/Count 2 >>/);
+    const [first, second] = pageStreams(file);
+    assert.ok(first.includes("(Line 1)") && !first.includes("(Line 60)"));
+    assert.ok(second.includes("(Line 60)"));
+  });
+
+  it("wraps long paragraphs between the margins", () => {
+    const [stream] = pageStreams(text(buildPdf([{ text: "word ".repeat(60) }], "Wrapped")));
+    const lines = stream.split("\n");
+    assert.ok(lines.length > 1);
+    lines.forEach(line => assert.ok(/\((.*)\) Tj/.exec(line)[1].length <= 96));
+  });
+
+  it("right-aligns cells at their position", () => {
+    const [stream] = pageStreams(text(buildPdf([{ cells: [{ text: "INR 10.00", x: 483, right: true }] }], "Cells")));
+    // 9 characters at half the font size end at the margin plus 483
+    assert.match(stream, / 494\.00 [\d.]+ Td \(INR 10\.00\)/);
+  });
+
+  it("escapes PDF string delimiters and prints what Helvetica lacks as ?", () => {
+    const [stream] = pageStreams(text(buildPdf([{ text: "Fund (new) \\ wells: राम" }], "Escapes")));
+    assert.ok(stream.includes("(Fund \\(new\\) \\\\ wells: ???)"));
+  });
+
+  it("stores the title as UTF-16, so any script shows in the reader", () => {
+    assert.match(text(buildPdf([], "रसीद")), /\/Title <FEFF0930093809400926>/);
+  });
+});
+
+describe("pdf.js: embedded fonts", () => {
+  let fonts;
+
+  before(async () => {
+    fonts = {
+      regular: await embeddableFont(fontFile("400Regular"), "NotoSansDevanagari-Regular"),
+      bold: await embeddableFont(fontFile("700Bold"), "NotoSansDevanagari-Bold")
+    };
+  });
+
+  const glyphIds = (hex) => hex.match(/.{4}/g).map(id => parseInt(id, 16));
+
+  it("reads the font's metrics and character map", () => {
+    const font = parseFont(fontFile("400Regular"), "NotoSansDevanagari-Regular");
+    assert.equal(font.unitsPerEm, 1000);
+    assert.ok(font.cmap.get("A".codePointAt(0)) > 0);
+    assert.ok(font.cmap.get("क".codePointAt(0)) > 0);
+    assert.ok(font.widths[font.cmap.get("W".codePointAt(0))] > font.widths[font.cmap.get("i".codePointAt(0))]);
+  });
+
+  it("refuses files that aren't TrueType fonts", () => {
+    assert.throws(() => parseFont(new Uint8Array(64), "Broken"), /Not a TrueType font/);
+  });
+
+  it("draws Devanagari by glyph and embeds the font", () => {
+    const file = text(buildPdf([{ text: "राम" }], "Receipt", fonts));
+    const [, hex] = /<([0-9A-F]+)> Tj/.exec(pageStreams(file)[0]);
+
+    const { cmap } = fonts.regular;
+    assert.deepEqual(glyphIds(hex), [..."राम"].map(char => cmap.get(char.codePointAt(0))));
+    assert.match(file, /\/Subtype \/Type0 \/BaseFont \/NotoSansDevanagari-Regular \/Encoding \/Identity-H/);
+    assert.match(file, new RegExp(`/Length ${fonts.regular.file.length} /Length1 ${fonts.regular.length} /Filter /FlateDecode`));
+  });
+
+  it("draws the vowel sign I before its consonant cluster", () => {
+    const [stream] = pageStreams(text(buildPdf([{ text: "किशन स्थिति" }], "Receipt", fonts)));
+    const ids = [...stream.matchAll(/<([0-9A-F]+)> Tj/g)].flatMap(m => glyphIds(m[1]));
+
+    const { cmap } = fonts.regular;
+    const expected = [..."िकशन िस्थित"].map(char => cmap.get(char.codePointAt(0)));
+    assert.deepEqual(ids, expected);
+  });
+
+  it("maps the glyphs drawn back to text and lists their widths", () => {
+    const file = text(buildPdf([{ text: "Ab" }], "Receipt", fonts));
+    const { cmap, widths } = fonts.regular;
+    const a = cmap.get(65);
+
+    assert.match(file, new RegExp(`<${a.toString(16).toUpperCase().padStart(4, "0")}> <0041>`));
+    assert.match(file, new RegExp(`/W \\[[^\\]]*\\b${a} \\[${widths[a]}\\]`));
+  });
+
+  it("keeps the cross-reference table right with the binary font data", () => {
+    const file = text(buildPdf([{ text: "राम", bold: true }], "Receipt", fonts));
+    const xref = Number(/startxref\n(\d+)/.exec(file)[1]);
+    const offsets = [...file.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+
+    // Five fixed objects, one page with its stream, and four per font
+    assert.equal(offsets.length, 5 + 2 + 8);
+    offsets.forEach((offset, i) => assert.ok(file.startsWith(`${i + 1} 0 obj\n`, offset)));
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Rate Limit Helpers
+ *
+ * The sliding windows themselves need Firestore; see
+ * test/emulator/functions/ratelimits.test.js.
+ *
+ * @file test/unit/ratelimits.test.js
+ */
+
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const { RATE_LIMITS, hashIp, clientIp } = createRequire(import.meta.url)("../../functions/ratelimits.js");
+
+describe("ratelimits.js: hashIp", () => {
+  it("never contains the address itself", () => {
+    const hash = hashIp("203.0.113.7");
+    assert.match(hash, /^[0-9a-f]{32}$/);
+    assert.ok(!hash.includes("203"));
+  });
+
+  it("gives an address the same hash every time, and others a different one", () => {
+    assert.equal(hashIp("203.0.113.7"), hashIp("203.0.113.7"));
+    assert.notEqual(hashIp("203.0.113.7"), hashIp("203.0.113.8"));
+  });
+});
+
+describe("ratelimits.js: clientIp", () => {
+  it("reads the address the front end saw", () => {
+    assert.equal(clientIp({ ip: "203.0.113.7" }), "203.0.113.7");
+  });
+
+  it("groups callers without one together", () => {
+    assert.equal(clientIp(undefined), "unknown");
+    assert.equal(clientIp({}), "unknown");
+  });
+});
+
+describe("ratelimits.js: RATE_LIMITS", () => {
+  it("allows an address more attempts than one account", () => {
+    Object.values(RATE_LIMITS).forEach(({ user, ip }) => {
+      assert.ok(ip.limit > user.limit);
+      assert.equal(ip.window, user.window);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Receipt Financial Years
+ *
+ * @file test/unit/receipts.test.js
+ */
+
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const { financialYear } = createRequire(import.meta.url)("../../functions/receipts.js");
+
+// A time in Indian Standard Time (UTC+5:30)
+const ist = (year, month, day, hour = 0, minute = 0) => Date.UTC(year, month, day, hour, minute) - (5 * 60 + 30) * 60 * 1000;
+
+describe("receipts.js: financialYear", () => {
+  it("runs from April to March", () => {
+    assert.equal(financialYear(ist(2024, 3, 1)), "2024-25");
+    assert.equal(financialYear(ist(2024, 11, 31, 12)), "2024-25");
+    assert.equal(financialYear(ist(2025, 2, 31, 23, 59)), "2024-25");
+    assert.equal(financialYear(ist(2025, 3, 1)), "2025-26");
+  });
+
+  it("uses Indian time at the year's boundary", () => {
+    // 31 March 19:00 UTC is already 1 April in India
+    assert.equal(financialYear(Date.UTC(2025, 2, 31, 19, 0)), "2025-26");
+    assert.equal(financialYear(Date.UTC(2025, 2, 31, 18, 29)), "2024-25");
+  });
+
+  it("pads the second year across a century", () => {
+    assert.equal(financialYear(ist(2099, 5, 1)), "2099-00");
+    assert.equal(financialYear(ist(2108, 5, 1)), "2108-09");
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Safe Rendering
+ *
+ * Descriptions are written by campaign creators and shown to everyone, so
+ * richText() must never let them run script.
+ *
+ * @file test/unit/render.test.js
+ */
+
+import assert from "node:assert/strict";
+import { markup } from "../helpers/dom.js";
+import { el, isSafeUrl, richText, plainText } from "../../js/render.js";
+
+const LINK = 'rel="noopener noreferrer nofollow" target="_blank"';
+
+describe("render.js: richText", () => {
+  it("drops scripts with their content", () => {
+    assert.equal(markup(richText("<p>Hi<script>alert(1)</script></p>")), "<p>Hi</p>");
+    assert.equal(markup(richText("<script src=\"https://evil.example/x.js\"></script>")), "");
+  });
+
+  it("drops images, so onerror never runs", () => {
+    assert.equal(markup(richText("<p>Hi<img src=x onerror=\"alert(1)\"></p>")), "<p>Hi</p>");
+  });
+
+  it("drops svg, iframes and styles with their content", () => {
+    assert.equal(markup(richText("<svg onload=\"alert(1)\"><text>x</text></svg><p>ok</p>")), "<p>ok</p>");
+    assert.equal(markup(richText("<iframe src=\"https://evil.example\">x</iframe><p>ok</p>")), "<p>ok</p>");
+    assert.equal(markup(richText("<style>body { display: none }</style><p>ok</p>")), "<p>ok</p>");
+  });
+
+  it("keeps the text of other tags it doesn't allow", () => {
+    assert.equal(markup(richText("<div><span>Clean</span> water</div>")), "Clean water");
+  });
+
+  it("removes every attribute from allowed tags", () => {
+    assert.equal(
+      markup(richText("<p onclick=\"alert(1)\" style=\"color: red\" class=\"x\" id=\"y\">Hi</p>")),
+      "<p>Hi</p>");
+    assert.equal(
+      markup(richText("<a href=\"https://example.org\" onmouseover=\"alert(1)\" title=\"t\">Site</a>")),
+      `<a href="https://example.org" ${LINK}>Site</a>`);
+  });
+
+  it("keeps http, https and mailto links", () => {
+    assert.equal(markup(richText("<a href=\"http://example.org\">a</a>")), `<a href="http://example.org" ${LINK}>a</a>`);
+    assert.equal(markup(richText("<a href=\" https://example.org \">a</a>")), `<a href="https://example.org" ${LINK}>a</a>`);
+    assert.equal(markup(richText("<a href=\"mailto:team@example.org\">a</a>")), `<a href="mailto:team@example.org" ${LINK}>a</a>`);
+  });
+
+  it("drops javascript: links", () => {
+    assert.equal(markup(richText("<a href=\"javascript:alert(1)\">a</a>")), "<a>a</a>");
+    assert.equal(markup(richText("<a href=\"JaVaScRiPt:alert(1)\">a</a>")), "<a>a</a>");
+    assert.equal(markup(richText("<a href=\"data:text/html,<script>alert(1)</script>\">a</a>")), "<a>a</a>");
+  });
+
+  it("drops javascript: links hidden with whitespace and control characters", () => {
+    assert.equal(markup(richText("<a href=\" javascript:alert(1)\">a</a>")), "<a>a</a>");
+    assert.equal(markup(richText("<a href=\"java&#9;script:alert(1)\">a</a>")), "<a>a</a>");
+    assert.equal(markup(richText("<a href=\"java&#10;script:alert(1)\">a</a>")), "<a>a</a>");
+    assert.equal(markup(richText("<a href=\"&#1;javascript:alert(1)\">a</a>")), "<a>a</a>");
+  });
+
+  it("drops relative links in descriptions", () => {
+    assert.equal(markup(richText("<a href=\"/admin.html\">a</a>")), "<a>a</a>");
+  });
+
+  it("keeps the line breaks of plain-text descriptions", () => {
+    assert.equal(markup(richText("One\nTwo\n\nThree")), "<p>One<br>Two</p><p>Three</p>");
+    assert.equal(markup(richText("1 < 2 & 3 > 2")), "<p>1 &lt; 2 &amp; 3 &gt; 2</p>");
+  });
+
+  it("strips a description down to its text", () => {
+    assert.equal(plainText("<p>Clean<script>x</script></p><ul><li>wells</li><li>filters</li></ul>"),
+      "Clean wells filters");
+  });
+});
+
+describe("render.js: el", () => {
+  it("adds strings as text, never as HTML", () => {
+    const p = el("p", {}, "<img src=x onerror=\"alert(1)\">");
+    assert.equal(p.childNodes.length, 1);
+    assert.equal(p.firstChild.nodeType, Node.TEXT_NODE);
+    assert.equal(p.querySelector("img"), null);
+  });
+
+  it("refuses unsafe href and src values", () => {
+    assert.equal(el("a", { href: "javascript:alert(1)" }).hasAttribute("href"), false);
+    assert.equal(el("a", { href: " java\tscript:alert(1)" }).hasAttribute("href"), false);
+    assert.equal(el("img", { src: "javascript:alert(1)" }).hasAttribute("src"), false);
+    assert.equal(el("img", { src: "data:image/svg+xml,<svg onload=alert(1)>" }).hasAttribute("src"), false);
+  });
+
+  it("keeps relative and https URLs", () => {
+    assert.equal(el("a", { href: "campaign.html?id=water" }).getAttribute("href"), "campaign.html?id=water");
+    assert.equal(el("img", { src: "https://example.org/a.png" }).getAttribute("src"), "https://example.org/a.png");
+  });
+
+  it("ignores on... attributes that aren't functions", () => {
+    const button = el("button", { onclick: "alert(1)" }, "Go");
+    assert.equal(button.hasAttribute("onclick"), false);
+
+    let clicked = false;
+    el("button", { onclick: () => { clicked = true; } }).click();
+    assert.equal(clicked, true);
+  });
+});
+
+describe("render.js: isSafeUrl", () => {
+  it("accepts relative, http, https and mailto URLs only", () => {
+    ["campaign.html", "/c/water", "http://a.example", "https://a.example", "mailto:a@example.org"]
+      .forEach(url => assert.equal(isSafeUrl(url), true, url));
+    ["javascript:alert(1)", "vbscript:x", "data:text/html,x", "\u0000javascript:x", "jav\nascript:x"]
+      .forEach(url => assert.equal(isSafeUrl(url), false, JSON.stringify(url)));
+  });
+});
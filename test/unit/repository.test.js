@@ -0,0 +1,456 @@
+/**
+ * Repository (In-Memory Backend)
+ *
+ * @file test/unit/repository.test.js
+ */
+
+import assert from "node:assert/strict";
+import { createRepository, memoryBackend } from "../../js/repository.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fields the create form sends
+function campaignFields(fields = {}) {
+  return {
+    title: "Clean water for Ward 12",
+    category: "Community",
+    description: "Wells and filters",
+    keywords: ["clean", "water"],
+    target: 10000000,
+    currency: "INR",
+    endDate: Date.now() + 30 * DAY,
+    fundingMode: "keep",
+    draft: false,
+    creator: "alice",
+    ...fields
+  };
+}
+
+// Fields the donate form sends
+function donationFields(fields = {}) {
+  return {
+    campaignId: "water",
+    amount: 50000,
+    currency: "INR",
+    userId: "bob",
+    donor: { anonymous: false, donorName: "Bob", message: "" },
+    ...fields
+  };
+}
+
+// Last value a listener was called with
+function latest(watch) {
+  let value;
+  const stop = watch(v => { value = v; });
+  stop();
+  return value;
+}
+
+describe("repository.js: campaigns", () => {
+  let backend;
+  let repository;
+
+  beforeEach(() => {
+    backend = memoryBackend();
+    repository = createRepository(backend);
+  });
+
+  it("creates a campaign pending review, with its slug and history", async () => {
+    const id = await repository.createCampaign(campaignFields());
+
+    const campaign = await repository.getCampaign(id);
+    assert.equal(campaign.title, "Clean water for Ward 12");
+    assert.equal(campaign.raised, 0);
+    assert.equal(campaign.status, "active");
+    assert.equal(campaign.moderation, "pending");
+    assert.equal(backend.slugs.get(campaign.slug).campaignId, id);
+    assert.equal(backend.history.get(id)[0].action, "created");
+  });
+
+  it("saves drafts", async () => {
+    const id = await repository.createCampaign(campaignFields({ draft: true }));
+    assert.equal((await repository.getCampaign(id)).status, "draft");
+  });
+
+  it("refuses invalid fields", async () => {
+    await assert.rejects(repository.createCampaign(campaignFields({ title: "" })), /Please fill in all fields/);
+    await assert.rejects(repository.createCampaign(campaignFields({ currency: "XYZ" })), /Unsupported currency/);
+    await assert.rejects(repository.createCampaign(campaignFields({ target: 10.5 })), /valid target/);
+    await assert.rejects(repository.createCampaign(campaignFields({ target: 0 })), /valid target/);
+    await assert.rejects(repository.createCampaign(campaignFields({ endDate: Date.now() - DAY })), /end date/);
+    await assert.rejects(repository.createCampaign(campaignFields({ creator: "" })), /Please login/);
+  });
+
+  it("creates a campaign once when retried with the same ID", async () => {
+    const id = repository.newCampaignId();
+    await repository.createCampaign(campaignFields(), id);
+    await repository.createCampaign(campaignFields(), id);
+    assert.equal(backend.slugs.size, 1);
+
+    await assert.rejects(repository.createCampaign(campaignFields({ creator: "carol" }), id), /already exists/);
+  });
+
+  it("converts campaigns stored before currencies existed", async () => {
+    repository = createRepository(memoryBackend({
+      campaigns: { old: { title: "Old", target: 1000, raised: 250.5 } }
+    }));
+    const campaign = await repository.getCampaign("old");
+    assert.equal(campaign.target, 100000);
+    assert.equal(campaign.raised, 25050);
+    assert.equal(campaign.currency, "INR");
+  });
+});
+
+describe("repository.js: watchCampaigns", () => {
+  let repository;
+
+  // Five approved, active campaigns raising 100 to 500
+  beforeEach(() => {
+    const campaigns = {};
+    [1, 2, 3, 4, 5].forEach(n => {
+      campaigns[`c${n}`] = {
+        title: `Campaign ${n}`, category: n % 2 ? "Health" : "Education", currency: "INR",
+        target: 100000, raised: n * 10000, createdAt: n, status: "active", moderation: "approved"
+      };
+    });
+    repository = createRepository(memoryBackend({ campaigns }));
+  });
+
+  const page = (filters) => latest(onPage => repository.watchCampaigns({
+    status: "active",
+    moderation: "approved",
+    sort: { field: "raised", direction: "desc" },
+    ...filters
+  }, onPage));
+
+  it("pages through campaigns with hasNext and the cursor", () => {
+    const first = page({ pageSize: 2 });
+    assert.deepEqual(first.campaigns.map(c => c.id), ["c5", "c4"]);
+    assert.equal(first.hasNext, true);
+
+    const second = page({ pageSize: 2, after: first.cursor });
+    assert.deepEqual(second.campaigns.map(c => c.id), ["c3", "c2"]);
+    assert.equal(second.hasNext, true);
+
+    const last = page({ pageSize: 2, after: second.cursor });
+    assert.deepEqual(last.campaigns.map(c => c.id), ["c1"]);
+    assert.equal(last.hasNext, false);
+  });
+
+  it("has no next page when the last page is exactly full", () => {
+    const first = page({ pageSize: 5 });
+    assert.equal(first.campaigns.length, 5);
+    assert.equal(first.hasNext, false);
+  });
+
+  it("returns no cursor for an empty page", () => {
+    const empty = page({ category: "Sports", pageSize: 2 });
+    assert.deepEqual(empty.campaigns, []);
+    assert.equal(empty.hasNext, false);
+    assert.equal(empty.cursor, null);
+  });
+
+  it("filters and sorts", () => {
+    const health = page({ category: "Health", sort: { field: "createdAt", direction: "asc" } });
+    assert.deepEqual(health.campaigns.map(c => c.id), ["c1", "c3", "c5"]);
+    assert.equal(health.hasNext, false);
+  });
+
+  it("returns an empty page after a cursor that isn't among the results", () => {
+    const empty = page({ pageSize: 2, after: "missing" });
+    assert.deepEqual(empty.campaigns, []);
+    assert.equal(empty.hasNext, false);
+  });
+
+  it("lists campaigns once, by ID when no sort is given", async () => {
+    const education = await repository.listCampaigns({ category: "Education" });
+    assert.deepEqual(education.map(c => c.id), ["c2", "c4"]);
+  });
+});
+
+describe("repository.js: owner changes", () => {
+  let backend;
+  let repository;
+
+  beforeEach(() => {
+    backend = memoryBackend({
+      campaigns: {
+        water: {
+          title: "Water", category: "Community", description: "Wells", currency: "INR",
+          target: 100000, raised: 40000, progress: 0.4, creator: "alice", status: "draft", slug: "water-1"
+        }
+      }
+    });
+    backend.slugs.set("water-1", { campaignId: "water" });
+    repository = createRepository(backend);
+  });
+
+  const publish = (by) => repository.changeCampaignStatus("water",
+    { from: ["draft"], to: "active", action: "published", by });
+
+  it("changes the status and records it in the history", async () => {
+    await publish("alice");
+    assert.equal((await repository.getCampaign("water")).status, "active");
+
+    const [entry] = backend.history.get("water");
+    assert.equal(entry.action, "published");
+    assert.equal(entry.by, "alice");
+    assert.deepEqual(entry.changes, { status: { from: "draft", to: "active" } });
+  });
+
+  it("refuses status changes by anyone but the creator, or from the wrong status", async () => {
+    await assert.rejects(publish("bob"), /Only the campaign creator/);
+    await publish("alice");
+    await assert.rejects(publish("alice"), /The campaign is active/);
+    await assert.rejects(repository.changeCampaignStatus("missing",
+      { from: ["draft"], to: "active", action: "published", by: "alice" }), /Campaign not found/);
+    assert.equal(backend.history.get("water").length, 1);
+  });
+
+  it("pauses, resumes and cancels, recording each step", async () => {
+    await publish("alice");
+    const change = (from, to) => repository.changeCampaignStatus("water", { from, to, action: to, by: "alice" });
+
+    await change(["active"], "paused");
+    await assert.rejects(change(["active"], "paused"), /The campaign is paused/);
+    await change(["paused"], "active");
+    await change(["draft", "active", "paused"], "cancelled");
+    await assert.rejects(change(["paused"], "active"), /The campaign is cancelled/);
+
+    assert.deepEqual(backend.history.get("water").map(entry => entry.changes.status),
+      [["draft", "active"], ["active", "paused"], ["paused", "active"], ["active", "cancelled"]]
+        .map(([from, to]) => ({ from, to })));
+  });
+
+  it("sends only rejected campaigns back for review", async () => {
+    await assert.rejects(repository.resubmitCampaign("water", "alice"), /Only rejected campaigns/);
+
+    await backend.updateCampaign("water", { moderation: "rejected" });
+    await repository.resubmitCampaign("water", "alice");
+    assert.equal((await repository.getCampaign("water")).moderation, "pending");
+    assert.equal(backend.history.get("water")[0].action, "resubmitted");
+  });
+
+  it("saves only the edited fields, with their history", async () => {
+    const fields = { title: "Clean water", category: "Community", description: "Wells", target: 200000, keywords: ["clean"] };
+    assert.equal(await repository.editCampaign("water", fields, "alice"), true);
+
+    const campaign = await repository.getCampaign("water");
+    assert.equal(campaign.title, "Clean water");
+    assert.equal(campaign.target, 200000);
+    assert.deepEqual(campaign.keywords, ["clean"]);
+    assert.equal(campaign.progress, 0.4); // Left to the trackProgress Cloud Function
+
+    const [entry] = backend.history.get("water");
+    assert.equal(entry.action, "edited");
+    assert.deepEqual(entry.changes, {
+      title: { from: "Water", to: "Clean water" },
+      target: { from: 100000, to: 200000, currency: "INR" }
+    });
+
+    assert.equal(await repository.editCampaign("water", fields, "alice"), false);
+    assert.equal(backend.history.get("water").length, 1);
+  });
+
+  it("refuses edits below the amount raised, by others, or to cancelled campaigns", async () => {
+    const fields = { title: "Water", category: "Community", description: "Wells", target: 100000, keywords: [] };
+    await assert.rejects(repository.editCampaign("water", { ...fields, target: 30000 }, "alice"), /can't be lower than/);
+    await assert.rejects(repository.editCampaign("water", fields, "bob"), /Only the campaign creator/);
+
+    await backend.updateCampaign("water", { status: "cancelled" });
+    await assert.rejects(repository.editCampaign("water", fields, "alice"), /Cancelled campaigns/);
+  });
+
+  it("updates the images", async () => {
+    await repository.updateCampaignMedia("water", { gallery: [{ path: "a.webp" }] });
+    const campaign = await repository.getCampaign("water");
+    assert.deepEqual(campaign.gallery, [{ path: "a.webp" }]);
+    assert.equal(campaign.cover, undefined);
+  });
+
+  it("deletes the campaign with its slug and history", async () => {
+    await publish("alice");
+    await repository.deleteCampaign("water");
+    assert.equal(await repository.getCampaign("water"), null);
+    assert.equal(backend.slugs.has("water-1"), false);
+    assert.equal(backend.history.has("water"), false);
+  });
+
+  it("records a moderation decision with its log entry and closes the report", async () => {
+    await repository.recordModeration("water", { moderation: "suspended", moderatedBy: "admin" },
+      { action: "suspend", reason: "Reported", by: "admin", time: 5, reportId: "r1" });
+
+    const campaign = await repository.getCampaign("water");
+    assert.equal(campaign.moderation, "suspended");
+    assert.deepEqual(backend.moderationLog.get(campaign.moderationLogId),
+      { campaignId: "water", action: "suspend", reason: "Reported", by: "admin", time: 5, reportId: "r1" });
+    assert.deepEqual(backend.reports.get("r1"),
+      { status: "closed", resolution: "suspend", resolvedBy: "admin", resolvedAt: 5 });
+  });
+});
+
+describe("repository.js: donations", () => {
+  let backend;
+  let repository;
+
+  beforeEach(() => {
+    backend = memoryBackend({
+      campaigns: { water: { title: "Water", currency: "INR", target: 10000000, raised: 0 } }
+    });
+    repository = createRepository(backend);
+  });
+
+  it("records a pending donation", async () => {
+    const id = repository.newDonationId();
+    await repository.donate(id, donationFields());
+
+    const [donation] = await repository.listDonations("water");
+    assert.equal(donation.id, id);
+    assert.equal(donation.amount, 50000);
+    assert.equal(donation.status, "pending");
+    assert.equal(donation.userId, "bob");
+    assert.equal(donation.donorName, "Bob");
+    assert.equal(typeof donation.createdAt, "number");
+    assert.deepEqual(backend.donorRecords.get(id),
+      { userId: "bob", campaignId: "water", time: donation.createdAt });
+  });
+
+  it("keeps an anonymous donor's ID in the donor record only", async () => {
+    const id = repository.newDonationId();
+    await repository.donate(id, donationFields({ donor: { anonymous: true, donorName: "Anonymous", message: "" } }));
+
+    const [donation] = await repository.listDonations("water");
+    assert.equal(donation.userId, undefined);
+    assert.equal(donation.user, undefined);
+    assert.equal(backend.donorRecords.get(id).userId, "bob");
+  });
+
+  it("refuses invalid donations", async () => {
+    const donate = (fields) => repository.donate(repository.newDonationId(), donationFields(fields));
+    await assert.rejects(donate({ campaignId: "" }), /Campaign not found/);
+    await assert.rejects(donate({ amount: 0 }), /valid amount/);
+    await assert.rejects(donate({ amount: 500.5 }), /valid amount/);
+    await assert.rejects(donate({ currency: "XYZ" }), /Unsupported currency/);
+    await assert.rejects(donate({ amount: 999 }), /The smallest donation is/);
+    await assert.rejects(donate({ userId: "" }), /Please login/);
+    await assert.rejects(donate({ monthly: true, rewardId: "r1" }), /Rewards can't be claimed/);
+    await assert.rejects(donate({ campaignId: "missing" }), /Campaign not found/);
+    assert.deepEqual(await repository.listDonations("water"), []);
+  });
+
+  it("records a donation once when it is sent again with the same ID", async () => {
+    const id = repository.newDonationId();
+    await repository.donate(id, donationFields());
+    await repository.donate(id, donationFields());
+    assert.equal((await repository.listDonations("water")).length, 1);
+
+    await assert.rejects(repository.donate(id, donationFields({ userId: "carol" })), /already exists/);
+  });
+
+  it("stores the reward's shipping details with the donation", async () => {
+    const id = repository.newDonationId();
+    await repository.donate(id, donationFields({
+      rewardId: "r1",
+      shipping: { name: "Bob", address: "12 Main Road", phone: "555" }
+    }));
+
+    assert.equal((await repository.listDonations("water"))[0].rewardId, "r1");
+    assert.equal(backend.backers.get(id).address, "12 Main Road");
+  });
+
+  it("lists a donor's donations, anonymous and older ones included, newest first", async () => {
+    backend = memoryBackend({
+      transactions: {
+        old: { campaignId: "water", amount: 500, userId: "bob", time: 1 },
+        hidden: { campaignId: "water", amount: 100000, currency: "INR", anonymous: true, time: 3 },
+        other: { campaignId: "water", amount: 100000, currency: "INR", userId: "carol", time: 2 }
+      },
+      donorRecords: { hidden: { userId: "bob", campaignId: "water", time: 3 } }
+    });
+    repository = createRepository(backend);
+
+    const donations = await repository.listDonorDonations("bob");
+    assert.deepEqual(donations.map(d => d.id), ["hidden", "old"]);
+    assert.equal(donations[1].amount, 50000);
+    assert.equal(donations[1].createdAt, 1);
+  });
+
+  it("tells listeners about new donations, newest first", async () => {
+    const seen = [];
+    const stop = repository.watchDonations("water", donations => seen.push(donations.length));
+    await repository.donate(repository.newDonationId(), donationFields());
+    stop();
+    await repository.donate(repository.newDonationId(), donationFields());
+    assert.deepEqual(seen, [0, 1]);
+  });
+});
+
+describe("repository.js: monthly donations", () => {
+  let backend;
+  let repository;
+  let subscription;
+
+  beforeEach(async () => {
+    backend = memoryBackend({
+      campaigns: { water: { title: "Water", currency: "INR", target: 10000000, raised: 0 } }
+    });
+    repository = createRepository(backend);
+    await repository.donate(repository.newDonationId(), donationFields({ monthly: true }));
+    [subscription] = latest(onSubscriptions => repository.watchSubscriptions("bob", onSubscriptions));
+  });
+
+  const current = () => latest(onSubscriptions => repository.watchSubscriptions("bob", onSubscriptions))[0];
+
+  it("starts pending, linked to its first payment", async () => {
+    assert.equal(subscription.status, "pending");
+    assert.equal(subscription.amount, 50000);
+    const [donation] = await repository.listDonations("water");
+    assert.equal(donation.subscriptionId, subscription.id);
+    assert.equal(donation.recurring, true);
+    assert.equal(subscription.firstTransactionId, donation.id);
+  });
+
+  it("pauses and resumes an active subscription", async () => {
+    // The server activates it once the first payment is confirmed
+    await backend.updateSubscription(subscription.id, { status: "active" });
+    await repository.changeSubscription(current(), { status: "paused" });
+    assert.equal(current().status, "paused");
+
+    await repository.changeSubscription(current(), { status: "active" });
+    assert.equal(current().status, "active");
+    assert.equal(typeof current().updatedAt, "number");
+  });
+
+  it("refuses changes that skip a step", async () => {
+    await assert.rejects(repository.changeSubscription(subscription, { status: "active" }), /can't be changed that way/);
+    await assert.rejects(repository.changeSubscription(subscription, { status: "paused" }), /can't be changed that way/);
+  });
+
+  it("cancels for good", async () => {
+    await repository.changeSubscription(subscription, { status: "cancelled" });
+    assert.equal(current().status, "cancelled");
+    await assert.rejects(repository.changeSubscription(current(), { status: "active" }), /has been cancelled/);
+    await assert.rejects(repository.changeSubscription(current(), { amount: 100000 }), /has been cancelled/);
+  });
+
+  it("changes the amount within the limits", async () => {
+    await repository.changeSubscription(subscription, { amount: 100000 });
+    assert.equal(current().amount, 100000);
+
+    await assert.rejects(repository.changeSubscription(current(), { amount: 10.5 }), /valid amount/);
+    await assert.rejects(repository.changeSubscription(current(), { amount: 999 }), /The smallest donation is/);
+    assert.equal(current().amount, 100000);
+  });
+
+  it("refuses amounts above what the donor's card was authorised for", async () => {
+    // The server stores the mandate, with its cap, when the order is created
+    await backend.updateSubscription(subscription.id, { mandate: { customerId: "c1", maxAmount: 250000 } });
+    await repository.changeSubscription(current(), { amount: 250000 });
+    await assert.rejects(repository.changeSubscription(current(), { amount: 250100 }), /start a new one to give more/);
+    assert.equal(current().amount, 250000);
+  });
+
+  it("lists only the donor's own subscriptions", () => {
+    assert.deepEqual(latest(onSubscriptions => repository.watchSubscriptions("carol", onSubscriptions)), []);
+  });
+});
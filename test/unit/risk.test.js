@@ -0,0 +1,104 @@
+/**
+ * Donation Risk Rules
+ *
+ * @file test/unit/risk.test.js
+ */
+
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(new URL("../../functions/risk.js", import.meta.url));
+const { RISK_THRESHOLD, RISK_RULES, scoreDonation } = require("./risk.js");
+const logger = require("firebase-functions/logger");
+
+const NOW = Date.UTC(2024, 0, 15, 10, 0, 0);
+const DAY = 24 * 60 * 60 * 1000;
+
+// A ₹500 donation by "bob", a month-old account, to alice's campaign
+function donation(fields = {}) {
+  return {
+    amount: 50000,
+    currency: "INR",
+    uid: "bob",
+    campaign: { creator: "alice" },
+    accountCreatedAt: NOW - 30 * DAY,
+    now: NOW,
+    byUser: [],
+    byIp: [],
+    ...fields
+  };
+}
+
+const check = (fields = {}) => ({ userId: "bob", amount: 50000, ...fields });
+
+describe("risk.js: scoreDonation", () => {
+  it("scores an ordinary donation zero", () => {
+    assert.deepEqual(scoreDonation(donation()), { score: 0, flags: [], flagged: false });
+  });
+
+  it("notices many donations by one donor within the hour", () => {
+    assert.deepEqual(scoreDonation(donation({ byUser: Array(4).fill(check()) })).flags, []);
+    assert.deepEqual(scoreDonation(donation({ byUser: Array(5).fill(check()) })).flags, ["velocity"]);
+  });
+
+  it("notices several other accounts donating from the donor's address", () => {
+    const byIp = ["carol", "dave", "bob", "bob"].map(userId => check({ userId }));
+    assert.deepEqual(scoreDonation(donation({ byIp })).flags, []);
+
+    byIp.push(check({ userId: "erin" }));
+    assert.deepEqual(scoreDonation(donation({ byIp })).flags, ["shared_ip"]);
+  });
+
+  it("notices accounts opened in the last day, when the age is known", () => {
+    assert.deepEqual(scoreDonation(donation({ accountCreatedAt: NOW - DAY + 1 })).flags, ["new_account"]);
+    assert.deepEqual(scoreDonation(donation({ accountCreatedAt: NOW - DAY })).flags, []);
+    assert.deepEqual(scoreDonation(donation({ accountCreatedAt: null })).flags, []);
+  });
+
+  it("notices organisers donating to their own campaign", () => {
+    assert.deepEqual(scoreDonation(donation({ uid: "alice" })).flags, ["self_donation"]);
+  });
+
+  it("notices amounts close to the largest donation allowed, per currency", () => {
+    assert.deepEqual(scoreDonation(donation({ amount: 40000000 })).flags, ["large_amount"]);
+    assert.deepEqual(scoreDonation(donation({ amount: 39999999 })).flags, []);
+    assert.deepEqual(scoreDonation(donation({ amount: 800000, currency: "USD" })).flags, ["large_amount"]);
+  });
+
+  it("notices repeated minimum-size payments", () => {
+    const small = check({ amount: 1000 });
+    assert.deepEqual(scoreDonation(donation({ amount: 1000, byUser: [small] })).flags, []);
+    assert.deepEqual(scoreDonation(donation({ amount: 1000, byUser: [small, small] })).flags, ["card_testing"]);
+    assert.deepEqual(scoreDonation(donation({ amount: 50000, byUser: [small, small] })).flags, []);
+  });
+
+  it("flags donations whose rules add up to the threshold", () => {
+    // A new account giving to its own campaign: 15 + 40
+    const result = scoreDonation(donation({ uid: "alice", accountCreatedAt: NOW - 1000 }));
+    assert.equal(result.score, 55);
+    assert.ok(result.score >= RISK_THRESHOLD);
+    assert.equal(result.flagged, true);
+    assert.deepEqual(result.flags, ["new_account", "self_donation"]);
+
+    assert.equal(scoreDonation(donation({ uid: "alice" })).flagged, false);
+  });
+
+  it("skips a rule that fails instead of failing the check", () => {
+    // No limits for this currency, so large_amount and card_testing throw
+    const logged = [];
+    const realError = logger.error;
+    logger.error = (message, details) => logged.push(details.flag);
+    try {
+      const result = scoreDonation(donation({ uid: "alice", currency: "XYZ" }));
+      assert.deepEqual(result.flags, ["self_donation"]);
+    } finally {
+      logger.error = realError;
+    }
+    assert.deepEqual(logged, ["large_amount", "card_testing"]);
+  });
+
+  it("gives every rule a distinct flag", () => {
+    const flags = RISK_RULES.map(rule => rule.flag);
+    assert.equal(new Set(flags).size, flags.length);
+  });
+});
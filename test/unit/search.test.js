@@ -0,0 +1,103 @@
+/**
+ * Campaign Search
+ *
+ * @file test/unit/search.test.js
+ */
+
+import assert from "node:assert/strict";
+import { CATEGORIES, SORTS, tokenize, buildKeywords, searchWords, matchesSearch } from "../../js/search.js";
+import { createRepository, memoryBackend } from "../../js/repository.js";
+
+describe("search.js: tokenize", () => {
+  it("splits text into unique lowercase words", () => {
+    assert.deepEqual(tokenize("Clean water, CLEAN wells!"), ["clean", "water", "wells"]);
+  });
+
+  it("drops single characters and keeps digits and other scripts", () => {
+    assert.deepEqual(tokenize("A school for Ward 12"), ["school", "for", "ward", "12"]);
+    assert.deepEqual(tokenize("पानी की टंकी"), ["पानी", "की", "टंकी"]);
+  });
+
+  it("treats missing text as empty", () => {
+    assert.deepEqual(tokenize(undefined), []);
+  });
+});
+
+describe("search.js: buildKeywords", () => {
+  it("stores every prefix of every word, title words first", () => {
+    assert.deepEqual(buildKeywords("Wells", "Clean"), ["we", "wel", "well", "wells", "cl", "cle", "clea", "clean"]);
+  });
+
+  it("indexes prefixes up to 15 characters", () => {
+    const keywords = buildKeywords("Telecommunications", "");
+    assert.equal(keywords.at(-1), "telecommunicati");
+    assert.ok(!keywords.includes("telecommunications"));
+  });
+
+  it("stores at most 400 keywords", () => {
+    const description = Array.from({ length: 100 }, (_, n) => `word${n}abcdefghij`).join(" ");
+    assert.equal(buildKeywords("Title", description).length, 400);
+  });
+});
+
+describe("search.js: searchWords and matchesSearch", () => {
+  const campaign = { title: "Clean water for Ward 12", description: "Wells and filters" };
+  campaign.keywords = buildKeywords(campaign.title, campaign.description);
+
+  it("finds campaigns by the start of any word", () => {
+    assert.ok(matchesSearch(campaign, searchWords("wat")));
+    assert.ok(matchesSearch(campaign, searchWords("FILTERS ward")));
+  });
+
+  it("needs every search word to match", () => {
+    assert.ok(!matchesSearch(campaign, searchWords("water school")));
+    assert.ok(!matchesSearch(campaign, searchWords("ater")));
+  });
+
+  it("cuts long search words to the indexed length", () => {
+    const long = { keywords: buildKeywords("Telecommunications", "") };
+    assert.deepEqual(searchWords("telecommunications"), ["telecommunicati"]);
+    assert.ok(matchesSearch(long, searchWords("telecommunications")));
+  });
+
+  it("builds the keywords of campaigns stored without them", () => {
+    const { keywords, ...unindexed } = campaign;
+    assert.ok(matchesSearch(unindexed, searchWords("wells")));
+  });
+});
+
+describe("search.js: the catalogue query", () => {
+  // As campaign.js searches: the first word in Firestore, the rest here
+  it("finds campaigns by keyword, then filters by the other words", async () => {
+    const indexed = (title, description) => ({
+      title, description, keywords: buildKeywords(title, description), category: "Community",
+      status: "active", moderation: "approved", raised: 0, target: 100000, currency: "INR"
+    });
+    const repository = createRepository(memoryBackend({
+      campaigns: {
+        water: indexed("Clean water for Ward 12", "Wells and filters"),
+        school: indexed("Ward 7 school", "Books and desks"),
+        trees: indexed("Trees", "Planting")
+      }
+    }));
+
+    const [first, ...rest] = searchWords("ward wells");
+    const found = await repository.listCampaigns({ keyword: first, status: "active" });
+    assert.deepEqual(found.map(c => c.id), ["school", "water"]);
+    assert.deepEqual(found.filter(c => matchesSearch(c, rest)).map(c => c.id), ["water"]);
+  });
+});
+
+describe("search.js: CATEGORIES and SORTS", () => {
+  it("has no repeated categories", () => {
+    assert.equal(new Set(CATEGORIES).size, CATEGORIES.length);
+  });
+
+  it("sorts by fields every campaign stores", () => {
+    // Written by createCampaign() in repository.js
+    Object.values(SORTS).forEach(({ field, direction }) => {
+      assert.ok(["createdAt", "raised", "progress", "endDate"].includes(field));
+      assert.ok(["asc", "desc"].includes(direction));
+    });
+  });
+});
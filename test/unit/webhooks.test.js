@@ -0,0 +1,77 @@
+/**
+ * Payment Webhooks
+ *
+ * Signature checks and event parsing of the gateway providers
+ * (functions/payments/).
+ *
+ * @file test/unit/webhooks.test.js
+ */
+
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { createRequire } from "node:module";
+
+// Read by the Razorpay provider through its Firebase secret
+process.env.RAZORPAY_WEBHOOK_SECRET = "test-webhook-secret";
+
+const require = createRequire(import.meta.url);
+const razorpay = require("../../functions/payments/razorpay.js");
+const mock = require("../../functions/payments/mock.js");
+
+const body = Buffer.from(JSON.stringify({ event: "payment.captured" }));
+const razorpaySignature = (raw) =>
+  crypto.createHmac("sha256", process.env.RAZORPAY_WEBHOOK_SECRET).update(raw).digest("hex");
+
+describe("payments: verifyWebhook", () => {
+  it("accepts a correctly signed body", () => {
+    assert.equal(razorpay.verifyWebhook(body, { "x-razorpay-signature": razorpaySignature(body) }), true);
+    const { rawBody, headers } = mock.buildWebhook("order_1", "confirmed");
+    assert.equal(mock.verifyWebhook(rawBody, headers), true);
+  });
+
+  it("refuses a missing or wrong signature", () => {
+    assert.equal(razorpay.verifyWebhook(body, {}), false);
+    assert.equal(razorpay.verifyWebhook(body, { "x-razorpay-signature": razorpaySignature(Buffer.from("other")) }), false);
+    assert.equal(mock.verifyWebhook(body, {}), false);
+    assert.equal(mock.verifyWebhook(body, { "x-mock-signature": "0".repeat(64) }), false);
+  });
+
+  it("refuses signatures of another length without throwing", () => {
+    const short = razorpaySignature(body).slice(1);
+    assert.equal(razorpay.verifyWebhook(body, { "x-razorpay-signature": short }), false);
+    assert.equal(mock.verifyWebhook(body, { "x-mock-signature": short }), false);
+  });
+
+  it("refuses multibyte signatures of the right character count without throwing", () => {
+    const multibyte = "é".repeat(64);
+    assert.equal(razorpay.verifyWebhook(body, { "x-razorpay-signature": multibyte }), false);
+    assert.equal(mock.verifyWebhook(body, { "x-mock-signature": multibyte }), false);
+  });
+});
+
+describe("payments: parseWebhook", () => {
+  const event = (name, entity = { id: "pay_1", order_id: "order_1", token_id: "token_1" }) =>
+    ({ event: name, payload: { payment: { entity } } });
+
+  it("reads captured payments, with the saved card", () => {
+    assert.deepEqual(razorpay.parseWebhook(event("payment.captured")),
+      { orderId: "order_1", paymentId: "pay_1", outcome: "confirmed", tokenId: "token_1" });
+  });
+
+  it("reads failed payments", () => {
+    assert.deepEqual(razorpay.parseWebhook(event("payment.failed")),
+      { orderId: "order_1", paymentId: "pay_1", outcome: "failed", tokenId: null });
+  });
+
+  it("ignores other events", () => {
+    assert.equal(razorpay.parseWebhook(event("payment.authorized")), null);
+    assert.equal(razorpay.parseWebhook({ event: "refund.processed", payload: {} }), null);
+  });
+
+  it("reads the mock gateway's webhooks the same way", () => {
+    const { rawBody } = mock.buildWebhook("order_1", "failed");
+    const payment = mock.parseWebhook(JSON.parse(rawBody.toString("utf8")));
+    assert.equal(payment.orderId, "order_1");
+    assert.equal(payment.outcome, "failed");
+  });
+});